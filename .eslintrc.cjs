@@ -20,4 +20,12 @@ module.exports = {
       { allowConstantExport: true },
     ],
   },
+  overrides: [
+    {
+      // Exercise starters are loaded as raw text into the gallery editor,
+      // never as hot-reloaded modules
+      files: ['designs/*/exercises/*.jsx'],
+      rules: { 'react-refresh/only-export-components': 'off' },
+    },
+  ],
 }
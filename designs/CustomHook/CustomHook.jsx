@@ -589,4 +589,5 @@ function CustomHookDemo() {
     );
 }
 
+export { CounterDemo, ToggleDemo };
 export default CustomHookDemo;
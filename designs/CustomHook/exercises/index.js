@@ -0,0 +1,54 @@
+import { createElement } from 'react';
+import usePreviousStarter from './usePrevious.jsx?raw';
+
+/**
+ * Custom Hook exercises, graded in the gallery's Exercises tab.
+ *
+ * Each check receives `{ exports, expect, render }` for the reader's code
+ * (see src/gallery/exercises/testKit.js) and passes unless it throws.
+ */
+export default [
+    {
+        id: 'use-previous',
+        title: 'Write a usePrevious hook',
+        prompt: 'Implement usePrevious(value) so it returns the value from the previous render. PriceTicker uses it to show the last price and a trend arrow.',
+        hints: [
+            'A ref survives re-renders without causing one.',
+            'Update the ref in an effect, after the render has read the old value.'
+        ],
+        starter: usePreviousStarter,
+        checks: [
+            {
+                name: 'usePrevious is exported',
+                run: ({ exports, expect }) => {
+                    expect(exports.usePrevious).toBeTypeOf('function');
+                }
+            },
+            {
+                name: 'Returns undefined on the first render, then the previous value',
+                run: ({ exports, expect, render }) => {
+                    const seen = [];
+                    const Probe = ({ value }) => {
+                        seen.push(exports.usePrevious(value));
+                        return null;
+                    };
+
+                    const view = render(createElement(Probe, { value: 'a' }));
+                    view.rerender(createElement(Probe, { value: 'b' }));
+                    view.rerender(createElement(Probe, { value: 'c' }));
+                    expect(seen).toEqual([undefined, 'a', 'b']);
+                }
+            },
+            {
+                name: 'PriceTicker shows the price before the last change',
+                run: ({ exports, expect, render }) => {
+                    const view = render(exports.default);
+                    view.click('+5');
+                    expect(view.text()).toContain('Before: 100');
+                    view.click('-5');
+                    expect(view.text()).toContain('Before: 105');
+                }
+            }
+        ]
+    }
+];
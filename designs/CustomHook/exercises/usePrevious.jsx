@@ -0,0 +1,50 @@
+import React, { useState } from 'react';
+
+/**
+ * EXERCISE: Write a usePrevious hook
+ *
+ * TODO: Return the value `value` had on the previous render, and
+ * undefined on the first render. useRef and useEffect are all you need.
+ */
+
+export function usePrevious(value) {
+    // TODO: remember `value` for the next render
+    return undefined;
+}
+
+function PriceTicker() {
+    const [price, setPrice] = useState(100);
+    const previous = usePrevious(price);
+    const trend = previous === undefined || previous === price ? '' : previous < price ? '▲' : '▼';
+
+    const buttonStyle = {
+        padding: '8px 16px',
+        border: 'none',
+        borderRadius: '4px',
+        backgroundColor: '#3498db',
+        color: 'white',
+        cursor: 'pointer'
+    };
+
+    return (
+        <div style={{
+            padding: '20px',
+            backgroundColor: 'white',
+            borderRadius: '8px',
+            boxShadow: '0 2px 4px rgba(0,0,0,0.1)'
+        }}>
+            <p style={{ margin: '0 0 4px 0', fontSize: '24px', color: '#2c3e50' }}>
+                Now: {price} {trend}
+            </p>
+            <p style={{ margin: '0 0 12px 0', color: '#7f8c8d' }}>
+                Before: {previous ?? '—'}
+            </p>
+            <div style={{ display: 'flex', gap: '8px' }}>
+                <button style={buttonStyle} onClick={() => setPrice(p => p - 5)}>-5</button>
+                <button style={buttonStyle} onClick={() => setPrice(p => p + 5)}>+5</button>
+            </div>
+        </div>
+    );
+}
+
+export default PriceTicker;
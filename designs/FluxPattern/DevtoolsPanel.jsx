@@ -0,0 +1,210 @@
+import React, { useState, useEffect, useRef, useSyncExternalStore } from 'react';
+import { diffStates } from './devtools.js';
+
+/**
+ * TIME-TRAVEL DEVTOOLS PANEL
+ *
+ * An in-page inspector for a store created with the devtools() enhancer:
+ * the action log, the state diff of the selected action, jumping, replay,
+ * skipping and JSON export/import. Works without any browser extension.
+ */
+
+const REPLAY_INTERVAL = 500;
+
+const toolButtonStyle = {
+    padding: '6px 10px',
+    border: '1px solid #dcdde1',
+    borderRadius: '4px',
+    backgroundColor: 'white',
+    color: '#2c3e50',
+    cursor: 'pointer',
+    fontSize: '13px'
+};
+
+/**
+ * useDevtoolsHistory - Subscribes to a store's devtools history
+ */
+function useDevtoolsHistory(store) {
+    return useSyncExternalStore(store.subscribe, store.devtools.getHistory);
+}
+
+/**
+ * formatValue - Short one-line rendering of a state value
+ */
+function formatValue(value) {
+    if (value === undefined) return 'undefined';
+    const text = JSON.stringify(value);
+    return text.length > 60 ? `${text.slice(0, 57)}…` : text;
+}
+
+/**
+ * StateDiff - Lists the changes one action made
+ */
+function StateDiff({ before, after }) {
+    const changes = diffStates(before, after);
+
+    if (changes.length === 0) {
+        return <p style={{ margin: 0, color: '#7f8c8d' }}>No state change.</p>;
+    }
+
+    const colors = { added: '#27ae60', removed: '#e74c3c', changed: '#2980b9' };
+
+    return (
+        <ul style={{ margin: 0, padding: 0, listStyle: 'none', fontFamily: 'monospace', fontSize: '12px' }}>
+            {changes.map(change => (
+                <li key={change.path} style={{ padding: '3px 0', color: '#2c3e50' }}>
+                    <span style={{ color: colors[change.kind] }}>{change.kind === 'added' ? '+' : change.kind === 'removed' ? '−' : '~'} </span>
+                    <strong>{change.path}</strong>:{' '}
+                    {change.kind !== 'added' && <span style={{ color: '#e74c3c', textDecoration: 'line-through' }}>{formatValue(change.before)}</span>}
+                    {change.kind === 'changed' && ' → '}
+                    {change.kind !== 'removed' && <span style={{ color: '#27ae60' }}>{formatValue(change.after)}</span>}
+                </li>
+            ))}
+        </ul>
+    );
+}
+
+/**
+ * DevtoolsPanel - Time-travel inspector for a devtools-enhanced store
+ *
+ * @param {Object} props - Component props
+ * @param {Object} props.store - Store created with the devtools() enhancer
+ * @returns {JSX.Element} Devtools panel
+ */
+function DevtoolsPanel({ store }) {
+    const { entries, currentIndex } = useDevtoolsHistory(store);
+    const [replaying, setReplaying] = useState(false);
+    const [importError, setImportError] = useState(null);
+    const fileInput = useRef(null);
+    const lastIndex = entries.length - 1;
+    const current = entries[currentIndex];
+
+    // Replay steps from the start to the latest action, one tick at a time
+    useEffect(() => {
+        if (!replaying) return;
+        if (currentIndex >= lastIndex) {
+            setReplaying(false);
+            return;
+        }
+        const timer = setTimeout(() => store.devtools.jumpTo(currentIndex + 1), REPLAY_INTERVAL);
+        return () => clearTimeout(timer);
+    }, [replaying, currentIndex, lastIndex, store]);
+
+    const startReplay = () => {
+        store.devtools.jumpTo(0);
+        setReplaying(true);
+    };
+
+    const exportLog = () => {
+        const url = URL.createObjectURL(new Blob([store.devtools.exportLog()], { type: 'application/json' }));
+        const link = document.createElement('a');
+        link.href = url;
+        link.download = `flux-actions-${new Date().toISOString().slice(0, 19).replace(/:/g, '-')}.json`;
+        link.click();
+        URL.revokeObjectURL(url);
+    };
+
+    const importLog = async (event) => {
+        const file = event.target.files[0];
+        event.target.value = '';
+        if (!file) return;
+
+        try {
+            store.devtools.importLog(await file.text());
+            setImportError(null);
+        } catch (error) {
+            setImportError(`Could not import ${file.name}: ${error.message}`);
+        }
+    };
+
+    return (
+        <section
+            aria-label="Flux devtools"
+            style={{ padding: '20px', backgroundColor: 'white', borderRadius: '8px', border: '2px solid #2c3e50' }}
+        >
+            <h3 style={{ marginTop: 0, color: '#2c3e50' }}>🕰️ Time-travel devtools</h3>
+
+            <div style={{ display: 'flex', flexWrap: 'wrap', gap: '6px', marginBottom: '12px' }}>
+                <button style={toolButtonStyle} onClick={() => store.devtools.jumpTo(0)} disabled={currentIndex === 0} aria-label="Jump to start">⏮</button>
+                <button style={toolButtonStyle} onClick={() => store.devtools.jumpTo(currentIndex - 1)} disabled={currentIndex === 0} aria-label="Step back">◀</button>
+                <button style={toolButtonStyle} onClick={() => store.devtools.jumpTo(currentIndex + 1)} disabled={currentIndex === lastIndex} aria-label="Step forward">▶</button>
+                <button style={toolButtonStyle} onClick={() => store.devtools.jumpTo(lastIndex)} disabled={currentIndex === lastIndex} aria-label="Jump to latest">⏭</button>
+                <button style={toolButtonStyle} onClick={() => (replaying ? setReplaying(false) : startReplay())} disabled={lastIndex === 0}>
+                    {replaying ? '⏹ Stop' : '⟲ Replay'}
+                </button>
+                <button style={toolButtonStyle} onClick={() => store.devtools.commit()} title="Keep the shown state and clear the log">Commit</button>
+                <button style={toolButtonStyle} onClick={exportLog}>Export</button>
+                <button style={toolButtonStyle} onClick={() => fileInput.current.click()}>Import</button>
+                <input ref={fileInput} type="file" accept="application/json,.json" onChange={importLog} hidden />
+            </div>
+
+            {importError && <p role="alert" style={{ color: '#e74c3c', fontSize: '13px' }}>{importError}</p>}
+
+            <input
+                type="range"
+                min={0}
+                max={lastIndex}
+                value={currentIndex}
+                onChange={e => store.devtools.jumpTo(Number(e.target.value))}
+                aria-label="Timeline"
+                style={{ width: '100%' }}
+            />
+
+            <ol start={0} style={{ maxHeight: '220px', overflow: 'auto', margin: '8px 0', padding: 0, listStyle: 'none', fontSize: '13px' }}>
+                {entries.map((entry, index) => (
+                    <li
+                        key={entry.id}
+                        style={{
+                            display: 'flex',
+                            alignItems: 'center',
+                            gap: '8px',
+                            padding: '4px 6px',
+                            borderRadius: '4px',
+                            backgroundColor: index === currentIndex ? '#eaf2fb' : 'transparent',
+                            opacity: index > currentIndex ? 0.5 : 1
+                        }}
+                    >
+                        <button
+                            onClick={() => store.devtools.jumpTo(index)}
+                            aria-current={index === currentIndex ? 'step' : undefined}
+                            style={{
+                                flex: 1,
+                                padding: 0,
+                                border: 'none',
+                                background: 'none',
+                                textAlign: 'left',
+                                fontFamily: 'monospace',
+                                color: entry.error ? '#e74c3c' : '#2c3e50',
+                                textDecoration: entry.skipped ? 'line-through' : 'none',
+                                cursor: 'pointer'
+                            }}
+                            title={entry.error || undefined}
+                        >
+                            {index}. {entry.action.type}{entry.error && ' ⚠'}
+                        </button>
+                        <span style={{ color: '#95a5a6', fontSize: '11px' }}>
+                            {new Date(entry.timestamp).toLocaleTimeString()}
+                        </span>
+                        {index > 0 && (
+                            <button style={{ ...toolButtonStyle, padding: '2px 6px', fontSize: '11px' }} onClick={() => store.devtools.toggleAction(index)}>
+                                {entry.skipped ? 'Unskip' : 'Skip'}
+                            </button>
+                        )}
+                    </li>
+                ))}
+            </ol>
+
+            <h4 style={{ margin: '12px 0 6px', color: '#2c3e50' }}>
+                {currentIndex === 0 ? 'Initial state' : `Diff for ${current.action.type}`}
+            </h4>
+            {current.error && <p style={{ margin: '0 0 6px', color: '#e74c3c', fontSize: '13px' }}>Reducer error while replaying: {current.error}</p>}
+            {currentIndex === 0 ? (
+                <pre style={{ margin: 0, fontSize: '12px', color: '#2c3e50', whiteSpace: 'pre-wrap' }}>{JSON.stringify(current.state, null, 2)}</pre>
+            ) : (
+                <StateDiff before={entries[currentIndex - 1].state} after={current.state} />
+            )}
+        </section>
+    );
+}
+
+export default DevtoolsPanel;
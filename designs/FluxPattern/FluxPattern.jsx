@@ -1,25 +1,96 @@
-import React, { useState, useEffect } from 'react';
+import React, { useState, useEffect, useRef } from 'react';
+import DevtoolsPanel from './DevtoolsPanel.jsx';
+import PersistGate from './PersistGate.jsx';
+import StoreProvider from './StoreProvider.jsx';
+import { devtools } from './devtools.js';
+import { useDispatch, useSelector, useStore } from './hooks.js';
+import { createWebStorage, persistState } from './persist.js';
+import { createSelector, shallowEqual } from './selectors.js';
+import { syncTabs } from './sync.js';
+import { createSliceStore } from './store.js';
+import { applyMiddleware, compose, createCrashReporter, createLogger, devOnly, freezeState, thunk } from './middleware.js';
 
 /**
  * FLUX PATTERN DEMONSTRATION
+ *
+ * Views dispatch actions, a store runs them through pure reducers, and the
+ * views re-render from the store's new state. Middleware wrap dispatch to
+ * add cross-cutting behavior without touching the views or the reducers.
+ *
+ * Benefits:
+ * - One-way data flow that is easy to trace
+ * - Every change is a plain, inspectable action
+ * - Feature slices own their state and can be registered at runtime
+ * - Logging, async work and error reporting plug in as middleware
+ * - Pure reducers make time travel possible: replay, skip or jump to any action
+ * - Components select only the state they need and re-render only when it changes
+ * - Chosen slices are saved and restored across reloads
+ * - Open tabs replay each other's actions and stay in sync
  */
 
-const store = {
-    state: { count: 0, todos: [] },
+// ============================================================================
+// SLICE REDUCERS
+// ============================================================================
+
+/**
+ * counterReducer - Owns state.counter
+ */
+function counterReducer(state = { count: 0 }, action) {
+    switch (action.type) {
+        case 'INCREMENT':
+            return { ...state, count: state.count + 1 };
+        case 'DECREMENT':
+            return { ...state, count: state.count - 1 };
+        default:
+            return state;
+    }
+}
+
+/**
+ * todosReducer - Owns state.todos
+ *
+ * Returns new arrays and objects instead of mutating, so the todos slice
+ * keeps its identity while the counter changes.
+ */
+function todosReducer(state = { items: [], saving: false }, action) {
+    switch (action.type) {
+        case 'ADD_TODO_STARTED':
+            return { ...state, saving: true };
+        case 'ADD_TODO':
+            if (!action.payload?.text) {
+                throw new Error('ADD_TODO needs a payload with a non-empty text');
+            }
+            return { items: [...state.items, action.payload], saving: false };
+        case 'TOGGLE_TODO':
+            return {
+                ...state,
+                items: state.items.map(todo => (todo.id === action.payload ? { ...todo, done: !todo.done } : todo))
+            };
+        default:
+            return state;
+    }
+}
+
+/**
+ * statsReducer - Owns state.stats once the stats feature is loaded
+ *
+ * Stands in for a code-split feature that registers its reducer when it
+ * loads; it only counts actions from that moment on.
+ */
+function statsReducer(state = { actions: 0 }, action) {
+    if (action.type.startsWith('@@')) return state;
+    return { actions: state.actions + 1 };
+}
+
+// ============================================================================
+// ACTIVITY FEED (where the demo's logger and crash reporter write)
+// ============================================================================
+
+const activity = {
+    entries: [],
     listeners: [],
-    getState() { return { ...this.state }; },
-    dispatch(action) {
-        switch (action.type) {
-            case 'INCREMENT':
-                this.state.count++;
-                break;
-            case 'DECREMENT':
-                this.state.count--;
-                break;
-            case 'ADD_TODO':
-                this.state.todos.push(action.payload);
-                break;
-        }
+    add(entry) {
+        this.entries = [{ id: Date.now() + Math.random(), ...entry }, ...this.entries].slice(0, 8);
         this.listeners.forEach(listener => listener());
     },
     subscribe(listener) {
@@ -30,32 +101,376 @@ const store = {
     }
 };
 
+// ============================================================================
+// STORE
+// ============================================================================
+
+/**
+ * createDemoStore - Builds the demo's store
+ *
+ * Called by the demo when it mounts rather than at module level: the
+ * store opens a BroadcastChannel, and the playground re-evaluates this
+ * file after every edit, so a module-level store would leak one live copy
+ * per edit, each also saving to the same localStorage key. The demo
+ * closes its channel and persistence again when it unmounts.
+ *
+ * Todos are saved to localStorage. Version 1 todos had no `done` flag;
+ * the version 2 migration adds it to todos saved before that.
+ */
+function createDemoStore() {
+    const persistence = persistState({
+        key: 'flux-pattern-demo',
+        storage: createWebStorage(),
+        slices: { todos: ({ items }) => ({ items }) },
+        version: 2,
+        migrations: {
+            2: saved => ({
+                ...saved,
+                todos: { ...saved.todos, items: saved.todos.items.map(todo => ({ done: false, ...todo })) }
+            })
+        },
+        throttle: 500
+    });
+
+    return createSliceStore(
+        { counter: counterReducer, todos: todosReducer },
+        undefined,
+        compose(
+            applyMiddleware(
+                devOnly(freezeState),
+                createCrashReporter((error, { action }) => {
+                    activity.add({ kind: 'error', text: `${action.type ?? 'thunk'} failed: ${error.message}` });
+                }),
+                thunk,
+                createLogger({
+                    log: ({ action, prevState, nextState, duration }) => {
+                        const changed = Object.keys(nextState).filter(key => nextState[key] !== prevState[key]);
+                        activity.add({
+                            kind: 'action',
+                            text: `${action.type} → ${changed.join(', ') || 'no change'} (${duration.toFixed(2)} ms)`
+                        });
+                    }
+                })
+            ),
+            persistence,
+            // The stats feature is loaded per tab, so its slice is not shared
+            syncTabs({ channel: 'flux-pattern-demo', localSlices: ['stats'] }),
+            // Records what reaches the reducers, after thunks have run
+            devtools()
+        )
+    );
+}
+
+/**
+ * addTodoLater - Thunk action creator that saves a todo asynchronously
+ */
+function addTodoLater(text) {
+    return async (dispatch) => {
+        // The spinner belongs to this tab only
+        dispatch({ type: 'ADD_TODO_STARTED', meta: { local: true } });
+        await new Promise(resolve => setTimeout(resolve, 600));
+        dispatch({ type: 'ADD_TODO', payload: { id: Date.now(), text, done: false } });
+    };
+}
+
+// ============================================================================
+// SELECTORS
+// ============================================================================
+
+const TODO_FILTERS = {
+    all: () => true,
+    active: todo => !todo.done,
+    done: todo => todo.done
+};
+
+/**
+ * selectVisibleTodos - Todos matching a filter, memoized
+ *
+ * Returns the same array until the todos or the filter change, so the
+ * list does not re-render when only the counter moves.
+ */
+const selectVisibleTodos = createSelector(
+    [state => state.todos.items, (state, filter) => filter],
+    (items, filter) => items.filter(TODO_FILTERS[filter])
+);
+
+// ============================================================================
+// VIEWS
+// ============================================================================
+
+const buttonStyle = {
+    padding: '10px 20px',
+    color: 'white',
+    border: 'none',
+    borderRadius: '4px',
+    cursor: 'pointer'
+};
+
+const cardStyle = {
+    padding: '20px',
+    backgroundColor: 'white',
+    borderRadius: '8px'
+};
+
+/**
+ * ActivityLog - Shows what the logger and crash reporter middleware saw
+ */
+function ActivityLog() {
+    const [entries, setEntries] = useState(activity.entries);
+
+    useEffect(() => {
+        return activity.subscribe(() => setEntries(activity.entries));
+    }, []);
+
+    return (
+        <div style={cardStyle}>
+            <h3 style={{ marginTop: 0, color: '#2c3e50' }}>Middleware activity</h3>
+            {entries.length === 0 && <p style={{ color: '#7f8c8d' }}>Dispatch something to see it logged.</p>}
+            <ul style={{ margin: 0, padding: 0, listStyle: 'none', fontFamily: 'monospace', fontSize: '13px' }}>
+                {entries.map(entry => (
+                    <li
+                        key={entry.id}
+                        style={{
+                            padding: '6px 0',
+                            borderBottom: '1px solid #f5f6fa',
+                            color: entry.kind === 'error' ? '#e74c3c' : '#2c3e50'
+                        }}
+                    >
+                        {entry.kind === 'error' ? '✗ ' : '→ '}{entry.text}
+                    </li>
+                ))}
+            </ul>
+        </div>
+    );
+}
+
+/**
+ * RenderCount - Shows how often the surrounding component rendered
+ */
+function RenderCount() {
+    const renders = useRef(0);
+    renders.current++;
+
+    return (
+        <span style={{ float: 'right', fontSize: '12px', fontWeight: 'normal', color: '#95a5a6' }}>
+            renders: {renders.current}
+        </span>
+    );
+}
+
+/**
+ * CounterCard - Selects only state.counter.count
+ */
+function CounterCard() {
+    const count = useSelector(state => state.counter.count);
+    const dispatch = useDispatch();
+
+    return (
+        <div style={cardStyle}>
+            <h3 style={{ marginTop: 0, color: '#2c3e50' }}>Counter <RenderCount /></h3>
+            <h2 style={{ fontSize: '48px', textAlign: 'center', color: '#3498db' }}>{count}</h2>
+            <div style={{ display: 'flex', gap: '8px', justifyContent: 'center' }}>
+                <button onClick={() => dispatch({ type: 'INCREMENT' })} style={{ ...buttonStyle, backgroundColor: '#27ae60' }}>Increment</button>
+                <button onClick={() => dispatch({ type: 'DECREMENT' })} style={{ ...buttonStyle, backgroundColor: '#e74c3c' }}>Decrement</button>
+            </div>
+        </div>
+    );
+}
+
+/**
+ * SlicesCard - Lists the registered slices; shallowEqual ignores new but equal key arrays
+ */
+function SlicesCard() {
+    const store = useStore();
+    const keys = useSelector(state => Object.keys(state), shallowEqual);
+    const actions = useSelector(state => state.stats?.actions);
+    const statsLoaded = keys.includes('stats');
+    // Kept with the card, so each store unloads its own stats slice
+    const unregisterStats = useRef(null);
+
+    const toggleStats = () => {
+        if (store.getReducerKeys().includes('stats')) {
+            unregisterStats.current?.();
+            unregisterStats.current = null;
+        } else {
+            unregisterStats.current = store.registerReducer('stats', statsReducer);
+        }
+    };
+
+    return (
+        <div style={cardStyle}>
+            <h3 style={{ marginTop: 0, color: '#2c3e50' }}>Registered slices <RenderCount /></h3>
+            <p style={{ fontFamily: 'monospace', color: '#2c3e50' }}>{keys.join(', ')}</p>
+            {statsLoaded && <p style={{ color: '#7f8c8d' }}>Actions since the stats feature loaded: {actions}</p>}
+            <button onClick={toggleStats} style={{ ...buttonStyle, backgroundColor: '#8e44ad' }}>
+                {statsLoaded ? 'Unload stats feature' : 'Load stats feature'}
+            </button>
+        </div>
+    );
+}
+
+/**
+ * TodoList - Renders the memoized, filtered todos
+ */
+function TodoList({ filter }) {
+    const todos = useSelector(state => selectVisibleTodos(state, filter));
+    const dispatch = useDispatch();
+
+    return (
+        <ul style={{ paddingLeft: 0, listStyle: 'none', color: '#2c3e50' }}>
+            <li style={{ fontSize: '12px', color: '#95a5a6' }}>
+                {todos.length} shown <RenderCount />
+            </li>
+            {todos.map(todo => (
+                <li key={todo.id} style={{ padding: '4px 0' }}>
+                    <label style={{ textDecoration: todo.done ? 'line-through' : 'none' }}>
+                        <input type="checkbox" checked={todo.done} onChange={() => dispatch({ type: 'TOGGLE_TODO', payload: todo.id })} />
+                        {' '}{todo.text}
+                    </label>
+                </li>
+            ))}
+        </ul>
+    );
+}
+
+/**
+ * TodosCard - Adds todos through a thunk and filters them
+ */
+function TodosCard() {
+    const store = useStore();
+    const saving = useSelector(state => state.todos.saving);
+    const dispatch = useDispatch();
+    const [text, setText] = useState('');
+    const [filter, setFilter] = useState('all');
+
+    const addTodo = (event) => {
+        event.preventDefault();
+        dispatch(addTodoLater(text.trim()));
+        setText('');
+    };
+
+    const dispatchInvalid = () => {
+        try {
+            dispatch({ type: 'ADD_TODO', payload: {} });
+        } catch {
+            // Already reported by the crash reporter middleware
+        }
+    };
+
+    return (
+        <div style={cardStyle}>
+            <h3 style={{ marginTop: 0, color: '#2c3e50' }}>Todos (saved by a thunk) <RenderCount /></h3>
+            <form onSubmit={addTodo} style={{ display: 'flex', gap: '8px', marginBottom: '12px' }}>
+                <input
+                    value={text}
+                    onChange={e => setText(e.target.value)}
+                    placeholder="New todo"
+                    aria-label="New todo"
+                    style={{ flex: 1, padding: '8px', border: '1px solid #dcdde1', borderRadius: '4px' }}
+                />
+                <button type="submit" disabled={!text.trim()} style={{ ...buttonStyle, backgroundColor: '#3498db' }}>Add</button>
+            </form>
+            <div role="group" aria-label="Filter todos" style={{ display: 'flex', gap: '6px' }}>
+                {Object.keys(TODO_FILTERS).map(name => (
+                    <button
+                        key={name}
+                        onClick={() => setFilter(name)}
+                        aria-pressed={filter === name}
+                        style={{
+                            ...buttonStyle,
+                            padding: '4px 10px',
+                            backgroundColor: filter === name ? '#2c3e50' : '#bdc3c7'
+                        }}
+                    >
+                        {name}
+                    </button>
+                ))}
+            </div>
+            {saving && <p style={{ color: '#7f8c8d' }}>Saving…</p>}
+            <TodoList filter={filter} />
+            <p style={{ fontSize: '12px', color: '#7f8c8d' }}>
+                Todos are kept in localStorage and survive a reload.{' '}
+                <button
+                    onClick={() => store.persistor.purge()}
+                    style={{ padding: 0, border: 'none', background: 'none', color: '#3498db', cursor: 'pointer', fontSize: '12px' }}
+                >
+                    Forget saved todos
+                </button>
+            </p>
+            <button onClick={dispatchInvalid} style={{ ...buttonStyle, backgroundColor: '#95a5a6' }}>
+                Dispatch an invalid action
+            </button>
+        </div>
+    );
+}
+
+/**
+ * SyncCard - Shows this tab's cross-tab traffic
+ */
+function SyncCard() {
+    const store = useStore();
+    // Any state change may come from another tab, so re-read the counts
+    useSelector(state => state);
+    const { sent, received, reordered } = store.sync.getStats();
+
+    return (
+        <div style={cardStyle}>
+            <h3 style={{ marginTop: 0, color: '#2c3e50' }}>Cross-tab sync</h3>
+            {store.sync.tabId ? (
+                <>
+                    <p style={{ color: '#7f8c8d' }}>
+                        Open this page in{' '}
+                        <a href={window.location.href} target="_blank" rel="noreferrer">another tab</a>{' '}
+                        and change the counter or the todos there.
+                    </p>
+                    <p style={{ fontFamily: 'monospace', fontSize: '13px', color: '#2c3e50' }}>
+                        tab {store.sync.tabId} · sent {sent} · received {received} · reordered {reordered}
+                    </p>
+                </>
+            ) : (
+                <p style={{ color: '#7f8c8d' }}>This browser has no BroadcastChannel, so tabs are not synced.</p>
+            )}
+        </div>
+    );
+}
+
 function FluxPatternDemo() {
-    const [state, setState] = useState(store.getState());
+    const [store, setStore] = useState(null);
 
     useEffect(() => {
-        const unsubscribe = store.subscribe(() => {
-            setState(store.getState());
-        });
-        return unsubscribe;
+        const created = createDemoStore();
+        setStore(created);
+        return () => {
+            created.sync.close();
+            created.persistor.close();
+        };
     }, []);
 
+    if (!store) return null;
+
     return (
-        <div style={{ minHeight: '100vh', backgroundColor: '#f5f6fa', padding: '40px 20px' }}>
-            <div style={{ maxWidth: '1200px', margin: '0 auto' }}>
-                <header style={{ textAlign: 'center', marginBottom: '40px' }}>
-                    <h1 style={{ color: '#2c3e50' }}>Flux Pattern</h1>
-                    <p style={{ color: '#7f8c8d' }}>Unidirectional data flow</p>
-                </header>
-                <div style={{ padding: '20px', backgroundColor: 'white', borderRadius: '8px' }}>
-                    <h2 style={{ fontSize: '48px', textAlign: 'center', color: '#3498db' }}>{state.count}</h2>
-                    <div style={{ display: 'flex', gap: '8px', justifyContent: 'center' }}>
-                        <button onClick={() => store.dispatch({ type: 'INCREMENT' })} style={{ padding: '10px 20px', backgroundColor: '#27ae60', color: 'white', border: 'none', borderRadius: '4px', cursor: 'pointer' }}>Increment</button>
-                        <button onClick={() => store.dispatch({ type: 'DECREMENT' })} style={{ padding: '10px 20px', backgroundColor: '#e74c3c', color: 'white', border: 'none', borderRadius: '4px', cursor: 'pointer' }}>Decrement</button>
+        <StoreProvider store={store}>
+            <PersistGate persistor={store.persistor} fallback={<p style={{ padding: '40px', color: '#7f8c8d' }}>Loading saved state…</p>}>
+                <div style={{ minHeight: '100vh', backgroundColor: '#f5f6fa', padding: '40px 20px' }}>
+                    <div style={{ maxWidth: '1200px', margin: '0 auto' }}>
+                        <header style={{ textAlign: 'center', marginBottom: '40px' }}>
+                            <h1 style={{ color: '#2c3e50' }}>Flux Pattern</h1>
+                            <p style={{ color: '#7f8c8d' }}>Unidirectional data flow</p>
+                        </header>
+                        <div style={{ display: 'grid', gridTemplateColumns: 'repeat(auto-fit, minmax(300px, 1fr))', gap: '20px' }}>
+                            <CounterCard />
+                            <SlicesCard />
+                            <TodosCard />
+                            <SyncCard />
+                            <ActivityLog />
+                        </div>
+                        <div style={{ marginTop: '20px' }}>
+                            <DevtoolsPanel store={store} />
+                        </div>
                     </div>
                 </div>
-            </div>
-        </div>
+            </PersistGate>
+        </StoreProvider>
     );
 }
 
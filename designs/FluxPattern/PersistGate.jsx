@@ -0,0 +1,22 @@
+import React, { useSyncExternalStore } from 'react';
+
+/**
+ * PersistGate - Holds back its children until saved state is loaded
+ *
+ * Prevents a first render with default state followed by a jump once the
+ * saved state arrives. With a synchronous adapter such as localStorage the
+ * store is ready immediately and the fallback never shows.
+ *
+ * @param {Object} props - Component props
+ * @param {Object} props.persistor - `store.persistor` from persistState()
+ * @param {React.ReactNode} [props.fallback=null] - Shown while loading
+ * @param {React.ReactNode} props.children - The app
+ * @returns {JSX.Element} Children or fallback
+ */
+function PersistGate({ persistor, fallback = null, children }) {
+    const status = useSyncExternalStore(persistor.subscribe, persistor.getStatus);
+
+    return <>{status === 'loading' ? fallback : children}</>;
+}
+
+export default PersistGate;
@@ -0,0 +1,16 @@
+import React from 'react';
+import { StoreContext } from './hooks.js';
+
+/**
+ * StoreProvider - Makes a Flux store available to useSelector and useDispatch
+ *
+ * @param {Object} props - Component props
+ * @param {Object} props.store - Store from createStore or createSliceStore
+ * @param {React.ReactNode} props.children - Components that use the store
+ * @returns {JSX.Element} Provider
+ */
+function StoreProvider({ store, children }) {
+    return <StoreContext.Provider value={store}>{children}</StoreContext.Provider>;
+}
+
+export default StoreProvider;
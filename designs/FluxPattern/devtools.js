@@ -0,0 +1,229 @@
+import { INIT, REPLACE } from './store.js';
+
+/**
+ * Time-travel devtools for the Flux store, with no browser extension.
+ *
+ * The devtools() enhancer records every action that reaches the reducer
+ * together with the state it produced. Because reducers are pure, any
+ * past state can be shown again, and the log can be recomputed with some
+ * actions skipped or loaded back from an exported JSON file.
+ */
+
+const LOG_VERSION = 1;
+
+// Internal action that swaps the visible state without touching the log
+const SHOW = '@@devtools/SHOW';
+
+// ============================================================================
+// ENHANCER
+// ============================================================================
+
+/**
+ * devtools - Store enhancer that records actions for time travel
+ *
+ * Compose it after applyMiddleware so it records the plain actions that
+ * middleware pass on (thunks never reach it):
+ *
+ * @example
+ * const store = createStore(reducer, compose(applyMiddleware(thunk), devtools()));
+ * store.devtools.jumpTo(3);
+ *
+ * Dispatching while showing a past state appends the action to the end of
+ * the log and shows the result.
+ *
+ * @param {Object} [options] - Devtools options
+ * @param {number} [options.maxAge=200] - Entries to keep; older ones are folded into the initial state
+ * @returns {Function} Enhancer for createStore
+ */
+export function devtools({ maxAge = 200 } = {}) {
+    return createStore => (reducer, preloadedState) => {
+        let currentReducer = reducer;
+        let entries = [createEntry({ type: INIT }, reducer(preloadedState, { type: INIT }))];
+        let currentIndex = 0;
+        let history = null;
+
+        // The inner store only holds the visible state and notifies listeners
+        const store = createStore(
+            (state, action) => (action.type === SHOW ? action.state : state),
+            entries[0].state
+        );
+
+        function show(index) {
+            currentIndex = index;
+            history = null;
+            store.dispatch({ type: SHOW, state: entries[index].state });
+        }
+
+        /**
+         * Recomputes every state from `from` on, honouring skipped entries
+         *
+         * A reducer error leaves the state unchanged and is stored on the
+         * entry, so replaying an imported log cannot break the store.
+         */
+        function recompute(from) {
+            for (let i = Math.max(from, 1); i < entries.length; i++) {
+                const entry = entries[i];
+                const previous = entries[i - 1].state;
+                if (entry.skipped) {
+                    entries[i] = { ...entry, state: previous, error: null };
+                    continue;
+                }
+                try {
+                    entries[i] = { ...entry, state: currentReducer(previous, entry.action), error: null };
+                } catch (error) {
+                    entries[i] = { ...entry, state: previous, error: error.message };
+                }
+            }
+        }
+
+        function dispatch(action) {
+            if (!action || typeof action.type !== 'string') {
+                throw new Error('Actions must be objects with a string `type`. Use thunk middleware for functions.');
+            }
+
+            const latest = entries[entries.length - 1].state;
+            const state = currentReducer(latest, action);
+            entries = [...entries, createEntry(action, state)];
+
+            if (entries.length > maxAge) {
+                // Fold the oldest action into the initial entry
+                const [initial, oldest, ...rest] = entries;
+                entries = [{ ...initial, state: oldest.state }, ...rest];
+            }
+
+            show(entries.length - 1);
+            return action;
+        }
+
+        function replaceReducer(nextReducer) {
+            currentReducer = nextReducer;
+            dispatch({ type: REPLACE });
+        }
+
+        const tools = {
+            /**
+             * Returns `{ entries, currentIndex }`; the same object until something changes
+             */
+            getHistory() {
+                if (!history) history = { entries, currentIndex };
+                return history;
+            },
+
+            jumpTo(index) {
+                if (index < 0 || index >= entries.length) return;
+                show(index);
+            },
+
+            /**
+             * Skips an action, or un-skips it, and recomputes the states after it
+             */
+            toggleAction(index) {
+                if (index < 1 || index >= entries.length) return;
+                entries = [...entries];
+                entries[index] = { ...entries[index], skipped: !entries[index].skipped };
+                recompute(index);
+                show(currentIndex);
+            },
+
+            /**
+             * Makes the visible state the new starting point and clears the log
+             */
+            commit() {
+                entries = [createEntry({ type: INIT }, entries[currentIndex].state)];
+                show(0);
+            },
+
+            /**
+             * Serializes the log so it can be saved and imported elsewhere
+             */
+            exportLog() {
+                return JSON.stringify({
+                    version: LOG_VERSION,
+                    initialState: entries[0].state,
+                    actions: entries.slice(1).map(({ action, timestamp, skipped }) => ({ action, timestamp, skipped }))
+                }, null, 2);
+            },
+
+            /**
+             * Replaces the log with an exported one and replays it
+             *
+             * @param {string} json - Output of exportLog()
+             * @throws {Error} When the text is not a compatible log
+             */
+            importLog(json) {
+                const log = JSON.parse(json);
+                if (log?.version !== LOG_VERSION || !Array.isArray(log.actions)) {
+                    throw new Error(`Not a version ${LOG_VERSION} action log`);
+                }
+                log.actions.forEach(({ action }, i) => {
+                    if (typeof action?.type !== 'string') {
+                        throw new Error(`Action ${i + 1} in the log has no type`);
+                    }
+                });
+
+                entries = [
+                    createEntry({ type: INIT }, log.initialState),
+                    ...log.actions.map(({ action, timestamp, skipped }) => ({
+                        ...createEntry(action, undefined),
+                        timestamp: timestamp ?? Date.now(),
+                        skipped: Boolean(skipped)
+                    }))
+                ];
+                recompute(1);
+                show(entries.length - 1);
+            }
+        };
+
+        return {
+            ...store,
+            dispatch,
+            replaceReducer,
+            devtools: tools
+        };
+    };
+}
+
+let nextEntryId = 1;
+
+function createEntry(action, state) {
+    return { id: nextEntryId++, action, state, timestamp: Date.now(), skipped: false, error: null };
+}
+
+// ============================================================================
+// DIFFS
+// ============================================================================
+
+/**
+ * diffStates - Lists what changed between two states
+ *
+ * Walks both trees in parallel and stops at identical references, which
+ * pure reducers leave for everything they did not touch.
+ *
+ * @param {*} before - Previous state
+ * @param {*} after - Next state
+ * @returns {Array<{ path: string, kind: 'added'|'removed'|'changed', before: *, after: * }>} Changes
+ */
+export function diffStates(before, after) {
+    return diffAt(before, after, '');
+}
+
+function diffAt(before, after, path) {
+    if (Object.is(before, after)) return [];
+
+    const bothObjects = isObject(before) && isObject(after) && Array.isArray(before) === Array.isArray(after);
+    if (!bothObjects) {
+        return [{ path: path || '(root)', kind: 'changed', before, after }];
+    }
+
+    const keys = new Set([...Object.keys(before), ...Object.keys(after)]);
+    return [...keys].flatMap(key => {
+        const childPath = path ? `${path}.${key}` : key;
+        if (!(key in after)) return [{ path: childPath, kind: 'removed', before: before[key], after: undefined }];
+        if (!(key in before)) return [{ path: childPath, kind: 'added', before: undefined, after: after[key] }];
+        return diffAt(before[key], after[key], childPath);
+    });
+}
+
+function isObject(value) {
+    return value !== null && typeof value === 'object';
+}
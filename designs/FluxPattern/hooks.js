@@ -0,0 +1,65 @@
+import { createContext, useContext, useRef, useSyncExternalStore } from 'react';
+
+/**
+ * React bindings for the Flux store: components read the store from
+ * context and subscribe only to the part of the state they select.
+ */
+
+export const StoreContext = createContext(null);
+
+/**
+ * useStore - Returns the store from the nearest StoreProvider
+ *
+ * @returns {Object} Store
+ * @throws {Error} When used outside a StoreProvider
+ */
+export function useStore() {
+    const store = useContext(StoreContext);
+    if (!store) {
+        throw new Error('useStore, useSelector and useDispatch must be used within a StoreProvider');
+    }
+    return store;
+}
+
+/**
+ * useDispatch - Returns the store's dispatch function
+ *
+ * @returns {Function} dispatch
+ */
+export function useDispatch() {
+    return useStore().dispatch;
+}
+
+/**
+ * useSelector - Subscribes to one slice of the store's state
+ *
+ * The component re-renders only when the selected value changes according
+ * to `equalityFn`. Selectors that build new objects on every call should
+ * pass shallowEqual or be memoized with createSelector; otherwise every
+ * dispatch counts as a change.
+ *
+ * @param {Function} selector - state => selected value
+ * @param {Function} [equalityFn=Object.is] - (previous, next) => whether they are equal
+ * @returns {*} Selected value
+ */
+export function useSelector(selector, equalityFn = Object.is) {
+    const store = useStore();
+    // Last state and selector seen, and what they selected
+    const cache = useRef(null);
+
+    const getSelection = () => {
+        const state = store.getState();
+        const cached = cache.current;
+        if (cached && cached.state === state && cached.selector === selector) {
+            return cached.selection;
+        }
+
+        const selection = selector(state);
+        // Keep the previous selection when it is equal, so React sees no change
+        const next = cached && equalityFn(cached.selection, selection) ? cached.selection : selection;
+        cache.current = { state, selector, selection: next };
+        return next;
+    };
+
+    return useSyncExternalStore(store.subscribe, getSelection, getSelection);
+}
@@ -0,0 +1,182 @@
+/**
+ * Flux middleware: functions that sit between dispatch() and the reducer.
+ *
+ * A middleware has the shape `store => next => action => result`. It may
+ * inspect, transform, delay or swallow an action before handing it to
+ * `next`, the next middleware in the chain (the store's own dispatch at
+ * the end). None of this depends on React.
+ */
+
+// ============================================================================
+// COMPOSITION
+// ============================================================================
+
+/**
+ * compose - Composes single-argument functions from right to left
+ *
+ * compose(f, g, h)(x) is f(g(h(x))).
+ *
+ * @param {...Function} funcs - Functions to compose
+ * @returns {Function} Composed function
+ */
+export function compose(...funcs) {
+    if (funcs.length === 0) return arg => arg;
+    return funcs.reduce((a, b) => (...args) => a(b(...args)));
+}
+
+/**
+ * applyMiddleware - Store enhancer that routes dispatch through middleware
+ *
+ * Middleware run in the order given: the first sees an action first and
+ * the result of the last one last. Each gets `{ getState, dispatch }`,
+ * where dispatch re-enters the whole chain (so thunks can dispatch
+ * thunks).
+ *
+ * @example
+ * const store = createStore(reducer, applyMiddleware(thunk, createLogger()));
+ *
+ * @param {...Function} middlewares - store => next => action => result
+ * @returns {Function} Enhancer for createStore
+ */
+export function applyMiddleware(...middlewares) {
+    return createStore => (reducer, preloadedState) => {
+        const store = createStore(reducer, preloadedState);
+        let dispatch = () => {
+            throw new Error('Dispatching while constructing middleware is not allowed');
+        };
+
+        const middlewareAPI = {
+            getState: store.getState,
+            dispatch: (...args) => dispatch(...args)
+        };
+        const chain = middlewares.map(middleware => middleware(middlewareAPI));
+        dispatch = compose(...chain)(store.dispatch);
+
+        return { ...store, dispatch };
+    };
+}
+
+// ============================================================================
+// BUILT-IN MIDDLEWARE
+// ============================================================================
+
+/**
+ * createThunkMiddleware - Lets action creators dispatch functions
+ *
+ * A function action is called with `(dispatch, getState, extraArgument)`
+ * instead of reaching the reducer; whatever it returns (typically a
+ * promise) is returned from dispatch.
+ *
+ * @param {*} [extraArgument] - Passed to every thunk, e.g. an API client
+ * @returns {Function} Middleware
+ */
+export function createThunkMiddleware(extraArgument) {
+    return ({ dispatch, getState }) => next => action => {
+        if (typeof action === 'function') {
+            return action(dispatch, getState, extraArgument);
+        }
+        return next(action);
+    };
+}
+
+/** thunk - Thunk middleware without an extra argument */
+export const thunk = createThunkMiddleware();
+
+/**
+ * createLogger - Records each action with the state before and after it
+ *
+ * By default entries go to a collapsed console group; pass `log` to send
+ * them somewhere else, such as an on-screen panel.
+ *
+ * @param {Object} [options] - Logger options
+ * @param {Function} [options.log] - Receives `{ action, prevState, nextState, duration }`
+ * @param {Function} [options.predicate] - (getState, action) => whether to log it
+ * @returns {Function} Middleware
+ */
+export function createLogger({ log = logToConsole, predicate = () => true } = {}) {
+    return ({ getState }) => next => action => {
+        if (typeof action === 'function' || !predicate(getState, action)) {
+            return next(action);
+        }
+
+        const prevState = getState();
+        const started = performance.now();
+        const result = next(action);
+        log({ action, prevState, nextState: getState(), duration: performance.now() - started });
+        return result;
+    };
+}
+
+function logToConsole({ action, prevState, nextState, duration }) {
+    console.groupCollapsed(`action ${action.type} (${duration.toFixed(2)} ms)`);
+    console.log('prev state', prevState);
+    console.log('action', action);
+    console.log('next state', nextState);
+    console.groupEnd();
+}
+
+/**
+ * freezeState - Development check that reducers never mutate state
+ *
+ * Deep-freezes the state before and after every action, so an in-place
+ * update such as `state.todos.push(todo)` throws a TypeError at the line
+ * that did it instead of silently breaking change detection. Objects that
+ * are already frozen are skipped, which keeps the cost proportional to
+ * what each action changed. Wrap it in devOnly() to keep it out of
+ * production builds.
+ */
+export const freezeState = ({ getState }) => next => action => {
+    deepFreeze(getState());
+    const result = next(action);
+    deepFreeze(getState());
+    return result;
+};
+
+/**
+ * devOnly - Uses a middleware in development builds only
+ *
+ * @example
+ * applyMiddleware(devOnly(freezeState), thunk);
+ *
+ * @param {Function} middleware - Middleware for development checks
+ * @returns {Function} The middleware, or one that passes actions straight on in production
+ */
+export function devOnly(middleware) {
+    return import.meta.env.DEV ? middleware : () => next => next;
+}
+
+function deepFreeze(value) {
+    if (value === null || typeof value !== 'object' || Object.isFrozen(value)) return value;
+
+    Object.freeze(value);
+    Object.values(value).forEach(deepFreeze);
+    return value;
+}
+
+/**
+ * createCrashReporter - Reports errors thrown while dispatching
+ *
+ * Catches errors from the rest of the chain and the reducer, hands them to
+ * `report` with the action and the state at the time, and rethrows so the
+ * caller still sees the failure. A promise returned by a thunk is reported
+ * when it rejects. Place it first so it wraps everything.
+ *
+ * @param {Function} report - (error, { action, state }) => void
+ * @returns {Function} Middleware
+ */
+export function createCrashReporter(report) {
+    return ({ getState }) => next => action => {
+        let result;
+        try {
+            result = next(action);
+        } catch (error) {
+            report(error, { action, state: getState() });
+            throw error;
+        }
+
+        if (result && typeof result.then === 'function') {
+            result.then(undefined, error => report(error, { action, state: getState() }));
+        }
+        return result;
+    };
+}
@@ -0,0 +1,324 @@
+/**
+ * Opt-in persistence for the Flux store: chosen slices are saved to
+ * localStorage or IndexedDB, versioned with migrations, and loaded back
+ * into the store when it starts.
+ */
+
+/** Action that merges saved state into the store */
+export const REHYDRATE = '@@persist/REHYDRATE';
+
+// ============================================================================
+// STORAGE ADAPTERS
+// ============================================================================
+
+/**
+ * A storage adapter stores values by key. Each method may return a promise;
+ * adapters that answer synchronously let the store rehydrate before the
+ * first render without waiting.
+ *
+ * @typedef {Object} PersistStorage
+ * @property {string} [name] - Label for the UI
+ * @property {Function} getItem - key => value | undefined
+ * @property {Function} setItem - (key, value) => void
+ * @property {Function} removeItem - key => void
+ */
+
+/**
+ * createWebStorage - Adapter for localStorage or sessionStorage
+ *
+ * Values are stored as JSON. Reads are synchronous.
+ *
+ * @param {Storage} [storage=window.localStorage] - Web Storage area
+ * @returns {PersistStorage} Adapter
+ */
+export function createWebStorage(storage = window.localStorage) {
+    return {
+        name: storage === window.sessionStorage ? 'sessionStorage' : 'localStorage',
+        getItem(key) {
+            const text = storage.getItem(key);
+            return text === null ? undefined : JSON.parse(text);
+        },
+        setItem(key, value) {
+            storage.setItem(key, JSON.stringify(value));
+        },
+        removeItem(key) {
+            storage.removeItem(key);
+        }
+    };
+}
+
+/**
+ * createIndexedDBStorage - Adapter backed by an IndexedDB object store
+ *
+ * Values are stored with the structured clone algorithm, so they are not
+ * limited to JSON and do not count against the localStorage quota. Every
+ * method is asynchronous.
+ *
+ * @param {Object} [options] - Database options
+ * @param {string} [options.database='flux-persist'] - Database name
+ * @param {string} [options.objectStore='state'] - Object store name
+ * @returns {PersistStorage} Adapter
+ */
+export function createIndexedDBStorage({ database = 'flux-persist', objectStore = 'state' } = {}) {
+    let opening = null;
+
+    function open() {
+        if (!opening) {
+            opening = new Promise((resolve, reject) => {
+                const request = indexedDB.open(database, 1);
+                request.onupgradeneeded = () => request.result.createObjectStore(objectStore);
+                request.onsuccess = () => resolve(request.result);
+                request.onerror = () => reject(request.error);
+            });
+        }
+        return opening;
+    }
+
+    async function run(mode, operation) {
+        const db = await open();
+        return new Promise((resolve, reject) => {
+            const request = operation(db.transaction(objectStore, mode).objectStore(objectStore));
+            request.onsuccess = () => resolve(request.result);
+            request.onerror = () => reject(request.error);
+        });
+    }
+
+    return {
+        name: 'IndexedDB',
+        getItem: key => run('readonly', store => store.get(key)),
+        setItem: (key, value) => run('readwrite', store => store.put(value, key)),
+        removeItem: key => run('readwrite', store => store.delete(key))
+    };
+}
+
+// ============================================================================
+// ENHANCER
+// ============================================================================
+
+/**
+ * persistState - Store enhancer that saves and restores chosen slices
+ *
+ * On creation it reads the saved entry, runs the migrations it needs and
+ * dispatches REHYDRATE, which merges the saved slices into the state.
+ * With a synchronous adapter this happens before createStore returns.
+ * Afterwards, changes to the persisted slices are written at most once per
+ * `throttle` milliseconds, and once more when the page is hidden.
+ *
+ * `slices` is either a list of state keys, or an object mapping keys to a
+ * function that picks what to save from that slice. Saved object slices
+ * are merged into the slice's initial state, so fields that are not saved
+ * keep their defaults.
+ *
+ * A saved entry that cannot be used (from a newer version, or one whose
+ * migration throws) is reported to `onError` and never overwritten, so a
+ * newer build in another tab does not lose it; call `persistor.purge()`
+ * to start saving again. Call `persistor.close()` when the store is
+ * disposed; it stops saving and removes the page listener.
+ *
+ * @example
+ * const store = createStore(reducer, persistState({
+ *     key: 'app',
+ *     storage: createWebStorage(),
+ *     slices: { todos: ({ items }) => ({ items }) },
+ *     version: 2,
+ *     migrations: { 2: saved => ({ ...saved, todos: upgradeTodos(saved.todos) }) }
+ * }));
+ *
+ * @param {Object} config - Persistence options
+ * @param {string} config.key - Storage key
+ * @param {PersistStorage} config.storage - Storage adapter
+ * @param {string[]|Object<string, Function>} config.slices - What to save
+ * @param {number} [config.version=1] - Version of the saved shape
+ * @param {Object<number, Function>} [config.migrations={}] - Upgrades saved state to each version
+ * @param {number} [config.throttle=1000] - Minimum milliseconds between writes
+ * @param {Function} [config.onError=console.error] - Receives storage and migration errors
+ * @returns {Function} Enhancer for createStore; the store gains a `persistor`
+ */
+export function persistState({
+    key,
+    storage,
+    slices,
+    version = 1,
+    migrations = {},
+    throttle = 1000,
+    onError = console.error
+}) {
+    const pickers = Array.isArray(slices)
+        ? Object.fromEntries(slices.map(slice => [slice, value => value]))
+        : slices;
+
+    return createStore => (reducer, preloadedState) => {
+        const store = createStore(withRehydrate(reducer), preloadedState);
+        const listeners = new Set();
+        let status = 'loading';
+        let writable = true;
+        let lastSaved = null;
+        let timer = null;
+        let lastWrite = 0;
+
+        function setStatus(next) {
+            status = next;
+            listeners.forEach(listener => listener());
+        }
+
+        function select(state) {
+            return Object.fromEntries(
+                Object.entries(pickers)
+                    .filter(([slice]) => state[slice] !== undefined)
+                    .map(([slice, pick]) => [slice, pick(state[slice])])
+            );
+        }
+
+        function rehydrate(saved) {
+            try {
+                const restored = migrate(saved, version, migrations);
+                if (restored) {
+                    store.dispatch({ type: REHYDRATE, payload: restored });
+                }
+            } catch (error) {
+                writable = false;
+                onError(error);
+            }
+            lastSaved = persistedSlices(store.getState());
+            setStatus('ready');
+        }
+
+        function persistedSlices(state) {
+            return Object.keys(pickers).map(slice => state[slice]);
+        }
+
+        function write() {
+            clearTimeout(timer);
+            timer = null;
+            lastWrite = Date.now();
+            try {
+                const result = storage.setItem(key, { version, savedAt: lastWrite, state: select(store.getState()) });
+                if (result && typeof result.then === 'function') result.then(undefined, onError);
+            } catch (error) {
+                onError(error);
+            }
+        }
+
+        // Writes only when a persisted slice changed, at most once per `throttle`
+        const unsubscribe = store.subscribe(() => {
+            if (status !== 'ready' || !writable) return;
+
+            const current = persistedSlices(store.getState());
+            if (current.every((slice, i) => slice === lastSaved[i])) return;
+            lastSaved = current;
+
+            if (timer) return;
+            timer = setTimeout(write, Math.max(0, lastWrite + throttle - Date.now()));
+        });
+
+        function onPageHide() {
+            if (timer) write();
+        }
+        if (typeof window !== 'undefined') {
+            window.addEventListener('pagehide', onPageHide);
+        }
+
+        try {
+            const saved = storage.getItem(key);
+            if (saved && typeof saved.then === 'function') {
+                saved.then(rehydrate, error => {
+                    onError(error);
+                    rehydrate(undefined);
+                });
+            } else {
+                rehydrate(saved);
+            }
+        } catch (error) {
+            onError(error);
+            rehydrate(undefined);
+        }
+
+        const persistor = {
+            /** 'loading' until the saved state has been applied, then 'ready' */
+            getStatus: () => status,
+
+            subscribe(listener) {
+                listeners.add(listener);
+                return () => listeners.delete(listener);
+            },
+
+            /** Writes pending changes now instead of waiting for the throttle */
+            flush() {
+                if (timer) write();
+            },
+
+            /** Deletes the saved entry; the current state is left alone */
+            purge() {
+                clearTimeout(timer);
+                timer = null;
+                writable = true;
+                return storage.removeItem(key);
+            },
+
+            /**
+             * Writes pending changes and stops saving: call it when the
+             * store is disposed, so a discarded copy cannot overwrite what
+             * the live store saves
+             */
+            close() {
+                if (timer) write();
+                unsubscribe();
+                writable = false;
+                if (typeof window !== 'undefined') {
+                    window.removeEventListener('pagehide', onPageHide);
+                }
+            }
+        };
+
+        return {
+            ...store,
+            replaceReducer: nextReducer => store.replaceReducer(withRehydrate(nextReducer)),
+            persistor
+        };
+    };
+}
+
+/**
+ * Wraps a reducer so REHYDRATE merges saved slices into its state
+ */
+function withRehydrate(reducer) {
+    return (state, action) => {
+        if (action.type !== REHYDRATE) return reducer(state, action);
+
+        const merged = { ...state };
+        Object.entries(action.payload).forEach(([slice, saved]) => {
+            merged[slice] = isPlainObject(saved) && isPlainObject(state?.[slice])
+                ? { ...state[slice], ...saved }
+                : saved;
+        });
+        return reducer(merged, action);
+    };
+}
+
+/**
+ * Upgrades a saved entry to the current version
+ *
+ * @returns {Object|undefined} Saved slices, or undefined when there is nothing usable
+ * @throws {Error} When the entry is newer than this code or a migration fails
+ */
+function migrate(saved, version, migrations) {
+    if (!saved) return undefined;
+    if (typeof saved.version !== 'number' || !isPlainObject(saved.state)) {
+        throw new Error('Ignoring saved state in an unknown format');
+    }
+    if (saved.version > version) {
+        throw new Error(`Ignoring saved state from version ${saved.version}; this build reads up to version ${version}`);
+    }
+
+    let state = saved.state;
+    for (let next = saved.version + 1; next <= version; next++) {
+        if (migrations[next]) {
+            state = migrations[next](state);
+        }
+    }
+    return state;
+}
+
+function isPlainObject(value) {
+    return value !== null && typeof value === 'object' && !Array.isArray(value);
+}
@@ -0,0 +1,63 @@
+/**
+ * Selector helpers for the Flux store: memoized derived data and a
+ * shallow equality check for useSelector.
+ */
+
+/**
+ * createSelector - Memoizes a selector that derives data from the state
+ *
+ * The input selectors pick the values the result depends on. The result
+ * function only runs again when one of those values changes, so derived
+ * arrays and objects keep their identity between unrelated dispatches.
+ * Only the most recent arguments are remembered.
+ *
+ * @example
+ * const selectVisibleTodos = createSelector(
+ *     [state => state.todos.items, (state, filter) => filter],
+ *     (items, filter) => items.filter(FILTERS[filter])
+ * );
+ *
+ * @param {Function[]} inputSelectors - (state, ...args) => dependency
+ * @param {Function} resultFn - (...dependencies) => derived value
+ * @returns {Function} Memoized (state, ...args) => derived value, with `recomputations()`
+ */
+export function createSelector(inputSelectors, resultFn) {
+    let lastInputs = null;
+    let lastResult;
+    let recomputations = 0;
+
+    function selector(...args) {
+        const inputs = inputSelectors.map(select => select(...args));
+        const unchanged = lastInputs && inputs.every((input, i) => Object.is(input, lastInputs[i]));
+
+        if (!unchanged) {
+            lastResult = resultFn(...inputs);
+            lastInputs = inputs;
+            recomputations++;
+        }
+        return lastResult;
+    }
+
+    selector.recomputations = () => recomputations;
+    return selector;
+}
+
+/**
+ * shallowEqual - Compares two values one level deep
+ *
+ * Useful as useSelector's equality function when a selector returns a new
+ * object or array of unchanged values, e.g. `state => Object.keys(state)`.
+ *
+ * @param {*} a - First value
+ * @param {*} b - Second value
+ * @returns {boolean} Whether both have the same keys with identical values
+ */
+export function shallowEqual(a, b) {
+    if (Object.is(a, b)) return true;
+    if (typeof a !== 'object' || typeof b !== 'object' || a === null || b === null) return false;
+
+    const keysA = Object.keys(a);
+    const keysB = Object.keys(b);
+    return keysA.length === keysB.length &&
+        keysA.every(key => Object.prototype.hasOwnProperty.call(b, key) && Object.is(a[key], b[key]));
+}
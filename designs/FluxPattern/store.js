@@ -0,0 +1,190 @@
+/**
+ * Flux store primitives: a framework-free store that funnels every change
+ * through dispatch(), reducers that can be split into feature slices, and
+ * an enhancer hook for middleware.
+ *
+ * Reducers must be pure: they return a new object for anything that
+ * changed and the same object for anything that did not, so a plain `===`
+ * tells subscribers what changed.
+ */
+
+/** Action dispatched once when a store is created */
+export const INIT = '@@flux/INIT';
+
+/** Action dispatched whenever the store's reducer is replaced */
+export const REPLACE = '@@flux/REPLACE';
+
+// ============================================================================
+// STORE
+// ============================================================================
+
+/**
+ * createStore - Builds a store around a reducer
+ *
+ * The reducer receives the current state and an action and returns the
+ * next state. An enhancer (such as applyMiddleware(...)) receives
+ * createStore itself and returns a wrapped version of it.
+ *
+ * @param {Function} reducer - (state, action) => next state
+ * @param {*} [preloadedState] - Initial state; the reducer's default otherwise
+ * @param {Function} [enhancer] - createStore => createStore
+ * @returns {{ getState: Function, dispatch: Function, subscribe: Function, replaceReducer: Function }} Store
+ */
+export function createStore(reducer, preloadedState, enhancer) {
+    if (typeof preloadedState === 'function' && enhancer === undefined) {
+        enhancer = preloadedState;
+        preloadedState = undefined;
+    }
+    if (enhancer) {
+        return enhancer(createStore)(reducer, preloadedState);
+    }
+
+    let state = preloadedState;
+    let listeners = [];
+    let isDispatching = false;
+
+    function getState() {
+        return state;
+    }
+
+    function dispatch(action) {
+        if (!action || typeof action.type !== 'string') {
+            throw new Error('Actions must be objects with a string `type`. Use thunk middleware for functions.');
+        }
+        if (isDispatching) {
+            throw new Error(`Reducers may not dispatch actions (dispatching "${action.type}")`);
+        }
+
+        try {
+            isDispatching = true;
+            state = reducer(state, action);
+        } finally {
+            isDispatching = false;
+        }
+
+        listeners.forEach(listener => listener());
+        return action;
+    }
+
+    function subscribe(listener) {
+        listeners = [...listeners, listener];
+        return () => {
+            listeners = listeners.filter(l => l !== listener);
+        };
+    }
+
+    function replaceReducer(nextReducer) {
+        reducer = nextReducer;
+        dispatch({ type: REPLACE });
+    }
+
+    dispatch({ type: INIT });
+
+    return { getState, dispatch, subscribe, replaceReducer };
+}
+
+// ============================================================================
+// SLICES
+// ============================================================================
+
+/**
+ * combineReducers - Builds one reducer from a reducer per state key
+ *
+ * Each slice reducer only sees its own part of the state. The combined
+ * reducer returns the previous state object when no slice changed.
+ *
+ * @example
+ * const reducer = combineReducers({ counter: counterReducer, todos: todosReducer });
+ *
+ * @param {Object<string, Function>} reducers - Slice reducers by state key
+ * @returns {Function} Reducer for the whole state
+ */
+export function combineReducers(reducers) {
+    const keys = Object.keys(reducers);
+    keys.forEach(key => {
+        if (reducers[key](undefined, { type: INIT }) === undefined) {
+            throw new Error(`Reducer "${key}" returned undefined for its initial state`);
+        }
+    });
+
+    return (state = {}, action) => {
+        let changed = Object.keys(state).length !== keys.length;
+        const nextState = {};
+
+        keys.forEach(key => {
+            const nextSlice = reducers[key](state[key], action);
+            if (nextSlice === undefined) {
+                throw new Error(`Reducer "${key}" returned undefined for "${action.type}"`);
+            }
+            nextState[key] = nextSlice;
+            changed = changed || nextSlice !== state[key];
+        });
+
+        return changed ? nextState : state;
+    };
+}
+
+/**
+ * createSliceStore - A store whose reducers can be added at runtime
+ *
+ * Lets a code-split feature register its slice when it loads instead of
+ * every reducer being known up front. Preloaded state for a slice that has
+ * no reducer yet is kept until one is registered for it.
+ *
+ * @param {Object<string, Function>} reducers - Slice reducers known at startup
+ * @param {Object} [preloadedState] - Initial state by slice key
+ * @param {Function} [enhancer] - createStore => createStore
+ * @returns {Object} Store with `registerReducer(key, reducer)` and `getReducerKeys()`
+ */
+export function createSliceStore(reducers, preloadedState, enhancer) {
+    let slices = { ...reducers };
+    // Keys whose state must go even though no reducer claims them
+    let removed = new Set();
+
+    function buildReducer() {
+        const combined = combineReducers(slices);
+
+        return (state = {}, action) => {
+            const nextState = combined(state, action);
+            const pending = Object.keys(state).filter(key => !(key in slices) && !removed.has(key));
+            if (pending.length === 0) return nextState;
+
+            const changed = Object.keys(slices).some(key => nextState[key] !== state[key]) ||
+                Object.keys(state).some(key => removed.has(key));
+            if (!changed) return state;
+            return { ...Object.fromEntries(pending.map(key => [key, state[key]])), ...nextState };
+        };
+    }
+
+    const store = createStore(buildReducer(), preloadedState, enhancer);
+
+    /**
+     * registerReducer - Adds (or replaces) the reducer for one slice
+     *
+     * @param {string} key - State key the reducer owns
+     * @param {Function} reducer - Slice reducer
+     * @returns {Function} Removes the reducer and its state again
+     */
+    function registerReducer(key, reducer) {
+        if (slices[key] === reducer) return () => unregisterReducer(key);
+
+        slices = { ...slices, [key]: reducer };
+        removed.delete(key);
+        store.replaceReducer(buildReducer());
+        return () => unregisterReducer(key);
+    }
+
+    function unregisterReducer(key) {
+        if (!(key in slices)) return;
+
+        slices = Object.fromEntries(Object.entries(slices).filter(([sliceKey]) => sliceKey !== key));
+        removed = new Set([...removed, key]);
+        store.replaceReducer(buildReducer());
+    }
+
+    return {
+        ...store,
+        registerReducer,
+        getReducerKeys: () => Object.keys(slices)
+    };
+}
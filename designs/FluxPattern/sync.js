@@ -0,0 +1,199 @@
+/**
+ * Cross-tab synchronisation for the Flux store over BroadcastChannel.
+ *
+ * Every tab replays the actions dispatched in the other tabs of the same
+ * origin. Actions carry a Lamport clock and the sending tab's id, which
+ * gives all tabs the same total order; an action that arrives after later
+ * ones were applied is slotted into place by replaying the recent log, so
+ * the tabs converge on the same state.
+ */
+
+/** Action that replaces the state after a reordering or a snapshot */
+export const REBASE = '@@sync/REBASE';
+
+/**
+ * isLocalOnly - Default test for actions that must stay in their tab
+ *
+ * Internal actions (types starting with "@@") and actions marked with
+ * `meta: { local: true }` are never broadcast.
+ *
+ * @param {Object} action - Dispatched action
+ * @returns {boolean} Whether to keep the action in this tab
+ */
+export function isLocalOnly(action) {
+    return action.type.startsWith('@@') || action.meta?.local === true;
+}
+
+function isPlainObject(value) {
+    return value !== null && typeof value === 'object' && Object.getPrototypeOf(value) === Object.prototype;
+}
+
+// Orders log entries by clock, then by tab id for concurrent actions
+function compareEntries(a, b) {
+    return a.clock - b.clock || (a.tab < b.tab ? -1 : a.tab > b.tab ? 1 : 0);
+}
+
+/**
+ * syncTabs - Store enhancer that keeps tabs of the same origin in sync
+ *
+ * Compose it after applyMiddleware, like devtools(): middleware run only
+ * in the tab that dispatched, and other tabs receive the plain actions
+ * that reached the reducer. Actions must be structured-cloneable.
+ *
+ * A new tab asks the open ones for their state and adopts the first
+ * snapshot it receives, except for `localSlices` of a plain-object state;
+ * any other state is replaced as a whole. A tab only answers such requests
+ * once it has a state of its own: a snapshot, an action, or no answer
+ * within `snapshotTimeout` because it is the first tab. An action that arrives
+ * later than `historyLimit` newer actions is placed as far back as the
+ * kept log allows.
+ *
+ * @example
+ * const store = createStore(reducer, compose(applyMiddleware(thunk), syncTabs({ channel: 'my-app' })));
+ * store.dispatch({ type: 'SET_THEME', payload: 'dark', meta: { local: true } }); // this tab only
+ *
+ * @param {Object} [options] - Sync options
+ * @param {string} [options.channel='flux-sync'] - BroadcastChannel name, one per store
+ * @param {Function} [options.isLocalOnly] - action => whether to keep it in this tab
+ * @param {string[]} [options.localSlices=[]] - State keys never taken from another tab's snapshot
+ * @param {number} [options.historyLimit=100] - Actions kept for reordering late arrivals
+ * @param {number} [options.snapshotTimeout=500] - Milliseconds to wait for a snapshot before acting as the first tab
+ * @returns {Function} Enhancer for createStore; the store gains `sync`
+ */
+export function syncTabs({
+    channel: channelName = 'flux-sync',
+    isLocalOnly: keepLocal = isLocalOnly,
+    localSlices = [],
+    historyLimit = 100,
+    snapshotTimeout = 500
+} = {}) {
+    return createStore => (reducer, preloadedState) => {
+        const store = createStore(withRebase(reducer), preloadedState);
+
+        if (typeof BroadcastChannel === 'undefined') {
+            return { ...store, sync: { tabId: null, getStats: () => ({ sent: 0, received: 0, reordered: 0 }), close() {} } };
+        }
+
+        const tabId = Math.random().toString(36).slice(2, 10);
+        const channel = new BroadcastChannel(channelName);
+        const stats = { sent: 0, received: 0, reordered: 0 };
+        // Recent actions in their agreed order, each with the state before it
+        let log = [];
+        let clock = 0;
+        let awaitingSnapshot = true;
+        // Nobody answered: this is the first tab
+        const snapshotTimer = setTimeout(() => { awaitingSnapshot = false; }, snapshotTimeout);
+
+        function record(entry) {
+            log = [...log, entry].slice(-historyLimit);
+        }
+
+        function dispatch(action) {
+            if (!action || typeof action.type !== 'string') {
+                return store.dispatch(action);
+            }
+
+            clock++;
+            const entry = { clock, tab: tabId, action, before: store.getState() };
+            const result = store.dispatch(action);
+            record(entry);
+
+            if (!keepLocal(action)) {
+                // Our own changes win over a snapshot that is still on its way
+                awaitingSnapshot = false;
+                try {
+                    channel.postMessage({ kind: 'action', clock, tab: tabId, action });
+                    stats.sent++;
+                } catch (error) {
+                    console.error(`Could not send "${action.type}" to other tabs:`, error);
+                }
+            }
+            return result;
+        }
+
+        function receive({ clock: remoteClock, tab, action }) {
+            clock = Math.max(clock, remoteClock);
+            stats.received++;
+            awaitingSnapshot = false;
+            const entry = { clock: remoteClock, tab, action: { ...action, meta: { ...action.meta, remote: true } } };
+            const index = log.findIndex(existing => compareEntries(entry, existing) < 0);
+
+            // In order: apply on top of the current state
+            if (index === -1) {
+                entry.before = store.getState();
+                store.dispatch(entry.action);
+                record(entry);
+                return;
+            }
+
+            // Out of order: replay the later actions after the late one
+            stats.reordered++;
+            const replayed = [entry, ...log.slice(index)];
+            let state = log[index].before;
+            replayed.forEach(item => {
+                item.before = state;
+                state = reducer(state, item.action);
+            });
+            log = [...log.slice(0, index), ...replayed].slice(-historyLimit);
+            store.dispatch({ type: REBASE, state, meta: { reason: `late ${action.type}` } });
+        }
+
+        function adoptSnapshot({ state, clock: remoteClock }) {
+            if (!awaitingSnapshot) return;
+            awaitingSnapshot = false;
+            clock = Math.max(clock, remoteClock);
+
+            const current = store.getState();
+            let next = state;
+            if (isPlainObject(current) && isPlainObject(state)) {
+                next = { ...current, ...state };
+                localSlices.forEach(key => {
+                    if (key in current) next[key] = current[key];
+                    else delete next[key];
+                });
+            }
+            log = [];
+            store.dispatch({ type: REBASE, state: next, meta: { reason: 'snapshot' } });
+        }
+
+        channel.onmessage = ({ data }) => {
+            if (data.kind === 'action') {
+                receive(data);
+            } else if (data.kind === 'snapshot-request' && !awaitingSnapshot) {
+                // A tab still waiting for its own snapshot has nothing to share
+                channel.postMessage({ kind: 'snapshot', to: data.from, clock, state: store.getState() });
+            } else if (data.kind === 'snapshot' && data.to === tabId) {
+                adoptSnapshot(data);
+            }
+        };
+        channel.postMessage({ kind: 'snapshot-request', from: tabId });
+
+        function replaceReducer(nextReducer) {
+            reducer = nextReducer;
+            store.replaceReducer(withRebase(nextReducer));
+        }
+
+        return {
+            ...store,
+            dispatch,
+            replaceReducer,
+            sync: {
+                tabId,
+                /** Counts of actions sent, received and reordered by this tab */
+                getStats: () => ({ ...stats }),
+                /** Stops sending and receiving */
+                close() {
+                    clearTimeout(snapshotTimer);
+                    channel.close();
+                }
+            }
+        };
+    };
+}
+
+/**
+ * Wraps a reducer so REBASE replaces the state wholesale
+ */
+function withRebase(reducer) {
+    return (state, action) => (action.type === REBASE ? action.state : reducer(state, action));
+}
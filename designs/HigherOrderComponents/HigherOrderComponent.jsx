@@ -197,6 +197,31 @@ function withStyles(styles) {
     };
 }
 
+// ============================================================================
+// STATE HOC
+// ============================================================================
+
+/**
+ * withToggle - HOC that injects on/off state into a component
+ * 
+ * @param {React.ComponentType} WrappedComponent - Component to wrap
+ * @returns {React.ComponentType} Component receiving on, toggle, setOn and setOff
+ * 
+ * @example
+ * const ToggleButton = withToggle(({ on, toggle }) => <button onClick={toggle}>{on ? 'ON' : 'OFF'}</button>);
+ */
+function withToggle(WrappedComponent) {
+    return function WithToggleHOC({ defaultOn = false, ...props }) {
+        const [on, setOnState] = useState(defaultOn);
+
+        const toggle = () => setOnState(prev => !prev);
+        const setOn = () => setOnState(true);
+        const setOff = () => setOnState(false);
+
+        return <WrappedComponent {...props} on={on} toggle={toggle} setOn={setOn} setOff={setOff} />;
+    };
+}
+
 // ============================================================================
 // DEMO COMPONENTS
 // ============================================================================
@@ -258,6 +283,39 @@ function DataComponent({ data }) {
     );
 }
 
+/**
+ * LightSwitch - Presentational switch driven entirely by injected props
+ */
+function LightSwitch({ on, toggle, setOn, setOff }) {
+    const buttonStyle = {
+        padding: '8px 16px',
+        border: 'none',
+        borderRadius: '4px',
+        color: 'white',
+        cursor: 'pointer'
+    };
+
+    return (
+        <div style={{
+            padding: '16px',
+            backgroundColor: on ? '#fff9e6' : 'white',
+            borderRadius: '8px',
+            boxShadow: '0 2px 4px rgba(0,0,0,0.1)'
+        }}>
+            <p style={{ margin: '0 0 12px 0', fontSize: '32px', textAlign: 'center' }}>
+                {on ? '💡' : '🌑'}
+            </p>
+            <div style={{ display: 'flex', gap: '8px', justifyContent: 'center' }}>
+                <button onClick={toggle} aria-pressed={on} style={{ ...buttonStyle, backgroundColor: '#3498db' }}>
+                    Toggle
+                </button>
+                <button onClick={setOn} style={{ ...buttonStyle, backgroundColor: '#27ae60' }}>On</button>
+                <button onClick={setOff} style={{ ...buttonStyle, backgroundColor: '#95a5a6' }}>Off</button>
+            </div>
+        </div>
+    );
+}
+
 // ============================================================================
 // ENHANCED COMPONENTS - Applying HOCs
 // ============================================================================
@@ -266,6 +324,7 @@ const EnhancedBasicComponent = withExtraProps(BasicComponent);
 const AuthenticatedComponent = withAuth(ProtectedComponent);
 const LoadingDataComponent = withLoading(DataComponent);
 const LoggedComponent = withLogger(BasicComponent);
+const ToggleableLightSwitch = withToggle(LightSwitch);
 
 // Composing multiple HOCs
 const StyledComponent = withStyles({
@@ -275,6 +334,18 @@ const StyledComponent = withStyles({
     borderRadius: '8px'
 })(BasicComponent);
 
+/**
+ * ToggleDemo - On/off state shared through the withToggle HOC
+ */
+function ToggleDemo() {
+    return (
+        <div>
+            <h3 style={{ color: '#2c3e50' }}>With Toggle HOC</h3>
+            <ToggleableLightSwitch />
+        </div>
+    );
+}
+
 // ============================================================================
 // MAIN DEMO COMPONENT
 // ============================================================================
@@ -358,6 +429,8 @@ function HigherOrderComponentDemo() {
                             Open browser console to see lifecycle logs
                         </p>
                     </div>
+
+                    <ToggleDemo />
                 </div>
 
                 <div style={{
@@ -394,4 +467,5 @@ function HigherOrderComponentDemo() {
     );
 }
 
+export { ToggleDemo };
 export default HigherOrderComponentDemo;
@@ -0,0 +1,169 @@
+import React, { useState } from 'react';
+import { counterModule, createCartModule, useModule } from './modules.js';
+
+/**
+ * MODULE PATTERN DEMONSTRATION
+ *
+ * The Module pattern encapsulates private state and helpers inside a
+ * closure and exposes only a public API. ES modules give us the same
+ * guarantee at file level; closures give it per instance.
+ *
+ * Benefits:
+ * - True privacy for state and helpers
+ * - Small, explicit public API
+ * - No global namespace pollution
+ * - Multiple isolated instances via factories
+ */
+
+const cardStyle = {
+    padding: '20px',
+    backgroundColor: 'white',
+    borderRadius: '8px',
+    boxShadow: '0 2px 4px rgba(0,0,0,0.1)'
+};
+
+const buttonStyle = {
+    padding: '8px 16px',
+    color: 'white',
+    border: 'none',
+    borderRadius: '4px',
+    cursor: 'pointer'
+};
+
+const PRODUCTS = [
+    { id: 1, name: 'Notebook', price: 5 },
+    { id: 2, name: 'Pen', price: 2 },
+    { id: 3, name: 'Backpack', price: 40 }
+];
+
+// ============================================================================
+// REVEALING MODULE DEMO
+// ============================================================================
+
+/**
+ * CounterDisplay - Reads the shared counter module
+ */
+function CounterDisplay({ label }) {
+    const count = useModule(counterModule);
+
+    return (
+        <div style={{ padding: '12px', backgroundColor: '#f8f9fa', borderRadius: '4px', textAlign: 'center' }}>
+            <div style={{ fontSize: '12px', color: '#7f8c8d' }}>{label}</div>
+            <div style={{ fontSize: '32px', fontWeight: 'bold', color: '#3498db' }}>{count}</div>
+        </div>
+    );
+}
+
+/**
+ * RevealingModuleDemo - Two displays share one module instance
+ */
+function RevealingModuleDemo() {
+    return (
+        <div style={cardStyle}>
+            <h3 style={{ marginTop: 0, color: '#2c3e50' }}>📦 Revealing Module</h3>
+            <p style={{ color: '#7f8c8d', fontSize: '14px' }}>
+                Public API: {Object.keys(counterModule).join(', ')}
+            </p>
+            <div style={{ display: 'grid', gridTemplateColumns: '1fr 1fr', gap: '12px', marginBottom: '12px' }}>
+                <CounterDisplay label="Display A" />
+                <CounterDisplay label="Display B" />
+            </div>
+            <div style={{ display: 'flex', gap: '8px' }}>
+                <button onClick={counterModule.decrement} style={{ ...buttonStyle, backgroundColor: '#e74c3c' }}>-</button>
+                <button onClick={counterModule.reset} style={{ ...buttonStyle, backgroundColor: '#95a5a6' }}>Reset</button>
+                <button onClick={counterModule.increment} style={{ ...buttonStyle, backgroundColor: '#27ae60' }}>+</button>
+            </div>
+            <p style={{ color: '#7f8c8d', fontSize: '12px', marginBottom: 0 }}>
+                counterModule.count is <code>{String(counterModule.count)}</code> - the state is private.
+            </p>
+        </div>
+    );
+}
+
+// ============================================================================
+// MODULE FACTORY DEMO
+// ============================================================================
+
+/**
+ * Cart - Renders one cart module instance
+ */
+function Cart({ title, cart }) {
+    const { items, subtotal, tax, total } = useModule(cart);
+
+    return (
+        <div style={cardStyle}>
+            <h3 style={{ marginTop: 0, color: '#2c3e50' }}>{title}</h3>
+            <div style={{ display: 'flex', gap: '8px', flexWrap: 'wrap', marginBottom: '12px' }}>
+                {PRODUCTS.map(product => (
+                    <button
+                        key={product.id}
+                        onClick={() => cart.addItem(product)}
+                        style={{ ...buttonStyle, backgroundColor: '#3498db' }}
+                    >
+                        + {product.name}
+                    </button>
+                ))}
+            </div>
+            {items.length === 0 ? (
+                <p style={{ color: '#95a5a6' }}>Empty cart</p>
+            ) : (
+                items.map(item => (
+                    <div key={item.id} style={{ display: 'flex', justifyContent: 'space-between', marginBottom: '4px' }}>
+                        <span>{item.name} × {item.quantity}</span>
+                        <button
+                            onClick={() => cart.removeItem(item.id)}
+                            style={{ background: 'none', border: 'none', color: '#e74c3c', cursor: 'pointer' }}
+                        >
+                            ✕
+                        </button>
+                    </div>
+                ))
+            )}
+            <div style={{ borderTop: '1px solid #ecf0f1', marginTop: '8px', paddingTop: '8px', fontSize: '14px' }}>
+                <div>Subtotal: ${subtotal.toFixed(2)}</div>
+                <div>Tax: ${tax.toFixed(2)}</div>
+                <div><strong>Total: ${total.toFixed(2)}</strong></div>
+            </div>
+        </div>
+    );
+}
+
+// ============================================================================
+// MAIN DEMO COMPONENT
+// ============================================================================
+
+/**
+ * ModulePatternDemo - Main demonstration component
+ *
+ * @returns {JSX.Element} Complete demonstration of the module pattern
+ */
+function ModulePatternDemo() {
+    // Each factory call yields an isolated module with its own private state
+    const [personalCart] = useState(() => createCartModule({ taxRate: 0.1 }));
+    const [businessCart] = useState(() => createCartModule({ taxRate: 0 }));
+
+    return (
+        <div style={{ minHeight: '100vh', backgroundColor: '#f5f6fa', padding: '40px 20px' }}>
+            <div style={{ maxWidth: '1200px', margin: '0 auto' }}>
+                <header style={{ textAlign: 'center', marginBottom: '40px' }}>
+                    <h1 style={{ color: '#2c3e50', marginBottom: '8px' }}>Module Pattern</h1>
+                    <p style={{ color: '#7f8c8d', fontSize: '16px' }}>
+                        Private state behind a public API
+                    </p>
+                </header>
+
+                <div style={{
+                    display: 'grid',
+                    gridTemplateColumns: 'repeat(auto-fit, minmax(300px, 1fr))',
+                    gap: '24px'
+                }}>
+                    <RevealingModuleDemo />
+                    <Cart title="🛒 Personal cart (10% tax)" cart={personalCart} />
+                    <Cart title="💼 Business cart (tax exempt)" cart={businessCart} />
+                </div>
+            </div>
+        </div>
+    );
+}
+
+export default ModulePatternDemo;
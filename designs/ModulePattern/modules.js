@@ -0,0 +1,117 @@
+import { useSyncExternalStore } from 'react';
+
+/**
+ * Module pattern primitives: an IIFE revealing module, a module factory
+ * with private state, and a hook that binds a module to React.
+ */
+
+// ============================================================================
+// REVEALING MODULE (IIFE)
+// ============================================================================
+
+/**
+ * counterModule - Classic revealing module
+ *
+ * `count` and `listeners` are private; only the returned API is public.
+ */
+export const counterModule = (function () {
+    let count = 0;
+    const listeners = new Set();
+
+    function notify() {
+        listeners.forEach(listener => listener());
+    }
+
+    function increment() {
+        count++;
+        notify();
+    }
+
+    function decrement() {
+        count--;
+        notify();
+    }
+
+    function reset() {
+        count = 0;
+        notify();
+    }
+
+    function getState() {
+        return count;
+    }
+
+    function subscribe(listener) {
+        listeners.add(listener);
+        return () => listeners.delete(listener);
+    }
+
+    return { increment, decrement, reset, getState, subscribe };
+})();
+
+// ============================================================================
+// MODULE FACTORY
+// ============================================================================
+
+/**
+ * createCartModule - Builds an independent cart module with private state
+ *
+ * Each call returns a new module; nothing outside can touch `items`
+ * except through the public API.
+ *
+ * @param {Object} [options] - Options
+ * @param {number} [options.taxRate=0.1] - Tax rate applied to the subtotal
+ * @returns {Object} Public cart API
+ */
+export function createCartModule({ taxRate = 0.1 } = {}) {
+    let items = [];
+    let snapshot = { items, subtotal: 0, tax: 0, total: 0 };
+    const listeners = new Set();
+
+    // Private helper - not exposed
+    function recalculate() {
+        const subtotal = items.reduce((sum, item) => sum + item.price * item.quantity, 0);
+        const tax = Math.round(subtotal * taxRate * 100) / 100;
+        snapshot = { items, subtotal, tax, total: subtotal + tax };
+        listeners.forEach(listener => listener());
+    }
+
+    return {
+        addItem(product) {
+            const existing = items.find(item => item.id === product.id);
+            items = existing
+                ? items.map(item => (item.id === product.id ? { ...item, quantity: item.quantity + 1 } : item))
+                : [...items, { ...product, quantity: 1 }];
+            recalculate();
+        },
+        removeItem(id) {
+            items = items.filter(item => item.id !== id);
+            recalculate();
+        },
+        clear() {
+            items = [];
+            recalculate();
+        },
+        getState() {
+            return snapshot;
+        },
+        subscribe(listener) {
+            listeners.add(listener);
+            return () => listeners.delete(listener);
+        }
+    };
+}
+
+// ============================================================================
+// REACT BINDING
+// ============================================================================
+
+/**
+ * useModule - Subscribes a component to a module's public state
+ *
+ * @param {{ subscribe: Function, getState: Function }} module - Module API
+ * @returns {*} Current module state
+ */
+export function useModule(module) {
+    return useSyncExternalStore(module.subscribe, module.getState);
+}
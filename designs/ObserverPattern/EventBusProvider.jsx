@@ -0,0 +1,49 @@
+import React, { useContext, useMemo } from 'react';
+import { EventEmitter } from './eventEmitter.js';
+import { EventBusContext } from './hooks.js';
+
+/**
+ * EventBusProvider - Gives a subtree its own event bus
+ *
+ * Publishers and observers inside only see each other's events. With
+ * `bubble`, everything emitted inside is also emitted on the enclosing
+ * provider's bus, while events from outside still do not come in.
+ * Payloads are checked against `contracts`, which nested providers
+ * inherit from the enclosing bus. A new bus is created when any of the
+ * props change.
+ *
+ * @param {Object} props - Component props
+ * @param {boolean} [props.bubble=false] - Pass events on to the enclosing provider's bus
+ * @param {number} [props.historyLimit=0] - Payloads kept per event for late subscribers
+ * @param {number} [props.logLimit=0] - Emits kept in the devtools log
+ * @param {Object} [props.contracts] - Registry from createEventContracts; defaults to the enclosing bus's
+ * @param {boolean} [props.validate] - Check payloads against the contracts; defaults to development builds only
+ * @param {EventEmitter} [props.emitter] - Use this emitter instead of creating one
+ * @param {React.ReactNode} props.children - Components that publish or observe
+ * @returns {JSX.Element} Provider
+ */
+function EventBusProvider({
+    bubble = false,
+    historyLimit = 0,
+    logLimit = 0,
+    contracts,
+    validate = import.meta.env.DEV,
+    emitter,
+    children
+}) {
+    const parent = useContext(EventBusContext);
+    const bus = useMemo(
+        () => emitter ?? new EventEmitter({
+            parent: bubble ? parent : null,
+            historyLimit,
+            logLimit,
+            contracts: contracts ?? parent?.contracts ?? null,
+            validate
+        }),
+        [emitter, bubble, parent, historyLimit, logLimit, contracts, validate]
+    );
+
+    return <EventBusContext.Provider value={bus}>{children}</EventBusContext.Provider>;
+}
+
+export default EventBusProvider;
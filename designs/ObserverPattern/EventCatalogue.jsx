@@ -0,0 +1,124 @@
+import React, { useEffect, useReducer, useSyncExternalStore } from 'react';
+import eventUsage from 'virtual:event-usage';
+import { matchesEvent } from './eventEmitter.js';
+import { useEventEmitter } from './hooks.js';
+
+/**
+ * EVENT CATALOGUE
+ *
+ * Documentation rendered from the nearest bus's contract registry: every
+ * event with its payload shape, the components that publish and observe
+ * it, and how many listeners are subscribed right now. Publishers and
+ * subscribers are the emit() and useEventListener() calls found in this
+ * folder's sources at build time (plugins/eventUsage.js), so they follow
+ * the code. Events emitted without a contract are listed at the end.
+ */
+
+const usage = eventUsage.ObserverPattern ?? [];
+
+const tagStyle = {
+    display: 'inline-block',
+    margin: '0 4px 4px 0',
+    padding: '2px 8px',
+    borderRadius: '10px',
+    backgroundColor: '#ecf0f1',
+    color: '#2c3e50',
+    fontSize: '12px'
+};
+
+/**
+ * Components with a call of `kind` that concerns `event`
+ *
+ * A call concerns the event when either name matches the other, so a
+ * "chat:*" listener is a subscriber of "chat:message" and an emit of
+ * "notification.*" is a publisher of "notification.*". Calls under
+ * another name show it in brackets.
+ *
+ * @param {string} event - Contract event name or pattern
+ * @param {string} kind - 'publisher' or 'subscriber'
+ * @returns {Array<{ label: string, places: string }>} One entry per label
+ */
+function findUsage(event, kind) {
+    const found = new Map();
+    usage
+        .filter(call => call.kind === kind)
+        .filter(call => call.event === event || matchesEvent(call.event, event) || matchesEvent(event, call.event))
+        .forEach(call => {
+            const label = call.event === event ? call.component : `${call.component} (${call.event})`;
+            found.set(label, [...(found.get(label) ?? []), `${call.file}:${call.line}`]);
+        });
+    return [...found].map(([label, places]) => ({ label, places: places.join(', ') }));
+}
+
+/**
+ * EventCatalogue - Lists the contracts of the nearest bus
+ *
+ * @returns {JSX.Element} Event catalogue
+ */
+function EventCatalogue() {
+    const emitter = useEventEmitter();
+    // Re-render on every logged emit, for the uncontracted list
+    useSyncExternalStore(
+        listener => emitter.subscribeLog(listener),
+        () => emitter.getLog()
+    );
+    // ...and whenever a listener comes or goes, for the listener counts.
+    // Refresh once on subscribing too: siblings subscribe in their own
+    // effects, which may run after this render.
+    const [, refresh] = useReducer(version => version + 1, 0);
+    useEffect(() => {
+        const unsubscribe = emitter.subscribeChanges(refresh);
+        refresh();
+        return unsubscribe;
+    }, [emitter]);
+
+    if (!emitter.contracts) {
+        return <p style={{ color: '#7f8c8d' }}>This bus has no event contracts.</p>;
+    }
+
+    const uncontracted = [...emitter.uncontracted];
+
+    return (
+        <section aria-label="Event catalogue">
+            {emitter.contracts.list().map(contract => (
+                <article
+                    key={contract.event}
+                    style={{ padding: '16px', marginBottom: '12px', backgroundColor: 'white', borderRadius: '8px', border: '1px solid #dcdde1' }}
+                >
+                    <h4 style={{ margin: '0 0 4px', fontFamily: 'monospace', color: '#2c3e50' }}>{contract.event}</h4>
+                    {contract.description && (
+                        <p style={{ margin: '0 0 8px', color: '#7f8c8d', fontSize: '14px' }}>{contract.description}</p>
+                    )}
+                    <pre style={{ margin: '0 0 8px', padding: '8px', backgroundColor: '#f5f6fa', borderRadius: '4px', fontSize: '12px', whiteSpace: 'pre-wrap' }}>
+                        {contract.payload.describe()}
+                    </pre>
+                    <div style={{ fontSize: '13px', color: '#2c3e50' }}>
+                        <div>
+                            <strong>Publishers: </strong>
+                            {findUsage(contract.event, 'publisher').map(({ label, places }) => (
+                                <span key={label} title={places} style={tagStyle}>{label}</span>
+                            ))}
+                        </div>
+                        <div>
+                            <strong>Subscribers: </strong>
+                            {findUsage(contract.event, 'subscriber').map(({ label, places }) => (
+                                <span key={label} title={places} style={tagStyle}>{label}</span>
+                            ))}
+                        </div>
+                        <div style={{ color: '#7f8c8d' }}>
+                            Live listeners: {emitter.listenerCount(contract.event)}
+                        </div>
+                    </div>
+                </article>
+            ))}
+
+            {uncontracted.length > 0 && (
+                <p role="alert" style={{ color: '#e67e22', fontSize: '14px' }}>
+                    Emitted without a contract: {uncontracted.map(event => <code key={event} style={{ marginRight: '6px' }}>{event}</code>)}
+                </p>
+            )}
+        </section>
+    );
+}
+
+export default EventCatalogue;
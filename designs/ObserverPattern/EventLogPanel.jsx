@@ -0,0 +1,96 @@
+import React, { useSyncExternalStore } from 'react';
+import { useEventEmitter } from './hooks.js';
+
+/**
+ * EVENT LOG PANEL
+ *
+ * An in-page devtools view of everything emitted on the nearest bus:
+ * when, which event, how many subscribers it reached and the payload.
+ * The bus must be created with a `logLimit`.
+ */
+
+const toolButtonStyle = {
+    padding: '6px 10px',
+    border: '1px solid #dcdde1',
+    borderRadius: '4px',
+    backgroundColor: 'white',
+    color: '#2c3e50',
+    cursor: 'pointer',
+    fontSize: '13px'
+};
+
+/**
+ * formatPayload - Short one-line rendering of a payload
+ */
+function formatPayload(data) {
+    if (data === undefined) return 'undefined';
+    const text = JSON.stringify(data, (key, value) => (value instanceof Error ? `${value.name}: ${value.message}` : value));
+    return text.length > 80 ? `${text.slice(0, 77)}…` : text;
+}
+
+/**
+ * formatTime - Wall-clock time with milliseconds
+ */
+function formatTime(timestamp) {
+    const date = new Date(timestamp);
+    return `${date.toLocaleTimeString()}.${String(date.getMilliseconds()).padStart(3, '0')}`;
+}
+
+/**
+ * EventLogPanel - Lists the emits logged by the nearest bus, newest first
+ *
+ * @returns {JSX.Element} Event log panel
+ */
+function EventLogPanel() {
+    const emitter = useEventEmitter();
+    const log = useSyncExternalStore(
+        listener => emitter.subscribeLog(listener),
+        () => emitter.getLog()
+    );
+
+    return (
+        <section
+            aria-label="Event log"
+            style={{ padding: '20px', backgroundColor: 'white', borderRadius: '8px', border: '2px solid #2c3e50' }}
+        >
+            <div style={{ display: 'flex', alignItems: 'center', justifyContent: 'space-between', marginBottom: '8px' }}>
+                <h3 style={{ margin: 0, color: '#2c3e50' }}>📜 Event Log</h3>
+                <button style={toolButtonStyle} onClick={() => emitter.clearLog()} disabled={log.length === 0}>Clear</button>
+            </div>
+
+            {emitter.logLimit === 0 ? (
+                <p style={{ margin: 0, color: '#7f8c8d' }}>This bus does not log; create it with a logLimit.</p>
+            ) : log.length === 0 ? (
+                <p style={{ margin: 0, color: '#7f8c8d' }}>Nothing emitted yet.</p>
+            ) : (
+                <div style={{ maxHeight: '240px', overflow: 'auto' }}>
+                    <table style={{ width: '100%', borderCollapse: 'collapse', fontSize: '12px' }}>
+                        <thead>
+                            <tr style={{ textAlign: 'left', color: '#7f8c8d' }}>
+                                <th>Time</th>
+                                <th>Event</th>
+                                <th>Subscribers</th>
+                                <th>Payload</th>
+                            </tr>
+                        </thead>
+                        <tbody>
+                            {[...log].reverse().map(entry => (
+                                <tr key={entry.id} style={{ borderTop: '1px solid #ecf0f1', color: '#2c3e50' }}>
+                                    <td style={{ padding: '4px 8px 4px 0', whiteSpace: 'nowrap' }}>{formatTime(entry.timestamp)}</td>
+                                    <td style={{ fontFamily: 'monospace', whiteSpace: 'nowrap' }}>
+                                        {entry.event}
+                                        {entry.mode !== 'sync' && <span style={{ color: '#95a5a6' }}> ({entry.mode})</span>}
+                                    </td>
+                                    <td style={{ color: entry.listeners === 0 ? '#e74c3c' : '#2c3e50' }}>{entry.listeners}</td>
+                                    <td style={{ fontFamily: 'monospace', color: '#7f8c8d' }}>{formatPayload(entry.data)}</td>
+                                </tr>
+                            ))}
+                        </tbody>
+                    </table>
+                </div>
+            )}
+        </section>
+    );
+}
+
+export default EventLogPanel;
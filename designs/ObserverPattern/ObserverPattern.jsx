@@ -1,4 +1,10 @@
-import React, { useState, useEffect, createContext, useContext } from 'react';
+import React, { useState, useEffect, useRef } from 'react';
+import EventBusProvider from './EventBusProvider.jsx';
+import EventLogPanel from './EventLogPanel.jsx';
+import EventCatalogue from './EventCatalogue.jsx';
+import { useEventEmitter, useEventListener } from './hooks.js';
+import { eventContracts } from './events.js';
+import { EventEmitter, ERROR_EVENT } from './eventEmitter.js';
 
 /**
  * OBSERVER PATTERN DEMONSTRATION
@@ -12,91 +18,23 @@ import React, { useState, useEffect, createContext, useContext } from 'react';
  * - Easy to add/remove observers
  * - Scalable notification system
  * - Reactive updates
+ *
+ * The EventEmitter lives in eventEmitter.js. Events are namespaced
+ * ("chat:message") or grouped by segment ("notification.error"), so
+ * observers can subscribe to whole families with patterns.
+ * emitAsync() lets a publisher wait until every observer has finished,
+ * and a failing observer is reported on the "error" channel instead of
+ * stopping the others. Each EventBusProvider gives its subtree a bus of
+ * its own, so several publisher/observer groups can share one page.
+ * The page bus keeps recent payloads, so observers that mount late can
+ * replay what they missed, and logs every emit for the Event Log panel.
+ * Payload shapes are declared as contracts in events.js; in development
+ * the bus rejects payloads that break them.
  */
 
-// ============================================================================
-// EVENT EMITTER - Core observer implementation
-// ============================================================================
-
-/**
- * EventEmitter - Simple event emitter for observer pattern
- */
-class EventEmitter {
-    constructor() {
-        this.events = {};
-    }
-
-    /**
-     * Subscribe to an event
-     * @param {string} event - Event name
-     * @param {Function} callback - Callback function
-     * @returns {Function} Unsubscribe function
-     */
-    subscribe(event, callback) {
-        if (!this.events[event]) {
-            this.events[event] = [];
-        }
-        this.events[event].push(callback);
-
-        // Return unsubscribe function
-        return () => {
-            this.events[event] = this.events[event].filter(cb => cb !== callback);
-        };
-    }
-
-    /**
-     * Emit an event
-     * @param {string} event - Event name
-     * @param {*} data - Event data
-     */
-    emit(event, data) {
-        if (this.events[event]) {
-            this.events[event].forEach(callback => callback(data));
-        }
-    }
-
-    /**
-     * Unsubscribe from an event
-     * @param {string} event - Event name
-     * @param {Function} callback - Callback to remove
-     */
-    unsubscribe(event, callback) {
-        if (this.events[event]) {
-            this.events[event] = this.events[event].filter(cb => cb !== callback);
-        }
-    }
-}
-
-// Create global event emitter
-const eventEmitter = new EventEmitter();
-
-// ============================================================================
-// CUSTOM HOOKS FOR OBSERVER PATTERN
-// ============================================================================
-
-/**
- * useEventEmitter - Hook to use event emitter
- * 
- * @returns {EventEmitter} Event emitter instance
- */
-function useEventEmitter() {
-    return eventEmitter;
-}
-
-/**
- * useEventListener - Hook to subscribe to events
- * 
- * @param {string} event - Event name
- * @param {Function} callback - Callback function
- */
-function useEventListener(event, callback) {
-    const emitter = useEventEmitter();
-
-    useEffect(() => {
-        const unsubscribe = emitter.subscribe(event, callback);
-        return unsubscribe;
-    }, [event, callback, emitter]);
-}
+const ARCHIVE_DELAY = 800;
+const HISTORY_LIMIT = 20;
+const LOG_LIMIT = 100;
 
 // ============================================================================
 // DEMO COMPONENTS
@@ -107,11 +45,14 @@ function useEventListener(event, callback) {
  */
 function Publisher() {
     const emitter = useEventEmitter();
+    const chat = emitter.namespace('chat');
     const [message, setMessage] = useState('');
+    const [mode, setMode] = useState('serial');
+    const [delivery, setDelivery] = useState(null);
 
     const publishMessage = () => {
         if (message.trim()) {
-            emitter.emit('message', {
+            chat.emit('message', {
                 text: message,
                 timestamp: new Date().toLocaleTimeString()
             });
@@ -119,8 +60,29 @@ function Publisher() {
         }
     };
 
+    // Waits for every observer, including the slow archive, to finish
+    const publishAndWait = async () => {
+        if (!message.trim()) return;
+        const text = message;
+        const started = performance.now();
+        setMessage('');
+        setDelivery({ pending: true, text });
+
+        const { results, errors } = await chat.emitAsync('message', {
+            text,
+            timestamp: new Date().toLocaleTimeString()
+        }, { mode });
+
+        setDelivery({
+            text,
+            delivered: results.length - errors.length,
+            failed: errors.length,
+            ms: Math.round(performance.now() - started)
+        });
+    };
+
     const publishNotification = (type) => {
-        emitter.emit('notification', {
+        emitter.emit(`notification.${type}`, {
             type,
             message: `${type.charAt(0).toUpperCase() + type.slice(1)} notification sent!`,
             timestamp: new Date().toLocaleTimeString()
@@ -171,6 +133,40 @@ function Publisher() {
                 >
                     Publish Message
                 </button>
+                <div style={{ display: 'flex', gap: '8px', marginTop: '8px' }}>
+                    <select
+                        value={mode}
+                        onChange={(e) => setMode(e.target.value)}
+                        aria-label="Delivery mode"
+                        style={{ padding: '8px', border: '2px solid #3498db', borderRadius: '4px' }}
+                    >
+                        <option value="serial">Serial</option>
+                        <option value="parallel">Parallel</option>
+                    </select>
+                    <button
+                        onClick={publishAndWait}
+                        disabled={delivery?.pending}
+                        style={{
+                            flex: 1,
+                            padding: '8px',
+                            backgroundColor: 'white',
+                            color: '#3498db',
+                            border: '2px solid #3498db',
+                            borderRadius: '4px',
+                            cursor: 'pointer',
+                            fontWeight: 'bold'
+                        }}
+                    >
+                        Publish &amp; Wait
+                    </button>
+                </div>
+                {delivery && (
+                    <p role="status" style={{ margin: '8px 0 0', fontSize: '13px', color: '#2c3e50' }}>
+                        {delivery.pending
+                            ? `Delivering "${delivery.text}"…`
+                            : `"${delivery.text}" handled by ${delivery.delivered} observer(s) in ${delivery.ms} ms${delivery.failed ? `, ${delivery.failed} failed` : ''}`}
+                    </p>
+                )}
             </div>
 
             <div style={{ display: 'flex', gap: '8px' }}>
@@ -204,7 +200,7 @@ function Publisher() {
 function MessageObserver() {
     const [messages, setMessages] = useState([]);
 
-    useEventListener('message', (data) => {
+    useEventListener('chat:message', (data) => {
         setMessages(prev => [...prev, data]);
     });
 
@@ -262,7 +258,7 @@ function MessageObserver() {
 function NotificationObserver() {
     const [notifications, setNotifications] = useState([]);
 
-    useEventListener('notification', (data) => {
+    useEventListener('notification.*', (data) => {
         setNotifications(prev => [...prev, { ...data, id: Date.now() }]);
         setTimeout(() => {
             setNotifications(prev => prev.filter(n => n.id !== data.id));
@@ -331,6 +327,10 @@ function NotificationObserver() {
 
 /**
  * StatisticsObserver - Component that tracks event statistics
+ *
+ * Replays the kept history when it mounts, so it also counts events
+ * emitted before it was shown. Payloads already counted are skipped,
+ * because a resubscription (as in StrictMode) replays them again.
  */
 function StatisticsObserver() {
     const [stats, setStats] = useState({
@@ -338,22 +338,31 @@ function StatisticsObserver() {
         notifications: 0,
         total: 0
     });
+    const counted = useRef(new WeakSet());
 
-    useEventListener('message', () => {
+    const isNew = (data) => {
+        if (counted.current.has(data)) return false;
+        counted.current.add(data);
+        return true;
+    };
+
+    useEventListener('chat:*', (data) => {
+        if (!isNew(data)) return;
         setStats(prev => ({
             ...prev,
             messages: prev.messages + 1,
             total: prev.total + 1
         }));
-    });
+    }, { replay: Infinity });
 
-    useEventListener('notification', () => {
+    useEventListener('notification.*', (data) => {
+        if (!isNew(data)) return;
         setStats(prev => ({
             ...prev,
             notifications: prev.notifications + 1,
             total: prev.total + 1
         }));
-    });
+    }, { replay: Infinity });
 
     return (
         <div style={{
@@ -402,6 +411,318 @@ function StatisticsObserver() {
     );
 }
 
+/**
+ * ArchiveObserver - Slow async observer that saves messages
+ *
+ * Takes a moment per message and fails for messages containing "fail",
+ * to show emitAsync waiting for it and isolating its errors.
+ */
+function ArchiveObserver() {
+    const [archived, setArchived] = useState([]);
+
+    useEventListener('chat:message', async (data) => {
+        await new Promise(resolve => setTimeout(resolve, ARCHIVE_DELAY));
+        if (/fail/i.test(data.text)) {
+            throw new Error(`Could not archive "${data.text}"`);
+        }
+        setArchived(prev => [...prev, data.text]);
+    });
+
+    return (
+        <div style={{
+            padding: '20px',
+            backgroundColor: '#e8f6f8',
+            borderRadius: '8px',
+            border: '2px solid #16a085'
+        }}>
+            <h3 style={{ marginTop: 0, color: '#2c3e50' }}>🗄️ Archive Observer</h3>
+            <p style={{ color: '#7f8c8d', fontSize: '14px' }}>
+                Saves each message after {ARCHIVE_DELAY} ms; messages containing &quot;fail&quot; fail
+            </p>
+            <p style={{ margin: 0, color: '#2c3e50' }}>
+                {archived.length === 0 ? 'Nothing archived yet' : `Archived: ${archived.join(', ')}`}
+            </p>
+        </div>
+    );
+}
+
+/**
+ * ErrorLog - Observes the "error" channel where failing listeners are reported
+ */
+function ErrorLog() {
+    const [errors, setErrors] = useState([]);
+
+    useEventListener('error', ({ error, event }) => {
+        setErrors(prev => [...prev, { id: prev.length, event, message: error.message }]);
+    });
+
+    return (
+        <div style={{
+            padding: '20px',
+            backgroundColor: '#fdedec',
+            borderRadius: '8px',
+            border: '2px solid #e74c3c'
+        }}>
+            <h3 style={{ marginTop: 0, color: '#2c3e50' }}>🚨 Error Channel</h3>
+            <p style={{ color: '#7f8c8d', fontSize: '14px' }}>
+                Failures are reported here; the other observers still run
+            </p>
+            {errors.length === 0 ? (
+                <p style={{ margin: 0, color: '#95a5a6' }}>No failures</p>
+            ) : (
+                <ul style={{ margin: 0, paddingLeft: '20px', fontSize: '13px', color: '#2c3e50' }}>
+                    {errors.map(entry => (
+                        <li key={entry.id}><code>{entry.event}</code>: {entry.message}</li>
+                    ))}
+                </ul>
+            )}
+        </div>
+    );
+}
+
+/**
+ * LateObserver - Mounted on demand; catches up from the bus history
+ */
+function LateObserver() {
+    const [messages, setMessages] = useState([]);
+    const [latest, setLatest] = useState({});
+
+    // Kept messages arrive first; skip payloads a resubscription replays again
+    useEventListener('chat:message', (data) => {
+        setMessages(prev => (prev.includes(data) ? prev : [...prev, data]));
+    }, { replay: Infinity });
+
+    // The last notification of each type, then every new one
+    useEventListener('notification.*', (data) => {
+        setLatest(prev => ({ ...prev, [data.type]: data }));
+    }, { sticky: true });
+
+    return (
+        <div style={{ fontSize: '13px', color: '#2c3e50' }}>
+            <p style={{ margin: '0 0 8px' }}>
+                <strong>Replayed messages:</strong>{' '}
+                {messages.length === 0 ? 'none' : messages.map(msg => msg.text).join(', ')}
+            </p>
+            <p style={{ margin: 0 }}>
+                <strong>Latest notifications (sticky):</strong>{' '}
+                {Object.keys(latest).length === 0
+                    ? 'none'
+                    : Object.values(latest).map(n => `${n.type} at ${n.timestamp}`).join(', ')}
+            </p>
+        </div>
+    );
+}
+
+/**
+ * LateSubscribers - Mounts an observer after events were already emitted
+ */
+function LateSubscribers() {
+    const [mounted, setMounted] = useState(false);
+
+    return (
+        <div style={{
+            padding: '20px',
+            backgroundColor: '#fef9e7',
+            borderRadius: '8px',
+            border: '2px solid #f1c40f'
+        }}>
+            <h3 style={{ marginTop: 0, color: '#2c3e50' }}>⏰ Late Subscribers</h3>
+            <p style={{ color: '#7f8c8d', fontSize: '14px' }}>
+                The bus keeps the last {HISTORY_LIMIT} payloads of each event. Publish a few, then mount:
+            </p>
+            <button
+                onClick={() => setMounted(m => !m)}
+                style={{
+                    padding: '8px 12px',
+                    marginBottom: '12px',
+                    backgroundColor: '#f1c40f',
+                    color: '#2c3e50',
+                    border: 'none',
+                    borderRadius: '4px',
+                    cursor: 'pointer',
+                    fontWeight: 'bold'
+                }}
+            >
+                {mounted ? 'Unmount observer' : 'Mount observer'}
+            </button>
+            {mounted && <LateObserver />}
+        </div>
+    );
+}
+
+/**
+ * FirstMessageBadge - Reacts to the first chat message only (subscribeOnce)
+ */
+function FirstMessageBadge() {
+    const [first, setFirst] = useState(null);
+
+    useEventListener('chat:message', setFirst, { once: true });
+
+    return (
+        <div style={{
+            padding: '20px',
+            backgroundColor: '#eef2f7',
+            borderRadius: '8px',
+            border: '2px solid #34495e'
+        }}>
+            <h3 style={{ marginTop: 0, color: '#2c3e50' }}>🥇 First Message</h3>
+            <p style={{ color: '#7f8c8d', fontSize: '14px' }}>
+                Subscribed once, so only the first message arrives
+            </p>
+            <p style={{ margin: 0, color: '#2c3e50', fontWeight: 'bold' }}>
+                {first ? `"${first.text}" at ${first.timestamp}` : 'Waiting for the first message…'}
+            </p>
+        </div>
+    );
+}
+
+/**
+ * BusInspector - Lists subscriptions via eventNames() and listenerCount()
+ *
+ * Listens to every event ("**") at a low priority, so it refreshes after
+ * the other observers have handled the event.
+ */
+function BusInspector() {
+    const emitter = useEventEmitter();
+    const [lastEvent, setLastEvent] = useState(null);
+    const [, refresh] = useState(0);
+
+    useEventListener('**', (data, event) => setLastEvent(event), { priority: -100 });
+
+    // Pick up subscriptions made by siblings after their effects ran
+    useEffect(() => {
+        refresh(n => n + 1);
+    }, []);
+
+    return (
+        <div style={{
+            padding: '20px',
+            backgroundColor: 'white',
+            borderRadius: '8px',
+            border: '2px solid #bdc3c7'
+        }}>
+            <h3 style={{ marginTop: 0, color: '#2c3e50' }}>🔍 Bus Inspector</h3>
+            <p style={{ color: '#7f8c8d', fontSize: '14px' }}>
+                Last event: <code>{lastEvent || 'none yet'}</code>
+                {lastEvent && ` (${emitter.listenerCount(lastEvent)} listeners)`}
+            </p>
+            <table style={{ width: '100%', fontSize: '13px', borderCollapse: 'collapse' }}>
+                <thead>
+                    <tr style={{ textAlign: 'left', color: '#7f8c8d' }}>
+                        <th>Subscribed to</th>
+                        <th>Listeners</th>
+                    </tr>
+                </thead>
+                <tbody>
+                    {emitter.eventNames().map(name => (
+                        <tr key={name} style={{ borderTop: '1px solid #ecf0f1' }}>
+                            <td style={{ padding: '4px 0', fontFamily: 'monospace' }}>{name}</td>
+                            <td>{emitter.listenerCount(name, { exact: true })}</td>
+                        </tr>
+                    ))}
+                </tbody>
+            </table>
+        </div>
+    );
+}
+
+/**
+ * ChatRoom - A publisher and an observer on a bus of their own
+ *
+ * @param {Object} props - Component props
+ * @param {string} props.title - Room name
+ * @param {boolean} props.bubble - Pass the room's events on to the page bus
+ */
+function ChatRoom({ title, bubble }) {
+    return (
+        <EventBusProvider bubble={bubble}>
+            <div style={{
+                padding: '16px',
+                backgroundColor: 'white',
+                borderRadius: '8px',
+                border: '2px dashed #bdc3c7'
+            }}>
+                <h4 style={{ margin: '0 0 4px', color: '#2c3e50' }}>{title}</h4>
+                <p style={{ margin: '0 0 12px', color: '#7f8c8d', fontSize: '13px' }}>
+                    {bubble
+                        ? 'Bubbles to the page bus: the statistics above count its events'
+                        : 'Fully isolated: nothing outside this room hears it'}
+                </p>
+                <div style={{ display: 'grid', gap: '12px' }}>
+                    <Publisher />
+                    <MessageObserver />
+                </div>
+            </div>
+        </EventBusProvider>
+    );
+}
+
+/**
+ * ContractChecks - Emits payloads that break or lack a contract, and shows
+ * that a listener throwing a non-Error is still reported as an Error
+ */
+function ContractChecks() {
+    const emitter = useEventEmitter();
+    const [result, setResult] = useState(null);
+
+    const emitInvalid = () => {
+        try {
+            emitter.emit('chat:message', { text: 42 });
+            setResult('Emitted without complaint: validation is off.');
+        } catch (error) {
+            setResult(error.message);
+        }
+    };
+
+    const emitUnregistered = () => {
+        emitter.emit('chat:typing', { user: 'you' });
+        setResult(emitter.validate
+            ? '"chat:typing" has no contract: a warning was logged to the console.'
+            : 'Emitted without complaint: validation is off.');
+    };
+
+    // On a scratch bus with validation on, so the chat above stays untouched
+    const throwNonError = () => {
+        const scratch = new EventEmitter({ contracts: eventContracts, validate: true });
+        const reported = [];
+        scratch.subscribe(ERROR_EVENT, ({ error }) => reported.push(error));
+        scratch.subscribe('chat:message', () => {
+            throw 'boom';
+        });
+        scratch.subscribe('chat:message', () => reported.push('next listener ran'));
+        scratch.emit('chat:message', { text: 'hello', timestamp: new Date().toLocaleTimeString() });
+
+        const [error, next] = reported;
+        setResult(`A listener threw the string "boom": reported as ${error.name} "${error.message}", and ${next ?? 'the next listener did not run'}.`);
+    };
+
+    return (
+        <div style={{
+            padding: '20px',
+            marginBottom: '16px',
+            backgroundColor: 'white',
+            borderRadius: '8px',
+            border: '2px solid #bdc3c7'
+        }}>
+            <p style={{ marginTop: 0, color: '#7f8c8d', fontSize: '14px' }}>
+                Validation is {emitter.validate ? 'on (development build)' : 'off (production build)'}.
+            </p>
+            <div style={{ display: 'flex', flexWrap: 'wrap', gap: '8px' }}>
+                <button onClick={emitInvalid} style={{ padding: '8px 12px', border: '2px solid #e74c3c', borderRadius: '4px', backgroundColor: 'white', color: '#e74c3c', cursor: 'pointer' }}>
+                    Emit an invalid message
+                </button>
+                <button onClick={emitUnregistered} style={{ padding: '8px 12px', border: '2px solid #e67e22', borderRadius: '4px', backgroundColor: 'white', color: '#e67e22', cursor: 'pointer' }}>
+                    Emit an unregistered event
+                </button>
+                <button onClick={throwNonError} style={{ padding: '8px 12px', border: '2px solid #8e44ad', borderRadius: '4px', backgroundColor: 'white', color: '#8e44ad', cursor: 'pointer' }}>
+                    Throw a non-Error from a listener
+                </button>
+            </div>
+            {result && <p role="status" style={{ margin: '12px 0 0', fontSize: '13px', color: '#2c3e50' }}>{result}</p>}
+        </div>
+    );
+}
+
 // ============================================================================
 // MAIN DEMO COMPONENT
 // ============================================================================
@@ -413,64 +734,101 @@ function StatisticsObserver() {
  */
 function ObserverPatternDemo() {
     return (
-        <div style={{
-            minHeight: '100vh',
-            backgroundColor: '#f5f6fa',
-            padding: '40px 20px'
-        }}>
+        <EventBusProvider historyLimit={HISTORY_LIMIT} logLimit={LOG_LIMIT} contracts={eventContracts}>
             <div style={{
-                maxWidth: '1200px',
-                margin: '0 auto'
+                minHeight: '100vh',
+                backgroundColor: '#f5f6fa',
+                padding: '40px 20px'
             }}>
-                <header style={{
-                    textAlign: 'center',
-                    marginBottom: '40px'
+                <div style={{
+                    maxWidth: '1200px',
+                    margin: '0 auto'
                 }}>
-                    <h1 style={{
-                        color: '#2c3e50',
-                        marginBottom: '8px'
+                    <header style={{
+                        textAlign: 'center',
+                        marginBottom: '40px'
                     }}>
-                        Observer Pattern
-                    </h1>
-                    <p style={{
-                        color: '#7f8c8d',
-                        fontSize: '16px'
+                        <h1 style={{
+                            color: '#2c3e50',
+                            marginBottom: '8px'
+                        }}>
+                            Observer Pattern
+                        </h1>
+                        <p style={{
+                            color: '#7f8c8d',
+                            fontSize: '16px'
+                        }}>
+                            Event-driven communication between components
+                        </p>
+                    </header>
+
+                    <div style={{
+                        display: 'grid',
+                        gridTemplateColumns: 'repeat(auto-fit, minmax(300px, 1fr))',
+                        gap: '24px',
+                        marginBottom: '24px'
                     }}>
-                        Event-driven communication between components
-                    </p>
-                </header>
+                        <Publisher />
+                        <MessageObserver />
+                        <NotificationObserver />
+                        <StatisticsObserver />
+                        <ArchiveObserver />
+                        <ErrorLog />
+                        <FirstMessageBadge />
+                        <BusInspector />
+                        <LateSubscribers />
+                    </div>
 
-                <div style={{
-                    display: 'grid',
-                    gridTemplateColumns: 'repeat(auto-fit, minmax(300px, 1fr))',
-                    gap: '24px',
-                    marginBottom: '24px'
-                }}>
-                    <Publisher />
-                    <MessageObserver />
-                    <NotificationObserver />
-                    <StatisticsObserver />
-                </div>
+                    <div style={{ marginBottom: '24px' }}>
+                        <EventLogPanel />
+                    </div>
 
-                <div style={{
-                    padding: '20px',
-                    backgroundColor: 'white',
-                    borderRadius: '8px',
-                    boxShadow: '0 2px 8px rgba(0,0,0,0.1)'
-                }}>
-                    <h3 style={{ marginTop: 0, color: '#2c3e50' }}>
-                        💡 Observer Pattern Benefits
-                    </h3>
-                    <ul style={{ color: '#34495e', lineHeight: '1.8' }}>
-                        <li><strong>Loose Coupling:</strong> Publishers don't know about observers</li>
-                        <li><strong>Scalability:</strong> Easy to add/remove observers</li>
-                        <li><strong>Event-Driven:</strong> Reactive updates when state changes</li>
-                        <li><strong>Flexibility:</strong> Multiple observers can react to same event</li>
-                        <li><strong>Maintainability:</strong> Clear separation of concerns</li>
-                    </ul>
+                    <section style={{ marginBottom: '24px' }}>
+                        <h2 style={{ color: '#2c3e50', fontSize: '20px' }}>📚 Event Catalogue</h2>
+                        <p style={{ color: '#7f8c8d', fontSize: '14px' }}>
+                            Rendered from the contracts in events.js. Publishers and subscribers are the
+                            emit() and useEventListener() calls found in the sources of this folder.
+                        </p>
+                        <ContractChecks />
+                        <EventCatalogue />
+                    </section>
+
+                    <section style={{ marginBottom: '24px' }}>
+                        <h2 style={{ color: '#2c3e50', fontSize: '20px' }}>Scoped Event Buses</h2>
+                        <p style={{ color: '#7f8c8d', fontSize: '14px' }}>
+                            Each room is wrapped in its own EventBusProvider, so the same
+                            components publish and observe without hearing each other.
+                        </p>
+                        <div style={{
+                            display: 'grid',
+                            gridTemplateColumns: 'repeat(auto-fit, minmax(300px, 1fr))',
+                            gap: '24px'
+                        }}>
+                            <ChatRoom title="Room A" bubble />
+                            <ChatRoom title="Room B" bubble={false} />
+                        </div>
+                    </section>
+
+                    <div style={{
+                        padding: '20px',
+                        backgroundColor: 'white',
+                        borderRadius: '8px',
+                        boxShadow: '0 2px 8px rgba(0,0,0,0.1)'
+                    }}>
+                        <h3 style={{ marginTop: 0, color: '#2c3e50' }}>
+                            💡 Observer Pattern Benefits
+                        </h3>
+                        <ul style={{ color: '#34495e', lineHeight: '1.8' }}>
+                            <li><strong>Loose Coupling:</strong> Publishers don't know about observers</li>
+                            <li><strong>Scalability:</strong> Easy to add/remove observers</li>
+                            <li><strong>Event-Driven:</strong> Reactive updates when state changes</li>
+                            <li><strong>Flexibility:</strong> Multiple observers can react to same event</li>
+                            <li><strong>Maintainability:</strong> Clear separation of concerns</li>
+                        </ul>
+                    </div>
                 </div>
             </div>
-        </div>
+        </EventBusProvider>
     );
 }
 
@@ -0,0 +1,167 @@
+import { isPattern, matchesEvent } from './eventEmitter.js';
+
+/**
+ * Event contracts for the observer bus: a registry that states, for each
+ * event, what its payload looks like and which components publish and
+ * observe it. The bus checks payloads against it at emit time, and the
+ * Event Catalogue renders it as documentation.
+ */
+
+// ============================================================================
+// PAYLOAD SCHEMAS
+// ============================================================================
+
+/**
+ * A schema describes and checks one value.
+ *
+ * @typedef {Object} Schema
+ * @property {Function} describe - () => readable type, e.g. "{ text: string }"
+ * @property {Function} check - (value, path) => list of problems, empty when valid
+ * @property {boolean} [optional] - Whether an object field may be missing
+ */
+
+function typeOf(value) {
+    if (value === null) return 'null';
+    if (Array.isArray(value)) return 'array';
+    return typeof value;
+}
+
+function primitive(name) {
+    return {
+        describe: () => name,
+        check: (value, path) => (typeof value === name ? [] : [`${path}: expected ${name}, got ${typeOf(value)}`])
+    };
+}
+
+/**
+ * Schema builders
+ *
+ * @example
+ * const payload = types.shape({
+ *     type: types.oneOf('success', 'warning', 'error'),
+ *     message: types.string(),
+ *     retries: types.optional(types.number())
+ * });
+ */
+export const types = {
+    string: () => primitive('string'),
+    number: () => primitive('number'),
+    boolean: () => primitive('boolean'),
+
+    /** Any value; as a shape field it may also be missing */
+    any: () => ({ describe: () => 'any', check: () => [], optional: true }),
+
+    /** One of the listed values, compared with === */
+    oneOf: (...values) => ({
+        describe: () => values.map(value => JSON.stringify(value)).join(' | '),
+        check: (value, path) => (values.includes(value)
+            ? []
+            : [`${path}: expected one of ${values.map(v => JSON.stringify(v)).join(', ')}, got ${JSON.stringify(value)}`])
+    }),
+
+    /** An instance of a class, such as Error */
+    instanceOf: (Class) => ({
+        describe: () => Class.name,
+        check: (value, path) => (value instanceof Class ? [] : [`${path}: expected ${Class.name}, got ${typeOf(value)}`])
+    }),
+
+    /** An array whose items all match `item` */
+    arrayOf: (item) => ({
+        describe: () => `${item.describe()}[]`,
+        check: (value, path) => (Array.isArray(value)
+            ? value.flatMap((element, index) => item.check(element, `${path}[${index}]`))
+            : [`${path}: expected array, got ${typeOf(value)}`])
+    }),
+
+    /** An object with these fields; other fields are allowed */
+    shape: (fields) => ({
+        describe: () => `{ ${Object.entries(fields)
+            .map(([key, field]) => `${key}${field.optional ? '?' : ''}: ${field.describe()}`)
+            .join(', ')} }`,
+        check: (value, path) => {
+            if (typeOf(value) !== 'object') return [`${path}: expected object, got ${typeOf(value)}`];
+            return Object.entries(fields).flatMap(([key, field]) => {
+                if (value[key] === undefined) {
+                    return field.optional ? [] : [`${path}.${key}: missing`];
+                }
+                return field.check(value[key], `${path}.${key}`);
+            });
+        }
+    }),
+
+    /** Marks a shape field as optional */
+    optional: (schema) => ({ ...schema, optional: true })
+};
+
+// ============================================================================
+// REGISTRY
+// ============================================================================
+
+/**
+ * One entry of the registry.
+ *
+ * @typedef {Object} EventContract
+ * @property {Schema} payload - Schema of the emitted data
+ * @property {string} [description] - What the event means
+ */
+
+/**
+ * createEventContracts - Builds a contract registry
+ *
+ * Keys are event names or patterns; a pattern such as "notification.*"
+ * covers a family of events with the same payload. An exact name wins
+ * over a pattern.
+ *
+ * @example
+ * const contracts = createEventContracts({
+ *     'chat:message': {
+ *         description: 'A chat message was sent',
+ *         payload: types.shape({ text: types.string() })
+ *     }
+ * });
+ * const emitter = new EventEmitter({ contracts });
+ *
+ * @param {Object<string, EventContract>} definitions - Contracts by event name or pattern
+ * @returns {Object} Registry with get, list and validate
+ */
+export function createEventContracts(definitions) {
+    Object.entries(definitions).forEach(([event, contract]) => {
+        if (!contract || typeof contract.payload?.check !== 'function') {
+            throw new Error(`The contract for "${event}" needs a payload schema built with types`);
+        }
+    });
+
+    const entries = Object.entries(definitions).map(([event, contract]) => ({
+        event,
+        description: '',
+        ...contract
+    }));
+
+    function get(event) {
+        return entries.find(entry => entry.event === event)
+            || entries.find(entry => isPattern(entry.event) && matchesEvent(entry.event, event));
+    }
+
+    return {
+        /**
+         * The contract that covers an emitted event
+         * @param {string} event - Emitted event name
+         * @returns {EventContract|undefined} Contract with its `event` key
+         */
+        get,
+
+        /** Every contract with its `event` key, in definition order */
+        list: () => entries,
+
+        /**
+         * Checks a payload against the event's contract
+         * @param {string} event - Emitted event name
+         * @param {*} data - Payload
+         * @returns {string[]|null} Problems (empty when valid), or null without a contract
+         */
+        validate(event, data) {
+            const contract = get(event);
+            return contract ? contract.payload.check(data, 'payload') : null;
+        }
+    };
+}
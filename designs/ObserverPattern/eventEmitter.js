@@ -0,0 +1,513 @@
+/**
+ * The observer bus behind the Observer pattern demo.
+ *
+ * Event names are made of segments separated by "." and may start with a
+ * namespace followed by ":" ("chat:message", "notification.success").
+ * Subscriptions can use patterns: "*" matches one segment and "**" any
+ * number of them, so "notification.*" receives "notification.success"
+ * and "chat:**" everything in the chat namespace.
+ *
+ * A listener that throws (or whose promise rejects) does not stop the
+ * others: the failure is emitted on the "error" channel instead.
+ *
+ * An emitter created with a `parent` passes every event it emits on to
+ * that parent after its own listeners ran, so scoped buses can still
+ * reach page-wide observers.
+ *
+ * Optionally the emitter keeps the last few payloads of every event, so
+ * observers that subscribe late can catch up, and a log of everything
+ * emitted for devtools.
+ *
+ * Given a contract registry (see contracts.js), the emitter checks every
+ * payload before calling listeners: an invalid payload throws, and an
+ * event without a contract logs a warning once.
+ */
+
+/** Channel that receives `{ error, event, data }` when a listener fails */
+export const ERROR_EVENT = 'error';
+
+// ============================================================================
+// PATTERNS
+// ============================================================================
+
+const patternCache = new Map();
+
+/**
+ * isPattern - Whether an event name contains wildcards
+ *
+ * @param {string} event - Event name or pattern
+ * @returns {boolean} Whether it contains "*"
+ */
+export function isPattern(event) {
+    return event.includes('*');
+}
+
+/**
+ * matchesEvent - Tests an event name against a pattern
+ *
+ * @param {string} pattern - Pattern such as "notification.*" or "chat:**"
+ * @param {string} event - Emitted event name
+ * @returns {boolean} Whether the pattern matches
+ */
+export function matchesEvent(pattern, event) {
+    if (!isPattern(pattern)) return pattern === event;
+
+    if (!patternCache.has(pattern)) {
+        const source = pattern
+            .split(/(\*\*|\*)/)
+            .map(part => {
+                if (part === '**') return '.*';
+                if (part === '*') return '[^.:]+';
+                return part.replace(/[.+?^${}()|[\]\\]/g, '\\$&');
+            })
+            .join('');
+        patternCache.set(pattern, new RegExp(`^${source}$`));
+    }
+    return patternCache.get(pattern).test(event);
+}
+
+// ============================================================================
+// EMITTER
+// ============================================================================
+
+/**
+ * EventEmitter - Publish/subscribe bus with patterns, priorities and namespaces
+ */
+export class EventEmitter {
+    /**
+     * @param {Object} [options] - Emitter options
+     * @param {EventEmitter} [options.parent=null] - Emitter that also receives every emitted event
+     * @param {number} [options.historyLimit=0] - Payloads kept per event for `replay` and `sticky`
+     * @param {number} [options.logLimit=0] - Emits kept in the devtools log
+     * @param {Object} [options.contracts=null] - Registry from createEventContracts
+     * @param {boolean} [options.validate=true] - Check payloads against `contracts`; turn off in production
+     */
+    constructor({ parent = null, historyLimit = 0, logLimit = 0, contracts = null, validate = true } = {}) {
+        // Listener records by exact event name or pattern
+        this.events = {};
+        this.nextOrder = 0;
+        this.parent = parent;
+        // Recent `{ event, data, timestamp, seq }` entries by event name
+        this.history = {};
+        this.historyLimit = historyLimit;
+        this.nextSeq = 0;
+        this.log = [];
+        this.logCount = 0;
+        this.logLimit = logLimit;
+        this.logListeners = new Set();
+        this.changeListeners = new Set();
+        this.contracts = contracts;
+        this.validate = validate;
+        this.uncontracted = new Set();
+    }
+
+    /**
+     * Subscribe to an event or pattern
+     *
+     * Listeners run by descending priority, then in subscription order.
+     * They receive the payload and the emitted event name.
+     *
+     * With `replay` or `sticky`, kept payloads of matching events are
+     * delivered right away, oldest first, before any new ones. Nothing is
+     * kept unless the emitter was created with a `historyLimit`.
+     *
+     * @example
+     * emitter.subscribe('notification.*', show, { sticky: true }); // latest of each notification type
+     * emitter.subscribe('chat:message', append, { replay: Infinity }); // every kept message
+     *
+     * @param {string} event - Event name or pattern
+     * @param {Function} callback - (data, event) => void
+     * @param {Object} [options] - Subscription options
+     * @param {number} [options.priority=0] - Higher runs earlier
+     * @param {boolean} [options.once=false] - Unsubscribe after the first call
+     * @param {number} [options.replay=0] - Deliver up to this many kept payloads of matching events
+     * @param {boolean} [options.sticky=false] - Deliver the last kept payload of each matching event (overrides `replay`)
+     * @returns {Function} Unsubscribe function
+     */
+    subscribe(event, callback, { priority = 0, once = false, replay = 0, sticky = false } = {}) {
+        const missed = this.getMissed(event, { replay, sticky });
+        // A once-listener is satisfied by the most recent kept payload
+        if (once && missed.length > 0) {
+            this.invoke(callback, missed[missed.length - 1]);
+            return () => {};
+        }
+
+        if (!this.events[event]) {
+            this.events[event] = [];
+        }
+        const listener = { callback, priority, once, order: this.nextOrder++ };
+        this.events[event].push(listener);
+        this.notifyChange();
+        missed.forEach(entry => this.invoke(callback, entry));
+
+        // Return unsubscribe function
+        return () => this.removeListener(event, listener);
+    }
+
+    /**
+     * Subscribe for the next matching event only
+     *
+     * @param {string} event - Event name or pattern
+     * @param {Function} callback - (data, event) => void
+     * @param {Object} [options] - Same as subscribe(), without `once`
+     * @returns {Function} Unsubscribe function, if it has not fired yet
+     */
+    subscribeOnce(event, callback, options = {}) {
+        return this.subscribe(event, callback, { ...options, once: true });
+    }
+
+    /**
+     * Emit an event
+     *
+     * Calls the listeners synchronously without waiting for the promises
+     * they return; failures are reported to the "error" channel. Then
+     * bubbles to the parent emitter, if any.
+     *
+     * @param {string} event - Event name (not a pattern)
+     * @param {*} data - Event data
+     * @throws {Error} When `data` breaks the event's contract
+     */
+    emit(event, data) {
+        this.checkContract(event, data);
+        const listeners = this.getListeners(event);
+        this.record(event, data, listeners.length, 'sync');
+
+        listeners.forEach(({ key, listener }) => {
+            if (listener.once) this.removeListener(key, listener);
+            this.invoke(listener.callback, { event, data });
+        });
+
+        if (this.parent) this.parent.emit(event, data);
+    }
+
+    /**
+     * Emit an event and wait for the listeners to finish
+     *
+     * In 'serial' mode each listener is awaited before the next one starts,
+     * in priority order. In 'parallel' mode all of them start at once.
+     * Either way every listener runs; failures are reported to the "error"
+     * channel and collected in the result rather than rejecting. A parent
+     * emitter's listeners are included, after this emitter's in serial mode.
+     *
+     * @example
+     * const { errors } = await emitter.emitAsync('order.placed', order, { mode: 'parallel' });
+     * if (errors.length) showRetry();
+     *
+     * @param {string} event - Event name (not a pattern)
+     * @param {*} data - Event data
+     * @param {Object} [options] - Emit options
+     * @param {'serial'|'parallel'} [options.mode='serial'] - How to run the listeners
+     * @returns {Promise<Object>} `{ event, mode, results, errors }`, where `results`
+     *     holds one `{ status: 'fulfilled', value }` or `{ status: 'rejected', reason }`
+     *     per listener, in call order; rejects when `data` breaks the event's contract
+     */
+    async emitAsync(event, data, { mode = 'serial' } = {}) {
+        if (mode !== 'serial' && mode !== 'parallel') {
+            throw new Error(`Unknown emitAsync mode "${mode}"; use "serial" or "parallel"`);
+        }
+
+        this.checkContract(event, data);
+        const listeners = this.getListeners(event);
+        this.record(event, data, listeners.length, mode);
+        listeners.forEach(({ key, listener }) => {
+            if (listener.once) this.removeListener(key, listener);
+        });
+
+        const settle = async ({ listener }) => {
+            try {
+                return { status: 'fulfilled', value: await listener.callback(data, event) };
+            } catch (error) {
+                this.reportError(error, event, data);
+                return { status: 'rejected', reason: error };
+            }
+        };
+
+        let results;
+        if (mode === 'parallel') {
+            const bubbled = this.parent ? this.parent.emitAsync(event, data, { mode }) : null;
+            results = await Promise.all(listeners.map(settle));
+            if (bubbled) results = [...results, ...(await bubbled).results];
+        } else {
+            results = [];
+            for (const entry of listeners) {
+                results.push(await settle(entry));
+            }
+            if (this.parent) results = [...results, ...(await this.parent.emitAsync(event, data, { mode })).results];
+        }
+
+        return {
+            event,
+            mode,
+            results,
+            errors: results.filter(result => result.status === 'rejected').map(result => result.reason)
+        };
+    }
+
+    /**
+     * Unsubscribe from an event
+     * @param {string} event - Event name or pattern used to subscribe
+     * @param {Function} callback - Callback to remove
+     */
+    unsubscribe(event, callback) {
+        if (this.events[event]) {
+            this.events[event] = this.events[event].filter(listener => listener.callback !== callback);
+            if (this.events[event].length === 0) delete this.events[event];
+            this.notifyChange();
+        }
+    }
+
+    /**
+     * Count listeners
+     *
+     * @example
+     * emitter.listenerCount('chat:message');             // listeners an emit would call
+     * emitter.listenerCount('chat:*', { exact: true });  // subscribed under "chat:*" itself
+     *
+     * @param {string} [event] - Emitted event name; all of this emitter's listeners when omitted
+     * @param {Object} [options] - Count options
+     * @param {boolean} [options.exact=false] - Count only this emitter's listeners subscribed
+     *     under exactly `event` (a name or pattern, as passed to subscribe), as eventNames() lists them
+     * @returns {number} Listeners an emit of `event` would call, parents' included; with
+     *     `exact`, the listeners subscribed under that key
+     */
+    listenerCount(event, { exact = false } = {}) {
+        if (event === undefined) {
+            return Object.values(this.events).reduce((total, listeners) => total + listeners.length, 0);
+        }
+        if (exact) {
+            return this.events[event]?.length ?? 0;
+        }
+        return this.getListeners(event).length + (this.parent ? this.parent.listenerCount(event) : 0);
+    }
+
+    /**
+     * List subscribed event names and patterns
+     * @returns {string[]} Names with at least one listener
+     */
+    eventNames() {
+        return Object.keys(this.events);
+    }
+
+    /**
+     * Kept payloads, oldest first
+     *
+     * @param {string} [event] - Event name or pattern; every event when omitted
+     * @returns {Object[]} `{ event, data, timestamp }` entries
+     */
+    getHistory(event = '**') {
+        return this.getMissed(event, { replay: Infinity })
+            .map(({ event: name, data, timestamp }) => ({ event: name, data, timestamp }));
+    }
+
+    /**
+     * Forgets kept payloads
+     * @param {string} [event] - Event name; every event when omitted
+     */
+    clearHistory(event) {
+        if (event === undefined) {
+            this.history = {};
+        } else {
+            delete this.history[event];
+        }
+    }
+
+    /**
+     * The devtools log: the latest `logLimit` emits, oldest first
+     *
+     * Each entry is `{ id, event, data, timestamp, listeners, mode }`, where
+     * `listeners` is how many listeners the emit called on this emitter and
+     * `mode` is 'sync' for emit() or the emitAsync() mode. The array is
+     * replaced, not changed, when an entry is added.
+     *
+     * @returns {Object[]} Log entries
+     */
+    getLog() {
+        return this.log;
+    }
+
+    /**
+     * Subscribe to changes of the devtools log
+     * @param {Function} listener - Called after an entry is added or the log is cleared
+     * @returns {Function} Unsubscribe function
+     */
+    subscribeLog(listener) {
+        this.logListeners.add(listener);
+        return () => this.logListeners.delete(listener);
+    }
+
+    /**
+     * Subscribe to listener changes
+     *
+     * Called whenever a listener is added or removed here or on a parent, so
+     * views of listenerCount() and eventNames() can refresh without waiting
+     * for an emit.
+     *
+     * @param {Function} listener - Called after every change
+     * @returns {Function} Unsubscribe function
+     */
+    subscribeChanges(listener) {
+        this.changeListeners.add(listener);
+        const unsubscribeParent = this.parent?.subscribeChanges(listener);
+        return () => {
+            this.changeListeners.delete(listener);
+            unsubscribeParent?.();
+        };
+    }
+
+    /**
+     * Empties the devtools log
+     */
+    clearLog() {
+        this.log = [];
+        this.logListeners.forEach(listener => listener());
+    }
+
+    /**
+     * Returns an emitter view whose event names are prefixed with "namespace:"
+     *
+     * @example
+     * const chat = emitter.namespace('chat');
+     * chat.subscribe('message', show); // listens to "chat:message"
+     * chat.emit('message', data);
+     *
+     * @param {string} namespace - Namespace name
+     * @returns {Object} subscribe, subscribeOnce, emit, emitAsync, unsubscribe and listenerCount for the namespace
+     */
+    namespace(namespace) {
+        const qualify = event => `${namespace}:${event}`;
+
+        return {
+            subscribe: (event, callback, options) => this.subscribe(qualify(event), callback, options),
+            subscribeOnce: (event, callback, options) => this.subscribeOnce(qualify(event), callback, options),
+            emit: (event, data) => this.emit(qualify(event), data),
+            emitAsync: (event, data, options) => this.emitAsync(qualify(event), data, options),
+            unsubscribe: (event, callback) => this.unsubscribe(qualify(event), callback),
+            listenerCount: event => (event === undefined
+                ? this.eventNames()
+                    .filter(key => key.startsWith(`${namespace}:`))
+                    .reduce((total, key) => total + this.listenerCount(key, { exact: true }), 0)
+                : this.listenerCount(qualify(event)))
+        };
+    }
+
+    /**
+     * Collects the listeners for an emitted event in call order
+     * @private
+     */
+    getListeners(event) {
+        return Object.entries(this.events)
+            .filter(([key]) => matchesEvent(key, event))
+            .flatMap(([key, listeners]) => listeners.map(listener => ({ key, listener })))
+            .sort((a, b) => b.listener.priority - a.listener.priority || a.listener.order - b.listener.order);
+    }
+
+    /**
+     * Calls a listener with one emitted entry, reporting failures
+     * @private
+     */
+    invoke(callback, { event, data }) {
+        try {
+            const result = callback(data, event);
+            if (result && typeof result.then === 'function') {
+                result.then(undefined, error => this.reportError(error, event, data));
+            }
+        } catch (error) {
+            this.reportError(error, event, data);
+        }
+    }
+
+    /**
+     * Throws for a payload that breaks its contract; warns once per event
+     * emitted without one (except the emitter's own "error" channel)
+     * @private
+     */
+    checkContract(event, data) {
+        if (!this.contracts || !this.validate) return;
+
+        const problems = this.contracts.validate(event, data);
+        if (problems === null) {
+            if (event !== ERROR_EVENT && !this.uncontracted.has(event)) {
+                this.uncontracted.add(event);
+                console.warn(`"${event}" was emitted without a registered contract; add it to the event contracts.`);
+            }
+        } else if (problems.length > 0) {
+            throw new Error(`Invalid payload for "${event}": ${problems.join('; ')}`);
+        }
+    }
+
+    /**
+     * Adds an emit to the history and the devtools log, when enabled
+     * @private
+     */
+    record(event, data, listeners, mode) {
+        const timestamp = Date.now();
+
+        if (this.historyLimit > 0) {
+            const kept = this.history[event] || [];
+            this.history[event] = [...kept, { event, data, timestamp, seq: this.nextSeq++ }].slice(-this.historyLimit);
+        }
+
+        if (this.logLimit > 0) {
+            const id = ++this.logCount;
+            this.log = [...this.log, { id, event, data, timestamp, listeners, mode }].slice(-this.logLimit);
+            this.logListeners.forEach(listener => listener());
+        }
+    }
+
+    /**
+     * Kept entries a new `replay` or `sticky` subscriber should receive
+     * @private
+     */
+    getMissed(event, { replay, sticky }) {
+        if (!replay && !sticky) return [];
+
+        const matching = Object.keys(this.history)
+            .filter(name => matchesEvent(event, name))
+            .map(name => this.history[name]);
+        const entries = sticky
+            ? matching.map(kept => kept[kept.length - 1])
+            : matching.flat();
+        entries.sort((a, b) => a.seq - b.seq);
+        return sticky ? entries : entries.slice(-replay);
+    }
+
+    /**
+     * Sends a listener failure to the "error" channel, or to the console
+     * when nobody listens there or an error listener itself failed. Never
+     * throws, so one failing listener cannot stop the others; thrown
+     * non-Errors (`throw 'boom'`) are wrapped so the payload always
+     * carries an Error.
+     * @private
+     */
+    reportError(error, event, data) {
+        if (event === ERROR_EVENT || this.listenerCount(ERROR_EVENT) === 0) {
+            console.error(`A listener for "${event}" failed:`, error);
+            return;
+        }
+        const reported = error instanceof Error ? error : new Error(String(error), { cause: error });
+        try {
+            this.emit(ERROR_EVENT, { error: reported, event, data });
+        } catch (reportFailure) {
+            console.error(`A listener for "${event}" failed:`, error, 'and reporting it failed:', reportFailure);
+        }
+    }
+
+    /**
+     * Removes one listener record
+     * @private
+     */
+    removeListener(event, listener) {
+        if (!this.events[event]?.includes(listener)) return;
+        this.events[event] = this.events[event].filter(l => l !== listener);
+        if (this.events[event].length === 0) delete this.events[event];
+        this.notifyChange();
+    }
+
+    /**
+     * Tells change subscribers that a listener was added or removed
+     * @private
+     */
+    notifyChange() {
+        this.changeListeners.forEach(listener => listener());
+    }
+}
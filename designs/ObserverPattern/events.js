@@ -0,0 +1,34 @@
+import { ERROR_EVENT } from './eventEmitter.js';
+import { createEventContracts, types } from './contracts.js';
+
+/**
+ * The events of the Observer pattern demo and what each payload contains.
+ * The page bus validates emits against these contracts in development,
+ * and the Event Catalogue lists them along with the components that
+ * publish and observe each one.
+ */
+export const eventContracts = createEventContracts({
+    'chat:message': {
+        description: 'A chat message was published.',
+        payload: types.shape({
+            text: types.string(),
+            timestamp: types.string()
+        })
+    },
+    'notification.*': {
+        description: 'A notification of the given type, e.g. notification.error.',
+        payload: types.shape({
+            type: types.oneOf('success', 'warning', 'error'),
+            message: types.string(),
+            timestamp: types.string()
+        })
+    },
+    [ERROR_EVENT]: {
+        description: 'A listener threw or rejected; emitted by the bus itself.',
+        payload: types.shape({
+            error: types.instanceOf(Error),
+            event: types.string(),
+            data: types.any()
+        })
+    }
+});
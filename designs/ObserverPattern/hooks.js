@@ -0,0 +1,46 @@
+import { createContext, useContext, useEffect, useRef } from 'react';
+
+/**
+ * React bindings for the observer bus: components find their emitter in
+ * context, so every EventBusProvider subtree can have a bus of its own.
+ */
+
+export const EventBusContext = createContext(null);
+
+/**
+ * useEventEmitter - Returns the emitter of the nearest EventBusProvider
+ *
+ * @returns {EventEmitter} Event emitter instance
+ * @throws {Error} When used outside an EventBusProvider
+ */
+export function useEventEmitter() {
+    const emitter = useContext(EventBusContext);
+    if (!emitter) {
+        throw new Error('useEventEmitter and useEventListener must be used within an EventBusProvider');
+    }
+    return emitter;
+}
+
+/**
+ * useEventListener - Hook to subscribe to events
+ *
+ * Subscribes once per event name and options; the latest callback is
+ * always called, so inline callbacks do not resubscribe on every render
+ * (which would also reset their place among equal-priority listeners).
+ * With `replay` or `sticky`, a component that mounts late still receives
+ * the kept payloads it missed.
+ *
+ * @param {string} event - Event name or pattern such as "notification.*"
+ * @param {Function} callback - (data, event) => void
+ * @param {Object} [options] - `priority`, `once`, `replay` and `sticky`, as for EventEmitter.subscribe
+ */
+export function useEventListener(event, callback, { priority = 0, once = false, replay = 0, sticky = false } = {}) {
+    const emitter = useEventEmitter();
+    const callbackRef = useRef(callback);
+    callbackRef.current = callback;
+
+    useEffect(() => {
+        const unsubscribe = emitter.subscribe(event, (...args) => callbackRef.current(...args), { priority, once, replay, sticky });
+        return unsubscribe;
+    }, [event, emitter, priority, once, replay, sticky]);
+}
@@ -0,0 +1,365 @@
+import React, { useState, useEffect, useRef, useLayoutEffect } from 'react';
+import { createPortal } from 'react-dom';
+
+/**
+ * PORTAL PATTERN DEMONSTRATION
+ *
+ * Portals render children into a DOM node outside the parent component's
+ * hierarchy while keeping them in the React tree. Context, state and event
+ * bubbling still work as if the content were rendered in place.
+ *
+ * Benefits:
+ * - Escape overflow: hidden and z-index stacking contexts
+ * - Modals, tooltips and toasts render above everything
+ * - React events still bubble through the component tree
+ * - Context keeps working across the portal boundary
+ * - Clean separation of layout and logic
+ */
+
+// ============================================================================
+// PORTAL PRIMITIVE
+// ============================================================================
+
+/**
+ * Portal - Renders children into a DOM node outside the current hierarchy
+ *
+ * Creates the container on first use when no element with the given id
+ * exists, and removes it again on unmount.
+ *
+ * @param {Object} props - Component props
+ * @param {string} [props.containerId='portal-root'] - Id of the target element
+ * @param {React.ReactNode} props.children - Content to render
+ * @returns {React.ReactPortal|null} Portal
+ */
+function Portal({ containerId = 'portal-root', children }) {
+    const [container, setContainer] = useState(null);
+
+    useLayoutEffect(() => {
+        let element = document.getElementById(containerId);
+        let created = false;
+
+        if (!element) {
+            element = document.createElement('div');
+            element.id = containerId;
+            document.body.appendChild(element);
+            created = true;
+        }
+
+        setContainer(element);
+
+        return () => {
+            if (created && element.parentNode) {
+                element.parentNode.removeChild(element);
+            }
+        };
+    }, [containerId]);
+
+    return container ? createPortal(children, container) : null;
+}
+
+// ============================================================================
+// MODAL
+// ============================================================================
+
+/**
+ * Modal - Accessible dialog rendered through a portal
+ *
+ * @param {Object} props - Component props
+ * @param {boolean} props.isOpen - Whether the modal is visible
+ * @param {Function} props.onClose - Called on overlay click or Escape
+ * @param {string} props.title - Dialog title
+ * @param {React.ReactNode} props.children - Dialog body
+ * @returns {JSX.Element|null} Modal
+ */
+function Modal({ isOpen, onClose, title, children }) {
+    const dialogRef = useRef(null);
+
+    useEffect(() => {
+        if (!isOpen) return undefined;
+
+        const handleKeyDown = (e) => {
+            if (e.key === 'Escape') onClose();
+        };
+
+        const previouslyFocused = document.activeElement;
+        document.addEventListener('keydown', handleKeyDown);
+        dialogRef.current?.focus();
+
+        return () => {
+            document.removeEventListener('keydown', handleKeyDown);
+            previouslyFocused?.focus?.();
+        };
+    }, [isOpen, onClose]);
+
+    if (!isOpen) return null;
+
+    return (
+        <Portal containerId="modal-root">
+            <div
+                onClick={onClose}
+                style={{
+                    position: 'fixed',
+                    inset: 0,
+                    backgroundColor: 'rgba(0,0,0,0.5)',
+                    display: 'flex',
+                    alignItems: 'center',
+                    justifyContent: 'center',
+                    zIndex: 1000
+                }}
+            >
+                <div
+                    ref={dialogRef}
+                    role="dialog"
+                    aria-modal="true"
+                    aria-label={title}
+                    tabIndex={-1}
+                    onClick={(e) => e.stopPropagation()}
+                    style={{
+                        width: '400px',
+                        maxWidth: '90vw',
+                        padding: '24px',
+                        backgroundColor: 'white',
+                        borderRadius: '8px',
+                        boxShadow: '0 8px 24px rgba(0,0,0,0.2)',
+                        outline: 'none'
+                    }}
+                >
+                    <h3 style={{ marginTop: 0, color: '#2c3e50' }}>{title}</h3>
+                    {children}
+                    <button
+                        onClick={onClose}
+                        style={{
+                            marginTop: '16px',
+                            padding: '8px 16px',
+                            backgroundColor: '#3498db',
+                            color: 'white',
+                            border: 'none',
+                            borderRadius: '4px',
+                            cursor: 'pointer'
+                        }}
+                    >
+                        Close
+                    </button>
+                </div>
+            </div>
+        </Portal>
+    );
+}
+
+// ============================================================================
+// TOOLTIP
+// ============================================================================
+
+/**
+ * Tooltip - Positions a label next to its trigger using a portal
+ *
+ * @param {Object} props - Component props
+ * @param {string} props.text - Tooltip text
+ * @param {React.ReactNode} props.children - Trigger element
+ * @returns {JSX.Element} Trigger with tooltip
+ */
+function Tooltip({ text, children }) {
+    const triggerRef = useRef(null);
+    const [position, setPosition] = useState(null);
+
+    const show = () => {
+        const rect = triggerRef.current.getBoundingClientRect();
+        setPosition({
+            top: rect.top + window.scrollY - 8,
+            left: rect.left + window.scrollX + rect.width / 2
+        });
+    };
+
+    const hide = () => setPosition(null);
+
+    return (
+        <>
+            <span
+                ref={triggerRef}
+                onMouseEnter={show}
+                onMouseLeave={hide}
+                onFocus={show}
+                onBlur={hide}
+                tabIndex={0}
+                style={{ borderBottom: '1px dashed #3498db', cursor: 'help' }}
+            >
+                {children}
+            </span>
+            {position && (
+                <Portal containerId="tooltip-root">
+                    <div
+                        role="tooltip"
+                        style={{
+                            position: 'absolute',
+                            top: position.top,
+                            left: position.left,
+                            transform: 'translate(-50%, -100%)',
+                            padding: '6px 10px',
+                            backgroundColor: '#2c3e50',
+                            color: 'white',
+                            borderRadius: '4px',
+                            fontSize: '12px',
+                            whiteSpace: 'nowrap',
+                            pointerEvents: 'none',
+                            zIndex: 1000
+                        }}
+                    >
+                        {text}
+                    </div>
+                </Portal>
+            )}
+        </>
+    );
+}
+
+// ============================================================================
+// TOASTS
+// ============================================================================
+
+/**
+ * ToastStack - Renders a stack of toasts in a fixed corner portal
+ *
+ * @param {Object} props - Component props
+ * @param {Array<{id: number, message: string}>} props.toasts - Toasts to show
+ * @param {Function} props.onDismiss - Called with a toast id to dismiss it
+ * @returns {JSX.Element} Toast stack
+ */
+function ToastStack({ toasts, onDismiss }) {
+    return (
+        <Portal containerId="toast-root">
+            <div style={{
+                position: 'fixed',
+                bottom: '20px',
+                right: '20px',
+                display: 'flex',
+                flexDirection: 'column',
+                gap: '8px',
+                zIndex: 1100
+            }}>
+                {toasts.map(toast => (
+                    <div
+                        key={toast.id}
+                        role="status"
+                        onClick={() => onDismiss(toast.id)}
+                        style={{
+                            padding: '12px 16px',
+                            backgroundColor: '#27ae60',
+                            color: 'white',
+                            borderRadius: '4px',
+                            boxShadow: '0 2px 8px rgba(0,0,0,0.2)',
+                            cursor: 'pointer'
+                        }}
+                    >
+                        {toast.message}
+                    </div>
+                ))}
+            </div>
+        </Portal>
+    );
+}
+
+// ============================================================================
+// MAIN DEMO COMPONENT
+// ============================================================================
+
+const cardStyle = {
+    padding: '20px',
+    backgroundColor: 'white',
+    borderRadius: '8px',
+    boxShadow: '0 2px 4px rgba(0,0,0,0.1)'
+};
+
+const buttonStyle = {
+    padding: '10px 20px',
+    backgroundColor: '#3498db',
+    color: 'white',
+    border: 'none',
+    borderRadius: '4px',
+    cursor: 'pointer'
+};
+
+/**
+ * PortalPatternDemo - Main demonstration component
+ *
+ * @returns {JSX.Element} Complete demonstration of the portal pattern
+ */
+function PortalPatternDemo() {
+    const [isModalOpen, setIsModalOpen] = useState(false);
+    const [toasts, setToasts] = useState([]);
+    const [bubbledClicks, setBubbledClicks] = useState(0);
+
+    const addToast = () => {
+        const id = Date.now();
+        setToasts(prev => [...prev, { id, message: `Saved at ${new Date().toLocaleTimeString()}` }]);
+        setTimeout(() => {
+            setToasts(prev => prev.filter(toast => toast.id !== id));
+        }, 3000);
+    };
+
+    const dismissToast = (id) => setToasts(prev => prev.filter(toast => toast.id !== id));
+
+    return (
+        <div style={{ minHeight: '100vh', backgroundColor: '#f5f6fa', padding: '40px 20px' }}>
+            <div style={{ maxWidth: '1200px', margin: '0 auto' }}>
+                <header style={{ textAlign: 'center', marginBottom: '40px' }}>
+                    <h1 style={{ color: '#2c3e50', marginBottom: '8px' }}>Portal Pattern</h1>
+                    <p style={{ color: '#7f8c8d', fontSize: '16px' }}>
+                        Render outside the DOM hierarchy, stay inside the React tree
+                    </p>
+                </header>
+
+                <div style={{
+                    display: 'grid',
+                    gridTemplateColumns: 'repeat(auto-fit, minmax(300px, 1fr))',
+                    gap: '24px'
+                }}>
+                    <div
+                        onClick={() => setBubbledClicks(count => count + 1)}
+                        style={{ ...cardStyle, overflow: 'hidden', height: '180px' }}
+                    >
+                        <h3 style={{ marginTop: 0, color: '#2c3e50' }}>🪟 Modal</h3>
+                        <p style={{ color: '#7f8c8d', fontSize: '14px' }}>
+                            This card has overflow: hidden, yet the modal covers the page.
+                            Clicks inside the modal still bubble here: <strong>{bubbledClicks}</strong>
+                        </p>
+                        <button onClick={() => setIsModalOpen(true)} style={buttonStyle}>
+                            Open modal
+                        </button>
+                        <Modal
+                            isOpen={isModalOpen}
+                            onClose={() => setIsModalOpen(false)}
+                            title="Rendered through a portal"
+                        >
+                            <p style={{ color: '#34495e' }}>
+                                This dialog lives in #modal-root, outside the card, but React
+                                events bubble through the component tree.
+                            </p>
+                        </Modal>
+                    </div>
+
+                    <div style={{ ...cardStyle, overflow: 'hidden' }}>
+                        <h3 style={{ marginTop: 0, color: '#2c3e50' }}>💬 Tooltip</h3>
+                        <p style={{ color: '#34495e' }}>
+                            Hover <Tooltip text="I escape the clipped container">this text</Tooltip> to
+                            show a tooltip positioned in #tooltip-root.
+                        </p>
+                    </div>
+
+                    <div style={cardStyle}>
+                        <h3 style={{ marginTop: 0, color: '#2c3e50' }}>🔔 Toasts</h3>
+                        <p style={{ color: '#7f8c8d', fontSize: '14px' }}>
+                            Toasts render in a fixed corner regardless of where they are triggered.
+                        </p>
+                        <button onClick={addToast} style={{ ...buttonStyle, backgroundColor: '#27ae60' }}>
+                            Show toast
+                        </button>
+                        <ToastStack toasts={toasts} onDismiss={dismissToast} />
+                    </div>
+                </div>
+            </div>
+        </div>
+    );
+}
+
+export { Portal, Modal, Tooltip, ToastStack };
+export default PortalPatternDemo;
@@ -511,4 +511,5 @@ function PropsGetterDemo() {
     );
 }
 
+export { Toggle, ContactForm };
 export default PropsGetterDemo;
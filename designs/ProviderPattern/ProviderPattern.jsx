@@ -0,0 +1,334 @@
+import React, { useState, useReducer, useMemo, useCallback } from 'react';
+import {
+    ThemeContext,
+    AuthContext,
+    CartContext,
+    themes,
+    cartReducer,
+    cartInitialState,
+    useTheme,
+    useAuth,
+    useCart
+} from './contexts.js';
+
+/**
+ * PROVIDER PATTERN DEMONSTRATION
+ *
+ * The Provider pattern makes data available to an entire subtree through
+ * React Context, avoiding prop drilling. Consumers read the value with a
+ * hook instead of receiving it through every intermediate component.
+ *
+ * Benefits:
+ * - No prop drilling
+ * - Single source of truth per concern
+ * - Swappable implementations (tests, storybook)
+ * - Colocated state and actions
+ * - Composable providers
+ */
+
+// ============================================================================
+// PROVIDERS
+// ============================================================================
+
+/**
+ * ThemeProvider - Provides the current theme and a toggle
+ *
+ * @param {Object} props - Component props
+ * @param {string} [props.initialTheme='light'] - Initial theme name
+ * @param {React.ReactNode} props.children - Subtree
+ * @returns {JSX.Element} Provider
+ */
+function ThemeProvider({ initialTheme = 'light', children }) {
+    const [themeName, setThemeName] = useState(initialTheme);
+
+    const toggleTheme = useCallback(() => {
+        setThemeName(prev => (prev === 'light' ? 'dark' : 'light'));
+    }, []);
+
+    // Memoize so consumers only re-render when the theme actually changes
+    const value = useMemo(() => ({
+        theme: themes[themeName],
+        toggleTheme
+    }), [themeName, toggleTheme]);
+
+    return <ThemeContext.Provider value={value}>{children}</ThemeContext.Provider>;
+}
+
+/**
+ * AuthProvider - Provides the current user and login/logout actions
+ *
+ * @param {Object} props - Component props
+ * @param {React.ReactNode} props.children - Subtree
+ * @returns {JSX.Element} Provider
+ */
+function AuthProvider({ children }) {
+    const [user, setUser] = useState(null);
+
+    const login = useCallback((name) => {
+        setUser({ name, loggedInAt: new Date().toLocaleTimeString() });
+    }, []);
+
+    const logout = useCallback(() => setUser(null), []);
+
+    const value = useMemo(() => ({ user, login, logout }), [user, login, logout]);
+
+    return <AuthContext.Provider value={value}>{children}</AuthContext.Provider>;
+}
+
+/**
+ * CartProvider - Provides cart state backed by a reducer
+ *
+ * @param {Object} props - Component props
+ * @param {React.ReactNode} props.children - Subtree
+ * @returns {JSX.Element} Provider
+ */
+function CartProvider({ children }) {
+    const [state, dispatch] = useReducer(cartReducer, cartInitialState);
+
+    const value = useMemo(() => ({
+        items: state.items,
+        count: state.items.reduce((sum, item) => sum + item.quantity, 0),
+        total: state.items.reduce((sum, item) => sum + item.price * item.quantity, 0),
+        addItem: (item) => dispatch({ type: 'ADD_ITEM', payload: item }),
+        removeItem: (id) => dispatch({ type: 'REMOVE_ITEM', payload: id }),
+        clear: () => dispatch({ type: 'CLEAR' })
+    }), [state.items]);
+
+    return <CartContext.Provider value={value}>{children}</CartContext.Provider>;
+}
+
+/**
+ * AppProviders - Composes several providers into one wrapper
+ *
+ * @param {Object} props - Component props
+ * @param {Array<React.ComponentType>} props.providers - Providers, outermost first
+ * @param {React.ReactNode} props.children - Subtree
+ * @returns {JSX.Element} Nested providers
+ */
+function AppProviders({ providers, children }) {
+    return providers.reduceRight(
+        (tree, Provider) => <Provider>{tree}</Provider>,
+        children
+    );
+}
+
+// ============================================================================
+// DEMO CONSUMERS
+// ============================================================================
+
+const PRODUCTS = [
+    { id: 1, name: 'Keyboard', price: 49 },
+    { id: 2, name: 'Mouse', price: 25 },
+    { id: 3, name: 'Monitor', price: 199 }
+];
+
+/**
+ * Panel - Themed card used by the demo consumers
+ */
+function Panel({ title, children }) {
+    const { theme } = useTheme();
+
+    return (
+        <div style={{
+            padding: '20px',
+            backgroundColor: theme.surface,
+            color: theme.text,
+            borderRadius: '8px',
+            boxShadow: '0 2px 4px rgba(0,0,0,0.1)',
+            transition: 'all 0.2s'
+        }}>
+            <h3 style={{ marginTop: 0 }}>{title}</h3>
+            {children}
+        </div>
+    );
+}
+
+/**
+ * ThemeSwitcher - Consumes ThemeContext
+ */
+function ThemeSwitcher() {
+    const { theme, toggleTheme } = useTheme();
+
+    return (
+        <Panel title="🎨 Theme">
+            <p style={{ color: theme.muted }}>Current theme: <strong>{theme.name}</strong></p>
+            <button
+                onClick={toggleTheme}
+                style={{
+                    padding: '10px 20px',
+                    backgroundColor: theme.primary,
+                    color: 'white',
+                    border: 'none',
+                    borderRadius: '4px',
+                    cursor: 'pointer'
+                }}
+            >
+                Toggle theme
+            </button>
+        </Panel>
+    );
+}
+
+/**
+ * LoginPanel - Consumes AuthContext
+ */
+function LoginPanel() {
+    const { theme } = useTheme();
+    const { user, login, logout } = useAuth();
+    const [name, setName] = useState('');
+
+    return (
+        <Panel title="🔐 Auth">
+            {user ? (
+                <>
+                    <p>Welcome, <strong>{user.name}</strong></p>
+                    <p style={{ color: theme.muted, fontSize: '12px' }}>Logged in at {user.loggedInAt}</p>
+                    <button
+                        onClick={logout}
+                        style={{ padding: '8px 16px', backgroundColor: '#e74c3c', color: 'white', border: 'none', borderRadius: '4px', cursor: 'pointer' }}
+                    >
+                        Logout
+                    </button>
+                </>
+            ) : (
+                <form
+                    onSubmit={(e) => {
+                        e.preventDefault();
+                        if (name.trim()) login(name.trim());
+                    }}
+                    style={{ display: 'flex', gap: '8px' }}
+                >
+                    <input
+                        value={name}
+                        onChange={(e) => setName(e.target.value)}
+                        placeholder="Your name"
+                        style={{ flex: 1, padding: '8px', border: `2px solid ${theme.primary}`, borderRadius: '4px' }}
+                    />
+                    <button
+                        type="submit"
+                        style={{ padding: '8px 16px', backgroundColor: theme.primary, color: 'white', border: 'none', borderRadius: '4px', cursor: 'pointer' }}
+                    >
+                        Login
+                    </button>
+                </form>
+            )}
+        </Panel>
+    );
+}
+
+/**
+ * ProductList - Consumes CartContext to add items
+ */
+function ProductList() {
+    const { theme } = useTheme();
+    const { addItem } = useCart();
+
+    return (
+        <Panel title="🛍️ Products">
+            {PRODUCTS.map(product => (
+                <div key={product.id} style={{ display: 'flex', justifyContent: 'space-between', alignItems: 'center', marginBottom: '8px' }}>
+                    <span>{product.name} - ${product.price}</span>
+                    <button
+                        onClick={() => addItem(product)}
+                        style={{ padding: '6px 12px', backgroundColor: theme.primary, color: 'white', border: 'none', borderRadius: '4px', cursor: 'pointer' }}
+                    >
+                        Add
+                    </button>
+                </div>
+            ))}
+        </Panel>
+    );
+}
+
+/**
+ * CartSummary - Consumes CartContext and AuthContext
+ */
+function CartSummary() {
+    const { theme } = useTheme();
+    const { user } = useAuth();
+    const { items, count, total, removeItem, clear } = useCart();
+
+    return (
+        <Panel title={`🛒 Cart (${count})`}>
+            {items.length === 0 ? (
+                <p style={{ color: theme.muted }}>Cart is empty</p>
+            ) : (
+                <>
+                    {items.map(item => (
+                        <div key={item.id} style={{ display: 'flex', justifyContent: 'space-between', marginBottom: '6px' }}>
+                            <span>{item.name} × {item.quantity}</span>
+                            <button
+                                onClick={() => removeItem(item.id)}
+                                style={{ background: 'none', border: 'none', color: '#e74c3c', cursor: 'pointer' }}
+                            >
+                                ✕
+                            </button>
+                        </div>
+                    ))}
+                    <p><strong>Total: ${total}</strong></p>
+                    <button
+                        onClick={clear}
+                        style={{ padding: '6px 12px', backgroundColor: '#95a5a6', color: 'white', border: 'none', borderRadius: '4px', cursor: 'pointer' }}
+                    >
+                        Clear
+                    </button>
+                </>
+            )}
+            <p style={{ color: theme.muted, fontSize: '12px', marginBottom: 0 }}>
+                {user ? `Checking out as ${user.name}` : 'Login to check out'}
+            </p>
+        </Panel>
+    );
+}
+
+/**
+ * ThemedPage - Page background reading the theme from context
+ */
+function ThemedPage({ children }) {
+    const { theme } = useTheme();
+
+    return (
+        <div style={{ minHeight: '100vh', backgroundColor: theme.background, padding: '40px 20px', transition: 'all 0.2s' }}>
+            <div style={{ maxWidth: '1200px', margin: '0 auto' }}>
+                <header style={{ textAlign: 'center', marginBottom: '40px' }}>
+                    <h1 style={{ color: theme.text, marginBottom: '8px' }}>Provider Pattern</h1>
+                    <p style={{ color: theme.muted, fontSize: '16px' }}>
+                        Share state across the tree without prop drilling
+                    </p>
+                </header>
+                {children}
+            </div>
+        </div>
+    );
+}
+
+// ============================================================================
+// MAIN DEMO COMPONENT
+// ============================================================================
+
+/**
+ * ProviderPatternDemo - Main demonstration component
+ *
+ * @returns {JSX.Element} Complete demonstration of the provider pattern
+ */
+function ProviderPatternDemo() {
+    return (
+        <AppProviders providers={[ThemeProvider, AuthProvider, CartProvider]}>
+            <ThemedPage>
+                <div style={{
+                    display: 'grid',
+                    gridTemplateColumns: 'repeat(auto-fit, minmax(260px, 1fr))',
+                    gap: '24px'
+                }}>
+                    <ThemeSwitcher />
+                    <LoginPanel />
+                    <ProductList />
+                    <CartSummary />
+                </div>
+            </ThemedPage>
+        </AppProviders>
+    );
+}
+
+export { ThemeProvider, AuthProvider, CartProvider, AppProviders };
+export default ProviderPatternDemo;
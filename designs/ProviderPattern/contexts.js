@@ -0,0 +1,121 @@
+import { createContext, useContext } from 'react';
+
+/**
+ * Contexts and consumer hooks for the Provider pattern.
+ *
+ * Kept separate from the provider components so hooks can be imported
+ * anywhere without pulling in the demo.
+ */
+
+// ============================================================================
+// CONTEXTS
+// ============================================================================
+
+export const ThemeContext = createContext(null);
+export const AuthContext = createContext(null);
+export const CartContext = createContext(null);
+
+// ============================================================================
+// THEMES
+// ============================================================================
+
+export const themes = {
+    light: {
+        name: 'light',
+        background: '#ffffff',
+        surface: '#f8f9fa',
+        text: '#2c3e50',
+        muted: '#7f8c8d',
+        primary: '#3498db'
+    },
+    dark: {
+        name: 'dark',
+        background: '#2c3e50',
+        surface: '#34495e',
+        text: '#ecf0f1',
+        muted: '#bdc3c7',
+        primary: '#1abc9c'
+    }
+};
+
+// ============================================================================
+// CART REDUCER
+// ============================================================================
+
+export const cartInitialState = { items: [] };
+
+/**
+ * cartReducer - Pure reducer backing CartProvider
+ *
+ * @param {Object} state - Current cart state
+ * @param {Object} action - Dispatched action
+ * @returns {Object} Next cart state
+ */
+export function cartReducer(state, action) {
+    switch (action.type) {
+        case 'ADD_ITEM': {
+            const existing = state.items.find(item => item.id === action.payload.id);
+            if (existing) {
+                return {
+                    items: state.items.map(item =>
+                        item.id === action.payload.id ? { ...item, quantity: item.quantity + 1 } : item
+                    )
+                };
+            }
+            return { items: [...state.items, { ...action.payload, quantity: 1 }] };
+        }
+        case 'REMOVE_ITEM':
+            return { items: state.items.filter(item => item.id !== action.payload) };
+        case 'CLEAR':
+            return cartInitialState;
+        default:
+            throw new Error(`Unknown action: ${action.type}`);
+    }
+}
+
+// ============================================================================
+// CONSUMER HOOKS
+// ============================================================================
+
+/**
+ * Reads a context value and fails loudly outside its provider
+ *
+ * @param {React.Context} context - Context to read
+ * @param {string} hookName - Hook name used in the error message
+ * @param {string} providerName - Provider name used in the error message
+ * @returns {*} Context value
+ */
+function useRequiredContext(context, hookName, providerName) {
+    const value = useContext(context);
+    if (value === null) {
+        throw new Error(`${hookName} must be used within a ${providerName}`);
+    }
+    return value;
+}
+
+/**
+ * useTheme - Access the current theme and toggle function
+ *
+ * @returns {{ theme: Object, toggleTheme: Function }} Theme value
+ */
+export function useTheme() {
+    return useRequiredContext(ThemeContext, 'useTheme', 'ThemeProvider');
+}
+
+/**
+ * useAuth - Access the current user and login/logout actions
+ *
+ * @returns {{ user: Object|null, login: Function, logout: Function }} Auth value
+ */
+export function useAuth() {
+    return useRequiredContext(AuthContext, 'useAuth', 'AuthProvider');
+}
+
+/**
+ * useCart - Access cart items, totals and actions
+ *
+ * @returns {Object} Cart value
+ */
+export function useCart() {
+    return useRequiredContext(CartContext, 'useCart', 'CartProvider');
+}
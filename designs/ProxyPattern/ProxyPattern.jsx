@@ -0,0 +1,278 @@
+import React, { useState, useMemo } from 'react';
+import {
+    createValidationProxy,
+    createLoggingProxy,
+    createReadOnlyProxy,
+    createCachingProxy
+} from './proxy.js';
+
+/**
+ * PROXY PATTERN DEMONSTRATION
+ *
+ * A proxy stands in for another object and controls access to it. With
+ * the ES Proxy API we can intercept reads, writes and calls to add
+ * validation, logging, immutability or caching without touching the target.
+ *
+ * Benefits:
+ * - Cross-cutting behavior without modifying the target
+ * - Transparent to consumers
+ * - Centralized validation and access control
+ * - Lazy loading and caching
+ */
+
+const cardStyle = {
+    padding: '20px',
+    backgroundColor: 'white',
+    borderRadius: '8px',
+    boxShadow: '0 2px 4px rgba(0,0,0,0.1)'
+};
+
+const buttonStyle = {
+    padding: '8px 16px',
+    backgroundColor: '#3498db',
+    color: 'white',
+    border: 'none',
+    borderRadius: '4px',
+    cursor: 'pointer'
+};
+
+// ============================================================================
+// VALIDATION PROXY DEMO
+// ============================================================================
+
+const userValidators = {
+    name: (value) => (typeof value === 'string' && value.trim().length >= 2 ? null : 'must be at least 2 characters'),
+    age: (value) => (Number.isInteger(value) && value >= 0 && value <= 150 ? null : 'must be an integer between 0 and 150')
+};
+
+/**
+ * ValidationDemo - Writes go through a validating proxy
+ */
+function ValidationDemo() {
+    const user = useMemo(() => createValidationProxy({ name: 'Ada', age: 36 }, userValidators), []);
+    const [snapshot, setSnapshot] = useState({ ...user });
+    const [field, setField] = useState('age');
+    const [input, setInput] = useState('');
+    const [error, setError] = useState(null);
+
+    const assign = () => {
+        try {
+            user[field] = field === 'age' ? Number(input) : input;
+            setSnapshot({ ...user });
+            setError(null);
+        } catch (err) {
+            setError(err.message);
+        }
+    };
+
+    return (
+        <div style={cardStyle}>
+            <h3 style={{ marginTop: 0, color: '#2c3e50' }}>🛡️ Validation Proxy</h3>
+            <div style={{ display: 'flex', gap: '8px', marginBottom: '12px' }}>
+                <select value={field} onChange={(e) => setField(e.target.value)} style={{ padding: '6px' }}>
+                    <option value="name">name</option>
+                    <option value="age">age</option>
+                </select>
+                <input
+                    value={input}
+                    onChange={(e) => setInput(e.target.value)}
+                    placeholder="New value"
+                    style={{ flex: 1, padding: '6px' }}
+                />
+                <button onClick={assign} style={buttonStyle}>Set</button>
+            </div>
+            {error && <p style={{ color: '#e74c3c', fontSize: '14px' }}>❌ {error}</p>}
+            <pre style={{ backgroundColor: '#f8f9fa', padding: '12px', borderRadius: '4px' }}>
+                {JSON.stringify(snapshot, null, 2)}
+            </pre>
+        </div>
+    );
+}
+
+// ============================================================================
+// LOGGING PROXY DEMO
+// ============================================================================
+
+/**
+ * LoggingDemo - Every property access is recorded
+ */
+function LoggingDemo() {
+    const [log, setLog] = useState([]);
+    const settings = useMemo(
+        () => createLoggingProxy({ theme: 'light', fontSize: 14 }, (entry) => {
+            setLog(prev => [...prev.slice(-7), entry]);
+        }),
+        []
+    );
+
+    return (
+        <div style={cardStyle}>
+            <h3 style={{ marginTop: 0, color: '#2c3e50' }}>📝 Logging Proxy</h3>
+            <div style={{ display: 'flex', gap: '8px', marginBottom: '12px', flexWrap: 'wrap' }}>
+                <button onClick={() => settings.theme} style={buttonStyle}>Read theme</button>
+                <button
+                    onClick={() => { settings.theme = settings.theme === 'light' ? 'dark' : 'light'; }}
+                    style={buttonStyle}
+                >
+                    Toggle theme
+                </button>
+                <button onClick={() => { settings.fontSize += 1; }} style={buttonStyle}>Font +1</button>
+            </div>
+            <div style={{ backgroundColor: '#f8f9fa', borderRadius: '4px', padding: '8px', minHeight: '80px' }}>
+                {log.map((entry, i) => (
+                    <div key={i} style={{ fontFamily: 'monospace', fontSize: '13px' }}>
+                        {entry.type.toUpperCase()} {entry.prop}
+                        {entry.type !== 'delete' && ` → ${JSON.stringify(entry.value)}`}
+                    </div>
+                ))}
+            </div>
+        </div>
+    );
+}
+
+// ============================================================================
+// READ-ONLY PROXY DEMO
+// ============================================================================
+
+const appState = { user: { name: 'Grace', roles: ['admin'] }, version: 3 };
+
+/**
+ * ReadOnlyDemo - Mutation attempts on a read-only view throw
+ */
+function ReadOnlyDemo() {
+    const readOnly = useMemo(() => createReadOnlyProxy(appState), []);
+    const [message, setMessage] = useState(null);
+
+    const tryMutate = (mutation) => {
+        try {
+            mutation();
+            setMessage('Mutation succeeded');
+        } catch (err) {
+            setMessage(err.message);
+        }
+    };
+
+    return (
+        <div style={cardStyle}>
+            <h3 style={{ marginTop: 0, color: '#2c3e50' }}>🔒 Read-only Proxy</h3>
+            <p style={{ color: '#34495e' }}>
+                Reading works: <strong>{readOnly.user.name}</strong> (v{readOnly.version})
+            </p>
+            <div style={{ display: 'flex', gap: '8px', flexWrap: 'wrap' }}>
+                <button onClick={() => tryMutate(() => { readOnly.version = 4; })} style={buttonStyle}>
+                    Set version
+                </button>
+                <button onClick={() => tryMutate(() => { readOnly.user.name = 'Eve'; })} style={buttonStyle}>
+                    Set nested name
+                </button>
+            </div>
+            {message && <p style={{ color: '#e74c3c', fontSize: '14px' }}>{message}</p>}
+        </div>
+    );
+}
+
+// ============================================================================
+// CACHING PROXY DEMO
+// ============================================================================
+
+/**
+ * Simulated slow API call
+ * @param {number} id - Product id
+ * @returns {Promise<Object>} Product
+ */
+function fetchProduct(id) {
+    return new Promise(resolve => {
+        setTimeout(() => resolve({ id, name: `Product ${id}`, price: id * 10 }), 1000);
+    });
+}
+
+/**
+ * CachingDemo - Repeated calls resolve from the proxy's cache
+ */
+function CachingDemo() {
+    const [stats, setStats] = useState({ hits: 0, misses: 0 });
+    const [result, setResult] = useState(null);
+    const [loading, setLoading] = useState(false);
+
+    const cachedFetch = useMemo(() => createCachingProxy(fetchProduct, {
+        ttl: 10000,
+        onHit: () => setStats(prev => ({ ...prev, hits: prev.hits + 1 }))
+    }), []);
+
+    const load = async (id) => {
+        const start = performance.now();
+        setLoading(true);
+        setStats(prev => ({ ...prev, misses: prev.misses + 1 }));
+        const product = await cachedFetch(id);
+        setLoading(false);
+        setResult({ product, ms: Math.round(performance.now() - start) });
+    };
+
+    const clear = () => {
+        cachedFetch.clearCache();
+        setStats({ hits: 0, misses: 0 });
+        setResult(null);
+    };
+
+    return (
+        <div style={cardStyle}>
+            <h3 style={{ marginTop: 0, color: '#2c3e50' }}>⚡ Caching Proxy</h3>
+            <div style={{ display: 'flex', gap: '8px', marginBottom: '12px', flexWrap: 'wrap' }}>
+                {[1, 2, 3].map(id => (
+                    <button key={id} onClick={() => load(id)} style={buttonStyle} disabled={loading}>
+                        Load #{id}
+                    </button>
+                ))}
+                <button onClick={clear} style={{ ...buttonStyle, backgroundColor: '#95a5a6' }}>
+                    Clear cache
+                </button>
+            </div>
+            <p style={{ color: '#7f8c8d', fontSize: '14px' }}>
+                Calls: {stats.misses} · Cache hits: {stats.hits}
+            </p>
+            {loading && <p>Loading...</p>}
+            {result && !loading && (
+                <p style={{ color: '#34495e' }}>
+                    {result.product.name} (${result.product.price}) in <strong>{result.ms}ms</strong>
+                </p>
+            )}
+        </div>
+    );
+}
+
+// ============================================================================
+// MAIN DEMO COMPONENT
+// ============================================================================
+
+/**
+ * ProxyPatternDemo - Main demonstration component
+ *
+ * @returns {JSX.Element} Complete demonstration of the proxy pattern
+ */
+function ProxyPatternDemo() {
+    return (
+        <div style={{ minHeight: '100vh', backgroundColor: '#f5f6fa', padding: '40px 20px' }}>
+            <div style={{ maxWidth: '1200px', margin: '0 auto' }}>
+                <header style={{ textAlign: 'center', marginBottom: '40px' }}>
+                    <h1 style={{ color: '#2c3e50', marginBottom: '8px' }}>Proxy Pattern</h1>
+                    <p style={{ color: '#7f8c8d', fontSize: '16px' }}>
+                        Control access to objects without changing them
+                    </p>
+                </header>
+
+                <div style={{
+                    display: 'grid',
+                    gridTemplateColumns: 'repeat(auto-fit, minmax(300px, 1fr))',
+                    gap: '24px'
+                }}>
+                    <ValidationDemo />
+                    <LoggingDemo />
+                    <ReadOnlyDemo />
+                    <CachingDemo />
+                </div>
+            </div>
+        </div>
+    );
+}
+
+export default ProxyPatternDemo;
@@ -0,0 +1,137 @@
+/**
+ * Proxy primitives: validation, access logging, read-only views and
+ * memoizing proxies for async functions.
+ */
+
+// ============================================================================
+// VALIDATION PROXY
+// ============================================================================
+
+/**
+ * createValidationProxy - Rejects writes that fail a property validator
+ *
+ * @param {Object} target - Object to guard
+ * @param {Object<string, Function>} validators - Map of property to validator
+ *   returning an error message or null
+ * @returns {Object} Proxy that throws a TypeError on invalid writes
+ *
+ * @example
+ * const user = createValidationProxy({}, { age: v => v >= 0 ? null : 'Age must be positive' });
+ * user.age = -1; // throws TypeError
+ */
+export function createValidationProxy(target, validators) {
+    return new Proxy(target, {
+        set(obj, prop, value) {
+            const validate = validators[prop];
+            const error = validate ? validate(value) : null;
+            if (error) {
+                throw new TypeError(`${String(prop)}: ${error}`);
+            }
+            return Reflect.set(obj, prop, value);
+        }
+    });
+}
+
+// ============================================================================
+// LOGGING PROXY
+// ============================================================================
+
+/**
+ * createLoggingProxy - Reports every read and write to a callback
+ *
+ * @param {Object} target - Object to observe
+ * @param {Function} onAccess - Called with { type, prop, value }
+ * @returns {Object} Observing proxy
+ */
+export function createLoggingProxy(target, onAccess) {
+    return new Proxy(target, {
+        get(obj, prop, receiver) {
+            const value = Reflect.get(obj, prop, receiver);
+            if (typeof prop === 'string') {
+                onAccess({ type: 'get', prop, value });
+            }
+            return value;
+        },
+        set(obj, prop, value) {
+            onAccess({ type: 'set', prop: String(prop), value });
+            return Reflect.set(obj, prop, value);
+        },
+        deleteProperty(obj, prop) {
+            onAccess({ type: 'delete', prop: String(prop) });
+            return Reflect.deleteProperty(obj, prop);
+        }
+    });
+}
+
+// ============================================================================
+// READ-ONLY PROXY
+// ============================================================================
+
+/**
+ * createReadOnlyProxy - Exposes an object without allowing mutation
+ *
+ * Nested objects are wrapped lazily on access.
+ *
+ * @param {Object} target - Object to expose
+ * @returns {Object} Read-only view
+ */
+export function createReadOnlyProxy(target) {
+    return new Proxy(target, {
+        get(obj, prop, receiver) {
+            const value = Reflect.get(obj, prop, receiver);
+            return value !== null && typeof value === 'object' ? createReadOnlyProxy(value) : value;
+        },
+        set(obj, prop) {
+            throw new TypeError(`Cannot assign to read-only property "${String(prop)}"`);
+        },
+        deleteProperty(obj, prop) {
+            throw new TypeError(`Cannot delete read-only property "${String(prop)}"`);
+        }
+    });
+}
+
+// ============================================================================
+// CACHING PROXY
+// ============================================================================
+
+/**
+ * createCachingProxy - Memoizes an async function by its arguments
+ *
+ * Concurrent calls with the same arguments share one pending promise.
+ * Rejected calls are not cached.
+ *
+ * @param {Function} fn - Async function to wrap
+ * @param {Object} [options] - Options
+ * @param {number} [options.ttl=30000] - Cache lifetime in milliseconds
+ * @param {Function} [options.key=JSON.stringify] - Builds a cache key from the arguments
+ * @param {Function} [options.onHit] - Called with the key on a cache hit
+ * @returns {Function} Proxied function with a `clearCache()` method
+ */
+export function createCachingProxy(fn, { ttl = 30000, key = (args) => JSON.stringify(args), onHit } = {}) {
+    const cache = new Map();
+
+    const proxied = new Proxy(fn, {
+        apply(target, thisArg, args) {
+            const cacheKey = key(args);
+            const entry = cache.get(cacheKey);
+
+            if (entry && Date.now() - entry.time < ttl) {
+                if (onHit) onHit(cacheKey);
+                return entry.promise;
+            }
+
+            const promise = Promise.resolve(Reflect.apply(target, thisArg, args));
+            cache.set(cacheKey, { promise, time: Date.now() });
+            promise.catch(() => cache.delete(cacheKey));
+            return promise;
+        },
+        get(target, prop, receiver) {
+            if (prop === 'clearCache') {
+                return () => cache.clear();
+            }
+            return Reflect.get(target, prop, receiver);
+        }
+    });
+
+    return proxied;
+}
@@ -492,4 +492,5 @@ function RenderPropsDemo() {
     );
 }
 
+export { ToggleDemo, FormDemo };
 export default RenderPropsDemo;
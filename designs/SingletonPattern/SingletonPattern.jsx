@@ -0,0 +1,229 @@
+import React, { useState } from 'react';
+import { AppConfig, loggerSingleton, useSingleton } from './singleton.js';
+
+/**
+ * SINGLETON PATTERN DEMONSTRATION
+ *
+ * The Singleton pattern ensures a class has only one instance and provides
+ * a global point of access to it. In React apps it fits shared services
+ * such as configuration, logging or API clients.
+ *
+ * Benefits:
+ * - One shared instance across the app
+ * - Lazy initialization
+ * - Global access without prop drilling
+ * - Consistent state for cross-cutting services
+ */
+
+const cardStyle = {
+    padding: '20px',
+    backgroundColor: 'white',
+    borderRadius: '8px',
+    boxShadow: '0 2px 4px rgba(0,0,0,0.1)'
+};
+
+// ============================================================================
+// CONFIG CONSUMERS
+// ============================================================================
+
+/**
+ * ConfigEditor - Writes to the shared AppConfig instance
+ */
+function ConfigEditor() {
+    const config = useSingleton(AppConfig.getInstance());
+    const logger = loggerSingleton.getInstance();
+
+    const toggleDebug = () => {
+        config.set('debug', !config.get('debug'));
+        logger.log('ConfigEditor', `debug set to ${config.get('debug')}`);
+    };
+
+    const changeLocale = (e) => {
+        config.set('locale', e.target.value);
+        logger.log('ConfigEditor', `locale set to ${e.target.value}`);
+    };
+
+    return (
+        <div style={cardStyle}>
+            <h3 style={{ marginTop: 0, color: '#2c3e50' }}>⚙️ Config Editor</h3>
+            <label style={{ display: 'block', marginBottom: '12px' }}>
+                <input type="checkbox" checked={config.get('debug')} onChange={toggleDebug} /> Debug mode
+            </label>
+            <label>
+                Locale:{' '}
+                <select value={config.get('locale')} onChange={changeLocale} style={{ padding: '6px' }}>
+                    <option value="en-US">en-US</option>
+                    <option value="fr-FR">fr-FR</option>
+                    <option value="ja-JP">ja-JP</option>
+                </select>
+            </label>
+        </div>
+    );
+}
+
+/**
+ * ConfigViewer - Reads from the same AppConfig instance elsewhere in the tree
+ */
+function ConfigViewer() {
+    const config = useSingleton(AppConfig.getInstance());
+
+    return (
+        <div style={cardStyle}>
+            <h3 style={{ marginTop: 0, color: '#2c3e50' }}>👀 Config Viewer</h3>
+            <pre style={{ backgroundColor: '#f8f9fa', padding: '12px', borderRadius: '4px', fontSize: '12px' }}>
+                {JSON.stringify(config.settings, null, 2)}
+            </pre>
+            <p style={{ color: '#7f8c8d', fontSize: '12px', marginBottom: 0 }}>
+                Instance created at {config.createdAt}
+            </p>
+        </div>
+    );
+}
+
+// ============================================================================
+// LOGGER CONSUMERS
+// ============================================================================
+
+/**
+ * LogButton - Any component can write to the shared logger
+ */
+function LogButton({ source, color }) {
+    return (
+        <button
+            onClick={() => loggerSingleton.getInstance().log(source, 'button clicked')}
+            style={{
+                padding: '8px 16px',
+                backgroundColor: color,
+                color: 'white',
+                border: 'none',
+                borderRadius: '4px',
+                cursor: 'pointer'
+            }}
+        >
+            Log from {source}
+        </button>
+    );
+}
+
+/**
+ * LogViewer - Renders entries collected by the shared logger
+ */
+function LogViewer() {
+    const logger = useSingleton(loggerSingleton.getInstance());
+
+    return (
+        <div style={cardStyle}>
+            <h3 style={{ marginTop: 0, color: '#2c3e50' }}>📜 Shared Logger</h3>
+            <p style={{ color: '#7f8c8d', fontSize: '12px' }}>Instance id: {logger.id}</p>
+            <div style={{ display: 'flex', gap: '8px', marginBottom: '12px', flexWrap: 'wrap' }}>
+                <LogButton source="Header" color="#3498db" />
+                <LogButton source="Sidebar" color="#9b59b6" />
+                <button
+                    onClick={() => logger.clear()}
+                    style={{ padding: '8px 16px', backgroundColor: '#95a5a6', color: 'white', border: 'none', borderRadius: '4px', cursor: 'pointer' }}
+                >
+                    Clear
+                </button>
+            </div>
+            <div style={{ maxHeight: '160px', overflowY: 'auto', backgroundColor: '#f8f9fa', borderRadius: '4px', padding: '8px' }}>
+                {logger.entries.length === 0 ? (
+                    <p style={{ color: '#95a5a6', textAlign: 'center', margin: 0 }}>No entries</p>
+                ) : (
+                    logger.entries.map((entry, i) => (
+                        <div key={i} style={{ fontSize: '13px', fontFamily: 'monospace' }}>
+                            [{entry.time}] {entry.source}: {entry.message}
+                        </div>
+                    ))
+                )}
+            </div>
+        </div>
+    );
+}
+
+/**
+ * IdentityCheck - Shows that repeated access returns the same instance
+ */
+function IdentityCheck() {
+    const [result, setResult] = useState(null);
+
+    const check = () => {
+        let directConstructionError = null;
+        try {
+            new AppConfig();
+        } catch (error) {
+            directConstructionError = error.message;
+        }
+
+        setResult({
+            sameConfig: AppConfig.getInstance() === AppConfig.getInstance(),
+            sameLogger: loggerSingleton.getInstance() === loggerSingleton.getInstance(),
+            directConstructionError
+        });
+    };
+
+    return (
+        <div style={cardStyle}>
+            <h3 style={{ marginTop: 0, color: '#2c3e50' }}>🔍 Identity Check</h3>
+            <button
+                onClick={check}
+                style={{ padding: '8px 16px', backgroundColor: '#27ae60', color: 'white', border: 'none', borderRadius: '4px', cursor: 'pointer' }}
+            >
+                Run check
+            </button>
+            {result && (
+                <ul style={{ color: '#34495e', lineHeight: '1.8' }}>
+                    <li>AppConfig.getInstance() === AppConfig.getInstance(): <strong>{String(result.sameConfig)}</strong></li>
+                    <li>loggerSingleton returns same logger: <strong>{String(result.sameLogger)}</strong></li>
+                    <li>new AppConfig(): <em>{result.directConstructionError}</em></li>
+                </ul>
+            )}
+        </div>
+    );
+}
+
+// ============================================================================
+// MAIN DEMO COMPONENT
+// ============================================================================
+
+/**
+ * SingletonPatternDemo - Main demonstration component
+ *
+ * @returns {JSX.Element} Complete demonstration of the singleton pattern
+ */
+function SingletonPatternDemo() {
+    return (
+        <div style={{ minHeight: '100vh', backgroundColor: '#f5f6fa', padding: '40px 20px' }}>
+            <div style={{ maxWidth: '1200px', margin: '0 auto' }}>
+                <header style={{ textAlign: 'center', marginBottom: '40px' }}>
+                    <h1 style={{ color: '#2c3e50', marginBottom: '8px' }}>Singleton Pattern</h1>
+                    <p style={{ color: '#7f8c8d', fontSize: '16px' }}>
+                        One shared instance, accessible from anywhere
+                    </p>
+                </header>
+
+                <div style={{
+                    display: 'grid',
+                    gridTemplateColumns: 'repeat(auto-fit, minmax(300px, 1fr))',
+                    gap: '24px',
+                    marginBottom: '24px'
+                }}>
+                    <ConfigEditor />
+                    <ConfigViewer />
+                    <LogViewer />
+                    <IdentityCheck />
+                </div>
+
+                <div style={cardStyle}>
+                    <h3 style={{ marginTop: 0, color: '#2c3e50' }}>⚠️ Trade-offs</h3>
+                    <ul style={{ color: '#34495e', lineHeight: '1.8' }}>
+                        <li><strong>Hidden coupling:</strong> Consumers depend on a global</li>
+                        <li><strong>Testing:</strong> Reset instances between tests</li>
+                        <li><strong>Alternative:</strong> Provide the instance through context for easier swapping</li>
+                    </ul>
+                </div>
+            </div>
+        </div>
+    );
+}
+
+export default SingletonPatternDemo;
@@ -0,0 +1,165 @@
+import { useSyncExternalStore } from 'react';
+
+/**
+ * Singleton primitives: a lazy factory helper, a class-based singleton,
+ * and a hook that lets components subscribe to a shared instance.
+ */
+
+// ============================================================================
+// LAZY SINGLETON FACTORY
+// ============================================================================
+
+/**
+ * createSingleton - Wraps a factory so it runs at most once
+ *
+ * @param {Function} factory - Creates the instance on first access
+ * @returns {{ getInstance: Function, hasInstance: Function, reset: Function }} Accessors
+ *
+ * @example
+ * const logger = createSingleton(() => new Logger());
+ * logger.getInstance() === logger.getInstance(); // true
+ */
+export function createSingleton(factory) {
+    let instance = null;
+    let created = false;
+
+    return {
+        getInstance() {
+            if (!created) {
+                instance = factory();
+                created = true;
+            }
+            return instance;
+        },
+        hasInstance() {
+            return created;
+        },
+        // Intended for tests: drops the cached instance
+        reset() {
+            instance = null;
+            created = false;
+        }
+    };
+}
+
+// ============================================================================
+// OBSERVABLE BASE
+// ============================================================================
+
+/**
+ * Observable - Minimal subscribe/notify base for shared instances
+ */
+class Observable {
+    constructor() {
+        this.listeners = new Set();
+        this.version = 0;
+    }
+
+    /**
+     * Subscribe to changes
+     * @param {Function} listener - Called after every change
+     * @returns {Function} Unsubscribe function
+     */
+    subscribe = (listener) => {
+        this.listeners.add(listener);
+        return () => this.listeners.delete(listener);
+    };
+
+    /**
+     * Snapshot token that changes whenever the instance changes
+     * @returns {number} Version counter
+     */
+    getVersion = () => this.version;
+
+    notify() {
+        this.version++;
+        this.listeners.forEach(listener => listener());
+    }
+}
+
+// ============================================================================
+// CLASS-BASED SINGLETON
+// ============================================================================
+
+let configInstance = null;
+const CONSTRUCTION_TOKEN = Symbol('AppConfig');
+
+/**
+ * AppConfig - Application settings shared by every consumer
+ *
+ * Use AppConfig.getInstance(); calling `new AppConfig()` directly throws.
+ */
+export class AppConfig extends Observable {
+    constructor(token) {
+        super();
+        if (token !== CONSTRUCTION_TOKEN) {
+            throw new Error('AppConfig is a singleton. Use AppConfig.getInstance()');
+        }
+        this.settings = { apiUrl: 'https://api.example.com', debug: false, locale: 'en-US' };
+        this.createdAt = new Date().toLocaleTimeString();
+    }
+
+    /**
+     * Returns the single shared instance, creating it on first call
+     * @returns {AppConfig} Shared instance
+     */
+    static getInstance() {
+        if (!configInstance) {
+            configInstance = new AppConfig(CONSTRUCTION_TOKEN);
+        }
+        return configInstance;
+    }
+
+    get(key) {
+        return this.settings[key];
+    }
+
+    set(key, value) {
+        this.settings = { ...this.settings, [key]: value };
+        this.notify();
+    }
+}
+
+// ============================================================================
+// FACTORY-BASED SINGLETON
+// ============================================================================
+
+/**
+ * Logger - Collects log entries from anywhere in the app
+ */
+class Logger extends Observable {
+    constructor() {
+        super();
+        this.entries = [];
+        this.id = Math.random().toString(36).slice(2, 8);
+    }
+
+    log(source, message) {
+        this.entries = [...this.entries, { source, message, time: new Date().toLocaleTimeString() }];
+        this.notify();
+    }
+
+    clear() {
+        this.entries = [];
+        this.notify();
+    }
+}
+
+export const loggerSingleton = createSingleton(() => new Logger());
+
+// ============================================================================
+// REACT BINDING
+// ============================================================================
+
+/**
+ * useSingleton - Subscribes a component to an observable singleton
+ *
+ * Re-renders whenever the instance notifies a change.
+ *
+ * @param {Observable} instance - Shared instance with subscribe/getVersion
+ * @returns {Observable} The same instance
+ */
+export function useSingleton(instance) {
+    useSyncExternalStore(instance.subscribe, instance.getVersion);
+    return instance;
+}
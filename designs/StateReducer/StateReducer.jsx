@@ -537,4 +537,5 @@ function StateReducerDemo() {
     );
 }
 
+export { CounterWithReducer, FormWithReducer };
 export default StateReducerDemo;
@@ -0,0 +1,57 @@
+import undoCounterStarter from './undoCounter.jsx?raw';
+
+/**
+ * State Reducer exercises, graded in the gallery's Exercises tab.
+ *
+ * Each check receives `{ exports, expect, render }` for the reader's code
+ * (see src/gallery/exercises/testKit.js) and passes unless it throws.
+ */
+export default [
+    {
+        id: 'undo',
+        title: 'Add an UNDO action',
+        prompt: 'counterReducer records every previous count in `past`. Handle an UNDO action that steps back one change, and leave the state untouched when there is nothing to undo.',
+        hints: [
+            'state.past.at(-1) is the count to restore; state.past.slice(0, -1) is what remains.',
+            'Returning the same state object lets React skip the re-render.'
+        ],
+        starter: undoCounterStarter,
+        checks: [
+            {
+                name: 'UNDO restores the previous count',
+                run: ({ exports: { counterReducer, counterInitialState }, expect }) => {
+                    let state = counterReducer(counterInitialState, { type: 'INCREMENT' });
+                    state = counterReducer(state, { type: 'INCREMENT' });
+                    state = counterReducer(state, { type: 'UNDO' });
+                    expect(state).toEqual({ count: 1, past: [0] });
+                }
+            },
+            {
+                name: 'UNDO after RESET brings the count back',
+                run: ({ exports: { counterReducer, counterInitialState }, expect }) => {
+                    let state = counterInitialState;
+                    ['INCREMENT', 'INCREMENT', 'INCREMENT', 'RESET', 'UNDO'].forEach(type => {
+                        state = counterReducer(state, { type });
+                    });
+                    expect(state.count).toBe(3);
+                }
+            },
+            {
+                name: 'UNDO with nothing to undo returns the same state',
+                run: ({ exports: { counterReducer, counterInitialState }, expect }) => {
+                    expect(counterReducer(counterInitialState, { type: 'UNDO' })).toBe(counterInitialState);
+                }
+            },
+            {
+                name: 'The Undo button steps back through clicks',
+                run: ({ exports, expect, render }) => {
+                    const view = render(exports.default);
+                    view.click('+');
+                    view.click('+');
+                    view.click('Undo');
+                    expect(view.container.querySelector('output').textContent).toBe('1');
+                }
+            }
+        ]
+    }
+];
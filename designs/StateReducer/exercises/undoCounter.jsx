@@ -0,0 +1,68 @@
+import React, { useReducer } from 'react';
+
+/**
+ * EXERCISE: Add an UNDO action to counterReducer
+ *
+ * Every change already pushes the previous count onto `past`.
+ *
+ * TODO: Handle { type: 'UNDO' } so that it
+ * - restores the most recent entry of `past` as `count`
+ * - removes that entry from `past`
+ * - returns the state unchanged when there is nothing to undo
+ */
+
+export const counterInitialState = { count: 0, past: [] };
+
+export function counterReducer(state, action) {
+    switch (action.type) {
+        case 'INCREMENT':
+            return { count: state.count + 1, past: [...state.past, state.count] };
+        case 'DECREMENT':
+            return { count: state.count - 1, past: [...state.past, state.count] };
+        case 'RESET':
+            return { count: 0, past: [...state.past, state.count] };
+        // TODO: case 'UNDO':
+        default:
+            throw new Error(`Unknown action: ${action.type}`);
+    }
+}
+
+function UndoCounter() {
+    const [state, dispatch] = useReducer(counterReducer, counterInitialState);
+
+    const buttonStyle = {
+        padding: '8px 16px',
+        border: 'none',
+        borderRadius: '4px',
+        backgroundColor: '#3498db',
+        color: 'white',
+        cursor: 'pointer'
+    };
+
+    return (
+        <div style={{
+            padding: '20px',
+            backgroundColor: 'white',
+            borderRadius: '8px',
+            boxShadow: '0 2px 4px rgba(0,0,0,0.1)'
+        }}>
+            <output style={{ display: 'block', fontSize: '32px', textAlign: 'center', color: '#2c3e50' }}>
+                {state.count}
+            </output>
+            <div style={{ display: 'flex', gap: '8px', justifyContent: 'center', marginTop: '12px' }}>
+                <button style={buttonStyle} onClick={() => dispatch({ type: 'DECREMENT' })}>-</button>
+                <button style={buttonStyle} onClick={() => dispatch({ type: 'INCREMENT' })}>+</button>
+                <button style={buttonStyle} onClick={() => dispatch({ type: 'RESET' })}>Reset</button>
+                <button
+                    style={{ ...buttonStyle, backgroundColor: '#95a5a6' }}
+                    onClick={() => dispatch({ type: 'UNDO' })}
+                    disabled={state.past.length === 0}
+                >
+                    Undo
+                </button>
+            </div>
+        </div>
+    );
+}
+
+export default UndoCounter;
@@ -0,0 +1,312 @@
+import React, { useState, useEffect } from 'react';
+
+/**
+ * STATEFUL AND STATELESS COMPONENTS DEMONSTRATION
+ *
+ * Also known as "container and presentational" or "smart and dumb" components.
+ * Stateful components own data and behavior; stateless components receive
+ * everything through props and only describe how things look.
+ *
+ * Benefits:
+ * - Clear separation of concerns
+ * - Highly reusable presentational components
+ * - Easier testing of pure rendering
+ * - Data logic lives in one place
+ * - Predictable rendering
+ */
+
+// ============================================================================
+// SAMPLE DATA
+// ============================================================================
+
+const SAMPLE_USERS = [
+    { id: 1, name: 'Ada Lovelace', role: 'Engineer', online: true },
+    { id: 2, name: 'Grace Hopper', role: 'Admiral', online: false },
+    { id: 3, name: 'Alan Turing', role: 'Mathematician', online: true },
+    { id: 4, name: 'Margaret Hamilton', role: 'Engineer', online: true },
+    { id: 5, name: 'Linus Torvalds', role: 'Maintainer', online: false }
+];
+
+/**
+ * Simulates fetching users from an API
+ * @returns {Promise<Array>} Resolves with the user list
+ */
+function fetchUsers() {
+    return new Promise(resolve => {
+        setTimeout(() => resolve(SAMPLE_USERS), 800);
+    });
+}
+
+// ============================================================================
+// STATELESS (PRESENTATIONAL) COMPONENTS
+// ============================================================================
+
+/**
+ * UserCard - Stateless component rendering a single user
+ *
+ * @param {Object} props - Component props
+ * @param {Object} props.user - User to render
+ * @param {boolean} [props.selected=false] - Whether the card is selected
+ * @param {Function} [props.onSelect] - Called with the user when clicked
+ * @returns {JSX.Element} User card
+ */
+function UserCard({ user, selected = false, onSelect }) {
+    return (
+        <div
+            onClick={() => onSelect && onSelect(user)}
+            style={{
+                display: 'flex',
+                alignItems: 'center',
+                gap: '12px',
+                padding: '12px',
+                marginBottom: '8px',
+                backgroundColor: selected ? '#e8f4f8' : '#f8f9fa',
+                border: `2px solid ${selected ? '#3498db' : 'transparent'}`,
+                borderRadius: '6px',
+                cursor: onSelect ? 'pointer' : 'default'
+            }}
+        >
+            <div style={{
+                width: '36px',
+                height: '36px',
+                borderRadius: '50%',
+                backgroundColor: '#3498db',
+                color: 'white',
+                display: 'flex',
+                alignItems: 'center',
+                justifyContent: 'center',
+                fontWeight: 'bold'
+            }}>
+                {user.name.charAt(0)}
+            </div>
+            <div style={{ flex: 1 }}>
+                <div style={{ fontWeight: 'bold', color: '#2c3e50' }}>{user.name}</div>
+                <div style={{ fontSize: '12px', color: '#7f8c8d' }}>{user.role}</div>
+            </div>
+            <StatusBadge online={user.online} />
+        </div>
+    );
+}
+
+/**
+ * StatusBadge - Stateless component showing online status
+ *
+ * @param {Object} props - Component props
+ * @param {boolean} props.online - Whether the user is online
+ * @returns {JSX.Element} Status badge
+ */
+function StatusBadge({ online }) {
+    return (
+        <span style={{
+            padding: '2px 8px',
+            borderRadius: '12px',
+            fontSize: '12px',
+            backgroundColor: online ? '#27ae60' : '#95a5a6',
+            color: 'white'
+        }}>
+            {online ? 'Online' : 'Offline'}
+        </span>
+    );
+}
+
+/**
+ * UserList - Stateless component rendering a list of users
+ *
+ * @param {Object} props - Component props
+ * @param {Array} props.users - Users to render
+ * @param {number|null} [props.selectedId] - Id of the selected user
+ * @param {Function} [props.onSelect] - Called with the selected user
+ * @param {string} [props.emptyMessage='No users found'] - Message when list is empty
+ * @returns {JSX.Element} User list
+ */
+function UserList({ users, selectedId = null, onSelect, emptyMessage = 'No users found' }) {
+    if (users.length === 0) {
+        return (
+            <p style={{ color: '#95a5a6', textAlign: 'center' }}>{emptyMessage}</p>
+        );
+    }
+
+    return (
+        <div>
+            {users.map(user => (
+                <UserCard
+                    key={user.id}
+                    user={user}
+                    selected={user.id === selectedId}
+                    onSelect={onSelect}
+                />
+            ))}
+        </div>
+    );
+}
+
+/**
+ * SearchInput - Stateless controlled input
+ *
+ * @param {Object} props - Component props
+ * @param {string} props.value - Current value
+ * @param {Function} props.onChange - Called with the new value
+ * @param {string} [props.placeholder] - Input placeholder
+ * @returns {JSX.Element} Search input
+ */
+function SearchInput({ value, onChange, placeholder = 'Search...' }) {
+    return (
+        <input
+            type="text"
+            value={value}
+            onChange={(e) => onChange(e.target.value)}
+            placeholder={placeholder}
+            style={{
+                width: '100%',
+                padding: '10px',
+                marginBottom: '12px',
+                border: '2px solid #3498db',
+                borderRadius: '4px',
+                fontSize: '14px',
+                boxSizing: 'border-box'
+            }}
+        />
+    );
+}
+
+// ============================================================================
+// STATEFUL (CONTAINER) COMPONENTS
+// ============================================================================
+
+/**
+ * UserListContainer - Stateful component owning data, filtering and selection
+ *
+ * Delegates all rendering to stateless components.
+ *
+ * @param {Object} props - Component props
+ * @param {Function} [props.loadUsers=fetchUsers] - Async loader returning users
+ * @returns {JSX.Element} Connected user list
+ */
+function UserListContainer({ loadUsers = fetchUsers }) {
+    const [users, setUsers] = useState([]);
+    const [loading, setLoading] = useState(true);
+    const [query, setQuery] = useState('');
+    const [selectedId, setSelectedId] = useState(null);
+
+    useEffect(() => {
+        let cancelled = false;
+
+        loadUsers().then(result => {
+            if (!cancelled) {
+                setUsers(result);
+                setLoading(false);
+            }
+        });
+
+        return () => {
+            cancelled = true;
+        };
+    }, [loadUsers]);
+
+    const filteredUsers = users.filter(user =>
+        user.name.toLowerCase().includes(query.toLowerCase())
+    );
+
+    return (
+        <div style={{
+            padding: '20px',
+            backgroundColor: 'white',
+            borderRadius: '8px',
+            boxShadow: '0 2px 4px rgba(0,0,0,0.1)'
+        }}>
+            <h3 style={{ marginTop: 0, color: '#2c3e50' }}>🧠 Stateful Container</h3>
+            <p style={{ color: '#7f8c8d', fontSize: '14px' }}>
+                Owns loading, search and selection state
+            </p>
+            <SearchInput value={query} onChange={setQuery} placeholder="Filter users..." />
+            {loading ? (
+                <p style={{ color: '#7f8c8d', textAlign: 'center' }}>Loading users...</p>
+            ) : (
+                <UserList
+                    users={filteredUsers}
+                    selectedId={selectedId}
+                    onSelect={(user) => setSelectedId(user.id)}
+                />
+            )}
+        </div>
+    );
+}
+
+/**
+ * StatelessShowcase - Renders the same stateless components with static props
+ *
+ * @returns {JSX.Element} Static usage of presentational components
+ */
+function StatelessShowcase() {
+    return (
+        <div style={{
+            padding: '20px',
+            backgroundColor: 'white',
+            borderRadius: '8px',
+            boxShadow: '0 2px 4px rgba(0,0,0,0.1)'
+        }}>
+            <h3 style={{ marginTop: 0, color: '#2c3e50' }}>🎨 Stateless Components</h3>
+            <p style={{ color: '#7f8c8d', fontSize: '14px' }}>
+                Same components, plain props, no state
+            </p>
+            <UserList users={SAMPLE_USERS.slice(0, 2)} selectedId={2} />
+            <UserList users={[]} emptyMessage="Empty state is just another prop" />
+        </div>
+    );
+}
+
+// ============================================================================
+// MAIN DEMO COMPONENT
+// ============================================================================
+
+/**
+ * StatefulAndStatelessComponentDemo - Main demonstration component
+ *
+ * @returns {JSX.Element} Complete demonstration of stateful and stateless components
+ */
+function StatefulAndStatelessComponentDemo() {
+    return (
+        <div style={{ minHeight: '100vh', backgroundColor: '#f5f6fa', padding: '40px 20px' }}>
+            <div style={{ maxWidth: '1200px', margin: '0 auto' }}>
+                <header style={{ textAlign: 'center', marginBottom: '40px' }}>
+                    <h1 style={{ color: '#2c3e50', marginBottom: '8px' }}>
+                        Stateful and Stateless Components
+                    </h1>
+                    <p style={{ color: '#7f8c8d', fontSize: '16px' }}>
+                        Smart containers manage data, dumb components render it
+                    </p>
+                </header>
+
+                <div style={{
+                    display: 'grid',
+                    gridTemplateColumns: 'repeat(auto-fit, minmax(350px, 1fr))',
+                    gap: '24px',
+                    marginBottom: '24px'
+                }}>
+                    <UserListContainer />
+                    <StatelessShowcase />
+                </div>
+
+                <div style={{
+                    padding: '20px',
+                    backgroundColor: 'white',
+                    borderRadius: '8px',
+                    boxShadow: '0 2px 8px rgba(0,0,0,0.1)'
+                }}>
+                    <h3 style={{ marginTop: 0, color: '#2c3e50' }}>
+                        💡 Stateful vs Stateless
+                    </h3>
+                    <ul style={{ color: '#34495e', lineHeight: '1.8' }}>
+                        <li><strong>Stateful:</strong> Fetches data, holds state, handles events</li>
+                        <li><strong>Stateless:</strong> Pure function of props, easy to reuse and test</li>
+                        <li><strong>Composition:</strong> Containers render presentational components</li>
+                        <li><strong>Testing:</strong> Inject loaders into containers, snapshot the rest</li>
+                    </ul>
+                </div>
+            </div>
+        </div>
+    );
+}
+
+export { UserCard, StatusBadge, UserList, SearchInput, UserListContainer };
+export default StatefulAndStatelessComponentDemo;
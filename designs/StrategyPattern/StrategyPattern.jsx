@@ -1,69 +1,83 @@
-import React, { useState } from 'react';
+import React, { useMemo, useState, useSyncExternalStore } from 'react';
+import { useStrategy, useValidation } from './hooks.js';
+import { PAYMENT_CURRENCIES, paymentStrategies, sortStrategies, validationStrategies } from './strategies.js';
+import { addMoney, formatMoney, money, parseMoney } from './money.js';
+import { installBankTransfer } from './bankTransfer.js';
+import { createSortStrategy, toggleSortKey } from './sorting.js';
+import { generateProducts } from './products.js';
+import { compose, email, formatValidationMessage, required } from './validation.js';
+import { usernameService } from './usernameService.js';
 
 /**
  * STRATEGY PATTERN DEMONSTRATION
  * 
  * Strategy pattern defines a family of algorithms, encapsulates each one,
  * and makes them interchangeable at runtime.
+ *
+ * Each family lives in a registry (strategies.js) that other modules can
+ * extend, like the bank transfer plugin in bankTransfer.js. Sort
+ * strategies are composed from sort keys (sorting.js), so the table's
+ * column headers can build new ones on the fly. Payment fees are
+ * computed in integer minor units per currency (money.js, fees.js).
+ * Validators compose, run asynchronously with cancellation and report
+ * message keys that are translated for display (validation.js).
  */
 
-// Payment Strategies
-const paymentStrategies = {
-    creditCard: {
-        name: 'Credit Card',
-        icon: '💳',
-        process: (amount) => `Processing $${amount} via Credit Card`,
-        fee: (amount) => amount * 0.029 + 0.30
-    },
-    paypal: {
-        name: 'PayPal',
-        icon: '🅿️',
-        process: (amount) => `Processing $${amount} via PayPal`,
-        fee: (amount) => amount * 0.034 + 0.30
-    },
-    crypto: {
-        name: 'Cryptocurrency',
-        icon: '₿',
-        process: (amount) => `Processing $${amount} via Crypto`,
-        fee: (amount) => amount * 0.01
-    }
-};
-
-// Sorting Strategies
-const sortStrategies = {
-    name: (items) => [...items].sort((a, b) => a.name.localeCompare(b.name)),
-    price: (items) => [...items].sort((a, b) => a.price - b.price),
-    rating: (items) => [...items].sort((a, b) => b.rating - a.rating)
-};
+const DISPLAY_LOCALES = ['en-US', 'de-DE', 'ja-JP'];
 
-// Validation Strategies
-const validationStrategies = {
-    email: (value) => /\S+@\S+\.\S+/.test(value) ? null : 'Invalid email',
-    phone: (value) => /^\d{10}$/.test(value) ? null : 'Invalid phone (10 digits)',
-    url: (value) => /^https?:\/\/.+/.test(value) ? null : 'Invalid URL'
-};
+/**
+ * quote - Amount, fee and total for a payment strategy, or why there is none
+ */
+function quote(strategy, amountText, currency) {
+    try {
+        const amount = parseMoney(amountText, currency);
+        const fee = strategy.fee(amount);
+        return { amount, fee, total: addMoney(amount, fee) };
+    } catch (error) {
+        return { error: error.message };
+    }
+}
 
 function PaymentDemo() {
-    const [strategy, setStrategy] = useState('creditCard');
-    const [amount, setAmount] = useState(100);
+    const [strategy, setStrategy] = useState(paymentStrategies.getDefaultKey());
+    const [amountText, setAmountText] = useState('100.00');
+    const [currency, setCurrency] = useState('USD');
+    const [locale, setLocale] = useState('en-US');
 
-    const currentStrategy = paymentStrategies[strategy];
-    const fee = currentStrategy.fee(amount);
+    const { strategy: currentStrategy, isFallback, entries } = useStrategy(paymentStrategies, strategy);
+    const { amount, fee, total, error } = quote(currentStrategy, amountText, currency);
+    const pluginInstalled = entries.some(entry => entry.key === 'bankTransfer');
+
+    const togglePlugin = () => {
+        if (pluginInstalled) {
+            paymentStrategies.unregister('bankTransfer');
+        } else {
+            installBankTransfer();
+        }
+    };
 
     return (
         <div style={{ padding: '20px', backgroundColor: 'white', borderRadius: '8px' }}>
             <h3 style={{ marginTop: 0 }}>💰 Payment Strategy</h3>
-            <div style={{ marginBottom: '16px' }}>
-                <label>Amount: $</label>
+            <div style={{ display: 'flex', flexWrap: 'wrap', alignItems: 'center', gap: '8px', marginBottom: '16px' }}>
+                <label htmlFor="payment-amount">Amount:</label>
                 <input
-                    type="number"
-                    value={amount}
-                    onChange={(e) => setAmount(Number(e.target.value))}
-                    style={{ marginLeft: '8px', padding: '6px', width: '100px' }}
+                    id="payment-amount"
+                    type="text"
+                    inputMode="decimal"
+                    value={amountText}
+                    onChange={(e) => setAmountText(e.target.value)}
+                    style={{ padding: '6px', width: '100px' }}
                 />
+                <select value={currency} onChange={(e) => setCurrency(e.target.value)} aria-label="Currency" style={{ padding: '6px' }}>
+                    {PAYMENT_CURRENCIES.map(code => <option key={code} value={code}>{code}</option>)}
+                </select>
+                <select value={locale} onChange={(e) => setLocale(e.target.value)} aria-label="Display locale" style={{ padding: '6px' }}>
+                    {DISPLAY_LOCALES.map(tag => <option key={tag} value={tag}>{tag}</option>)}
+                </select>
             </div>
-            <div style={{ display: 'flex', gap: '8px', marginBottom: '16px' }}>
-                {Object.entries(paymentStrategies).map(([key, strat]) => (
+            <div style={{ display: 'flex', flexWrap: 'wrap', gap: '8px', marginBottom: '16px' }}>
+                {entries.map(({ key, strategy: strat }) => (
                     <button
                         key={key}
                         onClick={() => setStrategy(key)}
@@ -80,58 +94,302 @@ function PaymentDemo() {
                     </button>
                 ))}
             </div>
+            <button
+                onClick={togglePlugin}
+                style={{
+                    padding: '6px 10px',
+                    marginBottom: '16px',
+                    backgroundColor: 'white',
+                    color: '#2c3e50',
+                    border: '1px dashed #7f8c8d',
+                    borderRadius: '4px',
+                    cursor: 'pointer'
+                }}
+            >
+                {pluginInstalled ? 'Remove the bank transfer plugin' : 'Install the bank transfer plugin'}
+            </button>
+            {isFallback && (
+                <p role="status" style={{ marginTop: 0, color: '#e67e22' }}>
+                    &quot;{strategy}&quot; is not registered any more, so the fallback strategy is used.
+                </p>
+            )}
             <div style={{ padding: '16px', backgroundColor: '#e8f4f8', borderRadius: '4px' }}>
-                <p><strong>Processing:</strong> {currentStrategy.process(amount)}</p>
-                <p><strong>Fee:</strong> ${fee.toFixed(2)}</p>
-                <p><strong>Total:</strong> ${(amount + fee).toFixed(2)}</p>
+                {error ? (
+                    <p role="alert" style={{ margin: 0, color: '#e74c3c' }}>{error}</p>
+                ) : (
+                    <>
+                        <p><strong>Processing:</strong> {currentStrategy.process(amount, locale)}</p>
+                        <p>
+                            <strong>Fee:</strong> {formatMoney(fee, locale)}{' '}
+                            <span style={{ color: '#7f8c8d', fontSize: '13px' }}>({currentStrategy.fee.describe(currency, locale)})</span>
+                        </p>
+                        <p><strong>Total:</strong> {formatMoney(total, locale)}</p>
+                    </>
+                )}
             </div>
         </div>
     );
 }
 
-function SortingDemo() {
-    const [strategy, setStrategy] = useState('name');
-    const items = [
-        { name: 'Product C', price: 30, rating: 4.5 },
-        { name: 'Product A', price: 50, rating: 4.0 },
-        { name: 'Product B', price: 20, rating: 4.8 }
-    ];
+// Built once: useValidation re-runs whenever the validator changes
+const requiredEmail = compose(required(), email());
+
+const LANGUAGES = [
+    { code: 'en', label: 'English' },
+    { code: 'de', label: 'Deutsch' },
+    { code: 'es', label: 'Español' }
+];
+
+const REQUEST_COLORS = {
+    pending: '#7f8c8d',
+    available: '#27ae60',
+    taken: '#e74c3c',
+    cancelled: '#e67e22'
+};
+
+/**
+ * ValidatedField - Text input with its validation status
+ */
+function ValidatedField({ id, label, value, onChange, onBlur, result, showError, language }) {
+    const { status, error } = result;
+    let message = null;
+    if (status === 'validating' && value !== '') {
+        message = <span style={{ color: '#7f8c8d' }}>⏳ {formatValidationMessage({ key: 'checking' }, language)}</span>;
+    } else if (status === 'invalid' && showError) {
+        message = <span id={`${id}-error`} style={{ color: '#e74c3c' }}>{formatValidationMessage(error, language)}</span>;
+    } else if (status === 'valid' && value !== '') {
+        message = <span style={{ color: '#27ae60' }}>✓</span>;
+    }
+
+    return (
+        <div style={{ marginBottom: '12px' }}>
+            <label htmlFor={id} style={{ display: 'block', marginBottom: '4px', color: '#2c3e50' }}>{label}</label>
+            <input
+                id={id}
+                type="text"
+                value={value}
+                onChange={(e) => onChange(e.target.value)}
+                onBlur={onBlur}
+                aria-invalid={status === 'invalid' && showError}
+                aria-describedby={status === 'invalid' && showError ? `${id}-error` : undefined}
+                style={{ padding: '6px', width: '100%', boxSizing: 'border-box' }}
+            />
+            <div aria-live="polite" style={{ minHeight: '18px', fontSize: '13px', marginTop: '2px' }}>{message}</div>
+        </div>
+    );
+}
+
+function ValidationDemo() {
+    const [language, setLanguage] = useState('en');
+    const [values, setValues] = useState({ username: '', email: '', website: '', phone: '' });
+    const [touched, setTouched] = useState({});
+    // Errors show once a field was left or a submit was attempted
+    const [attempted, setAttempted] = useState(false);
+    const [signedUpAs, setSignedUpAs] = useState(null);
+
+    const { strategy: usernameValidator } = useStrategy(validationStrategies, 'username');
+    const { strategy: urlValidator } = useStrategy(validationStrategies, 'url');
+    const { strategy: phoneValidator } = useStrategy(validationStrategies, 'phone');
+    const requests = useSyncExternalStore(usernameService.subscribe, usernameService.getRequests);
 
-    const sortedItems = sortStrategies[strategy](items);
+    const results = {
+        username: useValidation(usernameValidator, values.username, { debounce: 300 }),
+        email: useValidation(requiredEmail, values.email),
+        website: useValidation(urlValidator, values.website),
+        phone: useValidation(phoneValidator, values.phone)
+    };
+    const allValid = Object.values(results).every(result => result.status === 'valid');
+
+    const fieldProps = (name, label) => ({
+        id: `signup-${name}`,
+        label,
+        value: values[name],
+        onChange: value => {
+            setValues(current => ({ ...current, [name]: value }));
+            setSignedUpAs(null);
+        },
+        onBlur: () => setTouched(current => ({ ...current, [name]: true })),
+        result: results[name],
+        showError: touched[name] || attempted,
+        language
+    });
+
+    const handleSubmit = (e) => {
+        e.preventDefault();
+        setAttempted(true);
+        setSignedUpAs(allValid ? values.username : null);
+    };
 
     return (
         <div style={{ padding: '20px', backgroundColor: 'white', borderRadius: '8px' }}>
+            <h3 style={{ marginTop: 0 }}>✅ Validation Strategy</h3>
+            <p style={{ marginTop: 0, color: '#7f8c8d', fontSize: '14px' }}>
+                Username: required + 3-20 characters + allowed characters + availability on a mock server.
+                Try &quot;alice&quot; or &quot;admin&quot;.
+            </p>
+            <div style={{ marginBottom: '16px' }}>
+                <label htmlFor="signup-language">Messages: </label>
+                <select id="signup-language" value={language} onChange={(e) => setLanguage(e.target.value)} style={{ padding: '6px' }}>
+                    {LANGUAGES.map(({ code, label }) => <option key={code} value={code}>{label}</option>)}
+                </select>
+            </div>
+            <form onSubmit={handleSubmit} noValidate>
+                <ValidatedField {...fieldProps('username', 'Username')} />
+                <ValidatedField {...fieldProps('email', 'Email')} />
+                <ValidatedField {...fieldProps('website', 'Website (optional)')} />
+                <ValidatedField {...fieldProps('phone', 'Phone (optional)')} />
+                <button
+                    type="submit"
+                    style={{
+                        padding: '10px 16px',
+                        backgroundColor: '#3498db',
+                        color: 'white',
+                        border: 'none',
+                        borderRadius: '4px',
+                        cursor: 'pointer'
+                    }}
+                >
+                    Sign up
+                </button>
+                {signedUpAs && (
+                    <span role="status" style={{ marginLeft: '12px', color: '#27ae60' }}>Signed up as {signedUpAs}</span>
+                )}
+            </form>
+            <div style={{ marginTop: '16px', padding: '12px', backgroundColor: '#f5f6fa', borderRadius: '4px', fontSize: '13px' }}>
+                <strong style={{ color: '#2c3e50' }}>Mock server requests</strong>
+                {requests.length === 0 ? (
+                    <p style={{ margin: '6px 0 0', color: '#7f8c8d' }}>None yet. Typing quickly cancels checks for stale values.</p>
+                ) : (
+                    <ul style={{ margin: '6px 0 0', paddingLeft: '18px' }}>
+                        {requests.map(request => (
+                            <li key={request.id}>
+                                {request.name}: <span style={{ color: REQUEST_COLORS[request.status] }}>{request.status}</span>
+                            </li>
+                        ))}
+                    </ul>
+                )}
+            </div>
+        </div>
+    );
+}
+
+const ROW_COUNT = 5000;
+const VISIBLE_ROWS = 100;
+
+const COLUMNS = [
+    { key: 'name', label: 'Name' },
+    { key: 'category', label: 'Category' },
+    // Prices are whole or half dollars, so the conversion to cents is exact
+    { key: 'price', label: 'Price', format: (price, locale) => formatMoney(money(Math.round(price * 100), 'USD'), locale) },
+    { key: 'rating', label: 'Rating', format: (rating) => `⭐ ${rating}` },
+    { key: 'stock', label: 'Stock' }
+];
+
+const LOCALES = [
+    { value: 'en', label: 'English' },
+    { value: 'de', label: 'German' },
+    { value: 'sv', label: 'Swedish (Å, Ä, Ö after Z)' }
+];
+
+function SortingDemo() {
+    const [rows] = useState(() => generateProducts(ROW_COUNT));
+    const { key: presetKey, strategy: preset, entries } = useStrategy(sortStrategies);
+    const [sortKeys, setSortKeys] = useState(preset.sortKeys);
+    const [locale, setLocale] = useState('en');
+
+    // The header clicks compose a new strategy from the current sort keys
+    const { sortedRows, ms } = useMemo(() => {
+        const started = performance.now();
+        const sortedRows = createSortStrategy(sortKeys, { locale })(rows);
+        return { sortedRows, ms: performance.now() - started };
+    }, [rows, sortKeys, locale]);
+
+    const isPreset = (strategy) => JSON.stringify(strategy.sortKeys) === JSON.stringify(sortKeys);
+
+    return (
+        <div style={{ gridColumn: '1 / -1', padding: '20px', backgroundColor: 'white', borderRadius: '8px' }}>
             <h3 style={{ marginTop: 0 }}>📊 Sorting Strategy</h3>
-            <div style={{ display: 'flex', gap: '8px', marginBottom: '16px' }}>
-                {Object.keys(sortStrategies).map(key => (
+            <div style={{ display: 'flex', flexWrap: 'wrap', gap: '8px', marginBottom: '12px' }}>
+                {entries.map(({ key, strategy }) => (
                     <button
                         key={key}
-                        onClick={() => setStrategy(key)}
+                        onClick={() => setSortKeys(strategy.sortKeys)}
                         style={{
                             padding: '8px 16px',
-                            backgroundColor: strategy === key ? '#27ae60' : '#ecf0f1',
-                            color: strategy === key ? 'white' : '#2c3e50',
+                            backgroundColor: isPreset(strategy) ? '#27ae60' : '#ecf0f1',
+                            color: isPreset(strategy) ? 'white' : '#2c3e50',
                             border: 'none',
                             borderRadius: '4px',
                             cursor: 'pointer',
                             textTransform: 'capitalize'
                         }}
                     >
-                        Sort by {key}
+                        Sort by {key}{key === presetKey && ' (default)'}
                     </button>
                 ))}
+                <label style={{ marginLeft: 'auto', color: '#2c3e50', fontSize: '14px' }}>
+                    Locale{' '}
+                    <select value={locale} onChange={(e) => setLocale(e.target.value)} style={{ padding: '6px' }}>
+                        {LOCALES.map(option => <option key={option.value} value={option.value}>{option.label}</option>)}
+                    </select>
+                </label>
             </div>
-            <div>
-                {sortedItems.map((item, i) => (
-                    <div key={i} style={{
-                        padding: '12px',
-                        marginBottom: '8px',
-                        backgroundColor: '#f8f9fa',
-                        borderRadius: '4px'
-                    }}>
-                        <strong>{item.name}</strong> - ${item.price} - ⭐ {item.rating}
-                    </div>
-                ))}
+            <p style={{ margin: '0 0 12px', color: '#7f8c8d', fontSize: '14px' }}>
+                Click a column to sort by it first, shift-click to add it as a tie-breaker.
+                Sorted {ROW_COUNT.toLocaleString()} rows by{' '}
+                {sortKeys.map(({ key, direction }) => `${key} ${direction === 'desc' ? '↓' : '↑'}`).join(', then ')}
+                {' '}in {ms.toFixed(1)} ms; showing the first {VISIBLE_ROWS}.
+            </p>
+            <div style={{ maxHeight: '400px', overflow: 'auto' }}>
+                <table style={{ width: '100%', borderCollapse: 'collapse', fontSize: '14px' }}>
+                    <thead>
+                        <tr>
+                            {COLUMNS.map(column => {
+                                const position = sortKeys.findIndex(sortKey => sortKey.key === column.key);
+                                const sortKey = sortKeys[position];
+                                return (
+                                    <th
+                                        key={column.key}
+                                        aria-sort={position === 0 ? (sortKey.direction === 'desc' ? 'descending' : 'ascending') : undefined}
+                                        style={{ position: 'sticky', top: 0, backgroundColor: '#f8f9fa', textAlign: 'left', padding: 0 }}
+                                    >
+                                        <button
+                                            onClick={(e) => setSortKeys(keys => toggleSortKey(keys, column.key, { additive: e.shiftKey }))}
+                                            style={{
+                                                width: '100%',
+                                                padding: '10px 8px',
+                                                border: 'none',
+                                                background: 'none',
+                                                textAlign: 'left',
+                                                fontWeight: 'bold',
+                                                color: '#2c3e50',
+                                                cursor: 'pointer'
+                                            }}
+                                        >
+                                            {column.label}
+                                            {sortKey && (
+                                                <span style={{ marginLeft: '6px', color: '#27ae60' }}>
+                                                    {sortKey.direction === 'desc' ? '▼' : '▲'}{sortKeys.length > 1 && position + 1}
+                                                </span>
+                                            )}
+                                        </button>
+                                    </th>
+                                );
+                            })}
+                        </tr>
+                    </thead>
+                    <tbody>
+                        {sortedRows.slice(0, VISIBLE_ROWS).map(row => (
+                            <tr key={row.id} style={{ borderTop: '1px solid #ecf0f1' }}>
+                                {COLUMNS.map(column => (
+                                    <td key={column.key} style={{ padding: '6px 8px', color: row[column.key] === null ? '#95a5a6' : '#2c3e50' }}>
+                                        {row[column.key] === null ? '—' : (column.format ? column.format(row[column.key], locale) : row[column.key])}
+                                    </td>
+                                ))}
+                            </tr>
+                        ))}
+                    </tbody>
+                </table>
             </div>
         </div>
     );
@@ -147,6 +405,7 @@ function StrategyPatternDemo() {
                 </header>
                 <div style={{ display: 'grid', gridTemplateColumns: 'repeat(auto-fit, minmax(350px, 1fr))', gap: '24px' }}>
                     <PaymentDemo />
+                    <ValidationDemo />
                     <SortingDemo />
                 </div>
             </div>
@@ -0,0 +1,23 @@
+import { paymentStrategies } from './strategies.js';
+import { formatMoney } from './money.js';
+import { fixed } from './fees.js';
+
+/**
+ * A payment method shipped by a feature module: it registers itself with
+ * the payment registry instead of being listed in the pattern file.
+ */
+
+/**
+ * installBankTransfer - Registers the bank transfer payment strategy
+ *
+ * @returns {Function} Removes it again
+ */
+export function installBankTransfer() {
+    return paymentStrategies.register('bankTransfer', {
+        name: 'Bank Transfer',
+        icon: '🏦',
+        process: (amount, locale) => `Processing ${formatMoney(amount, locale)} via Bank Transfer (1-2 business days)`,
+        // Not offered in JPY: fixed() throws for currencies it has no fee for
+        fee: fixed({ USD: 50, EUR: 35, GBP: 30 })
+    });
+}
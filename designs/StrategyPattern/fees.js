@@ -0,0 +1,153 @@
+import { addMoney, clampMoney, formatMoney, money, roundDivide } from './money.js';
+
+/**
+ * Fee schedules for payment strategies, built from small parts.
+ *
+ * A schedule is a function from a money amount to the fee in the same
+ * currency. It also has `describe(currency, locale)`, which explains it
+ * in words for the checkout UI. Fixed amounts and thresholds are given
+ * per currency, since 30 cents and 30 yen are not the same fee; a
+ * schedule throws for a currency it has no amounts for.
+ *
+ * @example
+ * const cardFee = sumOf(percentage(290), fixed({ USD: 30, EUR: 25 }));
+ * cardFee(money(10000, 'USD')); // { minor: 320, currency: 'USD' }, i.e. $3.20
+ */
+
+/**
+ * Amounts in minor units by currency code, e.g. `{ USD: 30, JPY: 40 }`.
+ *
+ * @typedef {Object<string, number>} PerCurrency
+ */
+
+function amountFor(amounts, currency, what) {
+    if (!(currency in amounts)) {
+        throw new Error(`No ${what} defined for ${currency}`);
+    }
+    return money(amounts[currency], currency);
+}
+
+function schedule(calculate, describe) {
+    calculate.describe = describe;
+    return calculate;
+}
+
+const ROUNDING_LABELS = {
+    halfUp: '',
+    halfEven: ' (banker\'s rounding)',
+    up: ' (rounded up)',
+    down: ' (rounded down)'
+};
+
+function formatPercent(basisPoints, locale) {
+    return new Intl.NumberFormat(locale, { style: 'percent', maximumFractionDigits: 2 }).format(basisPoints / 10000);
+}
+
+/**
+ * percentage - A share of the amount, in basis points (290 = 2.9%)
+ *
+ * @param {number} basisPoints - Integer hundredths of a percent
+ * @param {Object} [options] - Options
+ * @param {import('./money.js').RoundingMode} [options.rounding='halfUp'] - How to round to a minor unit
+ * @returns {Function} Fee schedule
+ */
+export function percentage(basisPoints, { rounding = 'halfUp' } = {}) {
+    return schedule(
+        amount => money(roundDivide(BigInt(amount.minor) * BigInt(basisPoints), 10000, rounding), amount.currency),
+        (currency, locale) => `${formatPercent(basisPoints, locale)}${ROUNDING_LABELS[rounding]}`
+    );
+}
+
+/**
+ * fixed - The same fee for any amount
+ *
+ * @param {PerCurrency} amounts - Fee per currency
+ * @returns {Function} Fee schedule
+ */
+export function fixed(amounts) {
+    return schedule(
+        amount => amountFor(amounts, amount.currency, 'fixed fee'),
+        (currency, locale) => formatMoney(amountFor(amounts, currency, 'fixed fee'), locale)
+    );
+}
+
+/**
+ * sumOf - Adds the fees of several schedules, e.g. 2.9% + 30¢
+ *
+ * @param {...Function} schedules - Fee schedules
+ * @returns {Function} Fee schedule
+ */
+export function sumOf(...schedules) {
+    return schedule(
+        amount => addMoney(...schedules.map(part => part(amount))),
+        (currency, locale) => schedules.map(part => part.describe(currency, locale)).join(' + ')
+    );
+}
+
+/**
+ * tiered - Picks a schedule by the size of the amount
+ *
+ * Tiers are checked in order; the first whose `upTo` the amount does not
+ * exceed applies to the whole amount. Leave `upTo` out of the last tier.
+ *
+ * @example
+ * tiered([
+ *     { upTo: { USD: 1000 }, fee: sumOf(percentage(500), fixed({ USD: 5 })) }, // up to $10
+ *     { fee: sumOf(percentage(349), fixed({ USD: 49 })) }
+ * ]);
+ *
+ * @param {Object[]} tiers - `{ upTo?: PerCurrency, fee }` entries
+ * @returns {Function} Fee schedule
+ */
+export function tiered(tiers) {
+    const tierFor = amount => tiers.find(tier => !tier.upTo
+        || amount.minor <= amountFor(tier.upTo, amount.currency, 'tier limit').minor);
+
+    return schedule(
+        amount => {
+            const tier = tierFor(amount);
+            if (!tier) throw new Error('No fee tier matches; leave upTo out of the last tier');
+            return tier.fee(amount);
+        },
+        (currency, locale) => tiers
+            .map(tier => (tier.upTo
+                ? `up to ${formatMoney(amountFor(tier.upTo, currency, 'tier limit'), locale)}: ${tier.fee.describe(currency, locale)}`
+                : `above: ${tier.fee.describe(currency, locale)}`))
+            .join('; ')
+    );
+}
+
+/**
+ * capped - Keeps another schedule's fee between a minimum and a maximum
+ *
+ * @param {Function} fee - Fee schedule
+ * @param {Object} limits - Limits
+ * @param {PerCurrency} [limits.min] - Lowest fee per currency
+ * @param {PerCurrency} [limits.max] - Highest fee per currency
+ * @returns {Function} Fee schedule
+ */
+export function capped(fee, { min, max }) {
+    const limit = (amounts, currency, what) => (amounts ? amountFor(amounts, currency, what) : undefined);
+
+    return schedule(
+        amount => clampMoney(
+            fee(amount),
+            limit(min, amount.currency, 'minimum fee'),
+            limit(max, amount.currency, 'maximum fee')
+        ),
+        (currency, locale) => [
+            fee.describe(currency, locale),
+            min && `min ${formatMoney(limit(min, currency, 'minimum fee'), locale)}`,
+            max && `max ${formatMoney(limit(max, currency, 'maximum fee'), locale)}`
+        ].filter(Boolean).join(', ')
+    );
+}
+
+/**
+ * noFee - A schedule that always charges nothing
+ *
+ * @returns {Function} Fee schedule
+ */
+export function noFee() {
+    return schedule(amount => money(0, amount.currency), () => 'no fee');
+}
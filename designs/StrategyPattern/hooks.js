@@ -0,0 +1,62 @@
+import { useEffect, useState, useSyncExternalStore } from 'react';
+import { invalid, isAbortError, validate } from './validation.js';
+
+/**
+ * useStrategy - Resolves a strategy from a registry and follows its changes
+ *
+ * Re-renders when strategies are registered or unregistered, so a picker
+ * built from `entries` shows plugins as they load, and a chosen strategy
+ * that is removed switches to the registry's fallback.
+ *
+ * @param {Object} registry - Registry from createStrategyRegistry
+ * @param {string} [key] - Chosen key; the registry default when omitted
+ * @returns {Object} `{ key, strategy, isFallback, entries }`
+ */
+export function useStrategy(registry, key) {
+    const entries = useSyncExternalStore(registry.subscribe, registry.list);
+    return { ...registry.resolveEntry(key), entries };
+}
+
+/**
+ * useValidation - Validates a value whenever it changes
+ *
+ * Each change cancels the check still running for the previous value
+ * (through its AbortSignal), so a slow answer for "ali" can never
+ * overwrite the result for "alice". With `debounce`, checks only start
+ * once the value has stopped changing for that long.
+ *
+ * A check that throws (other than being cancelled) makes the value
+ * invalid with the 'checkFailed' message key.
+ *
+ * @param {Function} validator - Sync or async validator from validation.js; keep it stable between renders
+ * @param {*} value - Value to check
+ * @param {Object} [options] - Options
+ * @param {number} [options.debounce=0] - Milliseconds to wait after the last change
+ * @returns {Object} `{ status, error }`; status is 'validating', 'valid' or 'invalid'
+ */
+export function useValidation(validator, value, { debounce = 0 } = {}) {
+    const [result, setResult] = useState({ status: 'validating', error: null });
+
+    useEffect(() => {
+        const controller = new AbortController();
+        setResult({ status: 'validating', error: null });
+
+        const timer = setTimeout(() => {
+            validate(validator, value, { signal: controller.signal }).then(
+                error => setResult({ status: error ? 'invalid' : 'valid', error }),
+                error => {
+                    if (isAbortError(error)) return;
+                    console.error('Validation failed:', error);
+                    setResult({ status: 'invalid', error: invalid('checkFailed') });
+                }
+            );
+        }, debounce);
+
+        return () => {
+            clearTimeout(timer);
+            controller.abort();
+        };
+    }, [validator, value, debounce]);
+
+    return result;
+}
@@ -0,0 +1,190 @@
+/**
+ * Money as integer minor units with an explicit currency.
+ *
+ * `{ minor: 1999, currency: 'USD' }` is $19.99 and `{ minor: 1999,
+ * currency: 'JPY' }` is ¥1,999. Arithmetic stays in integers, so sums
+ * never pick up floating-point dust like 3.2000000000000006; division and
+ * percentages go through roundDivide() with an explicit rounding mode.
+ */
+
+// ============================================================================
+// CURRENCIES
+// ============================================================================
+
+const minorDigitsCache = new Map();
+
+/**
+ * minorDigits - Number of decimal places of a currency (USD 2, JPY 0, BHD 3)
+ *
+ * @param {string} currency - ISO 4217 code
+ * @returns {number} Digits after the decimal point
+ * @throws {RangeError} For codes Intl does not accept
+ */
+export function minorDigits(currency) {
+    if (!minorDigitsCache.has(currency)) {
+        const { maximumFractionDigits } = new Intl.NumberFormat('en', { style: 'currency', currency }).resolvedOptions();
+        minorDigitsCache.set(currency, maximumFractionDigits);
+    }
+    return minorDigitsCache.get(currency);
+}
+
+/**
+ * money - Creates a money value
+ *
+ * @param {number} minor - Integer amount in minor units (cents, pence, yen…)
+ * @param {string} currency - ISO 4217 code
+ * @returns {Object} `{ minor, currency }`
+ * @throws {RangeError} When `minor` is not a safe integer
+ */
+export function money(minor, currency) {
+    if (!Number.isSafeInteger(minor)) {
+        throw new RangeError(`Money must be a whole number of minor units, got ${minor}`);
+    }
+    minorDigits(currency);
+    return { minor, currency };
+}
+
+/**
+ * parseMoney - Reads a decimal string such as "19.99" without floats
+ *
+ * @param {string} text - Amount in major units, e.g. "1234.5"
+ * @param {string} currency - ISO 4217 code
+ * @returns {Object} Money value
+ * @throws {RangeError} When the text is not a number or has more decimals than the currency
+ */
+export function parseMoney(text, currency) {
+    const match = /^\s*(-)?(\d+)(?:\.(\d*))?\s*$/.exec(text);
+    if (!match) {
+        throw new RangeError(`"${text}" is not an amount`);
+    }
+    const [, minus, whole, fraction = ''] = match;
+    const digits = minorDigits(currency);
+    if (fraction.length > digits) {
+        throw new RangeError(digits === 0
+            ? `${currency} amounts have no decimals`
+            : `${currency} amounts have at most ${digits} decimals`);
+    }
+    const minor = Number(whole + fraction.padEnd(digits, '0'));
+    return money(minus ? -minor : minor, currency);
+}
+
+// ============================================================================
+// ARITHMETIC
+// ============================================================================
+
+/**
+ * Rounding modes for roundDivide():
+ * - 'halfUp': halves away from zero (2.5 → 3, -2.5 → -3)
+ * - 'halfEven': halves to the even neighbour, "banker's rounding" (2.5 → 2, 3.5 → 4)
+ * - 'up': always away from zero
+ * - 'down': always toward zero
+ *
+ * @typedef {'halfUp'|'halfEven'|'up'|'down'} RoundingMode
+ */
+export const ROUNDING_MODES = ['halfUp', 'halfEven', 'up', 'down'];
+
+/**
+ * roundDivide - Integer division with an explicit rounding mode
+ *
+ * Uses BigInt, so products like amount × basis points cannot lose
+ * precision even for large amounts.
+ *
+ * @param {number|bigint} numerator - Integer; pass a BigInt product to avoid overflow
+ * @param {number} denominator - Positive integer
+ * @param {RoundingMode} [mode='halfUp'] - How to round
+ * @returns {number} Rounded quotient
+ */
+export function roundDivide(numerator, denominator, mode = 'halfUp') {
+    if (!ROUNDING_MODES.includes(mode)) {
+        throw new Error(`Unknown rounding mode "${mode}"; use ${ROUNDING_MODES.join(', ')}`);
+    }
+    const n = BigInt(numerator);
+    const d = BigInt(denominator);
+    const negative = n < 0n;
+    const absolute = negative ? -n : n;
+    let quotient = absolute / d;
+    const remainder = absolute % d;
+
+    if (remainder !== 0n) {
+        const twice = remainder * 2n;
+        if (mode === 'up'
+            || (mode === 'halfUp' && twice >= d)
+            || (mode === 'halfEven' && (twice > d || (twice === d && quotient % 2n === 1n)))) {
+            quotient += 1n;
+        }
+    }
+    return Number(negative ? -quotient : quotient);
+}
+
+function assertSameCurrency(a, b) {
+    if (a.currency !== b.currency) {
+        throw new Error(`Cannot combine ${a.currency} and ${b.currency} amounts`);
+    }
+}
+
+/**
+ * addMoney - Sum of amounts in the same currency
+ *
+ * @param {Object} first - Money value
+ * @param {...Object} rest - More money values
+ * @returns {Object} Money value
+ * @throws {Error} When currencies differ
+ */
+export function addMoney(first, ...rest) {
+    return rest.reduce((total, next) => {
+        assertSameCurrency(total, next);
+        return money(total.minor + next.minor, total.currency);
+    }, first);
+}
+
+/**
+ * clampMoney - Limits an amount to a range in the same currency
+ *
+ * @param {Object} value - Money value
+ * @param {Object} [min] - Lower bound
+ * @param {Object} [max] - Upper bound
+ * @returns {Object} Money value
+ */
+export function clampMoney(value, min, max) {
+    if (min) {
+        assertSameCurrency(value, min);
+        if (value.minor < min.minor) return min;
+    }
+    if (max) {
+        assertSameCurrency(value, max);
+        if (value.minor > max.minor) return max;
+    }
+    return value;
+}
+
+// ============================================================================
+// FORMATTING
+// ============================================================================
+
+/**
+ * toDecimalString - Exact decimal representation, e.g. "19.99"
+ *
+ * @param {Object} value - Money value
+ * @returns {string} Amount in major units
+ */
+export function toDecimalString({ minor, currency }) {
+    const digits = minorDigits(currency);
+    const sign = minor < 0 ? '-' : '';
+    const text = String(Math.abs(minor)).padStart(digits + 1, '0');
+    return digits === 0 ? `${sign}${text}` : `${sign}${text.slice(0, -digits)}.${text.slice(-digits)}`;
+}
+
+/**
+ * formatMoney - Localized display with Intl.NumberFormat
+ *
+ * @example
+ * formatMoney(money(123456, 'EUR'), 'de-DE'); // "1.234,56 €"
+ *
+ * @param {Object} value - Money value
+ * @param {string} [locale] - BCP 47 locale; the browser's when omitted
+ * @returns {string} Formatted amount
+ */
+export function formatMoney(value, locale) {
+    return new Intl.NumberFormat(locale, { style: 'currency', currency: value.currency })
+        .format(toDecimalString(value));
+}
@@ -0,0 +1,43 @@
+/**
+ * Generated sample data for the sorting demo: a reproducible catalogue of
+ * products with accented names, duplicate prices and missing ratings.
+ */
+
+const WORDS = ['Apple', 'Äpple', 'Ångström', 'Banana', 'Çay', 'Éclair', 'Kiwi', 'Öl', 'Orange', 'Zebra', 'zucchini', 'Łódź', 'Muffin', 'Nougat'];
+const CATEGORIES = ['Bakery', 'Drinks', 'Fruit', 'Snacks', 'Vegetables'];
+
+// Small seeded generator (mulberry32), so every visit shows the same rows
+function createRandom(seed) {
+    let state = seed >>> 0;
+    return () => {
+        state = (state + 0x6d2b79f5) >>> 0;
+        let t = state;
+        t = Math.imul(t ^ (t >>> 15), t | 1);
+        t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+        return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+    };
+}
+
+/**
+ * generateProducts - Builds a reproducible list of products
+ *
+ * About one in eight products has no rating (null) and one in twenty no
+ * stock count, to exercise empty-value handling.
+ *
+ * @param {number} count - Number of products
+ * @param {number} [seed=42] - Random seed
+ * @returns {Object[]} `{ id, name, category, price, rating, stock }` rows
+ */
+export function generateProducts(count, seed = 42) {
+    const random = createRandom(seed);
+    const pick = list => list[Math.floor(random() * list.length)];
+
+    return Array.from({ length: count }, (_, index) => ({
+        id: index + 1,
+        name: `${pick(WORDS)} ${Math.floor(random() * 50) + 1}`,
+        category: pick(CATEGORIES),
+        price: Math.round(random() * 40 + 1) / 2,
+        rating: random() < 0.125 ? null : Math.round((random() * 4 + 1) * 10) / 10,
+        stock: random() < 0.05 ? null : Math.floor(random() * 200)
+    }));
+}
@@ -0,0 +1,181 @@
+/**
+ * Composable sort strategies: a sort is a list of keys, each ascending or
+ * descending, tried in order until one tells two items apart. Strings are
+ * compared with Intl.Collator for the chosen locale, and empty values
+ * (null, undefined, NaN) sort after everything else by default, whatever
+ * the direction.
+ *
+ * Array.prototype.sort is stable, so items that tie on every key keep
+ * their original order.
+ */
+
+// ============================================================================
+// COMPARATORS
+// ============================================================================
+
+const collators = new Map();
+
+function getCollator(locale, sensitivity) {
+    const cacheKey = `${locale ?? ''}|${sensitivity}`;
+    if (!collators.has(cacheKey)) {
+        // numeric: "Item 2" before "Item 10"
+        collators.set(cacheKey, new Intl.Collator(locale, { numeric: true, sensitivity }));
+    }
+    return collators.get(cacheKey);
+}
+
+// Letters first ('base' makes "a", "A" and "á" equal), then case and
+// accents ('variant') only for strings that are otherwise the same
+function compareStrings(a, b, locale) {
+    return getCollator(locale, 'base').compare(a, b) || getCollator(locale, 'variant').compare(a, b);
+}
+
+function isEmpty(value) {
+    return value === null || value === undefined || Number.isNaN(value);
+}
+
+/**
+ * compareValues - Ascending comparison of two non-empty values
+ *
+ * Strings use the locale's collation, with case and accents only
+ * breaking ties between otherwise equal strings; dates compare by their
+ * time, booleans put false first; anything else is compared with < and >.
+ *
+ * @param {*} a - First value
+ * @param {*} b - Second value
+ * @param {string} [locale] - BCP 47 locale for strings; the browser's when omitted
+ * @returns {number} Negative, zero or positive
+ */
+export function compareValues(a, b, locale) {
+    if (typeof a === 'string' && typeof b === 'string') {
+        return compareStrings(a, b, locale);
+    }
+    if (a instanceof Date && b instanceof Date) {
+        return a.getTime() - b.getTime();
+    }
+    if (a < b) return -1;
+    if (a > b) return 1;
+    return 0;
+}
+
+/**
+ * compareBy - Comparator for one sort key
+ *
+ * @example
+ * items.sort(compareBy('rating', { direction: 'desc' }));
+ * items.sort(compareBy(item => item.address.city, { locale: 'sv' }));
+ *
+ * @param {string|Function} key - Property name, or item => value
+ * @param {Object} [options] - Key options
+ * @param {'asc'|'desc'} [options.direction='asc'] - Sort direction
+ * @param {'first'|'last'} [options.nulls='last'] - Where empty values go, in either direction
+ * @param {string} [options.locale] - Locale for string values
+ * @returns {Function} (a, b) => number
+ */
+export function compareBy(key, { direction = 'asc', nulls = 'last', locale } = {}) {
+    const read = typeof key === 'function' ? key : item => item[key];
+    const sign = direction === 'desc' ? -1 : 1;
+    const emptySign = nulls === 'first' ? -1 : 1;
+
+    return (a, b) => {
+        const left = read(a);
+        const right = read(b);
+        const leftEmpty = isEmpty(left);
+        const rightEmpty = isEmpty(right);
+
+        if (leftEmpty || rightEmpty) {
+            if (leftEmpty && rightEmpty) return 0;
+            return leftEmpty ? emptySign : -emptySign;
+        }
+        return sign * compareValues(left, right, locale);
+    };
+}
+
+/**
+ * composeComparators - Tries comparators in order until one is not zero
+ *
+ * @param {...Function} comparators - (a, b) => number
+ * @returns {Function} Combined comparator
+ */
+export function composeComparators(...comparators) {
+    return (a, b) => {
+        for (const compare of comparators) {
+            const result = compare(a, b);
+            if (result !== 0) return result;
+        }
+        return 0;
+    };
+}
+
+// ============================================================================
+// SORT STRATEGIES
+// ============================================================================
+
+/**
+ * A sort key as used by sort strategies and sortable tables.
+ *
+ * @typedef {Object} SortKey
+ * @property {string} key - Property name
+ * @property {'asc'|'desc'} [direction='asc'] - Sort direction
+ * @property {'first'|'last'} [nulls='last'] - Where empty values go
+ */
+
+/**
+ * createSortStrategy - Builds a sort strategy from a list of keys
+ *
+ * The strategy returns a sorted copy and never changes its input. Its
+ * keys are available as `strategy.sortKeys`, so a table can show them.
+ *
+ * @example
+ * const bestFirst = createSortStrategy([
+ *     { key: 'rating', direction: 'desc' },
+ *     { key: 'price' },
+ *     { key: 'name' }
+ * ]);
+ * const sorted = bestFirst(products);
+ *
+ * @param {SortKey[]} sortKeys - Keys from most to least significant
+ * @param {Object} [options] - Strategy options
+ * @param {string} [options.locale] - Locale for string values
+ * @returns {Function} items => sorted copy
+ */
+export function createSortStrategy(sortKeys, { locale } = {}) {
+    const compare = composeComparators(
+        ...sortKeys.map(({ key, direction, nulls }) => compareBy(key, { direction, nulls, locale }))
+    );
+
+    const strategy = items => [...items].sort(compare);
+    strategy.sortKeys = sortKeys;
+    return strategy;
+}
+
+/**
+ * toggleSortKey - Next sort keys after a click on a column header
+ *
+ * A plain click makes the column the most significant key, or flips its
+ * direction when it already is; the other keys stay as tie-breakers, so
+ * clicking name, price, rating sorts by rating, then price, then name. An
+ * additive click (shift-click) adds the column as the least significant
+ * key, or flips its direction when it is already sorted.
+ *
+ * @param {SortKey[]} sortKeys - Current keys
+ * @param {string} key - Clicked column
+ * @param {Object} [options] - Click options
+ * @param {boolean} [options.additive=false] - Add instead of promote
+ * @returns {SortKey[]} New keys
+ */
+export function toggleSortKey(sortKeys, key, { additive = false } = {}) {
+    const flip = sortKey => ({ ...sortKey, direction: sortKey.direction === 'desc' ? 'asc' : 'desc' });
+    const index = sortKeys.findIndex(sortKey => sortKey.key === key);
+
+    if (additive) {
+        return index === -1
+            ? [...sortKeys, { key, direction: 'asc' }]
+            : sortKeys.map((sortKey, i) => (i === index ? flip(sortKey) : sortKey));
+    }
+    if (index === 0) {
+        return [flip(sortKeys[0]), ...sortKeys.slice(1)];
+    }
+    const promoted = index === -1 ? { key, direction: 'asc' } : sortKeys[index];
+    return [promoted, ...sortKeys.filter(sortKey => sortKey.key !== key)];
+}
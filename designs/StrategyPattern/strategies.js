@@ -0,0 +1,96 @@
+import { createStrategyRegistry } from './strategyRegistry.js';
+import { createSortStrategy } from './sorting.js';
+import { formatMoney } from './money.js';
+import { capped, fixed, noFee, percentage, sumOf, tiered } from './fees.js';
+import { compose, email, maxLength, minLength, pattern, phone, remote, required, url } from './validation.js';
+import { usernameService } from './usernameService.js';
+
+/**
+ * The demo's strategy families. Each registry starts with the built-in
+ * strategies below; feature modules can register more (see
+ * bankTransfer.js) without editing this file or the pattern component.
+ */
+
+// ============================================================================
+// PAYMENT STRATEGIES
+// ============================================================================
+
+/** Currencies the payment demo offers; fee schedules define amounts for these */
+export const PAYMENT_CURRENCIES = ['USD', 'EUR', 'GBP', 'JPY'];
+
+// Amounts are Money values ({ minor, currency }, see money.js) and fees
+// are schedules from fees.js, so no strategy does floating-point math
+export const paymentStrategies = createStrategyRegistry({
+    name: 'payment',
+    defaultKey: 'creditCard',
+    // A saved or linked method whose module is not loaded
+    fallback: {
+        name: 'Unavailable',
+        icon: '🚫',
+        process: () => 'This payment method is not available',
+        fee: noFee()
+    }
+});
+
+paymentStrategies.register('creditCard', {
+    name: 'Credit Card',
+    icon: '💳',
+    process: (amount, locale) => `Processing ${formatMoney(amount, locale)} via Credit Card`,
+    fee: sumOf(percentage(290), fixed({ USD: 30, EUR: 25, GBP: 20, JPY: 40 }))
+});
+
+paymentStrategies.register('paypal', {
+    name: 'PayPal',
+    icon: '🅿️',
+    process: (amount, locale) => `Processing ${formatMoney(amount, locale)} via PayPal`,
+    // Micropayment rate for small amounts
+    fee: tiered([
+        { upTo: { USD: 1000, EUR: 1000, GBP: 1000, JPY: 1500 }, fee: sumOf(percentage(500), fixed({ USD: 5, EUR: 5, GBP: 5, JPY: 7 })) },
+        { fee: sumOf(percentage(349), fixed({ USD: 49, EUR: 35, GBP: 30, JPY: 40 })) }
+    ])
+});
+
+paymentStrategies.register('crypto', {
+    name: 'Cryptocurrency',
+    icon: '₿',
+    process: (amount, locale) => `Processing ${formatMoney(amount, locale)} via Crypto`,
+    fee: capped(percentage(100, { rounding: 'halfEven' }), {
+        min: { USD: 1, EUR: 1, GBP: 1, JPY: 1 },
+        max: { USD: 500, EUR: 500, GBP: 400, JPY: 750 }
+    })
+});
+
+// ============================================================================
+// SORTING STRATEGIES
+// ============================================================================
+
+// Composed from sort keys (see sorting.js); later keys break ties
+export const sortStrategies = createStrategyRegistry({ name: 'sort', defaultKey: 'name' });
+
+sortStrategies.register('name', createSortStrategy([{ key: 'name' }]));
+sortStrategies.register('price', createSortStrategy([{ key: 'price' }, { key: 'name' }]));
+sortStrategies.register('rating', createSortStrategy([
+    { key: 'rating', direction: 'desc' },
+    { key: 'price' },
+    { key: 'name' }
+]));
+
+// ============================================================================
+// VALIDATION STRATEGIES
+// ============================================================================
+
+// Validators report message keys (see validation.js) and may be async;
+// register composed validators to reuse them across forms
+export const validationStrategies = createStrategyRegistry({ name: 'validation' });
+
+validationStrategies.register('email', email());
+validationStrategies.register('phone', phone());
+validationStrategies.register('url', url());
+validationStrategies.register('username', compose(
+    required(),
+    minLength(3),
+    maxLength(20),
+    pattern(/^\w+$/, 'usernameChars'),
+    // Last, so the mock server is only asked about well-formed names
+    remote(usernameService.isAvailable, 'usernameTaken')
+));
@@ -0,0 +1,147 @@
+/**
+ * A registry of interchangeable strategies that other modules can extend.
+ *
+ * Instead of a fixed object literal, each family of strategies (payment
+ * methods, sort orders, validators…) lives in a registry. Feature modules
+ * register their own strategies, callers resolve one by key, and React
+ * components re-render when the set changes.
+ */
+
+/**
+ * createStrategyRegistry - Creates an extendable set of strategies
+ *
+ * `resolve(key)` returns the strategy registered under `key`. Without a
+ * key it uses the default. When the key is not registered (for example a
+ * saved choice whose feature module was removed) it returns `fallback`,
+ * or throws when there is none.
+ *
+ * @example
+ * const shipping = createStrategyRegistry({ name: 'shipping', defaultKey: 'standard' });
+ * shipping.register('standard', order => 4.99);
+ * const unregister = shipping.register('express', order => 14.99);
+ * shipping.resolve('express')(order); // 14.99
+ *
+ * @param {Object} [options] - Registry options
+ * @param {string} [options.name='strategy'] - Family name used in error messages
+ * @param {string} [options.defaultKey=null] - Key used when none is given
+ * @param {*} [options.fallback=null] - Strategy for unknown keys; not listed
+ * @returns {Object} Registry
+ */
+export function createStrategyRegistry({ name = 'strategy', defaultKey = null, fallback = null } = {}) {
+    const strategies = new Map();
+    const listeners = new Set();
+    let currentDefault = defaultKey;
+    // Replaced on every change, so it can be used as a React snapshot
+    let entries = [];
+
+    function changed() {
+        entries = [...strategies].map(([key, strategy]) => ({ key, strategy }));
+        listeners.forEach(listener => listener());
+    }
+
+    function unregister(key) {
+        const removed = strategies.delete(key);
+        if (removed) changed();
+        return removed;
+    }
+
+    function resolveEntry(key) {
+        const wanted = key ?? currentDefault;
+        if (wanted !== null && strategies.has(wanted)) {
+            return { key: wanted, strategy: strategies.get(wanted), isFallback: false };
+        }
+        if (fallback !== null) {
+            return { key: wanted, strategy: fallback, isFallback: true };
+        }
+        if (wanted === null) {
+            throw new Error(`No ${name} strategy was requested and there is no default`);
+        }
+        const known = [...strategies.keys()].join(', ') || 'none';
+        throw new Error(`Unknown ${name} strategy "${wanted}" (registered: ${known})`);
+    }
+
+    return {
+        name,
+
+        /**
+         * Adds a strategy
+         *
+         * @param {string} key - Unique key
+         * @param {*} strategy - Function or object implementing the strategy
+         * @param {Object} [options] - Registration options
+         * @param {boolean} [options.replace=false] - Overwrite an existing strategy with this key
+         * @returns {Function} Removes this registration, unless it was replaced since
+         * @throws {Error} When the key is taken and `replace` is not set
+         */
+        register(key, strategy, { replace = false } = {}) {
+            if (typeof key !== 'string' || key === '') {
+                throw new Error(`A ${name} strategy needs a non-empty string key`);
+            }
+            if (strategy === undefined || strategy === null) {
+                throw new Error(`The ${name} strategy "${key}" is ${strategy}`);
+            }
+            if (strategies.has(key) && !replace) {
+                throw new Error(`A ${name} strategy "${key}" is already registered; pass { replace: true } to override it`);
+            }
+            strategies.set(key, strategy);
+            changed();
+
+            return () => {
+                if (strategies.get(key) === strategy) unregister(key);
+            };
+        },
+
+        /**
+         * Removes a strategy
+         * @param {string} key - Key to remove
+         * @returns {boolean} Whether it was registered
+         */
+        unregister,
+
+        /** Whether a strategy is registered under `key` */
+        has: key => strategies.has(key),
+
+        /**
+         * Registered strategies in registration order
+         * @returns {Object[]} `{ key, strategy }` entries; the same array until the next change
+         */
+        list: () => entries,
+
+        /**
+         * The strategy for a key, the default without one, or the fallback
+         * @param {string} [key] - Strategy key
+         * @returns {*} Strategy
+         * @throws {Error} When nothing matches and there is no fallback
+         */
+        resolve: key => resolveEntry(key).strategy,
+
+        /**
+         * Like resolve(), with the key that was used and whether it fell back
+         * @param {string} [key] - Strategy key
+         * @returns {Object} `{ key, strategy, isFallback }`
+         */
+        resolveEntry,
+
+        /** Key used when resolve() gets none */
+        getDefaultKey: () => currentDefault,
+
+        /**
+         * Changes the default key; it does not have to be registered yet
+         * @param {string|null} key - New default
+         */
+        setDefault(key) {
+            currentDefault = key;
+            changed();
+        },
+
+        /**
+         * Subscribe to registrations and default changes
+         * @param {Function} listener - Called after every change
+         * @returns {Function} Unsubscribe function
+         */
+        subscribe(listener) {
+            listeners.add(listener);
+            return () => listeners.delete(listener);
+        }
+    };
+}
@@ -0,0 +1,82 @@
+/**
+ * A local stand-in for a "is this username free?" endpoint, with network
+ * latency and cancellation. It keeps a log of its requests so the demo can
+ * show which checks were answered and which were cancelled.
+ */
+
+const DEFAULT_TAKEN = ['admin', 'alice', 'bob', 'root', 'support'];
+
+/**
+ * createUsernameService - Creates a mock availability service
+ *
+ * @param {Object} [options] - Service options
+ * @param {string[]} [options.taken] - Usernames that are already in use (case-insensitive)
+ * @param {number} [options.latency=600] - Milliseconds before each answer
+ * @param {number} [options.logLimit=8] - Requests kept in the log
+ * @returns {Object} `{ isAvailable, getRequests, subscribe }`
+ */
+export function createUsernameService({ taken = DEFAULT_TAKEN, latency = 600, logLimit = 8 } = {}) {
+    const takenNames = new Set(taken.map(name => name.toLowerCase()));
+    const listeners = new Set();
+    let requests = [];
+    let nextId = 1;
+
+    function track(name) {
+        const request = { id: nextId++, name, status: 'pending' };
+        requests = [request, ...requests].slice(0, logLimit);
+        listeners.forEach(listener => listener());
+        return status => {
+            requests = requests.map(entry => (entry.id === request.id ? { ...entry, status } : entry));
+            listeners.forEach(listener => listener());
+        };
+    }
+
+    return {
+        /**
+         * Whether a username is free
+         * @param {string} name - Username
+         * @param {Object} [options] - Request options
+         * @param {AbortSignal} [options.signal] - Cancels the request
+         * @returns {Promise<boolean>} Rejects with the signal's reason when cancelled
+         */
+        isAvailable(name, { signal } = {}) {
+            return new Promise((resolve, reject) => {
+                signal?.throwIfAborted();
+                const settle = track(name);
+
+                const timer = setTimeout(() => {
+                    signal?.removeEventListener('abort', onAbort);
+                    const available = !takenNames.has(name.toLowerCase());
+                    settle(available ? 'available' : 'taken');
+                    resolve(available);
+                }, latency);
+
+                function onAbort() {
+                    clearTimeout(timer);
+                    settle('cancelled');
+                    reject(signal.reason);
+                }
+                signal?.addEventListener('abort', onAbort, { once: true });
+            });
+        },
+
+        /**
+         * Most recent requests first
+         * @returns {Object[]} `{ id, name, status }` entries; the same array until the next change
+         */
+        getRequests: () => requests,
+
+        /**
+         * Subscribe to changes of the request log
+         * @param {Function} listener - Called after every change
+         * @returns {Function} Unsubscribe function
+         */
+        subscribe(listener) {
+            listeners.add(listener);
+            return () => listeners.delete(listener);
+        }
+    };
+}
+
+/** The service used by the built-in username validator */
+export const usernameService = createUsernameService();
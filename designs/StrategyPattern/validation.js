@@ -0,0 +1,234 @@
+/**
+ * Validation strategies that compose, may be asynchronous and report
+ * message keys instead of English text.
+ *
+ * A validator is `(value, { signal }) => error`, where `error` is null when
+ * the value is fine or `{ key, params }` when it is not, e.g.
+ * `{ key: 'minLength', params: { min: 3 } }`. It may also return a promise
+ * of either. The key is looked up in a message catalogue when the error is
+ * shown, so the same validators serve every language.
+ *
+ * Validators should stop when `signal` is aborted: the value they are
+ * checking has changed and nobody is waiting for the answer any more.
+ */
+
+// ============================================================================
+// RESULTS
+// ============================================================================
+
+/**
+ * A failed check: a message key and the values its message needs.
+ *
+ * @typedef {Object} ValidationError
+ * @property {string} key - Message key, e.g. 'minLength'
+ * @property {Object} [params] - Values for the message, e.g. `{ min: 3 }`
+ */
+
+/**
+ * invalid - Builds a validation error
+ *
+ * @param {string} key - Message key
+ * @param {Object} [params] - Values for the message
+ * @returns {ValidationError} Error
+ */
+export function invalid(key, params) {
+    return params ? { key, params } : { key };
+}
+
+/**
+ * isAbortError - Whether a rejection means the check was cancelled
+ *
+ * @param {*} error - Rejection reason
+ * @returns {boolean} True for AbortError
+ */
+export function isAbortError(error) {
+    return error?.name === 'AbortError';
+}
+
+function isBlank(value) {
+    return value === null || value === undefined || String(value).trim() === '';
+}
+
+// ============================================================================
+// VALIDATORS
+// ============================================================================
+
+// Every validator but required() accepts an empty value, so optional
+// fields can use them; compose with required() to make a field mandatory
+
+/**
+ * required - Fails for empty and whitespace-only values
+ *
+ * @returns {Function} Validator
+ */
+export function required() {
+    return value => (isBlank(value) ? invalid('required') : null);
+}
+
+/**
+ * minLength - Fails for text shorter than `min` characters
+ *
+ * @param {number} min - Minimum length
+ * @returns {Function} Validator
+ */
+export function minLength(min) {
+    return value => (!isBlank(value) && String(value).length < min ? invalid('minLength', { min }) : null);
+}
+
+/**
+ * maxLength - Fails for text longer than `max` characters
+ *
+ * @param {number} max - Maximum length
+ * @returns {Function} Validator
+ */
+export function maxLength(max) {
+    return value => (!isBlank(value) && String(value).length > max ? invalid('maxLength', { max }) : null);
+}
+
+/**
+ * pattern - Fails when the text does not match a regular expression
+ *
+ * @param {RegExp} regex - Pattern the whole value must match
+ * @param {string} [key='pattern'] - Message key on failure
+ * @returns {Function} Validator
+ */
+export function pattern(regex, key = 'pattern') {
+    return value => (!isBlank(value) && !regex.test(String(value)) ? invalid(key) : null);
+}
+
+/** email - Something@something.something */
+export const email = () => pattern(/^\S+@\S+\.\S+$/, 'email');
+
+/** phone - Exactly ten digits */
+export const phone = () => pattern(/^\d{10}$/, 'phone');
+
+/** url - An http or https address */
+export const url = () => pattern(/^https?:\/\/\S+$/, 'url');
+
+/**
+ * remote - Asks an asynchronous check whether a value is acceptable
+ *
+ * @example
+ * const available = remote(usernameService.isAvailable, 'usernameTaken');
+ *
+ * @param {Function} check - (value, { signal }) => Promise<boolean>
+ * @param {string} key - Message key when the check answers false
+ * @returns {Function} Validator
+ */
+export function remote(check, key) {
+    return async (value, { signal } = {}) => {
+        if (isBlank(value)) return null;
+        return (await check(value, { signal })) ? null : invalid(key);
+    };
+}
+
+/**
+ * compose - Runs validators in order and reports the first error
+ *
+ * Later validators only run when the earlier ones pass, so put cheap
+ * checks first: required + minLength + a server round trip only asks the
+ * server about values that could be valid. Stops with an AbortError as
+ * soon as the signal is aborted.
+ *
+ * @example
+ * const username = compose(required(), minLength(3), remote(isAvailable, 'usernameTaken'));
+ * await validate(username, 'al'); // { key: 'minLength', params: { min: 3 } }
+ *
+ * @param {...Function} validators - Validators, sync or async
+ * @returns {Function} Async validator
+ */
+export function compose(...validators) {
+    return async (value, context = {}) => {
+        for (const validator of validators) {
+            context.signal?.throwIfAborted();
+            const error = await validator(value, context);
+            if (error) return error;
+        }
+        return null;
+    };
+}
+
+/**
+ * validate - Runs any validator and always returns a promise
+ *
+ * @param {Function} validator - Sync or async validator
+ * @param {*} value - Value to check
+ * @param {Object} [options] - Options
+ * @param {AbortSignal} [options.signal] - Cancels the check
+ * @returns {Promise<ValidationError|null>} Error, or null when valid
+ * @throws {DOMException} AbortError (as a rejection) when cancelled
+ */
+export async function validate(validator, value, { signal } = {}) {
+    signal?.throwIfAborted();
+    const error = await validator(value, { signal });
+    signal?.throwIfAborted();
+    return error ?? null;
+}
+
+// ============================================================================
+// MESSAGES
+// ============================================================================
+
+/**
+ * Validation messages by language and key; `{name}` is replaced with the
+ * error's params. 'checking' is shown while an async check runs. Add a
+ * language by adding an entry.
+ */
+export const validationMessages = {
+    en: {
+        required: 'This field is required',
+        minLength: 'Use at least {min} characters',
+        maxLength: 'Use at most {max} characters',
+        pattern: 'This value has the wrong format',
+        email: 'Enter a valid email address',
+        phone: 'Enter a phone number with 10 digits',
+        url: 'Enter a URL starting with http:// or https://',
+        usernameChars: 'Use only letters, digits and underscores',
+        usernameTaken: 'This username is already taken',
+        checkFailed: 'Could not check this value, please try again',
+        checking: 'Checking…'
+    },
+    de: {
+        required: 'Dieses Feld ist erforderlich',
+        minLength: 'Mindestens {min} Zeichen verwenden',
+        maxLength: 'Höchstens {max} Zeichen verwenden',
+        pattern: 'Dieser Wert hat das falsche Format',
+        email: 'Gültige E-Mail-Adresse eingeben',
+        phone: 'Telefonnummer mit 10 Ziffern eingeben',
+        url: 'URL mit http:// oder https:// eingeben',
+        usernameChars: 'Nur Buchstaben, Ziffern und Unterstriche verwenden',
+        usernameTaken: 'Dieser Benutzername ist bereits vergeben',
+        checkFailed: 'Prüfung fehlgeschlagen, bitte erneut versuchen',
+        checking: 'Wird geprüft…'
+    },
+    es: {
+        required: 'Este campo es obligatorio',
+        minLength: 'Usa al menos {min} caracteres',
+        maxLength: 'Usa como máximo {max} caracteres',
+        pattern: 'Este valor tiene un formato incorrecto',
+        email: 'Introduce un correo electrónico válido',
+        phone: 'Introduce un teléfono de 10 dígitos',
+        url: 'Introduce una URL que empiece por http:// o https://',
+        usernameChars: 'Usa solo letras, dígitos y guiones bajos',
+        usernameTaken: 'Este nombre de usuario ya está en uso',
+        checkFailed: 'No se pudo comprobar, inténtalo de nuevo',
+        checking: 'Comprobando…'
+    }
+};
+
+/**
+ * formatValidationMessage - Text for a validation error in a language
+ *
+ * Falls back to English for a missing language or key, and to the key
+ * itself when English has no message either, so a missing translation
+ * shows up without breaking the form.
+ *
+ * @param {ValidationError} error - Error from a validator
+ * @param {string} [language='en'] - Language code, e.g. 'de'
+ * @param {Object} [messages=validationMessages] - Catalogue to use
+ * @returns {string} Message
+ */
+export function formatValidationMessage({ key, params = {} }, language = 'en', messages = validationMessages) {
+    const template = messages[language]?.[key] ?? messages.en?.[key] ?? key;
+    return template.replace(/\{(\w+)\}/g, (placeholder, name) => (name in params ? String(params[name]) : placeholder));
+}
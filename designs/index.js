@@ -1,119 +1,90 @@
 /**
  * Frontend Design Patterns - Central Export File
- * 
+ *
  * This file exports all 25 React design patterns for easy importing.
  * Each pattern is fully implemented with professional code quality,
  * comprehensive documentation, and interactive demonstrations.
- * 
+ *
+ * Everything here is derived from the pattern registry (./registry.js).
+ * To add a pattern, add an entry there; it becomes available through the
+ * default export and the registry queries automatically.
+ *
  * @module designs
  */
 
-// Structural Patterns
-import AtomicComponents from "./AtomicComponents/AtomicComponents.jsx";
-import ComponentComposition from "./ComponentComposition/ComponentComposition.jsx";
-import CompoundComponent from "./CompoundComponents/CompoundComponent.jsx";
-import StatefulAndStatelessComponent from "./StatefulAndStatelessComponents/StatefulAndStatelessComponent.jsx";
+import { patterns } from "./registry.js";
+import * as designs from "./index.js";
 
-// Behavioral Patterns
-import ControlledProps from "./ControlleredProps/ControlledProps.jsx";
-import StateReducer from "./StateReducer/StateReducer.jsx";
-import CustomHook from "./CustomHook/CustomHook.jsx";
-import ProviderPattern from "./ProviderPattern/ProviderPattern.jsx";
-
-// Compositional Patterns
-import ComponentInjection from "./ComponentInjection/ComponentInjection.jsx";
-import RenderProps from "./RenderProps/RenderProps.jsx";
-import HigherOrderComponent from "./HigherOrderComponents/HigherOrderComponent.jsx";
-
-// Advanced Patterns
-import PropsCombination from "./PropsCombination/PropsCombination.jsx";
-import PropsGetter from "./PropsGetter/PropsGetter.jsx";
-import DependencyInjection from "./DependencyInjection/DependencyInjection.jsx";
-
-// Performance Patterns
-import LazyLoading from "./LazyLoading/LazyLoading.jsx";
-import PortalPattern from "./PortalPattern/PortalPattern.jsx";
+export {
+    learningPaths,
+    getLearningPath,
+    getPathsForPattern,
+    getPathStep
+} from "./learningPaths.js";
 
-// Classic Patterns
-import ObserverPattern from "./ObserverPattern/ObserverPattern.jsx";
-import SingletonPattern from "./SingletonPattern/SingletonPattern.jsx";
-import FactoryPattern from "./FactoryPattern/FactoryPattern.jsx";
-import StrategyPattern from "./StrategyPattern/StrategyPattern.jsx";
-import ProxyPattern from "./ProxyPattern/ProxyPattern.jsx";
-import ModulePattern from "./ModulePattern/ModulePattern.jsx";
+export {
+    CATEGORIES,
+    DIFFICULTIES,
+    BEHAVIORS,
+    patterns,
+    toSlug,
+    getPattern,
+    getPatternBySlug,
+    getRelatedPatterns,
+    getPatternsByCategory,
+    findPatterns,
+    getAllTags,
+    getBehaviors
+} from "./registry.js";
 
-// Architecture Patterns
-import FluxPattern from "./FluxPattern/FluxPattern.jsx";
-import LayoutPattern from "./LayoutPattern/LayoutPattern.jsx";
-import ExtensibleStyles from "./ExtensibleStyles/ExtensibleStyles.jsx";
+// Demo components keyed by pattern id
+const patternComponents = Object.freeze(
+    Object.fromEntries(patterns.map(pattern => [pattern.id, pattern.component]))
+);
 
-// Export all patterns
-export {
-    // Structural Patterns
+// Named exports kept for `import { StateReducer } from "./designs"` consumers.
+// ES module exports must be static, so this is the one list that is not
+// generated; new patterns are reachable through the default export without it.
+// A name here that is not a registry id would export undefined, which the
+// development check at the end of this file turns into an error.
+export const {
     AtomicComponents,
     ComponentComposition,
     CompoundComponent,
     StatefulAndStatelessComponent,
-    
-    // Behavioral Patterns
     ControlledProps,
     StateReducer,
     CustomHook,
     ProviderPattern,
-    
-    // Compositional Patterns
     ComponentInjection,
     RenderProps,
     HigherOrderComponent,
-    
-    // Advanced Patterns
     PropsCombination,
     PropsGetter,
     DependencyInjection,
-    
-    // Performance Patterns
     LazyLoading,
     PortalPattern,
-    
-    // Classic Patterns
     ObserverPattern,
     SingletonPattern,
     FactoryPattern,
     StrategyPattern,
     ProxyPattern,
     ModulePattern,
-    
-    // Architecture Patterns
     FluxPattern,
     LayoutPattern,
     ExtensibleStyles
-};
+} = patternComponents;
 
 // Default export for convenience
-export default {
-    AtomicComponents,
-    ComponentComposition,
-    CompoundComponent,
-    StatefulAndStatelessComponent,
-    ControlledProps,
-    StateReducer,
-    CustomHook,
-    ProviderPattern,
-    ComponentInjection,
-    RenderProps,
-    HigherOrderComponent,
-    PropsCombination,
-    PropsGetter,
-    DependencyInjection,
-    LazyLoading,
-    PortalPattern,
-    ObserverPattern,
-    SingletonPattern,
-    FactoryPattern,
-    StrategyPattern,
-    ProxyPattern,
-    ModulePattern,
-    FluxPattern,
-    LayoutPattern,
-    ExtensibleStyles
-};
\ No newline at end of file
+export default patternComponents;
+
+// Checked through this module's own namespace, so the names above are not
+// listed twice; it is complete here, after the last export has run.
+if (import.meta.env.DEV) {
+    const unresolved = Object.keys(designs).filter(name => designs[name] === undefined);
+    if (unresolved.length > 0) {
+        throw new Error(
+            `designs/index.js exports ${unresolved.join(", ")}, but the registry has no pattern with that id`
+        );
+    }
+}
@@ -0,0 +1,103 @@
+/**
+ * Learning Paths
+ *
+ * Ordered curricula through the registry, from first components to
+ * architecture-level patterns. The gallery walks these step by step with
+ * next / previous navigation and tracks each reader's progress.
+ *
+ * @module designs/learningPaths
+ */
+
+import { getPattern } from './registry.js';
+
+/**
+ * @typedef {Object} LearningPathEntry
+ * @property {string} id - URL-safe id, e.g. "beginner"
+ * @property {string} title - Display title
+ * @property {string} description - What the path teaches
+ * @property {string[]} steps - Pattern ids in study order
+ */
+
+/** @type {LearningPathEntry[]} */
+const entries = [
+    {
+        id: 'beginner',
+        title: 'Beginner',
+        description: 'Split components sensibly, reuse logic with hooks and share state without prop drilling.',
+        steps: ['ComponentComposition', 'CustomHook', 'ControlledProps', 'ProviderPattern']
+    },
+    {
+        id: 'intermediate',
+        title: 'Intermediate',
+        description: 'Design component APIs and manage state transitions as the UI grows.',
+        steps: ['CompoundComponent', 'StateReducer', 'AtomicComponents', 'PropsCombination']
+    },
+    {
+        id: 'advanced',
+        title: 'Advanced',
+        description: 'Invert control: let consumers inject components, rendering and services.',
+        steps: ['ComponentInjection', 'RenderProps', 'HigherOrderComponent', 'PropsGetter', 'DependencyInjection']
+    }
+];
+
+/**
+ * Resolves step ids to pattern records, failing fast on typos
+ * @param {LearningPathEntry} entry - Path entry
+ * @returns {Readonly<Object>} Learning path with `patterns`
+ */
+function resolvePath(entry) {
+    const resolved = entry.steps.map(id => {
+        const pattern = getPattern(id);
+        if (!pattern) {
+            throw new Error(`Learning path "${entry.id}": unknown pattern "${id}"`);
+        }
+        return pattern;
+    });
+
+    return Object.freeze({ ...entry, patterns: Object.freeze(resolved) });
+}
+
+export const learningPaths = Object.freeze(entries.map(resolvePath));
+
+/**
+ * Looks up a learning path by id
+ * @param {string} id - Path id
+ * @returns {Object|undefined} Learning path
+ */
+export function getLearningPath(id) {
+    return learningPaths.find(path => path.id === id);
+}
+
+/**
+ * Lists the paths that include a pattern
+ * @param {string} patternId - Pattern id
+ * @returns {Object[]} Learning paths
+ */
+export function getPathsForPattern(patternId) {
+    return learningPaths.filter(path => path.steps.includes(patternId));
+}
+
+/**
+ * Locates a pattern within a path
+ *
+ * @param {string} pathId - Path id
+ * @param {string} patternId - Pattern id
+ * @returns {{ path: Object, index: number, previous: Object|null, next: Object|null }|null}
+ *   Position, or null when the pattern is not on the path
+ *
+ * @example
+ * getPathStep('beginner', 'CustomHook');
+ * // { path, index: 1, previous: <ComponentComposition>, next: <ControlledProps> }
+ */
+export function getPathStep(pathId, patternId) {
+    const path = getLearningPath(pathId);
+    const index = path ? path.steps.indexOf(patternId) : -1;
+    if (index === -1) return null;
+
+    return {
+        path,
+        index,
+        previous: path.patterns[index - 1] || null,
+        next: path.patterns[index + 1] || null
+    };
+}
@@ -0,0 +1,571 @@
+/**
+ * Pattern Registry
+ *
+ * Single source of truth for every pattern in this directory. Each entry
+ * describes one pattern folder; the barrel export, the gallery, search and
+ * learning paths all read from here.
+ *
+ * Adding a pattern means adding one entry below. Its demo component is
+ * resolved from `source`, so no extra import is needed. Exercises are
+ * picked up from an optional `exercises/index.js` in the pattern folder.
+ *
+ * @module designs/registry
+ */
+
+// Every pattern module, keyed by "./Folder/File.jsx"
+const patternModules = import.meta.glob('./*/*.jsx', { eager: true });
+
+// Optional exercise lists, keyed by "./Folder/exercises/index.js"
+const exerciseModules = import.meta.glob('./*/exercises/index.js', { eager: true, import: 'default' });
+
+export const CATEGORIES = Object.freeze([
+    'Structural',
+    'Behavioral',
+    'Compositional',
+    'Advanced',
+    'Performance',
+    'Classic',
+    'Architecture'
+]);
+
+export const DIFFICULTIES = Object.freeze(['Beginner', 'Intermediate', 'Advanced']);
+
+// Behaviors implemented by more than one pattern, for side-by-side comparison
+export const BEHAVIORS = Object.freeze({
+    toggle: 'Toggle',
+    form: 'Form',
+    counter: 'Counter'
+});
+
+/**
+ * @typedef {Object} PatternEntry
+ * @property {string} id - Export name, e.g. "StateReducer"
+ * @property {string} title - Display title
+ * @property {string} category - One of CATEGORIES
+ * @property {string} difficulty - One of DIFFICULTIES
+ * @property {string[]} tags - Lowercase topic tags
+ * @property {string[]} related - Ids of related patterns
+ * @property {string} source - Demo file path relative to designs/
+ * @property {string} summary - One-line description
+ * @property {string[]} pros - Strengths, shown in comparison tables
+ * @property {string[]} cons - Costs, shown in comparison tables
+ * @property {PatternExample[]} [examples] - Focused demos of shared behaviors
+ */
+
+/**
+ * @typedef {Object} PatternExample
+ * @property {string} behavior - Key of BEHAVIORS
+ * @property {string} export - Named component export of the source file
+ * @property {string} focus - Definition that implements the behavior
+ */
+
+/**
+ * @typedef {Object} PatternExercise
+ * @property {string} id - URL-safe id, unique within the pattern
+ * @property {string} title - Display title
+ * @property {string} prompt - What to build
+ * @property {string[]} [hints] - Progressive hints
+ * @property {string} starter - Starter module source with TODOs
+ * @property {Array<{ name: string, run: Function }>} checks - Tests run on "Check"
+ */
+
+/** @type {PatternEntry[]} */
+const entries = [
+    // Structural Patterns
+    {
+        id: 'AtomicComponents',
+        title: 'Atomic Components',
+        category: 'Structural',
+        difficulty: 'Intermediate',
+        tags: ['composition', 'design-system', 'reuse'],
+        related: ['ComponentComposition', 'CompoundComponent', 'PropsCombination'],
+        source: 'AtomicComponents/AtomicComponents.jsx',
+        summary: 'Build design systems from atoms up to full pages',
+        pros: ['Consistent, reusable building blocks', 'Maps directly onto a design system'],
+        cons: ['Many small files and indirection', 'Level boundaries are easy to argue about']
+    },
+    {
+        id: 'ComponentComposition',
+        title: 'Component Composition',
+        category: 'Structural',
+        difficulty: 'Beginner',
+        tags: ['composition', 'separation-of-concerns', 'reuse'],
+        related: ['StatefulAndStatelessComponent', 'AtomicComponents', 'CustomHook'],
+        source: 'ComponentComposition/ComponentComposition.jsx',
+        summary: 'Separate logic from presentation with containers and views',
+        pros: ['Views are trivial to test and restyle', 'Logic and markup change independently'],
+        cons: ['Extra container layer per feature', 'Props are threaded by hand']
+    },
+    {
+        id: 'CompoundComponent',
+        title: 'Compound Components',
+        category: 'Structural',
+        difficulty: 'Intermediate',
+        tags: ['composition', 'context', 'api-design', 'state'],
+        related: ['ProviderPattern', 'ControlledProps', 'PropsGetter'],
+        source: 'CompoundComponents/CompoundComponent.jsx',
+        summary: 'Components that share implicit state through context',
+        pros: ['Expressive, declarative markup API', 'Consumers control order and layout'],
+        cons: ['Children must render inside the parent', 'Implicit context wiring is harder to trace']
+    },
+    {
+        id: 'StatefulAndStatelessComponent',
+        title: 'Stateful and Stateless Components',
+        category: 'Structural',
+        difficulty: 'Beginner',
+        tags: ['composition', 'state', 'separation-of-concerns'],
+        related: ['ComponentComposition', 'CustomHook'],
+        source: 'StatefulAndStatelessComponents/StatefulAndStatelessComponent.jsx',
+        summary: 'Smart containers own data, dumb components render it',
+        pros: ['Most components stay pure and predictable', 'Clear place for data fetching'],
+        cons: ['Containers can turn into prop-passing boilerplate', 'Hooks blur the split in modern code']
+    },
+
+    // Behavioral Patterns
+    {
+        id: 'ControlledProps',
+        title: 'Controlled Props',
+        category: 'Behavioral',
+        difficulty: 'Beginner',
+        tags: ['state', 'forms', 'api-design'],
+        related: ['StateReducer', 'CompoundComponent', 'PropsGetter'],
+        source: 'ControlleredProps/ControlledProps.jsx',
+        summary: 'Let parents optionally own a component\'s state',
+        pros: ['Parents can own or ignore the state', 'Works with forms and external stores'],
+        cons: ['Two code paths (controlled and uncontrolled)', 'Switching modes at runtime causes bugs']
+    },
+    {
+        id: 'StateReducer',
+        title: 'State Reducer',
+        category: 'Behavioral',
+        difficulty: 'Intermediate',
+        tags: ['state', 'reducers', 'hooks'],
+        related: ['FluxPattern', 'ControlledProps', 'CustomHook'],
+        source: 'StateReducer/StateReducer.jsx',
+        summary: 'Manage complex state transitions with reducers',
+        pros: ['Transitions are explicit and testable', 'Consumers can override state changes'],
+        cons: ['More ceremony than useState', 'Action types add indirection'],
+        examples: [
+            { behavior: 'counter', export: 'CounterWithReducer', focus: 'counterReducer' },
+            { behavior: 'form', export: 'FormWithReducer', focus: 'formReducer' }
+        ]
+    },
+    {
+        id: 'CustomHook',
+        title: 'Custom Hooks',
+        category: 'Behavioral',
+        difficulty: 'Beginner',
+        tags: ['hooks', 'reuse', 'state'],
+        related: ['RenderProps', 'HigherOrderComponent', 'PropsGetter'],
+        source: 'CustomHook/CustomHook.jsx',
+        summary: 'Extract and reuse stateful logic between components',
+        pros: ['Reuses logic without extra components', 'Composes freely with other hooks'],
+        cons: ['UI is not shared, only logic', 'Rules of hooks apply to every caller'],
+        examples: [
+            { behavior: 'toggle', export: 'ToggleDemo', focus: 'useToggle' },
+            { behavior: 'counter', export: 'CounterDemo', focus: 'useCounter' }
+        ]
+    },
+    {
+        id: 'ProviderPattern',
+        title: 'Provider Pattern',
+        category: 'Behavioral',
+        difficulty: 'Beginner',
+        tags: ['context', 'state', 'dependency-injection'],
+        related: ['CompoundComponent', 'DependencyInjection', 'SingletonPattern'],
+        source: 'ProviderPattern/ProviderPattern.jsx',
+        summary: 'Share state across a subtree without prop drilling',
+        pros: ['No prop drilling through the tree', 'One place to swap implementations'],
+        cons: ['Every consumer re-renders on change', 'Hidden dependency on an ancestor']
+    },
+
+    // Compositional Patterns
+    {
+        id: 'ComponentInjection',
+        title: 'Component Injection',
+        category: 'Compositional',
+        difficulty: 'Advanced',
+        tags: ['composition', 'plugins', 'api-design'],
+        related: ['RenderProps', 'FactoryPattern', 'DependencyInjection'],
+        source: 'ComponentInjection/ComponentInjection.jsx',
+        summary: 'Pass components as props for plugin-like flexibility',
+        pros: ['Plugin-like extension points', 'Swap UI without forking the component'],
+        cons: ['Injected components need a stable contract', 'Harder to type and document']
+    },
+    {
+        id: 'RenderProps',
+        title: 'Render Props',
+        category: 'Compositional',
+        difficulty: 'Advanced',
+        tags: ['composition', 'reuse', 'inversion-of-control'],
+        related: ['CustomHook', 'HigherOrderComponent', 'PropsGetter'],
+        source: 'RenderProps/RenderProps.jsx',
+        summary: 'Share behavior through a function that renders UI',
+        pros: ['Caller fully controls the rendered UI', 'Logic shared without wrapping exports'],
+        cons: ['Nesting leads to callback pyramids', 'New function each render can defeat memoization'],
+        examples: [
+            { behavior: 'toggle', export: 'ToggleDemo', focus: 'Toggle' },
+            { behavior: 'form', export: 'FormDemo', focus: 'Form' }
+        ]
+    },
+    {
+        id: 'HigherOrderComponent',
+        title: 'Higher-Order Components',
+        category: 'Compositional',
+        difficulty: 'Advanced',
+        tags: ['composition', 'reuse', 'cross-cutting'],
+        related: ['CustomHook', 'RenderProps', 'ProxyPattern'],
+        source: 'HigherOrderComponents/HigherOrderComponent.jsx',
+        summary: 'Wrap components to add props or behavior',
+        pros: ['Enhances any component without touching it', 'Stacks cleanly for cross-cutting concerns'],
+        cons: ['Wrapper hell in the component tree', 'Prop name collisions are silent'],
+        examples: [
+            { behavior: 'toggle', export: 'ToggleDemo', focus: 'withToggle' }
+        ]
+    },
+
+    // Advanced Patterns
+    {
+        id: 'PropsCombination',
+        title: 'Props Combination',
+        category: 'Advanced',
+        difficulty: 'Intermediate',
+        tags: ['api-design', 'styling', 'variants'],
+        related: ['ExtensibleStyles', 'AtomicComponents', 'PropsGetter'],
+        source: 'PropsCombination/PropsCombination.jsx',
+        summary: 'Combine related props into flexible variants',
+        pros: ['Small, predictable variant API', 'Invalid prop mixes are ruled out'],
+        cons: ['Variant matrix grows quickly', 'Escape hatches are still needed']
+    },
+    {
+        id: 'PropsGetter',
+        title: 'Props Getter',
+        category: 'Advanced',
+        difficulty: 'Advanced',
+        tags: ['hooks', 'api-design', 'accessibility'],
+        related: ['CustomHook', 'ControlledProps', 'RenderProps'],
+        source: 'PropsGetter/PropsGetter.jsx',
+        summary: 'Hand out prop objects that wire up behavior consistently',
+        pros: ['Accessibility and handlers wired correctly by default', 'Consumers can still merge their own props'],
+        cons: ['Getter API must be learned', 'Merging rules need documentation'],
+        examples: [
+            { behavior: 'toggle', export: 'Toggle', focus: 'useToggle' },
+            { behavior: 'form', export: 'ContactForm', focus: 'useForm' }
+        ]
+    },
+    {
+        id: 'DependencyInjection',
+        title: 'Dependency Injection',
+        category: 'Advanced',
+        difficulty: 'Advanced',
+        tags: ['dependency-injection', 'context', 'architecture'],
+        related: ['ProviderPattern', 'ComponentInjection', 'SingletonPattern'],
+        source: 'DependencyInjection/DependencyInjection.jsx',
+        summary: 'Decouple components from the services they use',
+        pros: ['Services are swappable and mockable', 'Components depend on interfaces, not modules'],
+        cons: ['Container setup and extra dependencies', 'Indirection makes code navigation harder']
+    },
+
+    // Performance Patterns
+    {
+        id: 'LazyLoading',
+        title: 'Lazy Loading',
+        category: 'Performance',
+        difficulty: 'Intermediate',
+        tags: ['performance', 'code-splitting', 'suspense'],
+        related: ['ProxyPattern', 'PortalPattern'],
+        source: 'LazyLoading/LazyLoading.jsx',
+        summary: 'Load code on demand with React.lazy and Suspense',
+        pros: ['Smaller initial bundle', 'Rarely used screens cost nothing up front'],
+        cons: ['Loading states everywhere', 'Waterfalls if chunks load late']
+    },
+    {
+        id: 'PortalPattern',
+        title: 'Portal Pattern',
+        category: 'Performance',
+        difficulty: 'Intermediate',
+        tags: ['dom', 'overlays', 'accessibility'],
+        related: ['LayoutPattern', 'ProviderPattern'],
+        source: 'PortalPattern/PortalPattern.jsx',
+        summary: 'Render outside the DOM hierarchy, stay in the React tree',
+        pros: ['Escapes overflow and stacking contexts', 'Events still bubble through React'],
+        cons: ['Focus and scroll management are manual', 'DOM and React trees diverge']
+    },
+
+    // Classic Patterns
+    {
+        id: 'ObserverPattern',
+        title: 'Observer Pattern',
+        category: 'Classic',
+        difficulty: 'Intermediate',
+        tags: ['events', 'pub-sub', 'decoupling'],
+        related: ['FluxPattern', 'SingletonPattern', 'ProviderPattern'],
+        source: 'ObserverPattern/ObserverPattern.jsx',
+        summary: 'Notify many subscribers when something happens',
+        pros: ['Publishers and subscribers stay decoupled', 'Any number of listeners'],
+        cons: ['Forgotten unsubscribes leak memory', 'Event flow is hard to follow']
+    },
+    {
+        id: 'SingletonPattern',
+        title: 'Singleton Pattern',
+        category: 'Classic',
+        difficulty: 'Beginner',
+        tags: ['services', 'global-state'],
+        related: ['ModulePattern', 'ProviderPattern', 'DependencyInjection'],
+        source: 'SingletonPattern/SingletonPattern.jsx',
+        summary: 'One shared instance for cross-cutting services',
+        pros: ['One shared instance, created once', 'Simple global access for services'],
+        cons: ['Hidden global state', 'Hard to reset between tests']
+    },
+    {
+        id: 'FactoryPattern',
+        title: 'Factory Pattern',
+        category: 'Classic',
+        difficulty: 'Intermediate',
+        tags: ['creation', 'plugins', 'decoupling'],
+        related: ['StrategyPattern', 'ComponentInjection'],
+        source: 'FactoryPattern/FactoryPattern.jsx',
+        summary: 'Centralize how components and objects are created',
+        pros: ['Creation logic in one place', 'New types without touching callers'],
+        cons: ['Registry lookups hide concrete types', 'Another layer to maintain']
+    },
+    {
+        id: 'StrategyPattern',
+        title: 'Strategy Pattern',
+        category: 'Classic',
+        difficulty: 'Intermediate',
+        tags: ['algorithms', 'plugins', 'decoupling'],
+        related: ['FactoryPattern', 'ComponentInjection'],
+        source: 'StrategyPattern/StrategyPattern.jsx',
+        summary: 'Swap interchangeable algorithms at runtime',
+        pros: ['Algorithms swap at runtime', 'Each strategy is tested in isolation'],
+        cons: ['Callers must pick the right strategy', 'Overkill for one or two variants']
+    },
+    {
+        id: 'ProxyPattern',
+        title: 'Proxy Pattern',
+        category: 'Classic',
+        difficulty: 'Advanced',
+        tags: ['cross-cutting', 'validation', 'performance'],
+        related: ['HigherOrderComponent', 'LazyLoading'],
+        source: 'ProxyPattern/ProxyPattern.jsx',
+        summary: 'Control access to objects without changing them',
+        pros: ['Adds validation, logging or caching transparently', 'Target objects stay unchanged'],
+        cons: ['Behavior is invisible at the call site', 'Proxy traps cost performance']
+    },
+    {
+        id: 'ModulePattern',
+        title: 'Module Pattern',
+        category: 'Classic',
+        difficulty: 'Beginner',
+        tags: ['encapsulation', 'services', 'state'],
+        related: ['SingletonPattern', 'CustomHook'],
+        source: 'ModulePattern/ModulePattern.jsx',
+        summary: 'Keep state private behind a small public API',
+        pros: ['True private state', 'Small, explicit public API'],
+        cons: ['Not reactive without a subscription layer', 'Module state is shared by every importer']
+    },
+
+    // Architecture Patterns
+    {
+        id: 'FluxPattern',
+        title: 'Flux Pattern',
+        category: 'Architecture',
+        difficulty: 'Advanced',
+        tags: ['state', 'reducers', 'architecture', 'events'],
+        related: ['StateReducer', 'ObserverPattern', 'ProviderPattern'],
+        source: 'FluxPattern/FluxPattern.jsx',
+        summary: 'Unidirectional data flow through a central store',
+        pros: ['Predictable one-way data flow', 'Every change is an inspectable action'],
+        cons: ['Lots of boilerplate for small apps', 'Central store can become a bottleneck']
+    },
+    {
+        id: 'LayoutPattern',
+        title: 'Layout Pattern',
+        category: 'Architecture',
+        difficulty: 'Beginner',
+        tags: ['layout', 'composition'],
+        related: ['ComponentComposition', 'AtomicComponents'],
+        source: 'LayoutPattern/LayoutPattern.jsx',
+        summary: 'Reusable page shells that wrap content',
+        pros: ['Consistent page structure', 'Pages focus on content only'],
+        cons: ['Layouts get too many slots and flags', 'Nested layouts complicate routing']
+    },
+    {
+        id: 'ExtensibleStyles',
+        title: 'Extensible Styles',
+        category: 'Architecture',
+        difficulty: 'Beginner',
+        tags: ['styling', 'api-design', 'variants'],
+        related: ['PropsCombination', 'AtomicComponents'],
+        source: 'ExtensibleStyles/ExtensibleStyles.jsx',
+        summary: 'Let consumers extend component styles safely',
+        pros: ['Consumers restyle without forking', 'Base styles stay consistent'],
+        cons: ['Style override order must be defined', 'Public styling surface to maintain']
+    }
+];
+
+// ============================================================================
+// DERIVED DATA
+// ============================================================================
+
+/**
+ * Converts an id to a URL slug
+ * @param {string} id - Pattern id, e.g. "StateReducer"
+ * @returns {string} Slug, e.g. "state-reducer"
+ */
+export function toSlug(id) {
+    return id.replace(/([a-z0-9])([A-Z])/g, '$1-$2').toLowerCase();
+}
+
+/**
+ * Resolves an entry's component and derived fields, failing fast on typos
+ * @param {PatternEntry} entry - Registry entry
+ * @returns {Readonly<Object>} Complete pattern record
+ */
+function resolveEntry(entry) {
+    const module = patternModules[`./${entry.source}`];
+    const component = module?.default;
+    if (!component) {
+        throw new Error(`Pattern "${entry.id}": no default export found at designs/${entry.source}`);
+    }
+    if (!CATEGORIES.includes(entry.category)) {
+        throw new Error(`Pattern "${entry.id}": unknown category "${entry.category}"`);
+    }
+    if (!DIFFICULTIES.includes(entry.difficulty)) {
+        throw new Error(`Pattern "${entry.id}": unknown difficulty "${entry.difficulty}"`);
+    }
+
+    if (!entry.pros?.length || !entry.cons?.length) {
+        throw new Error(`Pattern "${entry.id}": pros and cons are required`);
+    }
+
+    const examples = (entry.examples || []).map(example => {
+        if (!BEHAVIORS[example.behavior]) {
+            throw new Error(`Pattern "${entry.id}": unknown behavior "${example.behavior}"`);
+        }
+        if (typeof module[example.export] !== 'function') {
+            throw new Error(`Pattern "${entry.id}": designs/${entry.source} has no export "${example.export}"`);
+        }
+        return Object.freeze({ ...example, component: module[example.export] });
+    });
+
+    const directory = entry.source.split('/')[0];
+    const exercises = (exerciseModules[`./${directory}/exercises/index.js`] || []).map(exercise => {
+        if (!exercise.id || typeof exercise.starter !== 'string' || !exercise.checks?.length) {
+            throw new Error(`Pattern "${entry.id}": exercise "${exercise.id}" needs an id, a starter and checks`);
+        }
+        return Object.freeze({ hints: [], ...exercise });
+    });
+
+    return Object.freeze({
+        ...entry,
+        slug: toSlug(entry.id),
+        directory,
+        readme: `${directory}/README.md`,
+        component,
+        examples: Object.freeze(examples),
+        exercises: Object.freeze(exercises)
+    });
+}
+
+export const patterns = Object.freeze(entries.map(resolveEntry));
+
+const patternsById = new Map(patterns.map(pattern => [pattern.id, pattern]));
+
+patterns.forEach(pattern => {
+    pattern.related.forEach(relatedId => {
+        if (!patternsById.has(relatedId)) {
+            throw new Error(`Pattern "${pattern.id}": unknown related pattern "${relatedId}"`);
+        }
+    });
+});
+
+// ============================================================================
+// QUERIES
+// ============================================================================
+
+/**
+ * Looks up a pattern by id
+ * @param {string} id - Pattern id
+ * @returns {Object|undefined} Pattern record
+ */
+export function getPattern(id) {
+    return patternsById.get(id);
+}
+
+/**
+ * Looks up a pattern by URL slug
+ * @param {string} slug - Pattern slug
+ * @returns {Object|undefined} Pattern record
+ */
+export function getPatternBySlug(slug) {
+    return patterns.find(pattern => pattern.slug === slug);
+}
+
+/**
+ * Resolves a pattern's related ids to records
+ * @param {string} id - Pattern id
+ * @returns {Object[]} Related pattern records
+ */
+export function getRelatedPatterns(id) {
+    const pattern = getPattern(id);
+    return pattern ? pattern.related.map(getPattern) : [];
+}
+
+/**
+ * Groups patterns by category in CATEGORIES order
+ * @returns {Array<{ name: string, patterns: Object[] }>} Categories with their patterns
+ */
+export function getPatternsByCategory() {
+    return CATEGORIES.map(name => ({
+        name,
+        patterns: patterns.filter(pattern => pattern.category === name)
+    }));
+}
+
+/**
+ * Filters patterns by category, difficulty and tags
+ *
+ * @param {Object} [criteria] - Filter criteria; omitted fields match everything
+ * @param {string} [criteria.category] - Category name
+ * @param {string} [criteria.difficulty] - Difficulty level
+ * @param {string[]} [criteria.tags] - Tags that must all be present
+ * @returns {Object[]} Matching pattern records
+ */
+export function findPatterns({ category, difficulty, tags = [] } = {}) {
+    return patterns.filter(pattern =>
+        (!category || pattern.category === category) &&
+        (!difficulty || pattern.difficulty === difficulty) &&
+        tags.every(tag => pattern.tags.includes(tag))
+    );
+}
+
+/**
+ * Every tag used in the registry, sorted
+ * @returns {string[]} Tags
+ */
+export function getAllTags() {
+    return [...new Set(patterns.flatMap(pattern => pattern.tags))].sort();
+}
+
+/**
+ * Lists each behavior with the patterns that implement it
+ *
+ * @returns {Array<{ id: string, label: string, implementations: Array<{ pattern: Object, example: Object }> }>}
+ *   Behaviors in BEHAVIORS order
+ *
+ * @example
+ * getBehaviors()[0]; // { id: 'toggle', label: 'Toggle', implementations: [...] }
+ */
+export function getBehaviors() {
+    return Object.entries(BEHAVIORS).map(([id, label]) => ({
+        id,
+        label,
+        implementations: patterns.flatMap(pattern =>
+            pattern.examples
+                .filter(example => example.behavior === id)
+                .map(example => ({ pattern, example }))
+        )
+    }));
+}
@@ -0,0 +1,139 @@
+import fs from 'node:fs';
+import path from 'node:path';
+import { fileURLToPath } from 'node:url';
+
+/**
+ * Vite plugin that finds who publishes and who observes each event bus event.
+ *
+ * At build (and dev-server) time it reads every designs/<Folder>/ directory
+ * and collects the `useEventListener(event, …)` calls (subscribers) and the
+ * `.emit(event, …)` / `.emitAsync(event, …)` calls (publishers), with the
+ * top-level function or class they sit in. It serves the result as
+ * `virtual:event-usage`:
+ *
+ *   { [folder]: [{ kind, event, component, file, line }] }
+ *
+ * Event names are read from string literals, from `const NAME = '…'`
+ * constants in the same folder, and from template literals, whose
+ * `${…}` parts become `*` (so `notification.${type}` is
+ * "notification.*"). Calls on a `namespace('chat')` view are prefixed
+ * with "chat:". Calls whose event is only known at runtime are skipped.
+ */
+
+const VIRTUAL_ID = 'virtual:event-usage';
+const RESOLVED_ID = `\0${VIRTUAL_ID}`;
+
+const CALL = /(?:\b([A-Za-z_$][\w$]*)\s*\.\s*)?\b(useEventListener|emitAsync|emit)\(\s*(?:'([^']*)'|"([^"]*)"|`([^`]*)`|([A-Za-z_$][\w$]*)\s*[,)])/g;
+const NAMESPACE = /\b(?:const|let)\s+([A-Za-z_$][\w$]*)\s*=\s*[\w$.]+\.namespace\(\s*['"]([^'"]+)['"]\s*\)/g;
+const CONSTANT = /\b(?:const|let)\s+([A-Z_][A-Z0-9_]*)\s*=\s*['"]([^'"]*)['"]/g;
+const TOP_LEVEL = /^(?:export\s+(?:default\s+)?)?(?:async\s+)?(?:function\*?\s+|class\s+|const\s+)([A-Za-z_$][\w$]*)/gm;
+
+/**
+ * Blanks out comments, keeping line breaks so line numbers still match
+ *
+ * @param {string} source - File contents
+ * @returns {string} Source without comments
+ */
+function stripComments(source) {
+    return source
+        .replace(/\/\*[\s\S]*?\*\//g, comment => comment.replace(/[^\n]/g, ' '))
+        .replace(/(^|\s)\/\/[^\n]*/g, (comment, lead) => lead + ' '.repeat(comment.length - lead.length));
+}
+
+/**
+ * Finds the event bus calls in one source file
+ *
+ * @param {string} source - File contents
+ * @param {string} file - File name, recorded with each call
+ * @param {Object<string, string>} [constants={}] - Known `NAME → event` constants
+ * @returns {Array<{ kind: string, event: string, component: string|null, file: string, line: number }>} Calls
+ */
+export function extractEventUsage(source, file, constants = {}) {
+    const code = stripComments(source);
+    const namespaces = Object.fromEntries([...code.matchAll(NAMESPACE)].map(match => [match[1], match[2]]));
+    const declarations = [...code.matchAll(TOP_LEVEL)].map(match => ({ index: match.index, name: match[1] }));
+    const usage = [];
+
+    for (const match of code.matchAll(CALL)) {
+        const [, receiver, method, single, double, template, identifier] = match;
+        // emit() is only a bus call on an object; useEventListener() never is
+        if ((method === 'useEventListener') === Boolean(receiver)) continue;
+
+        let event = single ?? double ?? template?.replace(/\$\{[^}]*\}/g, '*') ?? constants[identifier];
+        if (event === undefined) continue;
+        if (receiver && namespaces[receiver]) event = `${namespaces[receiver]}:${event}`;
+
+        const enclosing = declarations.filter(declaration => declaration.index < match.index).pop();
+        usage.push({
+            kind: method === 'useEventListener' ? 'subscriber' : 'publisher',
+            event,
+            component: enclosing?.name ?? null,
+            file,
+            line: code.slice(0, match.index).split('\n').length
+        });
+    }
+
+    return usage;
+}
+
+/**
+ * Builds the usage list for every pattern folder that has bus calls
+ *
+ * @param {string} designsDir - Absolute path to designs/
+ * @returns {Object} Usage keyed by folder name
+ */
+function buildUsage(designsDir) {
+    const usage = {};
+
+    fs.readdirSync(designsDir, { withFileTypes: true })
+        .filter(entry => entry.isDirectory())
+        .forEach(({ name: folder }) => {
+            const folderPath = path.join(designsDir, folder);
+            const sources = fs.readdirSync(folderPath)
+                .filter(file => /\.(jsx?|mjs)$/.test(file))
+                .sort()
+                .map(file => ({ file, source: fs.readFileSync(path.join(folderPath, file), 'utf8') }));
+
+            const constants = Object.fromEntries(
+                sources.flatMap(({ source }) => [...stripComments(source).matchAll(CONSTANT)].map(match => [match[1], match[2]]))
+            );
+            const calls = sources.flatMap(({ file, source }) => extractEventUsage(source, file, constants));
+            if (calls.length > 0) usage[folder] = calls;
+        });
+
+    return usage;
+}
+
+/**
+ * @param {Object} [options] - Plugin options
+ * @param {string} [options.designsDir] - Absolute path to the designs directory
+ * @returns {import('vite').Plugin} Vite plugin
+ */
+export default function eventUsage({
+    designsDir = fileURLToPath(new URL('../designs', import.meta.url))
+} = {}) {
+    return {
+        name: 'event-usage',
+
+        resolveId(id) {
+            return id === VIRTUAL_ID ? RESOLVED_ID : null;
+        },
+
+        load(id) {
+            if (id !== RESOLVED_ID) return null;
+            return `export default ${JSON.stringify(buildUsage(designsDir))};`;
+        },
+
+        configureServer(server) {
+            // Rescan when a pattern source changes
+            server.watcher.on('all', (event, file) => {
+                if (!file.startsWith(designsDir) || !/\.(jsx?|mjs)$/.test(file)) return;
+                const module = server.moduleGraph.getModuleById(RESOLVED_ID);
+                if (module) {
+                    server.moduleGraph.invalidateModule(module);
+                    server.ws.send({ type: 'full-reload' });
+                }
+            });
+        }
+    };
+}
@@ -0,0 +1,138 @@
+import fs from 'node:fs';
+import path from 'node:path';
+import { fileURLToPath } from 'node:url';
+
+/**
+ * Vite plugin that builds the gallery's search index from the pattern sources.
+ *
+ * At build (and dev-server) time it reads every designs/<Folder>/ directory,
+ * extracts the JSDoc blocks from its .jsx/.js files and the headings from its
+ * README.md, and serves the result as `virtual:pattern-search-index`:
+ *
+ *   { [folder]: { docs: [{ name, text }], headings: [{ depth, text }] } }
+ *
+ * Only the extracted text ships to the browser, never the raw sources.
+ */
+
+const VIRTUAL_ID = 'virtual:pattern-search-index';
+const RESOLVED_ID = `\0${VIRTUAL_ID}`;
+const MAX_DOC_LENGTH = 400;
+
+const DOC_BLOCK = /\/\*\*([\s\S]*?)\*\/\s*(?:export\s+)?(?:default\s+)?(?:async\s+)?(?:function\*?\s+(\w+)|class\s+(\w+)|(?:const|let|var)\s+(\w+))?/g;
+
+/**
+ * Extracts the descriptive text of every JSDoc block in a source file
+ *
+ * @param {string} source - File contents
+ * @returns {Array<{ name: string|null, text: string }>} Documented symbols
+ */
+export function extractDocBlocks(source) {
+    const docs = [];
+
+    for (const match of source.matchAll(DOC_BLOCK)) {
+        const lines = match[1]
+            .split('\n')
+            .map(line => line.replace(/^\s*\*\s?/, '').trim());
+
+        // Description ends where the block tags (@param, @returns, ...) start
+        const tagIndex = lines.findIndex(line => line.startsWith('@'));
+        const text = (tagIndex === -1 ? lines : lines.slice(0, tagIndex))
+            .filter(Boolean)
+            .join(' ')
+            .slice(0, MAX_DOC_LENGTH);
+
+        if (text) {
+            docs.push({ name: match[2] || match[3] || match[4] || null, text });
+        }
+    }
+
+    return docs;
+}
+
+/**
+ * Extracts markdown headings, skipping fenced code blocks
+ *
+ * @param {string} markdown - README contents
+ * @returns {Array<{ depth: number, text: string }>} Headings
+ */
+export function extractHeadings(markdown) {
+    const headings = [];
+    let inFence = false;
+
+    markdown.split('\n').forEach(line => {
+        if (/^\s*```/.test(line)) {
+            inFence = !inFence;
+            return;
+        }
+        const match = !inFence && /^(#{1,6})\s+(.+?)\s*#*\s*$/.exec(line);
+        if (match) {
+            headings.push({ depth: match[1].length, text: match[2] });
+        }
+    });
+
+    return headings;
+}
+
+/**
+ * Builds the index for every pattern folder
+ *
+ * @param {string} designsDir - Absolute path to designs/
+ * @returns {Object} Index keyed by folder name
+ */
+function buildIndex(designsDir) {
+    const index = {};
+
+    fs.readdirSync(designsDir, { withFileTypes: true })
+        .filter(entry => entry.isDirectory())
+        .forEach(({ name: folder }) => {
+            const folderPath = path.join(designsDir, folder);
+            const files = fs.readdirSync(folderPath);
+
+            const docs = files
+                .filter(file => /\.(jsx?|mjs)$/.test(file))
+                .sort()
+                .flatMap(file => extractDocBlocks(fs.readFileSync(path.join(folderPath, file), 'utf8')));
+
+            const headings = files.includes('README.md')
+                ? extractHeadings(fs.readFileSync(path.join(folderPath, 'README.md'), 'utf8'))
+                : [];
+
+            index[folder] = { docs, headings };
+        });
+
+    return index;
+}
+
+/**
+ * @param {Object} [options] - Plugin options
+ * @param {string} [options.designsDir] - Absolute path to the designs directory
+ * @returns {import('vite').Plugin} Vite plugin
+ */
+export default function patternSearchIndex({
+    designsDir = fileURLToPath(new URL('../designs', import.meta.url))
+} = {}) {
+    return {
+        name: 'pattern-search-index',
+
+        resolveId(id) {
+            return id === VIRTUAL_ID ? RESOLVED_ID : null;
+        },
+
+        load(id) {
+            if (id !== RESOLVED_ID) return null;
+            return `export default ${JSON.stringify(buildIndex(designsDir))};`;
+        },
+
+        configureServer(server) {
+            // Rebuild the index when a pattern source or README changes
+            server.watcher.on('all', (event, file) => {
+                if (!file.startsWith(designsDir) || !/\.(jsx?|mjs|md)$/.test(file)) return;
+                const module = server.moduleGraph.getModuleById(RESOLVED_ID);
+                if (module) {
+                    server.moduleGraph.invalidateModule(module);
+                    server.ws.send({ type: 'full-reload' });
+                }
+            });
+        }
+    };
+}
@@ -1,40 +1,55 @@
-import { useState } from 'react'
-import reactLogo from './assets/react.svg'
-import viteLogo from '/vite.svg'
+import { useEffect } from 'react'
 import './App.css'
-import { AtomicComponents, CompoundComponent, ComponentInjection } from "../designs"
+import { matchPath, useLocation } from './router/history.js'
+import GalleryLayout from './gallery/GalleryLayout.jsx'
+import PatternIndex from './gallery/PatternIndex.jsx'
+import PatternPage from './gallery/PatternPage.jsx'
+import ComparePage from './gallery/compare/ComparePage.jsx'
+import LearningPathsPage from './gallery/progress/LearningPathsPage.jsx'
+import NotFound from './gallery/NotFound.jsx'
+import { getPatternBySlug } from '../designs'
+
+/**
+ * Resolves the current pathname to a page element
+ * @param {string} pathname - App-relative pathname
+ * @returns {JSX.Element} Page to render
+ */
+function renderRoute(pathname) {
+  if (matchPath('/', pathname)) {
+    return <PatternIndex />
+  }
+
+  if (matchPath('/compare', pathname)) {
+    return <ComparePage />
+  }
+
+  if (matchPath('/paths', pathname)) {
+    return <LearningPathsPage />
+  }
+
+  const match = matchPath('/patterns/:slug', pathname) || matchPath('/patterns/:slug/:view', pathname)
+  const pattern = match && getPatternBySlug(match.slug)
+  if (pattern) {
+    return <PatternPage pattern={pattern} view={match.view} />
+  }
+
+  return <NotFound pathname={pathname} />
+}
 
 function App() {
-  const [count, setCount] = useState(0)
-
-  return (
-    <>
-      <div>
-        <a href="https://vitejs.dev" target="_blank">
-          <img src={viteLogo} className="logo" alt="Vite logo" />
-        </a>
-        <a href="https://react.dev" target="_blank">
-          <img src={reactLogo} className="logo react" alt="React logo" />
-        </a>
-      </div>
-      <h1>Vite + React</h1>
-      <div className="card">
-        <button onClick={() => setCount((count) => count + 1)}>
-          count is {count}
-        </button>
-        <p>
-          Edit <code>src/App.jsx</code> and save to test HMR
-        </p>
-      </div>
-      <p className="read-the-docs">
-        Click on the Vite and React logos to learn more
-      </p>
-
-      <AtomicComponents />
-      <CompoundComponent />
-      <ComponentInjection />
-    </>
-  )
+  const { pathname } = useLocation()
+
+  useEffect(() => {
+    window.scrollTo(0, 0)
+  }, [pathname])
+
+  useEffect(() => {
+    if (matchPath('/', pathname)) {
+      document.title = 'Frontend Design Patterns'
+    }
+  }, [pathname])
+
+  return <GalleryLayout>{renderRoute(pathname)}</GalleryLayout>
 }
 
 export default App
@@ -0,0 +1,36 @@
+import React from 'react';
+
+/**
+ * DemoErrorBoundary - Keeps the gallery usable when a demo throws
+ *
+ * Reset it by changing its `key` (the gallery keys it by pattern id).
+ */
+class DemoErrorBoundary extends React.Component {
+    constructor(props) {
+        super(props);
+        this.state = { error: null };
+    }
+
+    static getDerivedStateFromError(error) {
+        return { error };
+    }
+
+    componentDidCatch(error, info) {
+        console.error('Pattern demo crashed:', error, info.componentStack);
+    }
+
+    render() {
+        if (this.state.error) {
+            return (
+                <div className="gallery-error" role="alert">
+                    <strong>This demo crashed.</strong>
+                    <pre>{this.state.error.message}</pre>
+                    <button onClick={() => this.setState({ error: null })}>Try again</button>
+                </div>
+            );
+        }
+        return this.props.children;
+    }
+}
+
+export default DemoErrorBoundary;
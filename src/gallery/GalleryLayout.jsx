@@ -0,0 +1,64 @@
+import React from 'react';
+import Link from '../router/Link.jsx';
+import SearchBox from './SearchBox.jsx';
+import StatusIcon from './progress/StatusIcon.jsx';
+import { getStatus, useProgress } from './progress/progress.js';
+import { getPatternsByCategory } from '../../designs';
+
+const categories = getPatternsByCategory();
+
+/**
+ * GalleryLayout - Sidebar navigation grouped by category plus main content
+ *
+ * @param {Object} props - Component props
+ * @param {React.ReactNode} props.children - Page content
+ * @returns {JSX.Element} Gallery shell
+ */
+function GalleryLayout({ children }) {
+    const progress = useProgress();
+
+    return (
+        <div className="gallery">
+            <aside className="gallery-sidebar">
+                <Link to="/" className="gallery-brand">
+                    Frontend Design Patterns
+                </Link>
+                <SearchBox />
+                <div className="gallery-nav-tools">
+                    <Link to="/paths" className="gallery-nav-link" activeClassName="is-active">
+                        🎓 Learning paths
+                    </Link>
+                    <Link to="/compare" className="gallery-nav-link" activeClassName="is-active">
+                        ⇄ Compare patterns
+                    </Link>
+                </div>
+                <nav aria-label="Patterns">
+                    {categories.map(category => (
+                        <section key={category.name} className="gallery-nav-section">
+                            <h2 className="gallery-nav-heading">{category.name}</h2>
+                            <ul>
+                                {category.patterns.map(pattern => (
+                                    <li key={pattern.id}>
+                                        <Link
+                                            to={`/patterns/${pattern.slug}`}
+                                            className="gallery-nav-link"
+                                            activeClassName="is-active"
+                                        >
+                                            {pattern.title}
+                                            {progress[pattern.id]?.visited && (
+                                                <StatusIcon status={getStatus(progress[pattern.id])} />
+                                            )}
+                                        </Link>
+                                    </li>
+                                ))}
+                            </ul>
+                        </section>
+                    ))}
+                </nav>
+            </aside>
+            <main className="gallery-main">{children}</main>
+        </div>
+    );
+}
+
+export default GalleryLayout;
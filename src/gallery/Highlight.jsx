@@ -0,0 +1,34 @@
+import React from 'react';
+
+/**
+ * Escapes a string for use inside a RegExp
+ * @param {string} text - Raw text
+ * @returns {string} Escaped text
+ */
+function escapeRegExp(text) {
+    return text.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+}
+
+/**
+ * Highlight - Wraps occurrences of search terms in <mark>
+ *
+ * @param {Object} props - Component props
+ * @param {string} props.text - Text to render
+ * @param {string[]} props.terms - Lowercase search terms
+ * @returns {JSX.Element} Highlighted text
+ */
+function Highlight({ text, terms }) {
+    if (terms.length === 0) return <>{text}</>;
+
+    const matcher = new RegExp(`(${terms.map(escapeRegExp).join('|')})`, 'gi');
+
+    return (
+        <>
+            {text.split(matcher).map((part, i) =>
+                i % 2 === 1 ? <mark key={i}>{part}</mark> : part
+            )}
+        </>
+    );
+}
+
+export default Highlight;
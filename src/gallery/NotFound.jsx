@@ -0,0 +1,28 @@
+import React, { useEffect } from 'react';
+import Link from '../router/Link.jsx';
+
+/**
+ * NotFound - Shown for unknown routes and pattern slugs
+ *
+ * @param {Object} props - Component props
+ * @param {string} props.pathname - Path that did not match
+ * @returns {JSX.Element} Not found page
+ */
+function NotFound({ pathname }) {
+    useEffect(() => {
+        document.title = 'Not found · Frontend Design Patterns';
+    }, []);
+
+    return (
+        <div className="gallery-page">
+            <header className="gallery-page-header">
+                <h1>Not found</h1>
+                <p>
+                    Nothing lives at <code>{pathname}</code>. <Link to="/">Back to the gallery</Link>
+                </p>
+            </header>
+        </div>
+    );
+}
+
+export default NotFound;
@@ -0,0 +1,21 @@
+import React from 'react';
+
+/**
+ * PatternBadges - Difficulty and tag chips for a pattern
+ *
+ * @param {Object} props - Component props
+ * @param {Object} props.pattern - Pattern record
+ * @returns {JSX.Element} Badge list
+ */
+function PatternBadges({ pattern }) {
+    return (
+        <span className="gallery-badges">
+            <span className={`gallery-badge is-${pattern.difficulty.toLowerCase()}`}>{pattern.difficulty}</span>
+            {pattern.tags.map(tag => (
+                <span key={tag} className="gallery-badge">{tag}</span>
+            ))}
+        </span>
+    );
+}
+
+export default PatternBadges;
@@ -0,0 +1,64 @@
+import React from 'react';
+import Link from '../router/Link.jsx';
+import PatternBadges from './PatternBadges.jsx';
+import SearchResults from './SearchResults.jsx';
+import TagFilter from './TagFilter.jsx';
+import { searchPatterns } from './search.js';
+import { useSearchQuery } from './useSearchQuery.js';
+import { getPatternsByCategory, patterns } from '../../designs';
+
+const categories = getPatternsByCategory();
+
+/**
+ * PatternIndex - Landing page listing every pattern by category
+ *
+ * Switches to a ranked result list while a search query or tag filter
+ * is active.
+ *
+ * @returns {JSX.Element} Pattern overview
+ */
+function PatternIndex() {
+    const { query, tags, toggleTag, clear } = useSearchQuery();
+    const isFiltering = query.trim() !== '' || tags.length > 0;
+    const results = isFiltering ? searchPatterns(query, { tags }) : [];
+
+    return (
+        <div className="gallery-page">
+            <header className="gallery-page-header">
+                <h1>Pattern Gallery</h1>
+                <p>{patterns.length} React design patterns with interactive demos.</p>
+            </header>
+
+            <TagFilter selected={tags} onToggle={toggleTag} />
+
+            {isFiltering ? (
+                <section className="gallery-category" aria-live="polite">
+                    <h2>
+                        {results.length} {results.length === 1 ? 'match' : 'matches'}
+                        <button type="button" className="gallery-clear" onClick={clear}>
+                            Clear
+                        </button>
+                    </h2>
+                    <SearchResults results={results} query={query} />
+                </section>
+            ) : (
+                categories.map(category => (
+                    <section key={category.name} className="gallery-category">
+                        <h2>{category.name}</h2>
+                        <div className="gallery-card-grid">
+                            {category.patterns.map(pattern => (
+                                <Link key={pattern.id} to={`/patterns/${pattern.slug}`} className="gallery-card">
+                                    <span className="gallery-card-title">{pattern.title}</span>
+                                    <span className="gallery-card-summary">{pattern.summary}</span>
+                                    <PatternBadges pattern={pattern} />
+                                </Link>
+                            ))}
+                        </div>
+                    </section>
+                ))
+            )}
+        </div>
+    );
+}
+
+export default PatternIndex;
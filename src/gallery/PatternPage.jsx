@@ -0,0 +1,154 @@
+import React, { useEffect } from 'react';
+import Link from '../router/Link.jsx';
+import DemoErrorBoundary from './DemoErrorBoundary.jsx';
+import DocsPanel from './docs/DocsPanel.jsx';
+import ExercisesView from './exercises/ExercisesView.jsx';
+import NotFound from './NotFound.jsx';
+import PatternBadges from './PatternBadges.jsx';
+import Playground from './playground/Playground.jsx';
+import PathNavigation from './progress/PathNavigation.jsx';
+import ProgressControls from './progress/ProgressControls.jsx';
+import SourceViewer from './source/SourceViewer.jsx';
+import { MAX_COMPARED, toComparePath } from './compare/compareQuery.js';
+import { getActiveStep } from './progress/paths.js';
+import { markVisited } from './progress/progress.js';
+import { useLocation } from '../router/history.js';
+import { getRelatedPatterns } from '../../designs';
+
+// Tabs of a pattern page; `path` is appended to /patterns/:slug and
+// `available` hides a tab for patterns without the matching content
+const VIEWS = [
+    { id: 'demo', label: 'Demo', path: '' },
+    { id: 'source', label: 'Demo + Source', path: '/source' },
+    { id: 'docs', label: 'Demo + Docs', path: '/docs' },
+    { id: 'playground', label: 'Playground', path: '/playground' },
+    { id: 'exercises', label: 'Exercises', path: '/exercises', available: pattern => pattern.exercises.length > 0 }
+];
+
+/**
+ * PatternDemo - The pattern's demo isolated behind an error boundary
+ */
+function PatternDemo({ pattern }) {
+    const Demo = pattern.component;
+
+    return (
+        <DemoErrorBoundary key={pattern.id}>
+            <Demo />
+        </DemoErrorBoundary>
+    );
+}
+
+/**
+ * PatternPage - Renders the selected pattern's demo and companion views
+ *
+ * @param {Object} props - Component props
+ * @param {Object} props.pattern - Pattern record from the registry
+ * @param {string} [props.view='demo'] - Active view id
+ * @returns {JSX.Element} Pattern page
+ */
+function PatternPage({ pattern, view = 'demo' }) {
+    const related = getRelatedPatterns(pattern.id);
+    const views = VIEWS.filter(v => !v.available || v.available(pattern));
+    const activeView = views.find(v => v.id === view);
+    const { search } = useLocation();
+    const step = getActiveStep(pattern, search);
+    // Tabs keep an explicitly chosen learning path
+    const pathQuery = step && new URLSearchParams(search).has('path') ? `?path=${step.path.id}` : '';
+
+    useEffect(() => {
+        if (activeView) {
+            document.title = `${pattern.title} · Frontend Design Patterns`;
+        }
+    }, [pattern.title, activeView]);
+
+    useEffect(() => {
+        if (activeView) markVisited(pattern.id);
+    }, [pattern.id, activeView]);
+
+    if (!activeView) {
+        return <NotFound pathname={`/patterns/${pattern.slug}/${view}`} />;
+    }
+
+    return (
+        <article className="gallery-pattern">
+            <header className="gallery-pattern-header">
+                <nav className="gallery-breadcrumbs" aria-label="Breadcrumb">
+                    <Link to="/">Gallery</Link>
+                    <span aria-hidden="true"> / </span>
+                    <span>{pattern.category}</span>
+                </nav>
+                <h1>{pattern.title}</h1>
+                <p className="gallery-pattern-summary">{pattern.summary}</p>
+                <PatternBadges pattern={pattern} />
+                <ProgressControls pattern={pattern} />
+                {related.length > 0 && (
+                    <p className="gallery-related">
+                        Related:{' '}
+                        {related.map((relatedPattern, i) => (
+                            <React.Fragment key={relatedPattern.id}>
+                                {i > 0 && ', '}
+                                <Link to={`/patterns/${relatedPattern.slug}`}>{relatedPattern.title}</Link>
+                            </React.Fragment>
+                        ))}
+                        {' · '}
+                        <Link to={toComparePath({ slugs: [pattern, ...related].slice(0, MAX_COMPARED).map(p => p.slug) })}>
+                            Compare side by side
+                        </Link>
+                    </p>
+                )}
+                <nav className="gallery-tabs" aria-label="Pattern views">
+                    {views.map(v => (
+                        <Link
+                            key={v.id}
+                            to={`/patterns/${pattern.slug}${v.path}${pathQuery}`}
+                            className="gallery-tab"
+                            activeClassName="is-active"
+                        >
+                            {v.label}
+                        </Link>
+                    ))}
+                </nav>
+            </header>
+
+            {step && <PathNavigation step={step} />}
+
+            {activeView.id === 'demo' && (
+                <section className="gallery-demo">
+                    <PatternDemo pattern={pattern} />
+                </section>
+            )}
+
+            {activeView.id === 'source' && (
+                <div className="gallery-split">
+                    <section className="gallery-demo">
+                        <PatternDemo pattern={pattern} />
+                    </section>
+                    <section className="gallery-split-panel">
+                        <SourceViewer pattern={pattern} />
+                    </section>
+                </div>
+            )}
+
+            {activeView.id === 'docs' && (
+                <div className="gallery-split">
+                    <section className="gallery-demo">
+                        <PatternDemo pattern={pattern} />
+                    </section>
+                    <section className="gallery-split-panel">
+                        <DocsPanel key={pattern.id} pattern={pattern} />
+                    </section>
+                </div>
+            )}
+
+            {activeView.id === 'playground' && (
+                <Playground key={pattern.id} pattern={pattern} />
+            )}
+
+            {activeView.id === 'exercises' && (
+                <ExercisesView key={pattern.id} pattern={pattern} />
+            )}
+        </article>
+    );
+}
+
+export default PatternPage;
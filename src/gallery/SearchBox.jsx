@@ -0,0 +1,25 @@
+import React from 'react';
+import { useSearchQuery } from './useSearchQuery.js';
+
+/**
+ * SearchBox - Sidebar search input bound to the gallery index URL
+ *
+ * @returns {JSX.Element} Search input
+ */
+function SearchBox() {
+    const { query, setQuery } = useSearchQuery();
+
+    return (
+        <form role="search" className="gallery-search" onSubmit={(e) => e.preventDefault()}>
+            <input
+                type="search"
+                value={query}
+                onChange={(e) => setQuery(e.target.value)}
+                placeholder="Search patterns..."
+                aria-label="Search patterns"
+            />
+        </form>
+    );
+}
+
+export default SearchBox;
@@ -0,0 +1,61 @@
+import React from 'react';
+import Link from '../router/Link.jsx';
+import Highlight from './Highlight.jsx';
+import PatternBadges from './PatternBadges.jsx';
+import { tokenize } from './search.js';
+
+const MATCH_LABELS = {
+    title: 'Title',
+    tag: 'Tag',
+    summary: 'Summary',
+    heading: 'README',
+    doc: 'Source'
+};
+
+/**
+ * SearchResults - Ranked search hits with the fields that matched
+ *
+ * @param {Object} props - Component props
+ * @param {Array} props.results - Results from searchPatterns()
+ * @param {string} props.query - Query used to produce the results
+ * @returns {JSX.Element} Result list
+ */
+function SearchResults({ results, query }) {
+    const terms = tokenize(query);
+
+    if (results.length === 0) {
+        return <p className="gallery-empty">No patterns match your search.</p>;
+    }
+
+    return (
+        <ol className="gallery-results">
+            {results.map(({ pattern, matches }) => (
+                <li key={pattern.id} className="gallery-result">
+                    <Link to={`/patterns/${pattern.slug}`} className="gallery-result-title">
+                        <Highlight text={pattern.title} terms={terms} />
+                    </Link>
+                    <span className="gallery-result-category">{pattern.category}</span>
+                    <p className="gallery-card-summary">
+                        <Highlight text={pattern.summary} terms={terms} />
+                    </p>
+                    {terms.length > 0 && (
+                        <ul className="gallery-result-matches">
+                            {matches
+                                .filter(match => match.kind === 'heading' || match.kind === 'doc')
+                                .map((match, i) => (
+                                    <li key={i}>
+                                        <span className="gallery-result-kind">{MATCH_LABELS[match.kind]}</span>
+                                        {match.name && <code><Highlight text={match.name} terms={terms} /></code>}{' '}
+                                        <Highlight text={match.text} terms={terms} />
+                                    </li>
+                                ))}
+                        </ul>
+                    )}
+                    <PatternBadges pattern={pattern} />
+                </li>
+            ))}
+        </ol>
+    );
+}
+
+export default SearchResults;
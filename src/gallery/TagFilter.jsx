@@ -0,0 +1,35 @@
+import React from 'react';
+import { getAllTags } from '../../designs';
+
+const allTags = getAllTags();
+
+/**
+ * TagFilter - Toggleable chips for every registry tag
+ *
+ * @param {Object} props - Component props
+ * @param {string[]} props.selected - Selected tags
+ * @param {Function} props.onToggle - Called with a tag to toggle it
+ * @returns {JSX.Element} Tag filter
+ */
+function TagFilter({ selected, onToggle }) {
+    return (
+        <div className="gallery-tag-filter" role="group" aria-label="Filter by tag">
+            {allTags.map(tag => {
+                const isSelected = selected.includes(tag);
+                return (
+                    <button
+                        key={tag}
+                        type="button"
+                        onClick={() => onToggle(tag)}
+                        aria-pressed={isSelected}
+                        className={`gallery-tag${isSelected ? ' is-selected' : ''}`}
+                    >
+                        {tag}
+                    </button>
+                );
+            })}
+        </div>
+    );
+}
+
+export default TagFilter;
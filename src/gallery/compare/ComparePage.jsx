@@ -0,0 +1,162 @@
+import React, { useEffect } from 'react';
+import Link from '../../router/Link.jsx';
+import CompareSource from './CompareSource.jsx';
+import DemoErrorBoundary from '../DemoErrorBoundary.jsx';
+import PatternBadges from '../PatternBadges.jsx';
+import TradeoffTable from './TradeoffTable.jsx';
+import { MAX_COMPARED, parseCompareQuery, toComparePath } from './compareQuery.js';
+import { navigate, useLocation } from '../../router/history.js';
+import { getBehaviors, getPatternBySlug, patterns } from '../../../designs';
+
+// Only behaviors with something to compare against
+const behaviors = getBehaviors().filter(behavior => behavior.implementations.length > 1);
+
+/**
+ * CompareColumn - One pattern's demo and source
+ *
+ * Mounts the pattern's example of the compared behavior when it has one,
+ * otherwise its full demo.
+ */
+function CompareColumn({ pattern, behavior }) {
+    const example = behavior && pattern.examples.find(e => e.behavior === behavior.id);
+    const Demo = example ? example.component : pattern.component;
+
+    return (
+        <section className="compare-column">
+            <header className="compare-column-header">
+                <h2>
+                    <Link to={`/patterns/${pattern.slug}`}>{pattern.title}</Link>
+                </h2>
+                <PatternBadges pattern={pattern} />
+                {behavior && !example && (
+                    <p className="compare-note">No {behavior.label.toLowerCase()} example, showing the full demo.</p>
+                )}
+            </header>
+            <div className={`compare-demo${example ? '' : ' is-full'}`}>
+                <DemoErrorBoundary key={`${pattern.id}-${example ? example.export : 'demo'}`}>
+                    <Demo />
+                </DemoErrorBoundary>
+            </div>
+            <CompareSource pattern={pattern} focus={example?.focus} />
+        </section>
+    );
+}
+
+/**
+ * ComparePage - Two or three patterns side by side
+ *
+ * Pick patterns freely, or a behavior such as "Toggle" to mount each
+ * pattern's own implementation of it next to the code that drives it.
+ * A trade-offs table generated from the registry closes the page.
+ *
+ * @returns {JSX.Element} Compare view
+ */
+function ComparePage() {
+    const { search } = useLocation();
+    const { slugs, behavior: behaviorId } = parseCompareQuery(search);
+    const selected = slugs.map(getPatternBySlug).filter(Boolean);
+    const behavior = behaviors.find(b => b.id === behaviorId) || null;
+
+    useEffect(() => {
+        document.title = 'Compare patterns · Frontend Design Patterns';
+    }, []);
+
+    const update = (nextSlugs, nextBehavior) => {
+        navigate(toComparePath({ slugs: nextSlugs, behavior: nextBehavior }), { replace: true });
+    };
+
+    const choose = (index, slug) => {
+        const next = selected.map(pattern => pattern.slug);
+        if (slug) {
+            next[index] = slug;
+        } else {
+            next.splice(index, 1);
+        }
+        update(next.filter(Boolean), behavior?.id);
+    };
+
+    const chooseBehavior = (id) => {
+        const next = behaviors.find(b => b.id === id);
+        // Start from the behavior's implementations when nothing is picked yet
+        const nextSlugs = next && selected.length === 0
+            ? next.implementations.slice(0, MAX_COMPARED).map(({ pattern }) => pattern.slug)
+            : selected.map(pattern => pattern.slug);
+        update(nextSlugs, next?.id);
+    };
+
+    return (
+        <div className="gallery-page compare-page">
+            <header className="gallery-page-header">
+                <h1>Compare patterns</h1>
+                <p>Mount up to {MAX_COMPARED} patterns side by side with their source and trade-offs.</p>
+            </header>
+
+            {behaviors.length > 0 && (
+                <nav className="compare-presets" aria-label="Compare a behavior">
+                    {behaviors.map(b => {
+                        const preset = b.implementations.slice(0, MAX_COMPARED).map(({ pattern }) => pattern);
+                        return (
+                            <Link
+                                key={b.id}
+                                to={toComparePath({ slugs: preset.map(pattern => pattern.slug), behavior: b.id })}
+                                replace
+                                className={`compare-preset${behavior?.id === b.id ? ' is-active' : ''}`}
+                            >
+                                <strong>{b.label}</strong>
+                                {preset.map(pattern => pattern.title).join(' vs ')}
+                            </Link>
+                        );
+                    })}
+                </nav>
+            )}
+
+            <div className="compare-controls">
+                {Array.from({ length: Math.min(selected.length + 1, MAX_COMPARED) }, (_, index) => {
+                    const current = selected[index];
+                    const taken = selected.filter(pattern => pattern !== current).map(pattern => pattern.id);
+                    return (
+                        <label key={index}>
+                            Pattern {index + 1}
+                            <select value={current?.slug || ''} onChange={(e) => choose(index, e.target.value)}>
+                                <option value="">{current ? 'Remove' : 'Choose…'}</option>
+                                {patterns
+                                    .filter(pattern => !taken.includes(pattern.id))
+                                    .map(pattern => (
+                                        <option key={pattern.id} value={pattern.slug}>{pattern.title}</option>
+                                    ))}
+                            </select>
+                        </label>
+                    );
+                })}
+                <label>
+                    Behavior
+                    <select value={behavior?.id || ''} onChange={(e) => chooseBehavior(e.target.value)}>
+                        <option value="">Full demos</option>
+                        {behaviors.map(b => (
+                            <option key={b.id} value={b.id}>{b.label}</option>
+                        ))}
+                    </select>
+                </label>
+            </div>
+
+            {selected.length < 2 ? (
+                <p className="gallery-empty">Choose at least two patterns, or start from a behavior above.</p>
+            ) : (
+                <>
+                    <div className="compare-grid" style={{ '--compare-columns': selected.length }}>
+                        {selected.map(pattern => (
+                            <CompareColumn key={pattern.id} pattern={pattern} behavior={behavior} />
+                        ))}
+                    </div>
+
+                    <section className="gallery-category">
+                        <h2>Trade-offs</h2>
+                        <TradeoffTable patterns={selected} behavior={behavior?.id} />
+                    </section>
+                </>
+            )}
+        </div>
+    );
+}
+
+export default ComparePage;
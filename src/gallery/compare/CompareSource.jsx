@@ -0,0 +1,65 @@
+import React, { useEffect, useMemo, useState } from 'react';
+import Link from '../../router/Link.jsx';
+import CodeBlock from '../source/CodeBlock.jsx';
+import { extractDefinition } from '../source/definitions.js';
+import { getSourceFiles } from '../source/sources.js';
+
+/**
+ * CompareSource - The code behind one compared implementation
+ *
+ * Shows just the focused definition when the column compares a behavior,
+ * otherwise the whole demo file.
+ *
+ * @param {Object} props - Component props
+ * @param {Object} props.pattern - Pattern record from the registry
+ * @param {string} [props.focus] - Top-level definition to excerpt
+ * @returns {JSX.Element} Source excerpt
+ */
+function CompareSource({ pattern, focus }) {
+    const file = useMemo(() => getSourceFiles(pattern)[0], [pattern]);
+    const [code, setCode] = useState(null);
+    const [error, setError] = useState(null);
+
+    useEffect(() => {
+        let cancelled = false;
+        file.load()
+            .then(text => {
+                if (!cancelled) setCode(text);
+            })
+            .catch(err => {
+                if (!cancelled) setError(err.message);
+            });
+
+        return () => {
+            cancelled = true;
+        };
+    }, [file]);
+
+    const excerpt = useMemo(() => {
+        if (code === null) return null;
+        return (focus && extractDefinition(code, focus)) || { code, line: 1 };
+    }, [code, focus]);
+
+    if (error) {
+        return <p className="gallery-error">Could not load source: {error}</p>;
+    }
+    if (!excerpt) {
+        return <p className="gallery-empty">Loading source...</p>;
+    }
+
+    return (
+        <div className="compare-source">
+            <div className="compare-source-header">
+                <span>{file.name}{focus && ` · ${focus}`}</span>
+                <Link to={`/patterns/${pattern.slug}/source#${file.name}-L${excerpt.line}`}>
+                    Open in viewer
+                </Link>
+            </div>
+            <div className="compare-source-code">
+                <CodeBlock code={excerpt.code} lineNumbers startLine={excerpt.line} />
+            </div>
+        </div>
+    );
+}
+
+export default CompareSource;
@@ -0,0 +1,125 @@
+import React from 'react';
+import Link from '../../router/Link.jsx';
+import { BEHAVIORS } from '../../../designs';
+
+/**
+ * Table rows, each rendering one metadata field for a pattern.
+ * `context` holds the compared patterns and the tags they all share.
+ */
+const ROWS = [
+    {
+        label: 'Summary',
+        render: (pattern) => pattern.summary
+    },
+    {
+        label: 'Category',
+        render: (pattern) => pattern.category
+    },
+    {
+        label: 'Difficulty',
+        render: (pattern) => (
+            <span className={`gallery-badge is-${pattern.difficulty.toLowerCase()}`}>{pattern.difficulty}</span>
+        )
+    },
+    {
+        label: 'Strengths',
+        render: (pattern) => (
+            <ul className="compare-list is-pro">
+                {pattern.pros.map(pro => <li key={pro}>{pro}</li>)}
+            </ul>
+        )
+    },
+    {
+        label: 'Costs',
+        render: (pattern) => (
+            <ul className="compare-list is-con">
+                {pattern.cons.map(con => <li key={con}>{con}</li>)}
+            </ul>
+        )
+    },
+    {
+        label: 'Tags',
+        render: (pattern, { sharedTags }) => (
+            <span className="gallery-badges">
+                {pattern.tags.map(tag => (
+                    <span
+                        key={tag}
+                        className={`gallery-badge${sharedTags.has(tag) ? ' is-shared' : ''}`}
+                        title={sharedTags.has(tag) ? 'Shared by every compared pattern' : undefined}
+                    >
+                        {tag}
+                    </span>
+                ))}
+            </span>
+        )
+    },
+    {
+        label: 'Related to',
+        render: (pattern, { compared }) => {
+            const related = compared.filter(other => other !== pattern && pattern.related.includes(other.id));
+            return related.length ? related.map(other => other.title).join(', ') : '—';
+        }
+    },
+    {
+        label: 'Implements',
+        render: (pattern, { behavior }) => {
+            if (!pattern.examples.length) return '—';
+            return (
+                <span className="gallery-badges">
+                    {pattern.examples.map(example => (
+                        <span
+                            key={example.behavior}
+                            className={`gallery-badge${example.behavior === behavior ? ' is-shared' : ''}`}
+                        >
+                            {BEHAVIORS[example.behavior]}
+                        </span>
+                    ))}
+                </span>
+            );
+        }
+    }
+];
+
+/**
+ * TradeoffTable - Registry metadata of the compared patterns, one column each
+ *
+ * @param {Object} props - Component props
+ * @param {Object[]} props.patterns - Compared pattern records
+ * @param {string|null} [props.behavior] - Behavior being compared
+ * @returns {JSX.Element} Comparison table
+ */
+function TradeoffTable({ patterns, behavior = null }) {
+    const sharedTags = new Set(
+        patterns[0].tags.filter(tag => patterns.every(pattern => pattern.tags.includes(tag)))
+    );
+    const context = { compared: patterns, sharedTags, behavior };
+
+    return (
+        <div className="compare-table-wrapper">
+            <table className="compare-table">
+                <thead>
+                    <tr>
+                        <th scope="col">Property</th>
+                        {patterns.map(pattern => (
+                            <th key={pattern.id} scope="col">
+                                <Link to={`/patterns/${pattern.slug}`}>{pattern.title}</Link>
+                            </th>
+                        ))}
+                    </tr>
+                </thead>
+                <tbody>
+                    {ROWS.map(row => (
+                        <tr key={row.label}>
+                            <th scope="row">{row.label}</th>
+                            {patterns.map(pattern => (
+                                <td key={pattern.id}>{row.render(pattern, context)}</td>
+                            ))}
+                        </tr>
+                    ))}
+                </tbody>
+            </table>
+        </div>
+    );
+}
+
+export default TradeoffTable;
@@ -0,0 +1,43 @@
+/**
+ * Compare view state, stored in the URL so comparisons can be shared.
+ *
+ * "/compare?patterns=render-props,custom-hook&behavior=toggle" compares
+ * the toggle examples of Render Props and Custom Hooks.
+ */
+
+export const MAX_COMPARED = 3;
+
+/**
+ * Reads the compared slugs and behavior from a query string
+ * @param {string} search - location.search
+ * @returns {{ slugs: string[], behavior: string|null }} Compare state
+ */
+export function parseCompareQuery(search) {
+    const params = new URLSearchParams(search);
+    const slugs = (params.get('patterns') || '')
+        .split(',')
+        .map(slug => slug.trim())
+        .filter(Boolean);
+
+    return {
+        slugs: [...new Set(slugs)].slice(0, MAX_COMPARED),
+        behavior: params.get('behavior') || null
+    };
+}
+
+/**
+ * Builds a compare path
+ * @param {Object} state - Compare state
+ * @param {string[]} [state.slugs=[]] - Pattern slugs, in column order
+ * @param {string|null} [state.behavior] - Behavior id
+ * @returns {string} Path such as "/compare?patterns=a,b&behavior=toggle"
+ */
+export function toComparePath({ slugs = [], behavior = null } = {}) {
+    const params = new URLSearchParams();
+    if (slugs.length) params.set('patterns', slugs.join(','));
+    if (behavior) params.set('behavior', behavior);
+
+    // Keep the commas readable in shared links
+    const search = params.toString().replace(/%2C/g, ',');
+    return search ? `/compare?${search}` : '/compare';
+}
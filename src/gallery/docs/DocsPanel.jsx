@@ -0,0 +1,144 @@
+import React, { useEffect, useMemo, useState } from 'react';
+import Markdown from './Markdown.jsx';
+import PdfViewer from './PdfViewer.jsx';
+import { getPdfs, getReadmeLoader } from './docs.js';
+import { navigate, useLocation } from '../../router/history.js';
+import { patterns } from '../../../designs';
+
+// Matches README links to other patterns, e.g. "../StateReducer/README.md"
+const README_LINK = /(?:^|\/)([^/]+)\/README\.md(#.*)?$/;
+
+/**
+ * Reads the open document and page from the URL fragment
+ *
+ * "#pdf=<file>&page=3" selects a PDF page; anything else is the README,
+ * where the fragment is a heading anchor.
+ *
+ * @param {string} hash - location.hash
+ * @returns {{ pdf: string|null, page: number }} Selection
+ */
+function parseSelection(hash) {
+    const params = new URLSearchParams(hash.slice(1));
+    return { pdf: params.get('pdf'), page: Number(params.get('page')) || 1 };
+}
+
+function toPdfHash(name, page) {
+    return `#${new URLSearchParams({ pdf: name, page: String(page) })}`;
+}
+
+/**
+ * Maps README-relative links onto gallery routes
+ * @param {string} href - Link target from the markdown
+ * @param {string} pathname - Current pathname, for in-page anchors
+ * @returns {string|null} App path, or null to leave the link alone
+ */
+function resolveReadmeLink(href, pathname) {
+    if (href.startsWith('#')) return `${pathname}${href}`;
+
+    const match = README_LINK.exec(href);
+    const target = match && patterns.find(pattern => pattern.directory === match[1]);
+    return target ? `/patterns/${target.slug}/docs${match[2] || ''}` : null;
+}
+
+/**
+ * DocsPanel - A pattern's README and PDFs
+ *
+ * @param {Object} props - Component props
+ * @param {Object} props.pattern - Pattern record from the registry
+ * @returns {JSX.Element} Docs panel
+ */
+function DocsPanel({ pattern }) {
+    const pdfs = useMemo(() => getPdfs(pattern), [pattern]);
+    const { pathname, hash } = useLocation();
+    const selection = parseSelection(hash);
+    const activePdf = pdfs.find(pdf => pdf.name === selection.pdf) || null;
+
+    const [readme, setReadme] = useState(null);
+    const [error, setError] = useState(null);
+
+    useEffect(() => {
+        const load = getReadmeLoader(pattern);
+        if (!load) return undefined;
+
+        let cancelled = false;
+        load()
+            .then(source => {
+                if (!cancelled) setReadme(source);
+            })
+            .catch(err => {
+                if (!cancelled) setError(err.message);
+            });
+
+        return () => {
+            cancelled = true;
+        };
+    }, [pattern]);
+
+    // Follow heading anchors once the README has rendered
+    useEffect(() => {
+        if (activePdf || !readme || hash.length < 2) return;
+        let id;
+        try {
+            id = decodeURIComponent(hash.slice(1));
+        } catch {
+            // Malformed escape such as "#%E0": nothing to scroll to
+            return;
+        }
+        const element = document.getElementById(id);
+        if (element) element.scrollIntoView({ block: 'start' });
+    }, [activePdf, readme, hash]);
+
+    const show = (nextHash) => navigate(`${pathname}${nextHash}`, { replace: true });
+
+    return (
+        <div className="docs-panel">
+            <div className="source-files" role="tablist" aria-label="Documents">
+                <button
+                    type="button"
+                    role="tab"
+                    aria-selected={!activePdf}
+                    className={`source-file${!activePdf ? ' is-active' : ''}`}
+                    onClick={() => show('')}
+                >
+                    README.md
+                </button>
+                {pdfs.map(pdf => (
+                    <button
+                        key={pdf.name}
+                        type="button"
+                        role="tab"
+                        aria-selected={pdf === activePdf}
+                        className={`source-file${pdf === activePdf ? ' is-active' : ''}`}
+                        onClick={() => show(toPdfHash(pdf.name, 1))}
+                    >
+                        {pdf.name}
+                    </button>
+                ))}
+            </div>
+
+            <div className="docs-body">
+                {activePdf ? (
+                    <PdfViewer
+                        url={activePdf.url}
+                        title={activePdf.name}
+                        page={selection.page}
+                        onPageChange={(page) => show(toPdfHash(activePdf.name, page))}
+                    />
+                ) : (
+                    <>
+                        {error && <p className="gallery-error">Could not load the README: {error}</p>}
+                        {readme === null && !error && <p className="gallery-empty">Loading README...</p>}
+                        {readme !== null && (
+                            <Markdown
+                                source={readme}
+                                resolveLink={(href) => resolveReadmeLink(href, pathname)}
+                            />
+                        )}
+                    </>
+                )}
+            </div>
+        </div>
+    );
+}
+
+export default DocsPanel;
@@ -0,0 +1,109 @@
+import React, { useMemo } from 'react';
+import Link from '../../router/Link.jsx';
+import CodeBlock from '../source/CodeBlock.jsx';
+import { parseMarkdown } from './markdown.js';
+
+const EXTERNAL = /^[a-z][a-z\d+.-]*:/i;
+
+/**
+ * InlineNodes - Renders nodes from parseInline()
+ */
+function InlineNodes({ nodes, resolveLink }) {
+    return nodes.map((node, i) => {
+        switch (node.type) {
+            case 'code':
+                return <code key={i}>{node.text}</code>;
+            case 'strong':
+                return <strong key={i}><InlineNodes nodes={node.children} resolveLink={resolveLink} /></strong>;
+            case 'em':
+                return <em key={i}><InlineNodes nodes={node.children} resolveLink={resolveLink} /></em>;
+            case 'link':
+                return (
+                    <MarkdownLink key={i} href={node.href} resolveLink={resolveLink}>
+                        <InlineNodes nodes={node.children} resolveLink={resolveLink} />
+                    </MarkdownLink>
+                );
+            default:
+                return node.text;
+        }
+    });
+}
+
+/**
+ * MarkdownLink - External links open in a new tab, app links use the router
+ */
+function MarkdownLink({ href, resolveLink, children }) {
+    if (EXTERNAL.test(href)) {
+        return <a href={href} target="_blank" rel="noreferrer">{children}</a>;
+    }
+
+    const to = resolveLink ? resolveLink(href) : null;
+    if (to) {
+        return <Link to={to}>{children}</Link>;
+    }
+    return <a href={href}>{children}</a>;
+}
+
+/**
+ * Block - Renders one block from parseMarkdown()
+ */
+function Block({ block, resolveLink }) {
+    switch (block.type) {
+        case 'heading': {
+            const Heading = `h${block.depth}`;
+            return (
+                <Heading id={block.id}>
+                    <InlineNodes nodes={block.children} resolveLink={resolveLink} />
+                </Heading>
+            );
+        }
+        case 'code':
+            return <CodeBlock code={block.code} language={block.language} />;
+        case 'list': {
+            const List = block.ordered ? 'ol' : 'ul';
+            return (
+                <List start={block.start}>
+                    {block.items.map((item, i) => (
+                        <li key={i}><InlineNodes nodes={item} resolveLink={resolveLink} /></li>
+                    ))}
+                </List>
+            );
+        }
+        case 'quote':
+            return (
+                <blockquote>
+                    {block.children.map((child, i) => (
+                        <Block key={i} block={child} resolveLink={resolveLink} />
+                    ))}
+                </blockquote>
+            );
+        case 'rule':
+            return <hr />;
+        default:
+            return <p><InlineNodes nodes={block.children} resolveLink={resolveLink} /></p>;
+    }
+}
+
+/**
+ * Markdown - Renders markdown as React elements
+ *
+ * Fenced code is highlighted with the same CodeBlock as the source viewer.
+ *
+ * @param {Object} props - Component props
+ * @param {string} props.source - Markdown source
+ * @param {Function} [props.resolveLink] - Maps a relative href to an app path, or null to keep it
+ * @returns {JSX.Element} Rendered document
+ */
+function Markdown({ source, resolveLink }) {
+    const blocks = useMemo(() => parseMarkdown(source), [source]);
+
+    return (
+        <div className="markdown">
+            {blocks.map((block, i) => (
+                <Block key={i} block={block} resolveLink={resolveLink} />
+            ))}
+        </div>
+    );
+}
+
+export default Markdown;
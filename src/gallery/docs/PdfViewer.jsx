@@ -0,0 +1,141 @@
+import React, { useEffect, useRef, useState } from 'react';
+import { openPdf, renderPage } from './pdf.js';
+
+/**
+ * useElementWidth - Tracks an element's content width
+ * @param {Object} ref - Ref to the element
+ * @returns {number} Width in CSS pixels (0 before layout)
+ */
+function useElementWidth(ref) {
+    const [width, setWidth] = useState(0);
+
+    useEffect(() => {
+        const element = ref.current;
+        if (!element) return undefined;
+
+        setWidth(element.clientWidth);
+        if (typeof ResizeObserver === 'undefined') return undefined;
+
+        const observer = new ResizeObserver(([entry]) => {
+            setWidth(Math.floor(entry.contentRect.width));
+        });
+        observer.observe(element);
+        return () => observer.disconnect();
+    }, [ref]);
+
+    return width;
+}
+
+/**
+ * PdfViewer - Renders a PDF one page at a time with page navigation
+ *
+ * The page is controlled so the parent can keep it in the URL.
+ *
+ * @param {Object} props - Component props
+ * @param {string} props.url - Document URL
+ * @param {string} props.title - Accessible document title
+ * @param {number} props.page - 1-based page number
+ * @param {Function} props.onPageChange - Called with the requested page number
+ * @returns {JSX.Element} PDF viewer
+ */
+function PdfViewer({ url, title, page, onPageChange }) {
+    const canvasRef = useRef(null);
+    const frameRef = useRef(null);
+    const width = useElementWidth(frameRef);
+    const [pdf, setPdf] = useState(null);
+    const [error, setError] = useState(null);
+
+    useEffect(() => {
+        let cancelled = false;
+        let loaded = null;
+        setPdf(null);
+        setError(null);
+
+        openPdf(url)
+            .then(opened => {
+                loaded = opened;
+                if (cancelled) {
+                    opened.destroy();
+                } else {
+                    setPdf(opened);
+                }
+            })
+            .catch(err => {
+                if (!cancelled) setError(err.message);
+            });
+
+        return () => {
+            cancelled = true;
+            if (loaded) loaded.destroy();
+        };
+    }, [url]);
+
+    const pageCount = pdf ? pdf.numPages : 0;
+    const currentPage = Math.min(Math.max(page, 1), pageCount || 1);
+
+    useEffect(() => {
+        if (!pdf || !width) return undefined;
+
+        const task = renderPage(pdf, currentPage, canvasRef.current, width);
+        task.promise.catch(err => {
+            if (err?.name !== 'RenderingCancelledException') setError(err.message);
+        });
+        return task.cancel;
+    }, [pdf, currentPage, width]);
+
+    const goTo = (next) => {
+        if (next >= 1 && next <= pageCount && next !== currentPage) onPageChange(next);
+    };
+
+    const handleKeyDown = (e) => {
+        if (e.key === 'ArrowLeft' || e.key === 'PageUp') {
+            e.preventDefault();
+            goTo(currentPage - 1);
+        } else if (e.key === 'ArrowRight' || e.key === 'PageDown') {
+            e.preventDefault();
+            goTo(currentPage + 1);
+        }
+    };
+
+    return (
+        <div className="pdf-viewer">
+            <div className="pdf-toolbar">
+                <button type="button" onClick={() => goTo(currentPage - 1)} disabled={currentPage <= 1}>
+                    ‹ Prev
+                </button>
+                <label>
+                    Page{' '}
+                    <input
+                        type="number"
+                        min={1}
+                        max={pageCount || 1}
+                        value={currentPage}
+                        onChange={(e) => goTo(Number(e.target.value))}
+                        disabled={!pdf}
+                    />
+                    {' '}of {pageCount || '…'}
+                </label>
+                <button type="button" onClick={() => goTo(currentPage + 1)} disabled={currentPage >= pageCount}>
+                    Next ›
+                </button>
+                <a className="pdf-download" href={url} target="_blank" rel="noreferrer">
+                    Open file
+                </a>
+            </div>
+
+            <div
+                ref={frameRef}
+                className="pdf-frame"
+                tabIndex={0}
+                onKeyDown={handleKeyDown}
+                aria-label={`${title}, page ${currentPage} of ${pageCount}`}
+            >
+                {error && <p className="gallery-error">Could not display the PDF: {error}</p>}
+                {!pdf && !error && <p className="gallery-empty">Loading PDF...</p>}
+                <canvas ref={canvasRef} role="img" aria-label={`Page ${currentPage}`} hidden={!pdf} />
+            </div>
+        </div>
+    );
+}
+
+export default PdfViewer;
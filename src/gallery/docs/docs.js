@@ -0,0 +1,34 @@
+/**
+ * README and PDF lookups for pattern folders.
+ *
+ * READMEs are lazy `?raw` chunks like the source files; PDFs are emitted
+ * as static assets and only referenced by URL until a viewer opens them.
+ */
+
+const ROOT = '../../../designs/';
+
+const readmeLoaders = import.meta.glob('../../../designs/*/README.md', { query: '?raw', import: 'default' });
+const pdfUrls = import.meta.glob('../../../designs/*/*.pdf', { query: '?url', import: 'default', eager: true });
+
+/**
+ * Returns the loader for a pattern's README
+ * @param {Object} pattern - Pattern record from the registry
+ * @returns {Function|null} Resolves to the markdown source
+ */
+export function getReadmeLoader(pattern) {
+    return readmeLoaders[`${ROOT}${pattern.readme}`] || null;
+}
+
+/**
+ * Lists a pattern's PDF documents
+ * @param {Object} pattern - Pattern record from the registry
+ * @returns {Array<{ name: string, url: string }>} PDFs, by name
+ */
+export function getPdfs(pattern) {
+    const prefix = `${ROOT}${pattern.directory}/`;
+
+    return Object.keys(pdfUrls)
+        .filter(key => key.startsWith(prefix))
+        .map(key => ({ name: key.slice(prefix.length), url: pdfUrls[key] }))
+        .sort((a, b) => a.name.localeCompare(b.name));
+}
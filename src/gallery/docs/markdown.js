@@ -0,0 +1,171 @@
+/**
+ * Small markdown parser for the pattern READMEs.
+ *
+ * Covers the subset the docs actually use: ATX headings, paragraphs,
+ * fenced code, ordered/unordered lists, block quotes and rules, plus
+ * inline code, emphasis and links. Output is a plain block tree that
+ * Markdown.jsx renders as React elements, so no HTML string is ever
+ * injected into the page.
+ */
+
+const FENCE = /^(`{3,}|~{3,})\s*([\w-]*)/;
+const HEADING = /^(#{1,6})\s+(.*?)\s*#*\s*$/;
+const RULE = /^(?:-{3,}|\*{3,}|_{3,})\s*$/;
+const LIST_ITEM = /^\s{0,3}([-*+]|\d+[.)])\s+(.*)$/;
+const QUOTE = /^\s{0,3}>\s?(.*)$/;
+
+/**
+ * Turns heading text into a URL fragment, GitHub style
+ * @param {string} text - Heading text
+ * @returns {string} Slug, e.g. "when-to-use"
+ */
+export function slugify(text) {
+    return text
+        .toLowerCase()
+        .replace(/[`*_[\]()]/g, '')
+        .replace(/[^\p{L}\p{N}\s-]/gu, '')
+        .trim()
+        .replace(/\s+/g, '-');
+}
+
+/**
+ * Parses inline markdown into a flat list of nodes
+ *
+ * @param {string} text - Inline text
+ * @returns {Array<Object>} Nodes of type text, code, strong, em or link
+ */
+export function parseInline(text) {
+    const nodes = [];
+    const pattern = /`([^`]+)`|\*\*(.+?)\*\*|__(.+?)__|\*([^*\s][^*]*?)\*|_([^_\s][^_]*?)_(?![\w])|\[([^\]]+)\]\(([^)\s]+)\)/g;
+    let lastIndex = 0;
+    let match;
+
+    while ((match = pattern.exec(text)) !== null) {
+        if (match.index > lastIndex) {
+            nodes.push({ type: 'text', text: text.slice(lastIndex, match.index) });
+        }
+
+        const [, code, strong, strongAlt, em, emAlt, label, href] = match;
+        if (code !== undefined) {
+            nodes.push({ type: 'code', text: code });
+        } else if (strong !== undefined || strongAlt !== undefined) {
+            nodes.push({ type: 'strong', children: parseInline(strong ?? strongAlt) });
+        } else if (em !== undefined || emAlt !== undefined) {
+            nodes.push({ type: 'em', children: parseInline(em ?? emAlt) });
+        } else {
+            nodes.push({ type: 'link', href, children: parseInline(label) });
+        }
+        lastIndex = pattern.lastIndex;
+    }
+
+    if (lastIndex < text.length) {
+        nodes.push({ type: 'text', text: text.slice(lastIndex) });
+    }
+    return nodes;
+}
+
+/**
+ * Parses a markdown document into blocks
+ *
+ * @param {string} source - Markdown source
+ * @returns {Array<Object>} Blocks of type heading, paragraph, code, list, quote or rule
+ *
+ * @example
+ * parseMarkdown('## Why Use\n\n- Reuse');
+ * // [{ type: 'heading', depth: 2, id: 'why-use', children: [...] },
+ * //  { type: 'list', ordered: false, items: [[...]] }]
+ */
+export function parseMarkdown(source) {
+    const lines = source.replace(/\r\n?/g, '\n').split('\n');
+    const blocks = [];
+    let i = 0;
+
+    while (i < lines.length) {
+        const line = lines[i];
+
+        if (line.trim() === '') {
+            i++;
+            continue;
+        }
+
+        const fence = FENCE.exec(line);
+        if (fence) {
+            const code = [];
+            i++;
+            while (i < lines.length && !lines[i].startsWith(fence[1])) {
+                code.push(lines[i]);
+                i++;
+            }
+            i++; // closing fence
+            blocks.push({ type: 'code', language: fence[2] || 'text', code: code.join('\n') });
+            continue;
+        }
+
+        const heading = HEADING.exec(line);
+        if (heading) {
+            const text = heading[2];
+            blocks.push({ type: 'heading', depth: heading[1].length, id: slugify(text), children: parseInline(text) });
+            i++;
+            continue;
+        }
+
+        if (RULE.test(line)) {
+            blocks.push({ type: 'rule' });
+            i++;
+            continue;
+        }
+
+        if (QUOTE.test(line)) {
+            const quoted = [];
+            while (i < lines.length && QUOTE.test(lines[i])) {
+                quoted.push(QUOTE.exec(lines[i])[1]);
+                i++;
+            }
+            blocks.push({ type: 'quote', children: parseMarkdown(quoted.join('\n')) });
+            continue;
+        }
+
+        const item = LIST_ITEM.exec(line);
+        if (item) {
+            const ordered = /\d/.test(item[1]);
+            const items = [];
+            while (i < lines.length) {
+                const next = LIST_ITEM.exec(lines[i]);
+                if (next && /\d/.test(next[1]) === ordered) {
+                    items.push(next[2]);
+                } else if (items.length && /^\s{2,}\S/.test(lines[i])) {
+                    // Indented continuation of the previous item
+                    items[items.length - 1] += ` ${lines[i].trim()}`;
+                } else {
+                    break;
+                }
+                i++;
+            }
+            blocks.push({
+                type: 'list',
+                ordered,
+                start: ordered ? parseInt(item[1], 10) : undefined,
+                items: items.map(parseInline)
+            });
+            continue;
+        }
+
+        const paragraph = [];
+        while (
+            i < lines.length &&
+            lines[i].trim() !== '' &&
+            !FENCE.test(lines[i]) &&
+            !HEADING.test(lines[i]) &&
+            !RULE.test(lines[i]) &&
+            !LIST_ITEM.test(lines[i]) &&
+            !QUOTE.test(lines[i])
+        ) {
+            paragraph.push(lines[i].trim());
+            i++;
+        }
+        // Line breaks are kept: the READMEs list "✅ ..." items one per line
+        blocks.push({ type: 'paragraph', children: parseInline(paragraph.join('\n')) });
+    }
+
+    return blocks;
+}
@@ -0,0 +1,78 @@
+/**
+ * Lazy access to PDF.js.
+ *
+ * The library and its worker are about a megabyte, so they are only
+ * fetched the first time a PDF is opened.
+ */
+
+let pdfjsPromise = null;
+
+/**
+ * Loads PDF.js and points it at its bundled worker
+ * @returns {Promise<Object>} The pdfjs-dist module
+ */
+function loadPdfjs() {
+    if (!pdfjsPromise) {
+        pdfjsPromise = Promise.all([
+            import('pdfjs-dist'),
+            import('pdfjs-dist/build/pdf.worker.min.mjs?url')
+        ]).then(([pdfjs, worker]) => {
+            pdfjs.GlobalWorkerOptions.workerSrc = worker.default;
+            return pdfjs;
+        });
+    }
+    return pdfjsPromise;
+}
+
+/**
+ * Opens a PDF document
+ *
+ * @param {string} url - Document URL
+ * @returns {Promise<Object>} PDFDocumentProxy; call destroy() when done
+ */
+export async function openPdf(url) {
+    const pdfjs = await loadPdfjs();
+    return pdfjs.getDocument(url).promise;
+}
+
+/**
+ * Renders one page into a canvas, scaled to a CSS width
+ *
+ * @param {Object} pdf - PDFDocumentProxy from openPdf()
+ * @param {number} pageNumber - 1-based page number
+ * @param {HTMLCanvasElement} canvas - Target canvas
+ * @param {number} width - Width in CSS pixels
+ * @returns {{ promise: Promise<void>, cancel: Function }} Render task
+ */
+export function renderPage(pdf, pageNumber, canvas, width) {
+    let renderTask = null;
+    let cancelled = false;
+
+    const promise = pdf.getPage(pageNumber).then(page => {
+        if (cancelled) return undefined;
+
+        const unscaled = page.getViewport({ scale: 1 });
+        const viewport = page.getViewport({ scale: width / unscaled.width });
+        const ratio = window.devicePixelRatio || 1;
+
+        canvas.width = Math.floor(viewport.width * ratio);
+        canvas.height = Math.floor(viewport.height * ratio);
+        canvas.style.width = `${Math.floor(viewport.width)}px`;
+        canvas.style.height = `${Math.floor(viewport.height)}px`;
+
+        renderTask = page.render({
+            canvasContext: canvas.getContext('2d'),
+            viewport,
+            transform: ratio === 1 ? undefined : [ratio, 0, 0, ratio, 0, 0]
+        });
+        return renderTask.promise;
+    });
+
+    return {
+        promise,
+        cancel: () => {
+            cancelled = true;
+            if (renderTask) renderTask.cancel();
+        }
+    };
+}
@@ -0,0 +1,157 @@
+import React, { useEffect, useState } from 'react';
+import CodeEditor from '../playground/CodeEditor.jsx';
+import DemoErrorBoundary from '../DemoErrorBoundary.jsx';
+import DraftNotice from '../playground/DraftNotice.jsx';
+import { gradeExercise } from './grade.js';
+import { readDraft, writeDraft } from '../playground/drafts.js';
+import { getPatternModules, loadCompiler } from '../playground/sandbox.js';
+import { useLivePreview } from '../playground/useLivePreview.js';
+import { markExerciseSolved } from '../progress/progress.js';
+
+function draftKey(pattern, exercise) {
+    return `gallery:exercise:${pattern.id}:${exercise.id}`;
+}
+
+/**
+ * ExercisePanel - Editor, live preview and grader for one exercise
+ *
+ * @param {Object} props - Component props
+ * @param {Object} props.pattern - Pattern record from the registry
+ * @param {Object} props.exercise - Exercise from pattern.exercises
+ * @param {boolean} props.solved - Whether the reader solved it before
+ * @returns {JSX.Element} Exercise
+ */
+function ExercisePanel({ pattern, exercise, solved }) {
+    const [code, setCode] = useState(() => readDraft(draftKey(pattern, exercise)) ?? exercise.starter);
+    // A restored draft only runs once the reader asks (see DraftNotice)
+    const [draftPaused, setDraftPaused] = useState(code !== exercise.starter);
+    const [environment, setEnvironment] = useState(null);
+    const [loadError, setLoadError] = useState(null);
+    const [results, setResults] = useState(null);
+    const [checking, setChecking] = useState(false);
+    const [hintCount, setHintCount] = useState(0);
+    const { Preview, error, version } = useLivePreview(environment, draftPaused ? exercise.starter : code);
+
+    useEffect(() => {
+        let cancelled = false;
+        loadCompiler()
+            .then(transform => {
+                if (!cancelled) setEnvironment({ transform, modules: getPatternModules(pattern) });
+            })
+            .catch(err => {
+                if (!cancelled) setLoadError(err.message);
+            });
+
+        return () => {
+            cancelled = true;
+        };
+    }, [pattern]);
+
+    const handleChange = (next) => {
+        setCode(next);
+        setResults(null);
+        writeDraft(draftKey(pattern, exercise), next === exercise.starter ? null : next);
+    };
+
+    const reset = () => {
+        if (code !== exercise.starter && !window.confirm('Discard your changes and start over?')) return;
+        setDraftPaused(false);
+        handleChange(exercise.starter);
+    };
+
+    const check = async () => {
+        setDraftPaused(false);
+        setChecking(true);
+        const nextResults = await gradeExercise(exercise, code, environment);
+        setResults(nextResults);
+        setChecking(false);
+        if (nextResults.every(result => result.passed)) {
+            markExerciseSolved(pattern.id, exercise.id);
+        }
+    };
+
+    if (loadError) {
+        return <p className="gallery-error">Could not load the exercise: {loadError}</p>;
+    }
+
+    const passedCount = results ? results.filter(result => result.passed).length : 0;
+
+    return (
+        <div className="gallery-split">
+            <section className="gallery-split-panel playground-editor">
+                <div className="source-files">
+                    <span className="source-file is-active">{exercise.title}</span>
+                    <button type="button" className="playground-reset" onClick={reset} disabled={code === exercise.starter}>
+                        Reset
+                    </button>
+                </div>
+                {draftPaused && <DraftNotice onRun={() => setDraftPaused(false)} />}
+                <CodeEditor value={code} onChange={handleChange} errorLine={error?.line} label={`${exercise.title} code`} />
+                {error && (
+                    <div className="playground-error" role="alert">
+                        <strong>{error.name === 'CompileError' ? 'Compile error' : 'Error'}</strong>
+                        {error.line && ` (line ${error.line})`}: {error.message}
+                    </div>
+                )}
+            </section>
+
+            <section className="exercise-brief">
+                <h2>
+                    {exercise.title}
+                    {solved && <span className="exercise-solved">✓ Solved</span>}
+                </h2>
+                <p>{exercise.prompt}</p>
+
+                {exercise.hints.length > 0 && (
+                    <div className="exercise-hints">
+                        {exercise.hints.slice(0, hintCount).map((hint, i) => (
+                            <p key={i}>💡 {hint}</p>
+                        ))}
+                        {hintCount < exercise.hints.length && (
+                            <button type="button" className="gallery-clear" onClick={() => setHintCount(hintCount + 1)}>
+                                Show hint {hintCount + 1} of {exercise.hints.length}
+                            </button>
+                        )}
+                    </div>
+                )}
+
+                <div className="exercise-check">
+                    <button type="button" onClick={check} disabled={!environment || checking}>
+                        {checking ? 'Checking…' : 'Check'}
+                    </button>
+                    {results && (
+                        <span aria-live="polite">
+                            {passedCount} of {results.length} checks passed
+                            {passedCount === results.length && ' 🎉'}
+                        </span>
+                    )}
+                </div>
+
+                <ul className="exercise-results">
+                    {exercise.checks.map((item, i) => {
+                        const result = results?.[i];
+                        const status = result ? (result.passed ? 'passed' : 'failed') : 'pending';
+                        return (
+                            <li key={item.name} className={`is-${status}`}>
+                                <span aria-hidden="true">{{ passed: '✓', failed: '✗', pending: '○' }[status]}</span>
+                                {item.name}
+                                {result?.message && <pre>{result.message}</pre>}
+                            </li>
+                        );
+                    })}
+                </ul>
+
+                <h3>Preview</h3>
+                <div className="exercise-preview">
+                    {Preview && (
+                        <DemoErrorBoundary key={version}>
+                            <Preview />
+                        </DemoErrorBoundary>
+                    )}
+                </div>
+            </section>
+        </div>
+    );
+}
+
+export default ExercisePanel;
@@ -0,0 +1,48 @@
+import React from 'react';
+import ExercisePanel from './ExercisePanel.jsx';
+import { navigate, useLocation } from '../../router/history.js';
+import { useProgress } from '../progress/progress.js';
+
+/**
+ * ExercisesView - A pattern's exercises, one at a time
+ *
+ * The open exercise is named in the URL fragment (e.g. "#undo").
+ *
+ * @param {Object} props - Component props
+ * @param {Object} props.pattern - Pattern record with at least one exercise
+ * @returns {JSX.Element} Exercises
+ */
+function ExercisesView({ pattern }) {
+    const { pathname, search, hash } = useLocation();
+    const solved = useProgress()[pattern.id]?.solved || {};
+    const exercise = pattern.exercises.find(e => `#${e.id}` === hash) || pattern.exercises[0];
+
+    return (
+        <div className="exercises">
+            {pattern.exercises.length > 1 && (
+                <div className="source-files" role="tablist" aria-label="Exercises">
+                    {pattern.exercises.map(e => (
+                        <button
+                            key={e.id}
+                            type="button"
+                            role="tab"
+                            aria-selected={e === exercise}
+                            className={`source-file${e === exercise ? ' is-active' : ''}`}
+                            onClick={() => navigate(`${pathname}${search}#${e.id}`, { replace: true })}
+                        >
+                            {solved[e.id] && '✓ '}{e.title}
+                        </button>
+                    ))}
+                </div>
+            )}
+            <ExercisePanel
+                key={exercise.id}
+                pattern={pattern}
+                exercise={exercise}
+                solved={Boolean(solved[exercise.id])}
+            />
+        </div>
+    );
+}
+
+export default ExercisesView;
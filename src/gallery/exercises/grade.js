@@ -0,0 +1,36 @@
+import { createRenderer, expect } from './testKit.js';
+import { runModule } from '../playground/sandbox.js';
+
+/**
+ * Compiles an attempt and runs an exercise's checks against it
+ *
+ * A compile error fails every check with the same message, so the result
+ * list always mirrors the exercise's checks.
+ *
+ * @param {Object} exercise - Exercise from the registry
+ * @param {string} code - The reader's code
+ * @param {Object} environment - `{ transform, modules }` for runModule()
+ * @returns {Promise<Array<{ name: string, passed: boolean, message?: string }>>} Results
+ */
+export async function gradeExercise(exercise, code, { transform, modules }) {
+    let exports;
+    try {
+        exports = runModule(transform, code, modules);
+    } catch (error) {
+        return exercise.checks.map(check => ({ name: check.name, passed: false, message: error.message }));
+    }
+
+    const results = [];
+    for (const check of exercise.checks) {
+        const { render, cleanup } = createRenderer();
+        try {
+            await check.run({ exports, expect, render });
+            results.push({ name: check.name, passed: true });
+        } catch (error) {
+            results.push({ name: check.name, passed: false, message: error.message });
+        } finally {
+            cleanup();
+        }
+    }
+    return results;
+}
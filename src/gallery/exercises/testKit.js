@@ -0,0 +1,126 @@
+import { createElement } from 'react';
+import { flushSync } from 'react-dom';
+import { createRoot } from 'react-dom/client';
+
+/**
+ * The tiny assertion and rendering toolkit exercise checks run against.
+ *
+ * Checks receive `{ exports, expect, render }` and pass by returning
+ * without throwing. Everything runs in the reader's browser.
+ */
+
+/**
+ * Error thrown by a failed expectation
+ */
+export class AssertionError extends Error {
+    constructor(message) {
+        super(message);
+        this.name = 'AssertionError';
+    }
+}
+
+function format(value) {
+    if (typeof value === 'function') return `[function ${value.name || 'anonymous'}]`;
+    try {
+        return JSON.stringify(value);
+    } catch {
+        return String(value);
+    }
+}
+
+function isEqual(a, b) {
+    if (Object.is(a, b)) return true;
+    if (typeof a !== 'object' || typeof b !== 'object' || a === null || b === null) return false;
+    if (Array.isArray(a) !== Array.isArray(b)) return false;
+
+    const keys = Object.keys(a);
+    return keys.length === Object.keys(b).length && keys.every(key => isEqual(a[key], b[key]));
+}
+
+/**
+ * Creates matchers for a value
+ *
+ * @param {*} actual - Value under test
+ * @returns {Object} Matchers; `.not` negates them
+ *
+ * @example
+ * expect(reducer(state, { type: 'UNDO' })).toEqual({ count: 0, history: [] });
+ */
+export function expect(actual) {
+    const matchers = (negate) => {
+        const assert = (pass, message) => {
+            if (pass === negate) throw new AssertionError(negate ? `Expected not: ${message}` : message);
+        };
+
+        return {
+            toBe: (expected) => assert(Object.is(actual, expected), `expected ${format(actual)} to be ${format(expected)}`),
+            toEqual: (expected) => assert(isEqual(actual, expected), `expected ${format(actual)} to equal ${format(expected)}`),
+            toBeTruthy: () => assert(Boolean(actual), `expected ${format(actual)} to be truthy`),
+            toContain: (item) => assert(
+                actual != null && actual.includes(item),
+                `expected ${format(actual)} to contain ${format(item)}`
+            ),
+            toBeTypeOf: (type) => assert(typeof actual === type, `expected ${format(actual)} to be a ${type}`),
+            toThrow: () => {
+                let threw = false;
+                try {
+                    actual();
+                } catch {
+                    threw = true;
+                }
+                assert(threw, 'expected the function to throw');
+            }
+        };
+    };
+
+    return { ...matchers(false), not: matchers(true) };
+}
+
+/**
+ * Creates a render helper that tracks what it mounts
+ *
+ * @returns {{ render: Function, cleanup: Function }} Helper and teardown
+ */
+export function createRenderer() {
+    const roots = [];
+
+    /**
+     * Renders a component into a detached container, synchronously
+     *
+     * @param {React.ComponentType|React.ReactElement} component - Component or element
+     * @returns {Object} Queries and interactions on the rendered output
+     */
+    const render = (component) => {
+        const container = document.createElement('div');
+        const root = createRoot(container);
+        roots.push(root);
+
+        const element = typeof component === 'function' ? createElement(component) : component;
+        flushSync(() => root.render(element));
+
+        const getByText = (text) => {
+            const match = [...container.querySelectorAll('*')].find(node =>
+                [...node.childNodes].some(child => child.nodeType === 3 && child.textContent.includes(text))
+            );
+            if (!match) throw new AssertionError(`no element contains the text "${text}"`);
+            return match;
+        };
+
+        return {
+            container,
+            text: () => container.textContent,
+            getByText,
+            click: (target) => {
+                const node = typeof target === 'string' ? getByText(target) : target;
+                flushSync(() => node.dispatchEvent(new MouseEvent('click', { bubbles: true })));
+            },
+            rerender: (next) => flushSync(() => root.render(next))
+        };
+    };
+
+    const cleanup = () => {
+        roots.splice(0).forEach(root => root.unmount());
+    };
+
+    return { render, cleanup };
+}
@@ -0,0 +1,68 @@
+import React, { useRef } from 'react';
+import CodeBlock from '../source/CodeBlock.jsx';
+
+const INDENT = '    ';
+
+/**
+ * CodeEditor - Plain textarea layered over highlighted code
+ *
+ * The textarea keeps native editing, selection and undo; its text is
+ * transparent so the highlighted CodeBlock underneath shows through.
+ *
+ * @param {Object} props - Component props
+ * @param {string} props.value - Source code
+ * @param {Function} props.onChange - Called with the new source
+ * @param {number} [props.errorLine] - Line to flag as erroneous
+ * @param {string} [props.label='Code editor'] - Accessible label
+ * @returns {JSX.Element} Editor
+ */
+function CodeEditor({ value, onChange, errorLine, label = 'Code editor' }) {
+    const highlightRef = useRef(null);
+
+    const syncScroll = (e) => {
+        highlightRef.current.scrollTop = e.target.scrollTop;
+        highlightRef.current.scrollLeft = e.target.scrollLeft;
+    };
+
+    const handleKeyDown = (e) => {
+        if (e.key !== 'Tab' || e.shiftKey || e.altKey || e.ctrlKey || e.metaKey) return;
+
+        // Indent instead of moving focus; Escape blurs so the keyboard can leave
+        e.preventDefault();
+        const { selectionStart, selectionEnd } = e.target;
+        const next = value.slice(0, selectionStart) + INDENT + value.slice(selectionEnd);
+        onChange(next);
+        requestAnimationFrame(() => {
+            e.target.selectionStart = e.target.selectionEnd = selectionStart + INDENT.length;
+        });
+    };
+
+    const handleKeyUp = (e) => {
+        if (e.key === 'Escape') e.target.blur();
+    };
+
+    return (
+        <div className="code-editor">
+            <div ref={highlightRef} className="code-editor-highlight" aria-hidden="true">
+                {/* Trailing newline keeps the last line's height when it is empty */}
+                <CodeBlock code={`${value}\n`} lineNumbers activeLine={errorLine} />
+            </div>
+            <textarea
+                className="code-editor-input"
+                value={value}
+                onChange={(e) => onChange(e.target.value)}
+                onKeyDown={handleKeyDown}
+                onKeyUp={handleKeyUp}
+                onScroll={syncScroll}
+                aria-label={label}
+                spellCheck={false}
+                autoCapitalize="off"
+                autoComplete="off"
+                autoCorrect="off"
+                wrap="off"
+            />
+        </div>
+    );
+}
+
+export default CodeEditor;
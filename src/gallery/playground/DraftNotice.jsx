@@ -0,0 +1,23 @@
+import React from 'react';
+
+/**
+ * DraftNotice - Offers to run a restored draft instead of running it on load
+ *
+ * A saved draft runs in the page itself, so a draft with an endless loop
+ * would freeze the tab again on every visit. Restored drafts therefore
+ * wait until the reader asks for them.
+ *
+ * @param {Object} props - Component props
+ * @param {Function} props.onRun - Runs the draft
+ * @returns {JSX.Element} Notice
+ */
+function DraftNotice({ onRun }) {
+    return (
+        <div className="playground-paused" role="status">
+            Your saved draft was restored but has not run yet; the preview shows the original.
+            <button type="button" onClick={onRun}>Run draft</button>
+        </div>
+    );
+}
+
+export default DraftNotice;
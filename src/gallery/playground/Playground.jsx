@@ -0,0 +1,120 @@
+import React, { useEffect, useMemo, useState } from 'react';
+import CodeEditor from './CodeEditor.jsx';
+import DemoErrorBoundary from '../DemoErrorBoundary.jsx';
+import DraftNotice from './DraftNotice.jsx';
+import { readDraft, writeDraft } from './drafts.js';
+import { getPatternModules, loadCompiler } from './sandbox.js';
+import { useLivePreview } from './useLivePreview.js';
+import { getSourceFiles } from '../source/sources.js';
+
+/**
+ * localStorage key holding a pattern's unsaved playground edits
+ * @param {Object} pattern - Pattern record from the registry
+ * @returns {string} Storage key
+ */
+function draftKey(pattern) {
+    return `gallery:playground:${pattern.id}`;
+}
+
+/**
+ * Playground - Editable copy of a pattern's main file with a live preview
+ *
+ * Edits are compiled in the browser a moment after typing stops and the
+ * module's default export is rendered next to the editor. Drafts are kept
+ * in localStorage per pattern until reset. A restored draft is not run
+ * until the reader asks, so a draft that hangs cannot freeze every visit.
+ *
+ * @param {Object} props - Component props
+ * @param {Object} props.pattern - Pattern record from the registry
+ * @returns {JSX.Element} Playground
+ */
+function Playground({ pattern }) {
+    const mainFile = useMemo(() => getSourceFiles(pattern)[0], [pattern]);
+    const [environment, setEnvironment] = useState(null);
+    const [loadError, setLoadError] = useState(null);
+    const [code, setCode] = useState(() => readDraft(draftKey(pattern)));
+    // True while a restored draft waits for "Run draft"
+    const [draftPaused, setDraftPaused] = useState(code !== null);
+    const { Preview, error, version } = useLivePreview(environment, draftPaused ? environment?.original ?? null : code);
+
+    // Original source and compiler are fetched together
+    useEffect(() => {
+        let cancelled = false;
+
+        Promise.all([mainFile.load(), loadCompiler()])
+            .then(([original, transform]) => {
+                if (cancelled) return;
+                setEnvironment({ original, transform, modules: getPatternModules(pattern) });
+                setCode(draft => draft ?? original);
+            })
+            .catch(err => {
+                if (!cancelled) setLoadError(err.message);
+            });
+
+        return () => {
+            cancelled = true;
+        };
+    }, [pattern, mainFile]);
+
+    const handleChange = (next) => {
+        setCode(next);
+        writeDraft(draftKey(pattern), next === environment?.original ? null : next);
+    };
+
+    const reset = () => {
+        setDraftPaused(false);
+        setCode(environment.original);
+        writeDraft(draftKey(pattern), null);
+    };
+
+    if (loadError) {
+        return <p className="gallery-error">Could not load the playground: {loadError}</p>;
+    }
+
+    if (!environment || code === null) {
+        return <p className="gallery-empty">Loading playground...</p>;
+    }
+
+    const isModified = code !== environment.original;
+
+    return (
+        <div className="gallery-split playground">
+            <section className="gallery-split-panel playground-editor">
+                <div className="source-files">
+                    <span className="source-file is-active">{mainFile.name}</span>
+                    {isModified && <span className="playground-modified">edited</span>}
+                    <button
+                        type="button"
+                        className="playground-reset"
+                        onClick={reset}
+                        disabled={!isModified}
+                    >
+                        Reset
+                    </button>
+                </div>
+                {draftPaused && <DraftNotice onRun={() => setDraftPaused(false)} />}
+                <CodeEditor
+                    value={code}
+                    onChange={handleChange}
+                    errorLine={error?.line}
+                    label={`${mainFile.name} source`}
+                />
+                {error && (
+                    <div className="playground-error" role="alert">
+                        <strong>{error.name === 'CompileError' ? 'Compile error' : 'Error'}</strong>
+                        {error.line && ` (line ${error.line})`}: {error.message}
+                    </div>
+                )}
+            </section>
+            <section className="gallery-demo">
+                {Preview && (
+                    <DemoErrorBoundary key={version}>
+                        <Preview />
+                    </DemoErrorBoundary>
+                )}
+            </section>
+        </div>
+    );
+}
+
+export default Playground;
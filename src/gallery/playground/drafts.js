@@ -0,0 +1,33 @@
+/**
+ * Unsaved editor contents, kept in localStorage between visits.
+ */
+
+/**
+ * Reads a saved draft
+ * @param {string} key - Storage key
+ * @returns {string|null} Draft, or null when none is saved
+ */
+export function readDraft(key) {
+    try {
+        return window.localStorage.getItem(key);
+    } catch {
+        return null;
+    }
+}
+
+/**
+ * Saves a draft, or removes it when `code` is null
+ * @param {string} key - Storage key
+ * @param {string|null} code - Draft contents
+ */
+export function writeDraft(key, code) {
+    try {
+        if (code === null) {
+            window.localStorage.removeItem(key);
+        } else {
+            window.localStorage.setItem(key, code);
+        }
+    } catch {
+        // Storage may be full or disabled; editing still works without drafts
+    }
+}
@@ -0,0 +1,131 @@
+import * as React from 'react';
+import * as ReactDOM from 'react-dom';
+import * as ReactDOMClient from 'react-dom/client';
+import * as jsxRuntime from 'react/jsx-runtime';
+import * as inversify from 'inversify';
+import * as reactDI from 'react-di';
+
+/**
+ * Compiles and evaluates playground code in a scoped module environment.
+ *
+ * User code is transpiled in the browser with sucrase (JSX + ES modules to
+ * CommonJS) and run with a `require` that only resolves React, the
+ * packages the patterns themselves depend on, and the modules in the
+ * edited pattern's own folder. Anything else fails with a
+ * readable error instead of reaching into the rest of the app.
+ *
+ * This scopes imports only; it is not a security boundary. The code runs
+ * in the page with the same access to `window`, `document`,
+ * `localStorage` and the network as the gallery itself, so only run code
+ * you would be willing to paste into the browser console. Untrusted code
+ * would need a sandboxed iframe or a worker. Because an endless loop here
+ * freezes the tab, drafts restored from storage are not run until the
+ * reader asks (DraftNotice).
+ */
+
+// Already part of the main bundle through the registry, so load eagerly
+const patternModuleNamespaces = import.meta.glob('../../../designs/*/*.{js,jsx}', { eager: true });
+
+/**
+ * Normalizes an ES module namespace for sucrase's CommonJS interop
+ * @param {Object} namespace - Module namespace object
+ * @returns {Object} CommonJS-style exports flagged as an ES module
+ */
+function toCommonJS(namespace) {
+    const exports = { __esModule: true, ...namespace };
+    if (!('default' in exports)) exports.default = namespace;
+    return exports;
+}
+
+const BUILTIN_MODULES = {
+    'react': toCommonJS(React),
+    'react-dom': toCommonJS(ReactDOM),
+    'react-dom/client': toCommonJS(ReactDOMClient),
+    'react/jsx-runtime': toCommonJS(jsxRuntime),
+    'inversify': toCommonJS(inversify),
+    'react-di': toCommonJS(reactDI)
+};
+
+let compilerPromise = null;
+
+/**
+ * Loads the in-browser transpiler on first use
+ * @returns {Promise<Function>} sucrase's transform function
+ */
+export function loadCompiler() {
+    if (!compilerPromise) {
+        compilerPromise = import('sucrase').then(module => module.transform);
+    }
+    return compilerPromise;
+}
+
+/**
+ * Collects every module in a pattern's folder, keyed by relative specifier
+ *
+ * @param {Object} pattern - Pattern record from the registry
+ * @returns {Object} Modules keyed like "./contexts.js"
+ */
+export function getPatternModules(pattern) {
+    const prefix = `../../../designs/${pattern.directory}/`;
+
+    return Object.fromEntries(
+        Object.keys(patternModuleNamespaces)
+            .filter(key => key.startsWith(prefix))
+            .map(key => [`./${key.slice(prefix.length)}`, toCommonJS(patternModuleNamespaces[key])])
+    );
+}
+
+/**
+ * Error raised for code that does not compile, with its source position
+ */
+export class CompileError extends Error {
+    constructor(message, line, column) {
+        super(message);
+        this.name = 'CompileError';
+        this.line = line;
+        this.column = column;
+    }
+}
+
+/**
+ * Compiles and evaluates a module
+ *
+ * Runs in the page through `new Function`; only `require` is scoped (see
+ * the note at the top of this file).
+ *
+ * @param {Function} transform - sucrase transform from loadCompiler()
+ * @param {string} code - Module source
+ * @param {Object} patternModules - Modules from getPatternModules()
+ * @returns {Object} The module's exports
+ * @throws {CompileError} When the code does not parse
+ */
+export function runModule(transform, code, patternModules) {
+    let compiled;
+    try {
+        compiled = transform(code, {
+            transforms: ['jsx', 'imports'],
+            jsxRuntime: 'automatic',
+            production: true
+        }).code;
+    } catch (error) {
+        throw new CompileError(error.message, error.loc?.line, error.loc?.column);
+    }
+
+    const available = { ...BUILTIN_MODULES, ...patternModules };
+    const require = (specifier) => {
+        // Accept "./contexts" as well as "./contexts.js"
+        const resolved = available[specifier] ||
+            available[`${specifier}.js`] ||
+            available[`${specifier}.jsx`];
+        if (!resolved) {
+            throw new Error(
+                `Cannot import "${specifier}" in the playground. Available modules: ${Object.keys(available).join(', ')}`
+            );
+        }
+        return resolved;
+    };
+
+    const module = { exports: {} };
+    new Function('require', 'module', 'exports', compiled)(require, module, module.exports);
+    return module.exports;
+}
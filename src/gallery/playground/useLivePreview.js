@@ -0,0 +1,41 @@
+import { useEffect, useRef, useState } from 'react';
+import { runModule } from './sandbox.js';
+
+const COMPILE_DELAY = 300;
+
+/**
+ * useLivePreview - Recompiles code shortly after edits stop
+ *
+ * The last working component stays available while the code is broken,
+ * so the preview does not flash away on every typo. `version` changes
+ * with each successful compile; use it as the preview's key to remount.
+ *
+ * @param {Object|null} environment - `{ transform, modules }` for runModule(), null while loading
+ * @param {string|null} code - Module source
+ * @returns {{ Preview: Function|null, error: Error|null, version: number }} Preview state
+ */
+export function useLivePreview(environment, code) {
+    const [result, setResult] = useState({ Preview: null, error: null, version: 0 });
+    const versionRef = useRef(0);
+
+    useEffect(() => {
+        if (!environment || code === null) return undefined;
+
+        const timer = setTimeout(() => {
+            const version = ++versionRef.current;
+            try {
+                const exports = runModule(environment.transform, code, environment.modules);
+                if (typeof exports.default !== 'function') {
+                    throw new Error('The module needs a default export that is a React component.');
+                }
+                setResult({ Preview: exports.default, error: null, version });
+            } catch (error) {
+                setResult(prev => ({ ...prev, error }));
+            }
+        }, COMPILE_DELAY);
+
+        return () => clearTimeout(timer);
+    }, [environment, code]);
+
+    return result;
+}
@@ -0,0 +1,99 @@
+import React, { useEffect } from 'react';
+import Link from '../../router/Link.jsx';
+import ProgressBar from './ProgressBar.jsx';
+import StatusIcon from './StatusIcon.jsx';
+import { toPathStepHref } from './paths.js';
+import { useLocation } from '../../router/history.js';
+import { getStatus, resetProgress, useProgress } from './progress.js';
+import { learningPaths, patterns } from '../../../designs';
+
+/**
+ * LearningPathsPage - Every learning path with the reader's progress
+ *
+ * @returns {JSX.Element} Learning paths overview
+ */
+function LearningPathsPage() {
+    const progress = useProgress();
+    const bookmarks = patterns.filter(pattern => progress[pattern.id]?.bookmarked);
+
+    const { hash } = useLocation();
+
+    useEffect(() => {
+        document.title = 'Learning paths · Frontend Design Patterns';
+    }, []);
+
+    useEffect(() => {
+        const element = hash.length > 1 && document.getElementById(hash.slice(1));
+        if (element) element.scrollIntoView({ block: 'start' });
+    }, [hash]);
+
+    const reset = () => {
+        if (window.confirm('Forget all visited, completed and bookmarked patterns?')) {
+            resetProgress();
+        }
+    };
+
+    return (
+        <div className="gallery-page">
+            <header className="gallery-page-header">
+                <h1>Learning paths</h1>
+                <p>Work through the patterns in order. Progress is saved in this browser.</p>
+            </header>
+
+            {learningPaths.map(path => {
+                const completed = path.steps.filter(id => progress[id]?.completed).length;
+                const resume = path.patterns.find(pattern => !progress[pattern.id]?.completed) || path.patterns[0];
+                const started = path.steps.some(id => progress[id]?.visited);
+
+                return (
+                    <section key={path.id} id={path.id} className="gallery-category path-card">
+                        <header className="path-card-header">
+                            <div>
+                                <h2>{path.title}</h2>
+                                <p>{path.description}</p>
+                            </div>
+                            <Link to={toPathStepHref(resume, path)} className="path-card-action">
+                                {completed === path.steps.length ? 'Review' : started ? 'Continue' : 'Start'} →
+                            </Link>
+                        </header>
+                        <ProgressBar value={completed} max={path.steps.length} label={`${path.title} progress`} />
+                        <p className="path-card-count">{completed} of {path.steps.length} completed</p>
+                        <ol className="path-steps">
+                            {path.patterns.map(pattern => (
+                                <li key={pattern.id}>
+                                    <StatusIcon status={getStatus(progress[pattern.id])} />
+                                    <Link to={toPathStepHref(pattern, path)}>{pattern.title}</Link>
+                                    <span className="path-step-summary">{pattern.summary}</span>
+                                    {progress[pattern.id]?.bookmarked && <span aria-label="Bookmarked">★</span>}
+                                </li>
+                            ))}
+                        </ol>
+                    </section>
+                );
+            })}
+
+            <section className="gallery-category">
+                <h2>Bookmarks</h2>
+                {bookmarks.length ? (
+                    <ul className="path-steps">
+                        {bookmarks.map(pattern => (
+                            <li key={pattern.id}>
+                                <StatusIcon status={getStatus(progress[pattern.id])} />
+                                <Link to={`/patterns/${pattern.slug}`}>{pattern.title}</Link>
+                                <span className="path-step-summary">{pattern.summary}</span>
+                            </li>
+                        ))}
+                    </ul>
+                ) : (
+                    <p className="gallery-empty">Bookmark a pattern from its page to find it here.</p>
+                )}
+            </section>
+
+            <button type="button" className="gallery-clear" onClick={reset}>
+                Reset progress
+            </button>
+        </div>
+    );
+}
+
+export default LearningPathsPage;
@@ -0,0 +1,46 @@
+import React from 'react';
+import Link from '../../router/Link.jsx';
+import StatusIcon from './StatusIcon.jsx';
+import { toPathStepHref } from './paths.js';
+import { getStatus, useProgress } from './progress.js';
+
+/**
+ * PathNavigation - Position on a learning path with previous / next links
+ *
+ * @param {Object} props - Component props
+ * @param {Object} props.step - Result of getPathStep()
+ * @returns {JSX.Element} Path navigation bar
+ */
+function PathNavigation({ step }) {
+    const progress = useProgress();
+    const { path, index, previous, next } = step;
+
+    return (
+        <nav className="path-nav" aria-label={`${path.title} learning path`}>
+            <Link to={`/paths#${path.id}`} className="path-nav-title">
+                {path.title} path · step {index + 1} of {path.steps.length}
+            </Link>
+            <ol className="path-nav-steps">
+                {path.patterns.map((pattern, i) => (
+                    <li key={pattern.id} className={i === index ? 'is-current' : undefined}>
+                        <Link to={toPathStepHref(pattern, path)} title={pattern.title}>
+                            <StatusIcon status={getStatus(progress[pattern.id])} />
+                        </Link>
+                    </li>
+                ))}
+            </ol>
+            <span className="path-nav-links">
+                {previous && (
+                    <Link to={toPathStepHref(previous, path)} rel="prev">← {previous.title}</Link>
+                )}
+                {next ? (
+                    <Link to={toPathStepHref(next, path)} rel="next">{next.title} →</Link>
+                ) : (
+                    <Link to="/paths">Path complete · all paths →</Link>
+                )}
+            </span>
+        </nav>
+    );
+}
+
+export default PathNavigation;
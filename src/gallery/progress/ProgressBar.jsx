@@ -0,0 +1,20 @@
+import React from 'react';
+
+/**
+ * ProgressBar - Completed steps out of a total
+ *
+ * @param {Object} props - Component props
+ * @param {number} props.value - Completed count
+ * @param {number} props.max - Total count
+ * @param {string} props.label - Accessible label
+ * @returns {JSX.Element} Progress bar
+ */
+function ProgressBar({ value, max, label }) {
+    return (
+        <div className="progress-bar" role="progressbar" aria-label={label} aria-valuemin={0} aria-valuemax={max} aria-valuenow={value}>
+            <span style={{ width: `${max ? (value / max) * 100 : 0}%` }} />
+        </div>
+    );
+}
+
+export default ProgressBar;
@@ -0,0 +1,38 @@
+import React from 'react';
+import { setCompleted, toggleBookmark, useProgress } from './progress.js';
+
+/**
+ * ProgressControls - Complete and bookmark toggles for a pattern
+ *
+ * @param {Object} props - Component props
+ * @param {Object} props.pattern - Pattern record from the registry
+ * @returns {JSX.Element} Buttons
+ */
+function ProgressControls({ pattern }) {
+    const entry = useProgress()[pattern.id];
+    const completed = Boolean(entry?.completed);
+    const bookmarked = Boolean(entry?.bookmarked);
+
+    return (
+        <span className="progress-controls">
+            <button
+                type="button"
+                className={`progress-toggle${completed ? ' is-on' : ''}`}
+                aria-pressed={completed}
+                onClick={() => setCompleted(pattern.id, !completed)}
+            >
+                {completed ? '✓ Completed' : 'Mark as completed'}
+            </button>
+            <button
+                type="button"
+                className={`progress-toggle${bookmarked ? ' is-on' : ''}`}
+                aria-pressed={bookmarked}
+                onClick={() => toggleBookmark(pattern.id)}
+            >
+                {bookmarked ? '★ Bookmarked' : '☆ Bookmark'}
+            </button>
+        </span>
+    );
+}
+
+export default ProgressControls;
@@ -0,0 +1,30 @@
+import React from 'react';
+
+const LABELS = {
+    completed: 'Completed',
+    visited: 'Visited',
+    new: 'Not started'
+};
+
+const ICONS = {
+    completed: '✓',
+    visited: '●',
+    new: '○'
+};
+
+/**
+ * StatusIcon - Compact completed / visited / not started marker
+ *
+ * @param {Object} props - Component props
+ * @param {string} props.status - Status from getStatus()
+ * @returns {JSX.Element} Icon with an accessible label
+ */
+function StatusIcon({ status }) {
+    return (
+        <span className={`progress-status is-${status}`} title={LABELS[status]} aria-label={LABELS[status]} role="img">
+            {ICONS[status]}
+        </span>
+    );
+}
+
+export default StatusIcon;
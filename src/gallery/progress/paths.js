@@ -0,0 +1,30 @@
+import { getPathStep, getPathsForPattern } from '../../../designs';
+
+/**
+ * Builds a pattern link that stays on a learning path
+ * @param {Object} pattern - Pattern record
+ * @param {Object} path - Learning path
+ * @returns {string} App path, e.g. "/patterns/custom-hook?path=beginner"
+ */
+export function toPathStepHref(pattern, path) {
+    return `/patterns/${pattern.slug}?path=${path.id}`;
+}
+
+/**
+ * Finds the learning path step a pattern page belongs to
+ *
+ * Prefers the path named in `?path=`, then the first path that contains
+ * the pattern.
+ *
+ * @param {Object} pattern - Pattern record
+ * @param {string} search - location.search
+ * @returns {Object|null} Result of getPathStep(), or null off every path
+ */
+export function getActiveStep(pattern, search) {
+    const requested = new URLSearchParams(search).get('path');
+    const requestedStep = requested && getPathStep(requested, pattern.id);
+    if (requestedStep) return requestedStep;
+
+    const [firstPath] = getPathsForPattern(pattern.id);
+    return firstPath ? getPathStep(firstPath.id, pattern.id) : null;
+}
@@ -0,0 +1,130 @@
+import { useSyncExternalStore } from 'react';
+
+/**
+ * Per-reader progress through the gallery, kept in localStorage.
+ *
+ * Each pattern id maps to `{ visited, completed, bookmarked, solved }`,
+ * where the first two are timestamps and `solved` maps exercise ids to
+ * the time they first passed. The store is exposed to React through
+ * useSyncExternalStore and follows changes made in other tabs.
+ */
+
+const STORAGE_KEY = 'gallery:progress';
+const VERSION = 1;
+const EMPTY = Object.freeze({});
+
+const listeners = new Set();
+let snapshot = read();
+
+function read() {
+    try {
+        const stored = JSON.parse(window.localStorage.getItem(STORAGE_KEY));
+        return stored?.version === VERSION ? stored.patterns : EMPTY;
+    } catch {
+        return EMPTY;
+    }
+}
+
+function write(patterns) {
+    snapshot = patterns;
+    try {
+        window.localStorage.setItem(STORAGE_KEY, JSON.stringify({ version: VERSION, patterns }));
+    } catch {
+        // Storage may be full or disabled; progress then lasts for this session
+    }
+    listeners.forEach(listener => listener());
+}
+
+function handleStorage(e) {
+    if (e.key !== STORAGE_KEY && e.key !== null) return;
+    snapshot = read();
+    listeners.forEach(listener => listener());
+}
+
+function subscribe(listener) {
+    if (listeners.size === 0) window.addEventListener('storage', handleStorage);
+    listeners.add(listener);
+    return () => {
+        listeners.delete(listener);
+        if (listeners.size === 0) window.removeEventListener('storage', handleStorage);
+    };
+}
+
+function getSnapshot() {
+    return snapshot;
+}
+
+/**
+ * Merges changes into one pattern's progress
+ * @param {string} id - Pattern id
+ * @param {Object} changes - Fields to set
+ */
+function update(id, changes) {
+    write({ ...snapshot, [id]: { ...snapshot[id], ...changes } });
+}
+
+/**
+ * Records that a pattern page was opened (first visit only)
+ * @param {string} id - Pattern id
+ */
+export function markVisited(id) {
+    if (!snapshot[id]?.visited) update(id, { visited: Date.now() });
+}
+
+/**
+ * Marks a pattern as completed or not
+ * @param {string} id - Pattern id
+ * @param {boolean} completed - New state
+ */
+export function setCompleted(id, completed) {
+    update(id, { completed: completed ? Date.now() : null });
+}
+
+/**
+ * Adds or removes a bookmark
+ * @param {string} id - Pattern id
+ */
+export function toggleBookmark(id) {
+    update(id, { bookmarked: !snapshot[id]?.bookmarked });
+}
+
+/**
+ * Records that an exercise passed all of its checks (first pass only)
+ * @param {string} id - Pattern id
+ * @param {string} exerciseId - Exercise id
+ */
+export function markExerciseSolved(id, exerciseId) {
+    const solved = snapshot[id]?.solved || {};
+    if (!solved[exerciseId]) update(id, { solved: { ...solved, [exerciseId]: Date.now() } });
+}
+
+/**
+ * Forgets all progress
+ */
+export function resetProgress() {
+    write(EMPTY);
+}
+
+/**
+ * useProgress - All recorded progress, keyed by pattern id
+ *
+ * @returns {Object<string, { visited?: number, completed?: number|null, bookmarked?: boolean, solved?: Object }>} Progress
+ *
+ * @example
+ * const progress = useProgress();
+ * const done = path.steps.filter(id => progress[id]?.completed).length;
+ */
+export function useProgress() {
+    return useSyncExternalStore(subscribe, getSnapshot);
+}
+
+/**
+ * Summarizes one pattern's progress
+ * @param {Object} [entry] - Progress entry from useProgress()
+ * @returns {'completed'|'visited'|'new'} Status
+ */
+export function getStatus(entry) {
+    if (entry?.completed) return 'completed';
+    if (entry?.visited) return 'visited';
+    return 'new';
+}
@@ -0,0 +1,112 @@
+import sourceIndex from 'virtual:pattern-search-index';
+import { patterns } from '../../designs';
+
+/**
+ * Full-text search over the pattern registry.
+ *
+ * Each pattern becomes a document made of weighted fields: its registry
+ * title, tags and summary, plus the README headings and JSDoc summaries
+ * extracted at build time by plugins/patternSearchIndex.js.
+ */
+
+const FIELD_WEIGHTS = {
+    title: 10,
+    tag: 6,
+    summary: 4,
+    heading: 3,
+    doc: 2
+};
+
+const MAX_MATCHES = 3;
+
+const documents = patterns.map(pattern => {
+    const extracted = sourceIndex[pattern.directory] || { docs: [], headings: [] };
+
+    const fields = [
+        { kind: 'title', text: pattern.title },
+        ...pattern.tags.map(tag => ({ kind: 'tag', text: tag })),
+        { kind: 'summary', text: pattern.summary },
+        ...extracted.headings.map(heading => ({ kind: 'heading', text: heading.text })),
+        ...extracted.docs.map(doc => ({ kind: 'doc', text: doc.text, name: doc.name }))
+    ];
+
+    return {
+        pattern,
+        // Documented symbol names (e.g. getItemProps) are searchable too
+        fields: fields.map(field => ({
+            ...field,
+            normalized: [field.name, field.text].filter(Boolean).join(' ').toLowerCase()
+        }))
+    };
+});
+
+/**
+ * Splits a query into lowercase search terms
+ *
+ * Letters and digits of any script count, so "Schrödinger" stays one term.
+ *
+ * @param {string} query - Raw query
+ * @returns {string[]} Terms
+ */
+export function tokenize(query) {
+    return query
+        .toLowerCase()
+        .split(/[^\p{L}\p{N}-]+/u)
+        .filter(Boolean);
+}
+
+/**
+ * Scores one term against one field
+ * @returns {number} 0 when the field does not contain the term
+ */
+function scoreField(field, term) {
+    const index = field.normalized.indexOf(term);
+    if (index === -1) return 0;
+
+    const weight = FIELD_WEIGHTS[field.kind];
+    const atWordStart = index === 0 || /[^\p{L}\p{N}]/u.test(field.normalized[index - 1]);
+    return atWordStart ? weight * 1.5 : weight;
+}
+
+/**
+ * Searches patterns by free text and tags
+ *
+ * Every term must appear somewhere in a pattern (AND semantics), and every
+ * selected tag must be present. With an empty query all patterns that pass
+ * the tag filter are returned in registry order.
+ *
+ * @param {string} query - Free-text query
+ * @param {Object} [options] - Options
+ * @param {string[]} [options.tags=[]] - Required tags
+ * @returns {Array<{ pattern: Object, score: number, matches: Object[] }>} Ranked results
+ */
+export function searchPatterns(query, { tags = [] } = {}) {
+    const terms = tokenize(query);
+
+    return documents
+        .filter(({ pattern }) => tags.every(tag => pattern.tags.includes(tag)))
+        .map(({ pattern, fields }) => {
+            let score = 0;
+            const matched = new Set();
+
+            for (const term of terms) {
+                let best = 0;
+                fields.forEach(field => {
+                    const fieldScore = scoreField(field, term);
+                    if (fieldScore > 0) matched.add(field);
+                    best = Math.max(best, fieldScore);
+                });
+                if (best === 0) return null;
+                score += best;
+            }
+
+            const matches = [...matched]
+                .sort((a, b) => FIELD_WEIGHTS[b.kind] - FIELD_WEIGHTS[a.kind])
+                .slice(0, MAX_MATCHES)
+                .map(({ kind, text, name }) => ({ kind, text, name }));
+
+            return { pattern, score, matches };
+        })
+        .filter(Boolean)
+        .sort((a, b) => b.score - a.score);
+}
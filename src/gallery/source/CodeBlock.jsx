@@ -0,0 +1,57 @@
+import React, { useMemo } from 'react';
+import { highlightLines } from './highlight.js';
+
+/**
+ * CodeBlock - Syntax highlighted code with optional line numbers
+ *
+ * @param {Object} props - Component props
+ * @param {string} props.code - Source code
+ * @param {string} [props.language='jsx'] - Language passed to the highlighter
+ * @param {boolean} [props.lineNumbers=false] - Render a line number gutter
+ * @param {number} [props.startLine=1] - Number of the first line, for excerpts
+ * @param {Function} [props.lineId] - Maps a 1-based line number to an element id
+ * @param {number} [props.activeLine] - Line to emphasize
+ * @param {Function} [props.onLineClick] - Called with a line number when its gutter is clicked
+ * @returns {JSX.Element} Highlighted code
+ */
+function CodeBlock({ code, language = 'jsx', lineNumbers = false, startLine = 1, lineId, activeLine, onLineClick }) {
+    const lines = useMemo(() => highlightLines(code, language), [code, language]);
+
+    return (
+        <pre className="code-block">
+            <code>
+                {lines.map((tokens, index) => {
+                    const line = index + startLine;
+                    const id = lineId ? lineId(line) : undefined;
+
+                    return (
+                        <span
+                            key={line}
+                            id={id}
+                            className={`code-line${line === activeLine ? ' is-active' : ''}`}
+                        >
+                            {lineNumbers && (
+                                <a
+                                    href={id ? `#${id}` : undefined}
+                                    className="code-line-number"
+                                    onClick={onLineClick ? (e) => { e.preventDefault(); onLineClick(line); } : undefined}
+                                    aria-label={`Line ${line}`}
+                                >
+                                    {line}
+                                </a>
+                            )}
+                            {tokens.map((token, i) => (
+                                token.type === 'plain'
+                                    ? token.text
+                                    : <span key={i} className={`tok-${token.type}`}>{token.text}</span>
+                            ))}
+                            {'\n'}
+                        </span>
+                    );
+                })}
+            </code>
+        </pre>
+    );
+}
+
+export default CodeBlock;
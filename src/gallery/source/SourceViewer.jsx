@@ -0,0 +1,148 @@
+import React, { useEffect, useMemo, useState } from 'react';
+import CodeBlock from './CodeBlock.jsx';
+import { findDefinitions } from './definitions.js';
+import { getSourceFiles } from './sources.js';
+import { navigate, useLocation } from '../../router/history.js';
+
+const ANCHOR = /^#([^#]+?)(?:-L(\d+))?$/;
+
+/**
+ * Builds the URL fragment for a file and optional line
+ * @param {string} file - File name, e.g. "PropsGetter.jsx"
+ * @param {number} [line] - 1-based line number
+ * @returns {string} Fragment without "#", e.g. "PropsGetter.jsx-L67"
+ */
+function toAnchor(file, line) {
+    return line ? `${file}-L${line}` : file;
+}
+
+/**
+ * Parses a fragment produced by toAnchor()
+ * @param {string} hash - location.hash
+ * @returns {{ file: string, line: number|null }|null} Anchor, or null
+ *     for a fragment that is not valid percent-encoding
+ */
+function parseAnchor(hash) {
+    let decoded;
+    try {
+        decoded = decodeURIComponent(hash);
+    } catch {
+        // Malformed escape such as "#%E0" in a shared link
+        return null;
+    }
+    const match = ANCHOR.exec(decoded);
+    return match ? { file: match[1], line: match[2] ? Number(match[2]) : null } : null;
+}
+
+/**
+ * SourceViewer - Highlighted pattern source with line anchors and definitions
+ *
+ * The selected file and line live in the URL fragment
+ * (e.g. "#PropsGetter.jsx-L67") so any line can be linked to.
+ *
+ * @param {Object} props - Component props
+ * @param {Object} props.pattern - Pattern record from the registry
+ * @returns {JSX.Element} Source viewer
+ */
+function SourceViewer({ pattern }) {
+    const files = useMemo(() => getSourceFiles(pattern), [pattern]);
+    const { pathname, search, hash } = useLocation();
+    const anchor = parseAnchor(hash);
+    const activeFile = files.find(file => file.name === anchor?.file) || files[0];
+    const activeLine = activeFile && anchor?.file === activeFile.name ? anchor.line : null;
+
+    const [sources, setSources] = useState({});
+    const [error, setError] = useState(null);
+    const code = activeFile ? sources[activeFile.path] : undefined;
+
+    useEffect(() => {
+        if (!activeFile || sources[activeFile.path] !== undefined) return undefined;
+
+        let cancelled = false;
+        activeFile.load()
+            .then(text => {
+                if (!cancelled) setSources(prev => ({ ...prev, [activeFile.path]: text }));
+            })
+            .catch(err => {
+                if (!cancelled) setError(err.message);
+            });
+
+        return () => {
+            cancelled = true;
+        };
+    }, [activeFile, sources]);
+
+    useEffect(() => {
+        if (code === undefined || !activeLine) return;
+        const element = document.getElementById(toAnchor(activeFile.name, activeLine));
+        if (element) element.scrollIntoView({ block: 'center' });
+    }, [code, activeFile, activeLine]);
+
+    const definitions = useMemo(() => (code ? findDefinitions(code) : []), [code]);
+
+    const goTo = (file, line) => {
+        navigate(`${pathname}${search}#${toAnchor(file, line)}`, { replace: true });
+    };
+
+    if (!activeFile) {
+        return <p className="gallery-empty">No source files found for {pattern.title}.</p>;
+    }
+
+    return (
+        <div className="source-viewer">
+            <div className="source-files" role="tablist" aria-label="Source files">
+                {files.map(file => (
+                    <button
+                        key={file.name}
+                        type="button"
+                        role="tab"
+                        aria-selected={file === activeFile}
+                        className={`source-file${file === activeFile ? ' is-active' : ''}`}
+                        onClick={() => goTo(file.name)}
+                    >
+                        {file.name}
+                    </button>
+                ))}
+                <span className="source-path">{activeFile.path}</span>
+            </div>
+
+            <div className="source-body">
+                <nav className="source-definitions" aria-label="Definitions">
+                    <h3>Definitions</h3>
+                    <ul>
+                        {definitions.map(definition => (
+                            <li key={`${definition.name}-${definition.line}`} className={definition.nested ? 'is-nested' : ''}>
+                                <a
+                                    href={`#${toAnchor(activeFile.name, definition.line)}`}
+                                    onClick={(e) => {
+                                        e.preventDefault();
+                                        goTo(activeFile.name, definition.line);
+                                    }}
+                                >
+                                    <span className={`source-kind is-${definition.kind}`}>{definition.kind}</span>
+                                    {definition.name}
+                                </a>
+                            </li>
+                        ))}
+                    </ul>
+                </nav>
+
+                <div className="source-code">
+                    {error && <p className="gallery-error">Could not load source: {error}</p>}
+                    {code === undefined && !error && <p className="gallery-empty">Loading source...</p>}
+                    {code !== undefined && (
+                        <CodeBlock
+                            code={code}
+                            lineNumbers
+                            lineId={(line) => toAnchor(activeFile.name, line)}
+                            activeLine={activeLine}
+                            onLineClick={(line) => goTo(activeFile.name, line)}
+                        />
+                    )}
+                </div>
+            </div>
+        </div>
+    );
+}
+
+export default SourceViewer;
@@ -0,0 +1,93 @@
+/**
+ * Finds the definitions worth jumping to in a pattern source file.
+ *
+ * Lists every top-level declaration, plus nested functions that carry a
+ * JSDoc block (such as the prop getters returned by useDropdown).
+ */
+
+const DECLARATION = new RegExp([
+    '^(\\s*)(?:export\\s+)?(?:default\\s+)?(?:async\\s+)?',
+    '(?:',
+    'function\\*?\\s+([A-Za-z_$][\\w$]*)',
+    '|class\\s+([A-Za-z_$][\\w$]*)',
+    '|(?:const|let|var)\\s+([A-Za-z_$][\\w$]*)\\s*=\\s*(async\\s+)?(\\(|function\\b|[A-Za-z_$][\\w$]*\\s*=>)?',
+    ')'
+].join(''));
+
+/**
+ * Classifies a declaration by naming convention
+ * @param {string} name - Declared name
+ * @param {boolean} isFunction - Whether it declares a function
+ * @param {boolean} isClass - Whether it declares a class
+ * @returns {string} Kind
+ */
+function classify(name, isFunction, isClass) {
+    if (isClass) return 'class';
+    if (!isFunction) return 'const';
+    if (/^use[A-Z]/.test(name)) return 'hook';
+    if (/^[A-Z]/.test(name)) return 'component';
+    return 'function';
+}
+
+/**
+ * Lists jump targets in a source file
+ *
+ * @param {string} code - Source code
+ * @returns {Array<{ name: string, line: number, kind: string, nested: boolean }>}
+ *   Definitions with 1-based line numbers
+ */
+export function findDefinitions(code) {
+    const lines = code.split('\n');
+    const definitions = [];
+
+    lines.forEach((line, index) => {
+        const match = DECLARATION.exec(line);
+        if (!match) return;
+
+        const [, indent, functionName, className, constName, , functionValue] = match;
+        const name = functionName || className || constName;
+        const isFunction = Boolean(functionName || functionValue);
+        const nested = indent.length > 0;
+        const documented = index > 0 && lines[index - 1].trim().endsWith('*/');
+
+        if (nested && !(isFunction && documented)) return;
+
+        definitions.push({
+            name,
+            line: index + 1,
+            kind: classify(name, isFunction, Boolean(className)),
+            nested
+        });
+    });
+
+    return definitions;
+}
+
+/**
+ * Cuts one top-level definition, with its JSDoc, out of a source file
+ *
+ * Relies on the repo's formatting: a multi-line top-level definition ends
+ * at the first following line that starts with a closing bracket.
+ *
+ * @param {string} code - Source code
+ * @param {string} name - Top-level definition name
+ * @returns {{ code: string, line: number }|null} Snippet and its 1-based first line
+ */
+export function extractDefinition(code, name) {
+    const definition = findDefinitions(code).find(d => d.name === name && !d.nested);
+    if (!definition) return null;
+
+    const lines = code.split('\n');
+    let start = definition.line - 1;
+    if (start > 0 && lines[start - 1].trim().endsWith('*/')) {
+        start--;
+        while (start > 0 && !lines[start].trim().startsWith('/**')) start--;
+    }
+
+    let end = definition.line - 1;
+    if (!/[;}]\s*$/.test(lines[end])) {
+        while (end < lines.length - 1 && !/^[}\])]/.test(lines[end])) end++;
+    }
+
+    return { code: lines.slice(start, end + 1).join('\n'), line: start + 1 };
+}
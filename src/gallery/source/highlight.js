@@ -0,0 +1,91 @@
+/**
+ * Tiny syntax highlighter for the gallery.
+ *
+ * Good enough to colour the pattern sources and README snippets without
+ * shipping a highlighting library. It scans the code once with sticky
+ * regexes and returns tokens grouped per line so callers can render line
+ * numbers and anchors.
+ */
+
+const KEYWORDS = [
+    'async', 'await', 'break', 'case', 'catch', 'class', 'const', 'continue', 'default',
+    'delete', 'do', 'else', 'export', 'extends', 'false', 'finally', 'for', 'from',
+    'function', 'if', 'import', 'in', 'instanceof', 'let', 'new', 'null', 'of', 'return',
+    'static', 'super', 'switch', 'this', 'throw', 'true', 'try', 'typeof', 'undefined',
+    'var', 'void', 'while', 'yield'
+];
+
+const SCRIPT_RULES = [
+    ['comment', /\/\*[\s\S]*?(?:\*\/|$)|\/\/[^\n]*/y],
+    ['string', /'(?:\\.|[^'\\\n])*'?|"(?:\\.|[^"\\\n])*"?|`(?:\\[\s\S]|[^`\\])*`?/y],
+    ['tag', /<\/?[A-Za-z][\w.]*/y],
+    ['keyword', new RegExp(`(?:${KEYWORDS.join('|')})\\b`, 'y')],
+    ['number', /\d[\d_]*(?:\.\d+)?(?:[eE][+-]?\d+)?\b/y],
+    ['function', /[A-Za-z_$][\w$]*(?=\s*\()/y],
+    ['plain', /[A-Za-z_$][\w$]*|\s+|[\s\S]/y]
+];
+
+const SCRIPT_LANGUAGES = new Set(['js', 'jsx', 'javascript', 'ts', 'tsx', 'typescript', 'mjs']);
+
+/**
+ * Splits code into typed tokens
+ *
+ * @param {string} code - Source code
+ * @param {string} [language='jsx'] - Language; unknown languages yield plain text
+ * @returns {Array<{ type: string, text: string }>} Tokens
+ */
+export function tokenize(code, language = 'jsx') {
+    if (!SCRIPT_LANGUAGES.has(language)) {
+        return [{ type: 'plain', text: code }];
+    }
+
+    const tokens = [];
+    let position = 0;
+
+    while (position < code.length) {
+        for (const [type, regex] of SCRIPT_RULES) {
+            regex.lastIndex = position;
+            const match = regex.exec(code);
+            if (match && match[0].length > 0) {
+                const last = tokens[tokens.length - 1];
+                if (last && last.type === type && type === 'plain') {
+                    last.text += match[0];
+                } else {
+                    tokens.push({ type, text: match[0] });
+                }
+                position += match[0].length;
+                break;
+            }
+        }
+    }
+
+    return tokens;
+}
+
+/**
+ * Tokenizes code and groups the tokens per line
+ *
+ * Tokens spanning several lines (block comments, template literals) are
+ * split so every line can be rendered on its own.
+ *
+ * @param {string} code - Source code
+ * @param {string} [language='jsx'] - Language
+ * @returns {Array<Array<{ type: string, text: string }>>} Tokens per line
+ */
+export function highlightLines(code, language = 'jsx') {
+    const lines = [[]];
+
+    tokenize(code.replace(/\r\n/g, '\n'), language).forEach(({ type, text }) => {
+        text.split('\n').forEach((part, i) => {
+            if (i > 0) lines.push([]);
+            if (part) lines[lines.length - 1].push({ type, text: part });
+        });
+    });
+
+    // A trailing newline should not render as an empty last line
+    if (lines.length > 1 && lines[lines.length - 1].length === 0) {
+        lines.pop();
+    }
+
+    return lines;
+}
@@ -0,0 +1,33 @@
+/**
+ * Lazy raw-source loaders for every pattern file.
+ *
+ * Vite turns each `?raw` import into its own chunk, so a pattern's source
+ * is only downloaded when its viewer opens, and always from our own bundle.
+ */
+
+const ROOT = '../../../designs/';
+
+const loaders = import.meta.glob('../../../designs/*/*.{js,jsx}', { query: '?raw', import: 'default' });
+
+/**
+ * Lists a pattern's source files, main demo file first
+ *
+ * @param {Object} pattern - Pattern record from the registry
+ * @returns {Array<{ name: string, path: string, load: Function }>} Source files
+ */
+export function getSourceFiles(pattern) {
+    const prefix = `${ROOT}${pattern.directory}/`;
+    const mainFile = pattern.source.slice(pattern.directory.length + 1);
+
+    return Object.keys(loaders)
+        .filter(key => key.startsWith(prefix) && !key.slice(prefix.length).includes('/'))
+        .map(key => {
+            const name = key.slice(prefix.length);
+            return { name, path: `designs/${pattern.directory}/${name}`, load: loaders[key] };
+        })
+        .sort((a, b) => {
+            if (a.name === mainFile) return -1;
+            if (b.name === mainFile) return 1;
+            return a.name.localeCompare(b.name);
+        });
+}
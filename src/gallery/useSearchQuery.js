@@ -0,0 +1,50 @@
+import { useMemo } from 'react';
+import { navigate, useLocation } from '../router/history.js';
+
+/**
+ * Builds the gallery index path for a search
+ * @param {string} query - Free-text query
+ * @param {string[]} tags - Selected tags
+ * @returns {string} Path such as "/?q=reducer&tag=state"
+ */
+export function toSearchPath(query, tags) {
+    const params = new URLSearchParams();
+    if (query) params.set('q', query);
+    tags.forEach(tag => params.append('tag', tag));
+    const search = params.toString();
+    return search ? `/?${search}` : '/';
+}
+
+/**
+ * useSearchQuery - Search state stored in the index page's URL
+ *
+ * The query lives in `?q=` and tags in repeated `&tag=` parameters so any
+ * search can be shared as a link. Updates made while already on the index
+ * replace the history entry instead of pushing one per keystroke.
+ *
+ * @returns {Object} Query, tags and updaters
+ */
+export function useSearchQuery() {
+    const { pathname, search } = useLocation();
+    const onIndex = pathname === '/';
+
+    const { query, tags } = useMemo(() => {
+        const params = new URLSearchParams(onIndex ? search : '');
+        return { query: params.get('q') || '', tags: params.getAll('tag') };
+    }, [onIndex, search]);
+
+    const update = (nextQuery, nextTags) => {
+        navigate(toSearchPath(nextQuery, nextTags), { replace: onIndex });
+    };
+
+    return {
+        query,
+        tags,
+        setQuery: (nextQuery) => update(nextQuery, tags),
+        toggleTag: (tag) => update(
+            query,
+            tags.includes(tag) ? tags.filter(t => t !== tag) : [...tags, tag]
+        ),
+        clear: () => update('', [])
+    };
+}
@@ -0,0 +1,47 @@
+import React from 'react';
+import { navigate, toHref, useLocation } from './history.js';
+
+/**
+ * Link - Anchor that navigates through the History API
+ *
+ * Falls back to the browser's default behavior for modified clicks
+ * (new tab, new window, download) and non-primary buttons.
+ *
+ * @param {Object} props - Component props
+ * @param {string} props.to - App-relative path
+ * @param {boolean} [props.replace=false] - Replace instead of push
+ * @param {string} [props.activeClassName] - Class added when the pathname of `to` matches the current path
+ * @returns {JSX.Element} Anchor element
+ */
+function Link({ to, replace = false, className = '', activeClassName, onClick, children, ...rest }) {
+    const { pathname } = useLocation();
+    const isActive = activeClassName && pathname === to.split(/[?#]/)[0];
+
+    const handleClick = (e) => {
+        if (onClick) onClick(e);
+        if (
+            e.defaultPrevented ||
+            e.button !== 0 ||
+            e.metaKey || e.ctrlKey || e.shiftKey || e.altKey ||
+            rest.target === '_blank'
+        ) {
+            return;
+        }
+        e.preventDefault();
+        navigate(to, { replace });
+    };
+
+    return (
+        <a
+            href={toHref(to)}
+            onClick={handleClick}
+            className={[className, isActive ? activeClassName : ''].filter(Boolean).join(' ') || undefined}
+            aria-current={isActive ? 'page' : undefined}
+            {...rest}
+        >
+            {children}
+        </a>
+    );
+}
+
+export default Link;
@@ -0,0 +1,118 @@
+import { useSyncExternalStore } from 'react';
+
+/**
+ * Minimal History API router.
+ *
+ * The gallery only needs a handful of routes, so instead of pulling in a
+ * routing library we keep the current location in the browser history and
+ * expose it to React through useSyncExternalStore.
+ */
+
+const NAVIGATE_EVENT = 'gallery:navigate';
+
+// Vite's base path ("/" in dev, configurable for deployments)
+const BASE = import.meta.env.BASE_URL.replace(/\/$/, '');
+
+/**
+ * Strips the deployment base from a browser pathname
+ *
+ * Only on a segment boundary: under "/app", "/app-old/x" is left alone.
+ *
+ * @param {string} pathname - Browser pathname
+ * @returns {string} App-relative pathname starting with "/"
+ */
+function stripBase(pathname) {
+    if (BASE && (pathname === BASE || pathname.startsWith(`${BASE}/`))) {
+        return pathname.slice(BASE.length) || '/';
+    }
+    return pathname;
+}
+
+/**
+ * Builds a browser href for an app-relative path
+ * @param {string} to - App-relative path
+ * @returns {string} Href including the deployment base
+ */
+export function toHref(to) {
+    return `${BASE}${to}`;
+}
+
+function subscribe(listener) {
+    window.addEventListener('popstate', listener);
+    window.addEventListener(NAVIGATE_EVENT, listener);
+    return () => {
+        window.removeEventListener('popstate', listener);
+        window.removeEventListener(NAVIGATE_EVENT, listener);
+    };
+}
+
+function getSnapshot() {
+    return stripBase(window.location.pathname) + window.location.search + window.location.hash;
+}
+
+/**
+ * Navigates to an app-relative path without reloading the page
+ *
+ * @param {string} to - App-relative path, e.g. "/patterns/state-reducer"
+ * @param {Object} [options] - Options
+ * @param {boolean} [options.replace=false] - Replace the current history entry
+ */
+export function navigate(to, { replace = false } = {}) {
+    const href = toHref(to);
+    if (href === window.location.pathname + window.location.search + window.location.hash) {
+        return;
+    }
+    if (replace) {
+        window.history.replaceState(null, '', href);
+    } else {
+        window.history.pushState(null, '', href);
+    }
+    window.dispatchEvent(new Event(NAVIGATE_EVENT));
+}
+
+/**
+ * useLocation - Current app-relative location
+ *
+ * @returns {{ pathname: string, search: string, hash: string }} Location parts
+ */
+export function useLocation() {
+    const path = useSyncExternalStore(subscribe, getSnapshot);
+    const url = new URL(path, window.location.origin);
+    return { pathname: url.pathname, search: url.search, hash: url.hash };
+}
+
+/**
+ * matchPath - Matches a pathname against a pattern with ":param" segments
+ *
+ * @param {string} pattern - Route pattern, e.g. "/patterns/:slug"
+ * @param {string} pathname - Pathname to test
+ * @returns {Object|null} Decoded params when matched, otherwise null; also
+ *     null when a param is not valid percent-encoding, so the 404 route renders
+ *
+ * @example
+ * matchPath('/patterns/:slug', '/patterns/state-reducer'); // { slug: 'state-reducer' }
+ */
+export function matchPath(pattern, pathname) {
+    const patternParts = pattern.split('/').filter(Boolean);
+    const pathParts = pathname.replace(/\/+$/, '').split('/').filter(Boolean);
+
+    if (patternParts.length !== pathParts.length) {
+        return null;
+    }
+
+    const params = {};
+    for (let i = 0; i < patternParts.length; i++) {
+        const part = patternParts[i];
+        if (part.startsWith(':')) {
+            try {
+                params[part.slice(1)] = decodeURIComponent(pathParts[i]);
+            } catch {
+                // Malformed escape such as "%E0%A4%A"
+                return null;
+            }
+        } else if (part !== pathParts[i]) {
+            return null;
+        }
+    }
+    return params;
+}
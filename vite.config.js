@@ -1,7 +1,22 @@
 import { defineConfig } from 'vite'
 import react from '@vitejs/plugin-react'
+import patternSearchIndex from './plugins/patternSearchIndex.js'
+import eventUsage from './plugins/eventUsage.js'
 
 // https://vitejs.dev/config/
 export default defineConfig({
-  plugins: [react()],
+  plugins: [react(), patternSearchIndex(), eventUsage()],
+  build: {
+    rollupOptions: {
+      output: {
+        // Every pattern module is part of the main bundle (registry and
+        // playground), so keep third-party code in a chunk of its own
+        manualChunks(id) {
+          if (id.includes('/node_modules/') && !id.includes('/sucrase/') && !id.includes('/pdfjs-dist/')) {
+            return 'vendor'
+          }
+        },
+      },
+    },
+  },
 })